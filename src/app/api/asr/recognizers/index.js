@@ -0,0 +1,42 @@
+import { mockRecognizer } from "./mock";
+import { openAiCompatibleRecognizer } from "./openaiCompatible";
+
+export { AsrRecognizerError } from "./shared";
+
+/**
+ * Speech recognizers selectable through the route's `provider` field. Each
+ * has an `id`, a `label`, `isConfigured()`, a `missingConfigMessage`, and
+ * `transcribe(request)` resolving to `{ text, language }`. Requests carry the
+ * recording as `audio` (a Blob) with its `fileName`, plus the optional
+ * `language` (BCP 47) and `prompt` strings; adapters ignore what they can't
+ * use.
+ */
+const ASR_RECOGNIZERS = new Map(
+  [openAiCompatibleRecognizer, mockRecognizer].map((recognizer) => [
+    recognizer.id,
+    recognizer,
+  ]),
+);
+
+const RECOGNIZER_ALIASES = {
+  whisper: "openai",
+  "openai-compatible": "openai",
+  local: "mock",
+  stub: "mock",
+};
+
+export const DEFAULT_ASR_PROVIDER = process.env.ASR_DEFAULT_PROVIDER ?? "openai";
+
+export function resolveAsrRecognizer(name) {
+  const key = String(name ?? "").trim().toLowerCase() || DEFAULT_ASR_PROVIDER;
+  return ASR_RECOGNIZERS.get(RECOGNIZER_ALIASES[key] ?? key) ?? null;
+}
+
+export function listAsrRecognizers() {
+  return Array.from(ASR_RECOGNIZERS.values(), (recognizer) => ({
+    id: recognizer.id,
+    label: recognizer.label,
+    configured: recognizer.isConfigured(),
+    default: recognizer.id === resolveAsrRecognizer(DEFAULT_ASR_PROVIDER)?.id,
+  }));
+}
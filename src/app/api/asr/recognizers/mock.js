@@ -0,0 +1,22 @@
+const DEFAULT_TRANSCRIPT = process.env.ASR_MOCK_TRANSCRIPT ?? "你好，这是一段测试语音。";
+
+/**
+ * Offline stub: every non-empty recording transcribes to the same text
+ * (`ASR_MOCK_TRANSCRIPT`, or the `prompt` field when given), so the
+ * recorder fallback and the phone loop can be exercised without any ASR
+ * credentials.
+ */
+export const mockRecognizer = {
+  id: "mock",
+  label: "Mock transcript",
+  isConfigured() {
+    return true;
+  },
+  missingConfigMessage: "",
+  async transcribe({ audio, language, prompt }) {
+    if (!audio || audio.size === 0) {
+      return { text: "", language: language ?? null };
+    }
+    return { text: prompt || DEFAULT_TRANSCRIPT, language: language ?? null };
+  },
+};
@@ -0,0 +1,60 @@
+import { AsrRecognizerError, readUpstreamError } from "./shared";
+
+const BASE_URL = (
+  process.env.OPENAI_ASR_BASE_URL ?? "https://api.openai.com/v1"
+).replace(/\/+$/, "");
+const API_KEY = process.env.OPENAI_ASR_API_KEY ?? process.env.OPENAI_API_KEY;
+const MODEL = process.env.OPENAI_ASR_MODEL ?? "whisper-1";
+
+// `/audio/transcriptions` takes ISO-639-1 codes; browsers hand out BCP 47
+// tags such as "zh-CN".
+function resolveLanguage(language) {
+  const code = String(language ?? "").split(/[-_]/)[0].trim().toLowerCase();
+  return /^[a-z]{2}$/.test(code) ? code : undefined;
+}
+
+export const openAiCompatibleRecognizer = {
+  id: "openai",
+  label: "OpenAI-compatible /audio/transcriptions",
+  // Self-hosted servers (whisper.cpp, faster-whisper) often run without a
+  // key, so a custom base URL alone is enough.
+  isConfigured() {
+    return Boolean(API_KEY || process.env.OPENAI_ASR_BASE_URL);
+  },
+  missingConfigMessage:
+    "OpenAI-compatible ASR is not configured. Set OPENAI_ASR_API_KEY or OPENAI_ASR_BASE_URL.",
+  async transcribe({ audio, fileName, language, prompt }) {
+    const form = new FormData();
+    form.append("file", audio, fileName);
+    form.append("model", MODEL);
+    form.append("response_format", "json");
+    const code = resolveLanguage(language);
+    if (code) {
+      form.append("language", code);
+    }
+    if (prompt) {
+      form.append("prompt", prompt);
+    }
+    const headers = {};
+    if (API_KEY) {
+      headers.Authorization = `Bearer ${API_KEY}`;
+    }
+    const response = await fetch(`${BASE_URL}/audio/transcriptions`, {
+      method: "POST",
+      headers,
+      body: form,
+      cache: "no-store",
+    });
+    if (!response.ok) {
+      throw new AsrRecognizerError("OpenAI-compatible ASR request failed", {
+        status: response.status,
+        details: await readUpstreamError(response),
+      });
+    }
+    const payload = await response.json().catch(() => null);
+    return {
+      text: typeof payload?.text === "string" ? payload.text.trim() : "",
+      language: payload?.language ?? code ?? null,
+    };
+  },
+};
@@ -0,0 +1,18 @@
+/**
+ * Raised by recognizer adapters when the upstream service rejects a request.
+ * The route reports it as a 502 with the upstream status and a snippet of
+ * the response body.
+ */
+export class AsrRecognizerError extends Error {
+  constructor(message, { status = null, details = null } = {}) {
+    super(message);
+    this.name = "AsrRecognizerError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export async function readUpstreamError(response) {
+  const body = await response.text().catch(() => "");
+  return body?.slice?.(0, 500) || null;
+}
@@ -0,0 +1,194 @@
+import { NextResponse } from "next/server";
+import {
+  AsrRecognizerError,
+  listAsrRecognizers,
+  resolveAsrRecognizer,
+} from "./recognizers";
+
+export const runtime = "nodejs";
+export const dynamic = "force-dynamic";
+
+// Matches the upload limit of OpenAI's /audio/transcriptions.
+const MAX_AUDIO_BYTES = 25 * 1024 * 1024;
+
+const AUDIO_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "m4a",
+  "audio/mpeg": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/flac": "flac",
+};
+
+function readField(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
+
+function resolveFileName(audio) {
+  if (typeof audio.name === "string" && /\.\w+$/.test(audio.name)) {
+    return audio.name;
+  }
+  const base = String(audio.type ?? "").split(";")[0].trim().toLowerCase();
+  return `speech.${AUDIO_EXTENSIONS[base] ?? "webm"}`;
+}
+
+// Room for the multipart boundaries and text fields around the audio.
+const MAX_FORM_OVERHEAD_BYTES = 64 * 1024;
+
+class AudioTooLargeError extends Error {
+  constructor() {
+    super(`Audio exceeds ${MAX_AUDIO_BYTES} bytes`);
+    this.name = "AudioTooLargeError";
+  }
+}
+
+// Reads a raw body, giving up as soon as it outgrows `limit` rather than
+// buffering whatever the client sends.
+async function readLimitedBody(request, limit) {
+  if (!request.body) {
+    return new Uint8Array(0);
+  }
+  const reader = request.body.getReader();
+  const chunks = [];
+  let total = 0;
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    total += value.byteLength;
+    if (total > limit) {
+      await reader.cancel().catch(() => {});
+      throw new AudioTooLargeError();
+    }
+    chunks.push(value);
+  }
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  });
+  return bytes;
+}
+
+/**
+ * The recording and its options, from either a multipart form (`audio` or
+ * `file`, plus `provider`, `language` and `prompt` fields) or a raw audio
+ * body with the options in the query string. Throws AudioTooLargeError when
+ * the declared `Content-Length` or a raw body is over the upload limit.
+ */
+async function readRecognitionRequest(request) {
+  const contentType = request.headers.get("content-type") ?? "";
+  const multipart = contentType.includes("multipart/form-data");
+  const limit = MAX_AUDIO_BYTES + (multipart ? MAX_FORM_OVERHEAD_BYTES : 0);
+  const declared = Number(request.headers.get("content-length"));
+  if (Number.isFinite(declared) && declared > limit) {
+    throw new AudioTooLargeError();
+  }
+  if (multipart) {
+    const form = await request.formData();
+    const audio = form.get("audio") ?? form.get("file");
+    return {
+      audio: audio instanceof Blob ? audio : null,
+      provider: readField(form.get("provider")),
+      language: readField(form.get("language")),
+      prompt: readField(form.get("prompt")),
+    };
+  }
+  const { searchParams } = new URL(request.url);
+  const bytes = await readLimitedBody(request, MAX_AUDIO_BYTES);
+  return {
+    audio: bytes.byteLength > 0 ? new Blob([bytes], { type: contentType }) : null,
+    provider: readField(searchParams.get("provider")),
+    language: readField(searchParams.get("language")),
+    prompt: readField(searchParams.get("prompt")),
+  };
+}
+
+function audioTooLargeResponse() {
+  return NextResponse.json(
+    { message: `Audio exceeds ${MAX_AUDIO_BYTES} bytes` },
+    { status: 413 },
+  );
+}
+
+export async function OPTIONS() {
+  return new NextResponse(null, {
+    status: 204,
+    headers: {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+      "Access-Control-Allow-Headers": "Content-Type, Authorization",
+      "Access-Control-Max-Age": "86400",
+    },
+  });
+}
+
+export async function GET() {
+  return NextResponse.json({ providers: listAsrRecognizers() });
+}
+
+export async function POST(request) {
+  let recognitionRequest;
+  try {
+    recognitionRequest = await readRecognitionRequest(request);
+  } catch (error) {
+    if (error instanceof AudioTooLargeError) {
+      return audioTooLargeResponse();
+    }
+    return NextResponse.json({ message: "Invalid audio upload" }, { status: 400 });
+  }
+
+  const recognizer = resolveAsrRecognizer(recognitionRequest.provider);
+  if (!recognizer) {
+    return NextResponse.json(
+      {
+        message: `Unknown ASR provider: ${recognitionRequest.provider}`,
+        providers: listAsrRecognizers().map((item) => item.id),
+      },
+      { status: 400 },
+    );
+  }
+  if (!recognizer.isConfigured()) {
+    return NextResponse.json({ message: recognizer.missingConfigMessage }, { status: 503 });
+  }
+
+  const { audio, language, prompt } = recognitionRequest;
+  if (!audio || audio.size === 0) {
+    return NextResponse.json({ message: "Missing audio for speech recognition" }, { status: 400 });
+  }
+  if (audio.size > MAX_AUDIO_BYTES) {
+    return audioTooLargeResponse();
+  }
+
+  try {
+    const { text, language: detected } = await recognizer.transcribe({
+      audio,
+      fileName: resolveFileName(audio),
+      language,
+      prompt,
+    });
+    return NextResponse.json(
+      { text, language: detected ?? language ?? null, provider: recognizer.id },
+      { headers: { "Cache-Control": "no-store" } },
+    );
+  } catch (error) {
+    if (error instanceof AsrRecognizerError) {
+      return NextResponse.json(
+        {
+          message: error.message,
+          status: error.status,
+          details: error.details,
+        },
+        { status: 502 },
+      );
+    }
+    console.error(error);
+    return NextResponse.json(
+      { message: `Failed to reach ${recognizer.label} service` },
+      { status: 502 },
+    );
+  }
+}
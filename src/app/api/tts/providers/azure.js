@@ -0,0 +1,126 @@
+import { TtsProviderError, readUpstreamError } from "./shared";
+
+const SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
+const SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
+const DEFAULT_VOICE =
+  process.env.AZURE_SPEECH_DEFAULT_VOICE ?? "zh-CN-XiaoyiNeural";
+const DEFAULT_STYLE =
+  process.env.AZURE_SPEECH_DEFAULT_STYLE ?? "general";
+const DEFAULT_STYLE_DEGREE =
+  process.env.AZURE_SPEECH_DEFAULT_STYLE_DEGREE ?? "1.0";
+const OUTPUT_FORMAT =
+  process.env.AZURE_SPEECH_OUTPUT_FORMAT ?? "audio-24khz-64kbitrate-mono-mp3";
+
+function escapeForSsml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function buildSsml({ text, voice, style, styleDegree, pitch, rate }) {
+  const prosodyAttrs = [];
+  if (rate) {
+    prosodyAttrs.push(`rate=\"${rate}\"`);
+  }
+  if (pitch) {
+    prosodyAttrs.push(`pitch=\"${pitch}\"`);
+  }
+  const prosodyOpen = prosodyAttrs.length ? `<prosody ${prosodyAttrs.join(" ")}>` : "";
+  const prosodyClose = prosodyAttrs.length ? "</prosody>" : "";
+
+  const escaped = escapeForSsml(text);
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<speak version="1.0" xml:lang="en-US" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts">
+  <voice name="${voice}">
+    <mstts:express-as style="${style}" styledegree="${styleDegree}">
+      ${prosodyOpen}${escaped}${prosodyClose}
+    </mstts:express-as>
+  </voice>
+</speak>`;
+}
+
+function resolveMimeType(outputFormat) {
+  if (outputFormat.includes("mp3")) {
+    return "audio/mpeg";
+  }
+  if (outputFormat.startsWith("riff")) {
+    return "audio/wav";
+  }
+  if (outputFormat.startsWith("ogg")) {
+    return "audio/ogg";
+  }
+  if (outputFormat.startsWith("webm")) {
+    return "audio/webm";
+  }
+  if (outputFormat.startsWith("raw")) {
+    return "audio/pcm";
+  }
+  return "audio/mpeg";
+}
+
+function resolveSampleRate(outputFormat) {
+  const match = /(\d+)khz/i.exec(outputFormat);
+  return match ? Number(match[1]) * 1000 : null;
+}
+
+async function requestSpeech({ text, voice, style, styleDegree, pitch, rate }, signal) {
+  const ssml = buildSsml({
+    text,
+    voice: voice ?? DEFAULT_VOICE,
+    style: style ?? DEFAULT_STYLE,
+    styleDegree: styleDegree ?? DEFAULT_STYLE_DEGREE,
+    pitch,
+    rate,
+  });
+  const response = await fetch(
+    `https://${SPEECH_REGION}.tts.speech.microsoft.com/cognitiveservices/v1`,
+    {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/ssml+xml",
+        "Ocp-Apim-Subscription-Key": SPEECH_KEY,
+        "X-Microsoft-OutputFormat": OUTPUT_FORMAT,
+        "User-Agent": "Auralis-TTS/1.0",
+      },
+      body: ssml,
+      cache: "no-store",
+      signal,
+    },
+  );
+  if (!response.ok) {
+    throw new TtsProviderError("Azure TTS request failed", {
+      status: response.status,
+      details: await readUpstreamError(response),
+    });
+  }
+  return response;
+}
+
+export const azureProvider = {
+  id: "azure",
+  label: "Azure Speech",
+  isConfigured() {
+    return Boolean(SPEECH_KEY && SPEECH_REGION);
+  },
+  missingConfigMessage:
+    "Azure Speech credentials are not configured. Set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION.",
+  async synthesize(request, { signal } = {}) {
+    const response = await requestSpeech(request, signal);
+    return {
+      audio: await response.arrayBuffer(),
+      mimeType: resolveMimeType(OUTPUT_FORMAT),
+    };
+  },
+  async stream(request, { signal } = {}) {
+    const response = await requestSpeech(request, signal);
+    return {
+      body: response.body,
+      mimeType: resolveMimeType(OUTPUT_FORMAT),
+      sampleRate: resolveSampleRate(OUTPUT_FORMAT),
+    };
+  },
+};
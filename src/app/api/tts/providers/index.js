@@ -0,0 +1,44 @@
+import { azureProvider } from "./azure";
+import { mockProvider } from "./mock";
+import { openAiCompatibleProvider } from "./openaiCompatible";
+
+export { TtsProviderError, readString } from "./shared";
+
+/**
+ * TTS adapters selectable through the route's `provider` field. Each has an
+ * `id`, a `label`, `isConfigured()`, a `missingConfigMessage`, and
+ * `synthesize(request, { signal })` resolving to `{ audio: ArrayBuffer,
+ * mimeType }`, and optionally `stream(request, { signal })` resolving to
+ * `{ body: ReadableStream, mimeType, sampleRate }` once the upstream has
+ * accepted the request. Aborting `signal` cancels the upstream request.
+ * Requests carry `text` plus the optional `voice`, `style`, `styleDegree`,
+ * `pitch`, `rate` and `format` strings; adapters ignore what they can't use.
+ */
+const TTS_PROVIDERS = new Map(
+  [azureProvider, openAiCompatibleProvider, mockProvider].map((provider) => [
+    provider.id,
+    provider,
+  ]),
+);
+
+const PROVIDER_ALIASES = {
+  "azure-speech": "azure",
+  "openai-compatible": "openai",
+  local: "mock",
+};
+
+export const DEFAULT_TTS_PROVIDER = process.env.TTS_DEFAULT_PROVIDER ?? "azure";
+
+export function resolveTtsProvider(name) {
+  const key = String(name ?? "").trim().toLowerCase() || DEFAULT_TTS_PROVIDER;
+  return TTS_PROVIDERS.get(PROVIDER_ALIASES[key] ?? key) ?? null;
+}
+
+export function listTtsProviders() {
+  return Array.from(TTS_PROVIDERS.values(), (provider) => ({
+    id: provider.id,
+    label: provider.label,
+    configured: provider.isConfigured(),
+    default: provider.id === resolveTtsProvider(DEFAULT_TTS_PROVIDER)?.id,
+  }));
+}
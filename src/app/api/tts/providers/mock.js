@@ -0,0 +1,91 @@
+const SAMPLE_RATE = 24000;
+const SECONDS_PER_CHAR = 0.06;
+const MIN_SECONDS = 0.4;
+const MAX_SECONDS = 8;
+const FADE_SECONDS = 0.02;
+// Streaming mode hands out the tone in slices, paced faster than real time,
+// to mimic an upstream that synthesizes progressively.
+const STREAM_SLICE_BYTES = SAMPLE_RATE * 2 * 0.2;
+const STREAM_SLICE_DELAY_MS = 60;
+
+// Deterministic pitch per voice so different voices are audibly distinct.
+function resolveFrequency(voice) {
+  let hash = 0;
+  for (const char of String(voice ?? "")) {
+    hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+  }
+  return 330 + (hash % 12) * 20;
+}
+
+function encodeToneWav(frequency, seconds) {
+  const sampleCount = Math.round(SAMPLE_RATE * seconds);
+  const buffer = Buffer.alloc(44 + sampleCount * 2);
+  buffer.write("RIFF", 0, "ascii");
+  buffer.writeUInt32LE(36 + sampleCount * 2, 4);
+  buffer.write("WAVE", 8, "ascii");
+  buffer.write("fmt ", 12, "ascii");
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write("data", 36, "ascii");
+  buffer.writeUInt32LE(sampleCount * 2, 40);
+  const fadeSamples = Math.round(SAMPLE_RATE * FADE_SECONDS);
+  for (let i = 0; i < sampleCount; i += 1) {
+    const envelope = Math.min(1, i / fadeSamples, (sampleCount - i) / fadeSamples);
+    const sample = Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE) * 0.3 * envelope;
+    buffer.writeInt16LE(Math.round(sample * 0x7fff), 44 + i * 2);
+  }
+  return buffer;
+}
+
+function renderTone(text, voice) {
+  const seconds = Math.min(
+    MAX_SECONDS,
+    Math.max(MIN_SECONDS, Array.from(text).length * SECONDS_PER_CHAR),
+  );
+  return encodeToneWav(resolveFrequency(voice), seconds);
+}
+
+/**
+ * Offline adapter: a sine tone whose length follows the text, so the route
+ * and the players can be exercised without any TTS credentials.
+ */
+export const mockProvider = {
+  id: "mock",
+  label: "Mock tone",
+  isConfigured() {
+    return true;
+  },
+  missingConfigMessage: "",
+  async synthesize({ text, voice }, { signal } = {}) {
+    signal?.throwIfAborted();
+    const wav = renderTone(text, voice);
+    return {
+      audio: wav.buffer.slice(wav.byteOffset, wav.byteOffset + wav.byteLength),
+      mimeType: "audio/wav",
+    };
+  },
+  async stream({ text, voice }, { signal } = {}) {
+    signal?.throwIfAborted();
+    const wav = renderTone(text, voice);
+    let offset = 0;
+    const body = new ReadableStream({
+      async pull(controller) {
+        if (offset > 0) {
+          await new Promise((resolve) => setTimeout(resolve, STREAM_SLICE_DELAY_MS));
+        }
+        const end = Math.min(wav.length, offset + STREAM_SLICE_BYTES);
+        controller.enqueue(new Uint8Array(wav.subarray(offset, end)));
+        offset = end;
+        if (offset >= wav.length) {
+          controller.close();
+        }
+      },
+    });
+    return { body, mimeType: "audio/wav", sampleRate: SAMPLE_RATE };
+  },
+};
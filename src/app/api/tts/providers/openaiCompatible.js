@@ -0,0 +1,103 @@
+import { TtsProviderError, readUpstreamError } from "./shared";
+
+const BASE_URL = (
+  process.env.OPENAI_TTS_BASE_URL ?? "https://api.openai.com/v1"
+).replace(/\/+$/, "");
+const API_KEY = process.env.OPENAI_TTS_API_KEY ?? process.env.OPENAI_API_KEY;
+const MODEL = process.env.OPENAI_TTS_MODEL ?? "tts-1";
+const DEFAULT_VOICE = process.env.OPENAI_TTS_DEFAULT_VOICE ?? "alloy";
+const DEFAULT_FORMAT = process.env.OPENAI_TTS_RESPONSE_FORMAT ?? "mp3";
+
+const RESPONSE_FORMATS = {
+  mp3: "audio/mpeg",
+  opus: "audio/ogg",
+  aac: "audio/aac",
+  flac: "audio/flac",
+  wav: "audio/wav",
+  pcm: "audio/pcm",
+};
+
+// `/audio/speech` takes a speed multiplier; accept the SSML-style relative
+// rates ("+20%", "-10%") the Azure adapter uses as well as plain numbers.
+function resolveSpeed(rate) {
+  if (!rate) {
+    return undefined;
+  }
+  const percent = /^([+-]?\d+(?:\.\d+)?)%$/.exec(rate);
+  const speed = percent ? 1 + Number(percent[1]) / 100 : Number(rate);
+  if (!Number.isFinite(speed) || speed <= 0) {
+    return undefined;
+  }
+  return Math.min(4, Math.max(0.25, speed));
+}
+
+function resolveMimeType(response, responseFormat) {
+  return (
+    response.headers.get("content-type") ||
+    RESPONSE_FORMATS[responseFormat] ||
+    "audio/mpeg"
+  );
+}
+
+async function requestSpeech({ text, voice, rate, format, style }, signal) {
+  const responseFormat = RESPONSE_FORMATS[format] ? format : DEFAULT_FORMAT;
+  const body = {
+    model: MODEL,
+    input: text,
+    voice: voice ?? DEFAULT_VOICE,
+    response_format: responseFormat,
+  };
+  const speed = resolveSpeed(rate);
+  if (speed !== undefined) {
+    body.speed = speed;
+  }
+  if (style) {
+    body.instructions = style;
+  }
+  const headers = { "Content-Type": "application/json" };
+  if (API_KEY) {
+    headers.Authorization = `Bearer ${API_KEY}`;
+  }
+  const response = await fetch(`${BASE_URL}/audio/speech`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+    cache: "no-store",
+    signal,
+  });
+  if (!response.ok) {
+    throw new TtsProviderError("OpenAI-compatible TTS request failed", {
+      status: response.status,
+      details: await readUpstreamError(response),
+    });
+  }
+  return { response, responseFormat };
+}
+
+export const openAiCompatibleProvider = {
+  id: "openai",
+  label: "OpenAI-compatible /audio/speech",
+  // Self-hosted servers often run without a key, so a custom base URL alone
+  // is enough.
+  isConfigured() {
+    return Boolean(API_KEY || process.env.OPENAI_TTS_BASE_URL);
+  },
+  missingConfigMessage:
+    "OpenAI-compatible TTS is not configured. Set OPENAI_TTS_API_KEY or OPENAI_TTS_BASE_URL.",
+  async synthesize(request, { signal } = {}) {
+    const { response, responseFormat } = await requestSpeech(request, signal);
+    return {
+      audio: await response.arrayBuffer(),
+      mimeType: resolveMimeType(response, responseFormat),
+    };
+  },
+  async stream(request, { signal } = {}) {
+    const { response, responseFormat } = await requestSpeech(request, signal);
+    return {
+      body: response.body,
+      mimeType: resolveMimeType(response, responseFormat),
+      // Raw PCM from /audio/speech is 24 kHz 16-bit mono.
+      sampleRate: responseFormat === "pcm" ? 24000 : null,
+    };
+  },
+};
@@ -0,0 +1,22 @@
+/**
+ * Raised by provider adapters when the upstream service rejects a request.
+ * The route reports it as a 502 with the upstream status and a snippet of
+ * the response body.
+ */
+export class TtsProviderError extends Error {
+  constructor(message, { status = null, details = null } = {}) {
+    super(message);
+    this.name = "TtsProviderError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export function readString(value) {
+  return typeof value === "string" && value.trim() ? value.trim() : undefined;
+}
+
+export async function readUpstreamError(response) {
+  const body = await response.text().catch(() => "");
+  return body?.slice?.(0, 500) || null;
+}
@@ -1,49 +1,141 @@
 import { NextResponse } from "next/server";
-
-const SPEECH_KEY = process.env.AZURE_SPEECH_KEY;
-const SPEECH_REGION = process.env.AZURE_SPEECH_REGION;
-const DEFAULT_VOICE =
-  process.env.AZURE_SPEECH_DEFAULT_VOICE ?? "zh-CN-XiaoyiNeural";
-const DEFAULT_STYLE =
-  process.env.AZURE_SPEECH_DEFAULT_STYLE ?? "general";
-const DEFAULT_STYLE_DEGREE =
-  process.env.AZURE_SPEECH_DEFAULT_STYLE_DEGREE ?? "1.0";
-const OUTPUT_FORMAT =
-  process.env.AZURE_SPEECH_OUTPUT_FORMAT ?? "audio-24khz-64kbitrate-mono-mp3";
+import {
+  TtsProviderError,
+  listTtsProviders,
+  readString,
+  resolveTtsProvider,
+} from "./providers";
+import {
+  DEFAULT_SEGMENT_MAX_CHARS,
+  concatSegments,
+  createSegmentBody,
+  splitSpeechText,
+  synthesizeSegments,
+} from "./segments";
+import { createSpeechEventStream, openSpeechStream } from "./streaming";
 
 export const runtime = "nodejs";
 export const dynamic = "force-dynamic";
 
-function escapeForSsml(text) {
-  return String(text)
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&apos;");
+// Opt-in streaming: `stream: true` (or "chunked") pipes the upstream audio
+// through as it arrives; `stream: "sse"` or an `Accept: text/event-stream`
+// header re-frames it as speech stream events.
+function resolveStreamMode(request, payload) {
+  const value = String(payload?.stream ?? "").trim().toLowerCase();
+  const accept = request.headers.get("accept") ?? "";
+  if (value === "sse" || accept.includes("text/event-stream")) {
+    return "sse";
+  }
+  if (payload?.stream === true || value === "true" || value === "chunked") {
+    return "chunked";
+  }
+  return null;
+}
+
+// Callers may ask for smaller segments than the configured maximum, not
+// larger ones.
+function resolveSegmentMaxChars(payload) {
+  const requested = Number(payload?.maxChars ?? payload?.max_chars);
+  return Number.isFinite(requested) && requested > 0
+    ? Math.min(requested, DEFAULT_SEGMENT_MAX_CHARS)
+    : DEFAULT_SEGMENT_MAX_CHARS;
+}
+
+function allSegmentsFailed(results) {
+  return NextResponse.json(
+    {
+      message: "All speech segments failed",
+      segments: results.map(({ index, error }) => ({ index, ...error })),
+    },
+    { status: 502 },
+  );
 }
 
-function buildSsml({ text, voice, style, styleDegree, pitch, rate }) {
-  const prosodyAttrs = [];
-  if (rate) {
-    prosodyAttrs.push(`rate=\"${rate}\"`);
+function streamHeaders(contentType, provider, segmentCount) {
+  return {
+    "Content-Type": contentType,
+    "Cache-Control": "no-store, no-transform",
+    "X-Accel-Buffering": "no",
+    "X-TTS-Provider": provider.id,
+    "X-TTS-Segments": String(segmentCount),
+  };
+}
+
+/**
+ * Text longer than one segment is synthesized piecewise, at most
+ * DEFAULT_SEGMENT_CONCURRENCY requests at a time, and joined in order. A
+ * failed segment is left out of the audio instead of failing the request:
+ * buffered responses list it in `X-TTS-Failed-Segments`, SSE responses emit
+ * `speech_segment_failed`. Only when every segment fails is it a 502.
+ * Segments still pending when the client disconnects, or stops reading a
+ * streamed body, are not synthesized.
+ */
+async function synthesizeLongText(provider, speechRequest, segments, streamMode, signal) {
+  const cancellation = new AbortController();
+  const cancel = () => cancellation.abort(signal?.reason);
+  if (signal?.aborted) {
+    cancel();
   }
-  if (pitch) {
-    prosodyAttrs.push(`pitch=\"${pitch}\"`);
+  signal?.addEventListener("abort", cancel, { once: true });
+  const segmentPromises = synthesizeSegments(provider, speechRequest, segments, {
+    signal: cancellation.signal,
+  });
+
+  if (!streamMode) {
+    const results = await Promise.all(segmentPromises);
+    const failed = results.filter((result) => result.error);
+    if (failed.length === results.length) {
+      return allSegmentsFailed(results);
+    }
+    const { audio, mimeType } = concatSegments(results);
+    const headers = {
+      "Content-Type": mimeType,
+      "Cache-Control": "no-store",
+      "X-TTS-Provider": provider.id,
+      "X-TTS-Segments": String(segments.length),
+    };
+    if (failed.length > 0) {
+      headers["X-TTS-Failed-Segments"] = failed.map((result) => result.index).join(",");
+    }
+    return new NextResponse(audio, { status: 200, headers });
   }
-  const prosodyOpen = prosodyAttrs.length ? `<prosody ${prosodyAttrs.join(" ")}>` : "";
-  const prosodyClose = prosodyAttrs.length ? "</prosody>" : "";
-
-  const escaped = escapeForSsml(text);
-
-  return `<?xml version="1.0" encoding="utf-8"?>
-<speak version="1.0" xml:lang="en-US" xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts">
-  <voice name="${voice}">
-    <mstts:express-as style="${style}" styledegree="${styleDegree}">
-      ${prosodyOpen}${escaped}${prosodyClose}
-    </mstts:express-as>
-  </voice>
-</speak>`;
+
+  // The content type comes from the first segment that succeeds.
+  let first = null;
+  for (const promise of segmentPromises) {
+    const result = await promise;
+    if (!result.error) {
+      first = result;
+      break;
+    }
+  }
+  if (!first) {
+    return allSegmentsFailed(await Promise.all(segmentPromises));
+  }
+  const segmentFailures = [];
+  const body = createSegmentBody(segmentPromises, {
+    onFailure: (result) => segmentFailures.push(result),
+    onCancel: cancel,
+  });
+  if (streamMode === "sse") {
+    const events = createSpeechEventStream({
+      body,
+      mimeType: first.mimeType,
+      sampleRate: null,
+      provider: provider.id,
+      voice: speechRequest.voice,
+      segmentCount: segments.length,
+      segmentFailures,
+    });
+    return new NextResponse(events, {
+      status: 200,
+      headers: streamHeaders("text/event-stream; charset=utf-8", provider, segments.length),
+    });
+  }
+  return new NextResponse(body, {
+    status: 200,
+    headers: streamHeaders(first.mimeType, provider, segments.length),
+  });
 }
 
 export async function OPTIONS() {
@@ -51,24 +143,18 @@ export async function OPTIONS() {
     status: 204,
     headers: {
       "Access-Control-Allow-Origin": "*",
-      "Access-Control-Allow-Methods": "POST, OPTIONS",
+      "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
       "Access-Control-Allow-Headers": "Content-Type, Authorization",
       "Access-Control-Max-Age": "86400",
     },
   });
 }
 
-export async function POST(request) {
-  if (!SPEECH_KEY || !SPEECH_REGION) {
-    return NextResponse.json(
-      {
-        message:
-          "Azure Speech credentials are not configured. Set AZURE_SPEECH_KEY and AZURE_SPEECH_REGION.",
-      },
-      { status: 503 },
-    );
-  }
+export async function GET() {
+  return NextResponse.json({ providers: listTtsProviders() });
+}
 
+export async function POST(request) {
   let payload;
   try {
     payload = await request.json();
@@ -76,6 +162,20 @@ export async function POST(request) {
     return NextResponse.json({ message: "Invalid JSON body" }, { status: 400 });
   }
 
+  const provider = resolveTtsProvider(payload?.provider);
+  if (!provider) {
+    return NextResponse.json(
+      {
+        message: `Unknown TTS provider: ${payload?.provider}`,
+        providers: listTtsProviders().map((item) => item.id),
+      },
+      { status: 400 },
+    );
+  }
+  if (!provider.isConfigured()) {
+    return NextResponse.json({ message: provider.missingConfigMessage }, { status: 503 });
+  }
+
   const text = typeof payload?.text === "string" ? payload.text.trim() : "";
   if (!text) {
     return NextResponse.json(
@@ -84,68 +184,76 @@ export async function POST(request) {
     );
   }
 
-  const voice =
-    typeof payload?.voice === "string" && payload.voice.trim()
-      ? payload.voice.trim()
-      : DEFAULT_VOICE;
-  const style =
-    typeof payload?.style === "string" && payload.style.trim()
-      ? payload.style.trim()
-      : DEFAULT_STYLE;
-  const styleDegree =
-    typeof payload?.styleDegree === "string" && payload.styleDegree.trim()
-      ? payload.styleDegree.trim()
-      : DEFAULT_STYLE_DEGREE;
-  const pitch =
-    typeof payload?.pitch === "string" && payload.pitch.trim()
-      ? payload.pitch.trim()
-      : undefined;
-  const rate =
-    typeof payload?.rate === "string" && payload.rate.trim()
-      ? payload.rate.trim()
-      : undefined;
-
-  const ssml = buildSsml({ text, voice, style, styleDegree, pitch, rate });
+  const speechRequest = {
+    text,
+    voice: readString(payload?.voice),
+    style: readString(payload?.style),
+    styleDegree: readString(payload?.styleDegree),
+    pitch: readString(payload?.pitch),
+    rate: readString(payload?.rate),
+    format: readString(payload?.format),
+  };
+  const streamMode = resolveStreamMode(request, payload);
+  const segments = splitSpeechText(text, resolveSegmentMaxChars(payload));
 
   try {
-    const azureResponse = await fetch(
-      `https://${SPEECH_REGION}.tts.speech.microsoft.com/cognitiveservices/v1`,
-      {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/ssml+xml",
-          "Ocp-Apim-Subscription-Key": SPEECH_KEY,
-          "X-Microsoft-OutputFormat": OUTPUT_FORMAT,
-          "User-Agent": "Auralis-TTS/1.0",
-        },
-        body: ssml,
-        cache: "no-store",
-      },
-    );
-
-    if (!azureResponse.ok) {
-      const errorBody = await azureResponse.text();
-      return NextResponse.json(
-        {
-          message: "Azure TTS request failed",
-          status: azureResponse.status,
-          details: errorBody?.slice?.(0, 500) ?? null,
-        },
-        { status: 502 },
+    if (segments.length > 1) {
+      return await synthesizeLongText(
+        provider,
+        speechRequest,
+        segments,
+        streamMode,
+        request.signal,
       );
     }
+    if (streamMode) {
+      const { body, mimeType, sampleRate } = await openSpeechStream(provider, speechRequest, {
+        signal: request.signal,
+      });
+      if (streamMode === "sse") {
+        const events = createSpeechEventStream({
+          body,
+          mimeType,
+          sampleRate,
+          provider: provider.id,
+          voice: speechRequest.voice,
+        });
+        return new NextResponse(events, {
+          status: 200,
+          headers: streamHeaders("text/event-stream; charset=utf-8", provider, 1),
+        });
+      }
+      return new NextResponse(body, {
+        status: 200,
+        headers: streamHeaders(mimeType, provider, 1),
+      });
+    }
 
-    const audioBuffer = await azureResponse.arrayBuffer();
-    return new NextResponse(audioBuffer, {
+    const { audio, mimeType } = await provider.synthesize(speechRequest, {
+      signal: request.signal,
+    });
+    return new NextResponse(audio, {
       status: 200,
       headers: {
-        "Content-Type": "audio/mpeg",
+        "Content-Type": mimeType,
         "Cache-Control": "no-store",
+        "X-TTS-Provider": provider.id,
       },
     });
   } catch (error) {
+    if (error instanceof TtsProviderError) {
+      return NextResponse.json(
+        {
+          message: error.message,
+          status: error.status,
+          details: error.details,
+        },
+        { status: 502 },
+      );
+    }
+    console.error(error);
     return NextResponse.json(
-      { message: "Failed to reach Azure Speech service" },
+      { message: `Failed to reach ${provider.label} service` },
       { status: 502 },
     );
   }
@@ -0,0 +1,360 @@
+import { TtsProviderError } from "./providers";
+
+export const DEFAULT_SEGMENT_MAX_CHARS =
+  Number(process.env.TTS_SEGMENT_MAX_CHARS) || 600;
+export const DEFAULT_SEGMENT_CONCURRENCY =
+  Number(process.env.TTS_SEGMENT_CONCURRENCY) || 3;
+const MIN_SEGMENT_CHARS = 50;
+
+const SENTENCE_PATTERN =
+  /[\s\S]*?(?:[。！？!?；;…]+[”’」』）)\]"']*\s*|\.(?=\s)\s*|\n+|$)/g;
+const CLAUSE_PATTERN = /[^，,、：:\s]*[，,、：:\s]*/g;
+
+function splitByPattern(text, pattern) {
+  return (text.match(pattern) ?? []).filter((part) => part.length > 0);
+}
+
+// Pieces no longer than `maxChars`: clause boundaries first, then hard cuts.
+function splitOversized(sentence, maxChars) {
+  const pieces = [];
+  let current = "";
+  for (const clause of splitByPattern(sentence, CLAUSE_PATTERN)) {
+    if (current && current.length + clause.length > maxChars) {
+      pieces.push(current);
+      current = "";
+    }
+    let rest = clause;
+    while (rest.length > maxChars) {
+      pieces.push(rest.slice(0, maxChars));
+      rest = rest.slice(maxChars);
+    }
+    current += rest;
+  }
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces;
+}
+
+/**
+ * Splits `text` into segments of at most `maxChars`, breaking between
+ * sentences where possible and packing consecutive sentences together.
+ */
+export function splitSpeechText(text, maxChars = DEFAULT_SEGMENT_MAX_CHARS) {
+  const limit = Math.max(MIN_SEGMENT_CHARS, Math.floor(maxChars) || DEFAULT_SEGMENT_MAX_CHARS);
+  const source = String(text ?? "").trim();
+  if (source.length <= limit) {
+    return source ? [source] : [];
+  }
+  const segments = [];
+  let current = "";
+  const flush = () => {
+    if (current.trim()) {
+      segments.push(current.trim());
+    }
+    current = "";
+  };
+  for (const sentence of splitByPattern(source, SENTENCE_PATTERN)) {
+    if (sentence.length > limit) {
+      flush();
+      splitOversized(sentence, limit).forEach((piece) => {
+        current = piece;
+        flush();
+      });
+      continue;
+    }
+    if (current.length + sentence.length > limit) {
+      flush();
+    }
+    current += sentence;
+  }
+  flush();
+  return segments;
+}
+
+function describeSegmentError(error) {
+  return {
+    message: error?.message ?? "Speech synthesis failed",
+    status: error instanceof TtsProviderError ? error.status : null,
+  };
+}
+
+/**
+ * Starts synthesis of every segment, at most `concurrency` at a time and in
+ * order, and returns one promise per segment. Promises never reject: each
+ * resolves to `{ index, text, audio: Uint8Array, mimeType }` or
+ * `{ index, text, error: { message, status } }`. `signal` is passed on to
+ * the provider; once it aborts, segments not yet started are not requested.
+ */
+export function synthesizeSegments(
+  provider,
+  request,
+  segments,
+  { concurrency = DEFAULT_SEGMENT_CONCURRENCY, signal } = {},
+) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const pending = [];
+  let active = 0;
+  const startNext = () => {
+    while (active < limit && pending.length > 0) {
+      const job = pending.shift();
+      active += 1;
+      job().finally(() => {
+        active -= 1;
+        startNext();
+      });
+    }
+  };
+  // Settles the queued jobs right away; each sees the aborted signal.
+  signal?.addEventListener("abort", () => pending.splice(0).forEach((job) => job()), {
+    once: true,
+  });
+  return segments.map(
+    (text, index) =>
+      new Promise((resolve) => {
+        pending.push(() => {
+          if (signal?.aborted) {
+            resolve({ index, text, error: describeSegmentError(signal.reason) });
+            return Promise.resolve();
+          }
+          return provider.synthesize({ ...request, text }, { signal }).then(
+            ({ audio, mimeType }) =>
+              resolve({ index, text, audio: new Uint8Array(audio), mimeType }),
+            (error) => {
+              if (!signal?.aborted) {
+                console.warn(`TTS segment ${index} failed`, error);
+              }
+              resolve({ index, text, error: describeSegmentError(error) });
+            },
+          );
+        });
+        startNext();
+      }),
+  );
+}
+
+function isWav(mimeType) {
+  return /wav|wave/i.test(mimeType ?? "");
+}
+
+// Offset of the sample data in a RIFF/WAVE file, or -1 if it has none.
+function findWavData(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (id === "data") {
+      return offset + 8;
+    }
+    const size = view.getUint32(offset + 4, true);
+    offset += 8 + size + (size % 2);
+  }
+  return -1;
+}
+
+function concatParts(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const bytes = new Uint8Array(total);
+  let offset = 0;
+  parts.forEach((part) => {
+    bytes.set(part, offset);
+    offset += part.length;
+  });
+  return bytes;
+}
+
+// CRC-32 as Ogg computes it: polynomial 0x04c11db7, unreflected, zero seed.
+const OGG_CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+  let value = index << 24;
+  for (let bit = 0; bit < 8; bit += 1) {
+    value = value & 0x80000000 ? (value << 1) ^ 0x04c11db7 : value << 1;
+  }
+  return value >>> 0;
+});
+const OGG_FLAG_BOS = 0x02;
+const OGG_FLAG_EOS = 0x04;
+const OGG_NO_GRANULE = 0xffffffffffffffffn;
+
+function isOgg(mimeType) {
+  return /ogg|opus/i.test(mimeType ?? "");
+}
+
+function oggCrc(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  return crc;
+}
+
+// The pages of an Ogg file as `{ page, lacing }` views, or null if it isn't one.
+function readOggPages(bytes) {
+  const pages = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const capture = String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (offset + 27 > bytes.length || capture !== "OggS") {
+      return null;
+    }
+    const headerLength = 27 + bytes[offset + 26];
+    const lacing = bytes.subarray(offset + 27, offset + headerLength);
+    const length = headerLength + lacing.reduce((sum, value) => sum + value, 0);
+    if (offset + length > bytes.length) {
+      return null;
+    }
+    pages.push({ page: bytes.subarray(offset, offset + length), lacing });
+    offset += length;
+  }
+  return pages;
+}
+
+function isOpusStream(pages) {
+  const first = pages[0];
+  if (!first) {
+    return false;
+  }
+  const bodyStart = 27 + first.lacing.length;
+  return String.fromCharCode(...first.page.subarray(bodyStart, bodyStart + 8)) === "OpusHead";
+}
+
+/**
+ * Re-pages Ogg/Opus segments into the first segment's logical stream. The
+ * players decode a single stream with one OpusHead/OpusTags pair, so later
+ * segments lose their header pages and take over the first one's serial
+ * number, page sequence and granule timeline. Their pre-skip samples
+ * (a few milliseconds of decoder warm-up) are played rather than trimmed.
+ * Returns null for anything that isn't a well-formed Ogg/Opus file.
+ */
+function createOggJoiner() {
+  let serial = null;
+  let sequence = 0;
+  let granuleOffset = 0n;
+
+  return (audio, { last }) => {
+    const pages = readOggPages(audio);
+    if (!pages || !isOpusStream(pages)) {
+      return null;
+    }
+    const first = serial === null;
+    let headerPackets = first ? 2 : 0;
+    let streamEnd = granuleOffset;
+    const output = [];
+    for (const { page, lacing } of pages) {
+      if (headerPackets < 2) {
+        // OpusHead, then OpusTags (which may span pages); audio starts on a
+        // fresh page.
+        headerPackets += lacing.filter((value) => value < 255).length;
+        continue;
+      }
+      const copy = page.slice();
+      const view = new DataView(copy.buffer);
+      if (first && output.length === 0) {
+        serial = view.getUint32(14, true);
+      }
+      const flags = copy[5] & ~(last ? 0 : OGG_FLAG_EOS);
+      copy[5] = first ? flags : flags & ~OGG_FLAG_BOS;
+      const granule = view.getBigUint64(6, true);
+      if (granule !== OGG_NO_GRANULE) {
+        streamEnd = granule + granuleOffset;
+        view.setBigUint64(6, streamEnd, true);
+      }
+      view.setUint32(14, serial, true);
+      view.setUint32(18, sequence, true);
+      sequence += 1;
+      view.setUint32(22, 0, true);
+      view.setUint32(22, oggCrc(copy), true);
+      output.push(copy);
+    }
+    granuleOffset = streamEnd;
+    return concatParts(output);
+  };
+}
+
+/**
+ * Returns `join(result, { last })`, giving the bytes to emit for each
+ * successful segment in order. MP3, AAC and raw PCM concatenate as-is; Ogg/
+ * Opus is re-paged into one logical stream; WAV keeps the first segment's
+ * header, with sizes marked unknown when `streaming`, and only the samples
+ * of later segments. `last` keeps the final Ogg page's end-of-stream flag;
+ * a streaming body never knows it has the last segment and leaves it unset.
+ */
+function createSegmentJoiner({ streaming }) {
+  let emitted = 0;
+  const joinOgg = createOggJoiner();
+
+  const wavBytes = (audio, first) => {
+    const dataOffset = findWavData(audio);
+    if (dataOffset < 0) {
+      return audio;
+    }
+    if (!first) {
+      return audio.subarray(dataOffset);
+    }
+    const bytes = audio.slice();
+    if (streaming) {
+      const view = new DataView(bytes.buffer);
+      view.setUint32(4, 0xffffffff, true);
+      view.setUint32(dataOffset - 4, 0xffffffff, true);
+    }
+    return bytes;
+  };
+
+  return (result, { last = false } = {}) => {
+    const first = emitted === 0;
+    emitted += 1;
+    if (isWav(result.mimeType)) {
+      return wavBytes(result.audio, first);
+    }
+    if (isOgg(result.mimeType)) {
+      return joinOgg(result.audio, { last }) ?? result.audio;
+    }
+    return result.audio;
+  };
+}
+
+/** Joins the successful segments into one file. */
+export function concatSegments(results) {
+  const succeeded = results.filter((result) => !result.error);
+  const join = createSegmentJoiner({ streaming: false });
+  const audio = concatParts(
+    succeeded.map((result, index) => join(result, { last: index === succeeded.length - 1 })),
+  );
+  const total = audio.length;
+  const mimeType = succeeded[0]?.mimeType ?? "audio/mpeg";
+  const dataOffset = isWav(mimeType) ? findWavData(audio) : -1;
+  if (dataOffset >= 0) {
+    const view = new DataView(audio.buffer);
+    view.setUint32(4, total - 8, true);
+    view.setUint32(dataOffset - 4, total - dataOffset, true);
+  }
+  return { audio, mimeType };
+}
+
+/**
+ * Body that emits segments in order as each one (and every one before it)
+ * finishes. Failed segments are skipped and passed to `onFailure`;
+ * `onCancel` runs when the consumer goes away, to stop the synthesis still
+ * in flight.
+ */
+export function createSegmentBody(segmentPromises, { onFailure, onCancel } = {}) {
+  const join = createSegmentJoiner({ streaming: true });
+  let index = 0;
+  return new ReadableStream({
+    async pull(controller) {
+      while (index < segmentPromises.length) {
+        const result = await segmentPromises[index];
+        index += 1;
+        if (result.error) {
+          onFailure?.(result);
+          continue;
+        }
+        controller.enqueue(join(result));
+        return;
+      }
+      controller.close();
+    },
+    cancel(reason) {
+      onCancel?.(reason);
+    },
+  });
+}
@@ -0,0 +1,118 @@
+// Upstream reads larger than this are split across several SSE chunk events
+// so a client can start decoding before a big read has been base64-encoded.
+const SSE_CHUNK_BYTES = 16 * 1024;
+
+/**
+ * `{ body, mimeType, sampleRate }` for a request. Providers without a
+ * `stream` method are synthesized in full and returned as a one-chunk body.
+ */
+export async function openSpeechStream(provider, request, { signal } = {}) {
+  if (typeof provider.stream === "function") {
+    return provider.stream(request, { signal });
+  }
+  const { audio, mimeType } = await provider.synthesize(request, { signal });
+  return { body: new Response(audio).body, mimeType, sampleRate: null };
+}
+
+function describeFormat(mimeType) {
+  const subtype = String(mimeType ?? "").split(";")[0].split("/")[1] ?? "";
+  return subtype === "mpeg" ? "mp3" : subtype;
+}
+
+function encodeEvent(encoder, event, data) {
+  return encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Re-frames an audio body as text/event-stream using the chat stream's speech
+ * events: `speech_stream_started`, then `speech_stream_chunk` with base64
+ * audio and consecutive `sequence` numbers from 0 (announced as
+ * `first_sequence` so the client's jitter buffer can wait for chunk 0), then
+ * `speech_stream_completed`, or `speech_stream_failed` if the upstream breaks
+ * off. For segmented synthesis, `segmentFailures` is an array the body
+ * appends failed segments to; each becomes a `speech_segment_failed` event.
+ */
+export function createSpeechEventStream({
+  body,
+  mimeType,
+  sampleRate,
+  provider,
+  voice,
+  segmentCount = 1,
+  segmentFailures = [],
+}) {
+  const encoder = new TextEncoder();
+  const reader = body.getReader();
+  const descriptor = {
+    mime_type: mimeType,
+    provider,
+    voice_id: voice ?? "",
+  };
+  let sequence = 0;
+  let reportedFailures = 0;
+  const reportFailures = (controller) => {
+    while (reportedFailures < segmentFailures.length) {
+      const { index, text, error } = segmentFailures[reportedFailures];
+      controller.enqueue(
+        encodeEvent(encoder, "speech_segment_failed", {
+          index,
+          text,
+          error: error.message,
+          status: error.status,
+        }),
+      );
+      reportedFailures += 1;
+    }
+  };
+
+  return new ReadableStream({
+    start(controller) {
+      controller.enqueue(
+        encodeEvent(encoder, "speech_stream_started", {
+          ...descriptor,
+          format: describeFormat(mimeType),
+          sample_rate: sampleRate ?? null,
+          first_sequence: 0,
+        }),
+      );
+    },
+    async pull(controller) {
+      try {
+        const { value, done } = await reader.read();
+        reportFailures(controller);
+        if (done) {
+          controller.enqueue(
+            encodeEvent(encoder, "speech_stream_completed", {
+              ...descriptor,
+              chunks: sequence,
+              segments: segmentCount,
+              failed_segments: segmentFailures.map((failure) => failure.index),
+            }),
+          );
+          controller.close();
+          return;
+        }
+        for (let offset = 0; offset < value.length; offset += SSE_CHUNK_BYTES) {
+          const slice = value.subarray(offset, offset + SSE_CHUNK_BYTES);
+          controller.enqueue(
+            encodeEvent(encoder, "speech_stream_chunk", {
+              sequence,
+              audio_base64: Buffer.from(slice).toString("base64"),
+            }),
+          );
+          sequence += 1;
+        }
+      } catch (error) {
+        controller.enqueue(
+          encodeEvent(encoder, "speech_stream_failed", {
+            error: error?.message ?? "Speech stream failed",
+          }),
+        );
+        controller.close();
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    },
+  });
+}
@@ -12,6 +12,8 @@ import Live2DContainer from "@/components/Live2DContainer";
 
 import { getApiBaseUrl } from "@/lib/api";
 import { resolveAssetUrl } from "@/lib/media";
+import { buildSpeechCacheKey, fetchCachedSpeech } from "@/lib/audio/speechCache";
+import { base64ToBlob } from "@/lib/audio/speechExport";
 
 import {
   FALLBACK_CHAT_MODELS,
@@ -276,6 +278,9 @@ export default function CreateAgentPage() {
       }
       audio.onended = null;
       audio.onerror = null;
+      if (audio.src.startsWith("blob:")) {
+        URL.revokeObjectURL(audio.src);
+      }
     }
     voicePreviewAudioRef.current = null;
     setVoicePreviewStatus({ loading: false, voiceId: "", error: null });
@@ -1089,38 +1094,54 @@ voice_provider:
 
       try {
         if (!audioSrc) {
-          const response = await fetch(`${API_BASE_URL}/tts/preview`, {
-            method: "POST",
-            headers: deriveHeaders({}, { contentType: "application/json" }),
-            credentials: "include",
-            body: JSON.stringify({
-              text: VOICE_PREVIEW_SAMPLE,
-              voice_id: target,
-              provider: providerForPreview,
-            }),
+          // Previews always speak the same sample, so repeat clicks replay
+          // the cached synthesis instead of calling /tts/preview again.
+          const cacheKey = buildSpeechCacheKey({
+            text: VOICE_PREVIEW_SAMPLE,
+            voiceId: target,
+            provider: providerForPreview,
           });
-          if (!response.ok) {
-            const fallbackMessage = await response.text();
-            throw new Error(fallbackMessage || `试听失败 (${response.status})`);
-          }
-          const data = await response.json();
-          const speech = data?.speech ?? {};
-          const base64 = speech?.audio_base64 ?? "";
-          const mime = speech?.mime_type ?? "audio/mpeg";
-          if (!base64) {
-            throw new Error("试听音频缺失");
-          }
-          audioSrc = `data:${mime};base64,${base64}`;
+          const { blob } = await fetchCachedSpeech(cacheKey, async () => {
+            const response = await fetch(`${API_BASE_URL}/tts/preview`, {
+              method: "POST",
+              headers: deriveHeaders({}, { contentType: "application/json" }),
+              credentials: "include",
+              body: JSON.stringify({
+                text: VOICE_PREVIEW_SAMPLE,
+                voice_id: target,
+                provider: providerForPreview,
+              }),
+            });
+            if (!response.ok) {
+              const fallbackMessage = await response.text();
+              throw new Error(fallbackMessage || `试听失败 (${response.status})`);
+            }
+            const data = await response.json();
+            const speech = data?.speech ?? {};
+            const base64 = speech?.audio_base64 ?? "";
+            const mime = speech?.mime_type ?? "audio/mpeg";
+            if (!base64) {
+              throw new Error("试听音频缺失");
+            }
+            return { blob: base64ToBlob(base64, mime), mimeType: mime };
+          });
+          audioSrc = URL.createObjectURL(blob);
         }
 
         const audio = new Audio(audioSrc);
         voicePreviewAudioRef.current = audio;
         audio.onended = () => {
           voicePreviewAudioRef.current = null;
+          if (audio.src.startsWith("blob:")) {
+            URL.revokeObjectURL(audio.src);
+          }
           setVoicePreviewStatus({ loading: false, voiceId: "", error: null });
         };
         audio.onerror = () => {
           voicePreviewAudioRef.current = null;
+          if (audio.src.startsWith("blob:")) {
+            URL.revokeObjectURL(audio.src);
+          }
           setVoicePreviewStatus({
             loading: false,
             voiceId: "",
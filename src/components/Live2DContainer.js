@@ -297,7 +297,7 @@ const Live2DContainer = forwardRef(function Live2DContainer(
   const rafRef = useRef(null);
   const draggingRef = useRef({ dragging: false, offset: { x: 0, y: 0 } });
   const pointerInsideRef = useRef(false);
-  const mouthStateRef = useRef({ target: 0, value: 0, holdUntil: 0 });
+  const mouthStateRef = useRef(createMouthState());
   const emotionStateRef = useRef({
     label: "neutral",
     targets: {},
@@ -332,6 +332,19 @@ const Live2DContainer = forwardRef(function Live2DContainer(
     }
   }, []);
 
+  // Viseme-driven lip sync: sets both openness and the vowel shape. While a
+  // shape is held, ParamMouthForm follows it instead of the emotion preset.
+  const setMouthShapeTarget = useCallback(
+    (open = 0, form = 0, holdMs = 0) => {
+      setMouthTarget(open, holdMs);
+      const numeric = typeof form === "number" && Number.isFinite(form) ? form : 0;
+      const state = mouthStateRef.current;
+      state.formTarget = clamp(numeric, -1, 1);
+      state.formHoldUntil = now() + Math.max(holdMs, 120);
+    },
+    [setMouthTarget],
+  );
+
   const playMotion = useCallback((motion, options = {}) => {
     const name = typeof motion === "string" ? motion.trim() : "";
     if (!name) {
@@ -497,6 +510,20 @@ const Live2DContainer = forwardRef(function Live2DContainer(
     } catch (error) {
       // ignore missing parameter
     }
+
+    if (state.formHoldUntil && time <= state.formHoldUntil) {
+      // Keep a little of the emotion's mouth form so a smile survives speech.
+      const emotionForm = emotion?.targets?.ParamMouthForm ?? 0;
+      setParam(
+        coreModel,
+        "ParamMouthForm",
+        clamp(state.formTarget * 0.8 + emotionForm * 0.2, -1, 1),
+        0.35,
+      );
+    } else if (state.formHoldUntil) {
+      state.formHoldUntil = 0;
+      state.formTarget = 0;
+    }
   }, []);
 
   const updateEmotionFrame = useCallback((coreModel) => {
@@ -528,10 +555,14 @@ const Live2DContainer = forwardRef(function Live2DContainer(
     const targets = active.targets ?? {};
     const lerpStrength = clamp(0.18 + (active.intensity ?? 0.35) * 0.2, 0.18, 0.45);
 
+    const mouthFormHeld = mouthStateRef.current.formHoldUntil > 0;
     for (const param of KNOWN_EMOTION_PARAMS) {
       if (param === "ParamMouthOpenY") {
         continue;
       }
+      if (param === "ParamMouthForm" && mouthFormHeld) {
+        continue;
+      }
       const goal = targets[param] ?? 0;
       setParam(coreModel, param, goal, lerpStrength);
     }
@@ -576,6 +607,14 @@ const Live2DContainer = forwardRef(function Live2DContainer(
       }
       setMouthTarget(value, holdMs);
     },
+    setMouthShape: (open, form, holdMs) => {
+      const controls = controlsRef.current;
+      if (controls?.setMouthShape) {
+        controls.setMouthShape(open, form, holdMs);
+        return;
+      }
+      setMouthShapeTarget(open, form, holdMs);
+    },
     setEmotion: (emotion) => {
       const controls = controlsRef.current;
       if (controls?.setEmotion) {
@@ -702,6 +741,8 @@ const Live2DContainer = forwardRef(function Live2DContainer(
 
           const controls = {
             setMouthOpen: (value, holdMs) => setMouthTarget(value, holdMs),
+            setMouthShape: (open, form, holdMs) =>
+              setMouthShapeTarget(open, form, holdMs),
             setEmotion: setEmotionState,
             clearEmotion: clearEmotionState,
             playMotion,
@@ -879,7 +920,7 @@ const Live2DContainer = forwardRef(function Live2DContainer(
             appRef.current = null;
             modelRef.current = null;
             controlsRef.current = null;
-            mouthStateRef.current = { target: 0, value: 0, holdUntil: 0 };
+            mouthStateRef.current = createMouthState();
             emotionStateRef.current = {
               label: "neutral",
               targets: createEmotionTargetBaseline(),
@@ -899,7 +940,7 @@ const Live2DContainer = forwardRef(function Live2DContainer(
         console.error(err);
         controlsRef.current = null;
         motionStateRef.current = null;
-        mouthStateRef.current = { target: 0, value: 0, holdUntil: 0 };
+        mouthStateRef.current = createMouthState();
         emotionStateRef.current = {
           label: "neutral",
           targets: createEmotionTargetBaseline(),
@@ -942,6 +983,7 @@ const Live2DContainer = forwardRef(function Live2DContainer(
     eyeStrength,
     coreScriptUrl,
     setMouthTarget,
+    setMouthShapeTarget,
     playMotion,
     setEmotionState,
     clearEmotionState,
@@ -990,6 +1032,10 @@ function now() {
   return Date.now();
 }
 
+function createMouthState() {
+  return { target: 0, value: 0, holdUntil: 0, formTarget: 0, formHoldUntil: 0 };
+}
+
 function createEmotionTargetBaseline() {
   const baseline = {};
   for (const key of KNOWN_EMOTION_PARAMS) {
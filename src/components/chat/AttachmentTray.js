@@ -0,0 +1,71 @@
+/* eslint-disable @next/next/no-img-element */
+
+"use client";
+
+import { formatAttachmentSize } from "@/lib/chat/attachments";
+
+export default function AttachmentTray({ drafts = [], onRemove, onRetry }) {
+  if (!drafts.length) {
+    return null;
+  }
+  return (
+    <ul className="flex flex-wrap gap-2">
+      {drafts.map((draft) => {
+        const percent = Math.round((draft.progress ?? 0) * 100);
+        return (
+          <li
+            key={draft.localId}
+            className={`relative flex w-40 items-center gap-2 overflow-hidden rounded-xl border bg-white px-2 py-2 text-xs shadow-sm ${draft.status === "error" ? "border-red-200" : "border-gray-200"}`}
+          >
+            {draft.kind === "image" && draft.previewUrl ? (
+              <img
+                src={draft.previewUrl}
+                alt={draft.name}
+                className="h-9 w-9 shrink-0 rounded-lg object-cover"
+              />
+            ) : (
+              <span className="flex h-9 w-9 shrink-0 items-center justify-center rounded-lg bg-gray-100 text-[10px] font-medium uppercase text-gray-500">
+                {(draft.name.split(".").pop() || "file").slice(0, 4)}
+              </span>
+            )}
+            <span className="min-w-0 flex-1">
+              <span className="block truncate text-gray-700">{draft.name}</span>
+              <span
+                className={`block text-[10px] ${draft.status === "error" ? "text-red-500" : "text-gray-400"}`}
+              >
+                {draft.status === "uploading"
+                  ? `上传中 ${percent}%`
+                  : draft.status === "error"
+                    ? draft.error || "上传失败"
+                    : formatAttachmentSize(draft.size)}
+              </span>
+            </span>
+            {draft.status === "error" ? (
+              <button
+                type="button"
+                onClick={() => onRetry?.(draft.localId)}
+                className="shrink-0 text-[10px] text-blue-500 hover:text-blue-600"
+              >
+                重试
+              </button>
+            ) : null}
+            <button
+              type="button"
+              onClick={() => onRemove?.(draft.localId)}
+              className="shrink-0 text-gray-400 transition hover:text-red-500"
+              aria-label={`移除 ${draft.name}`}
+            >
+              ×
+            </button>
+            {draft.status === "uploading" ? (
+              <span
+                className="absolute bottom-0 left-0 h-0.5 bg-blue-400 transition-all"
+                style={{ width: `${percent}%` }}
+              />
+            ) : null}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
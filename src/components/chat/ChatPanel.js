@@ -5,7 +5,90 @@ import { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import { getApiBaseUrl } from "@/lib/api";
 import { resolveAssetUrl } from "@/lib/media";
 import StreamingAudioSession from "@/lib/audio/StreamingAudioSession";
+import WorkletAudioSession from "@/lib/audio/WorkletAudioSession";
+import RecordedSpeechRecognizer from "@/lib/audio/RecordedSpeechRecognizer";
+import VoiceActivityDetector from "@/lib/audio/VoiceActivityDetector";
+import CallRecorder from "@/lib/audio/CallRecorder";
+import {
+  applyPlaybackRate,
+  clampPlaybackRate,
+  computeWaveformPeaks,
+} from "@/lib/audio/playback";
+import {
+  buildSpeechBundle,
+  resolveAudioExtension,
+  resolveSpeechAudio,
+} from "@/lib/audio/speechExport";
+import {
+  buildSpeechCacheKey,
+  readCachedSpeech,
+  writeCachedSpeech,
+} from "@/lib/audio/speechCache";
+import {
+  analyzeAudioBufferVisemes,
+  createAnalyserBuffers,
+  normalizeVisemeTrack,
+  readAnalyserViseme,
+  sampleVisemeTrack,
+} from "@/lib/audio/visemes";
+import {
+  FALLBACK_CHAT_MODELS,
+  findChatModel,
+  normalizeChatModels,
+  sortChatModels,
+} from "@/lib/chatModels";
+import {
+  CHAT_STREAM_EVENTS,
+  createChatStreamHandler,
+  parseChatStreamEvent,
+  readChatStream,
+} from "@/lib/chat/chatStream";
+import { createSseParser } from "@/lib/chat/sseParser";
+import {
+  DEFAULT_VOICE_SETTINGS,
+  VOICE_SETTING_RANGES,
+  normalizeVoiceSettings,
+  readVoiceSettings,
+  writeVoiceSettings,
+} from "@/lib/audio/voiceSettings";
+import {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS,
+  buildAttachmentReference,
+  collectTransferFiles,
+  modelSupportsVision,
+  normalizeAttachments,
+  uploadAttachment,
+  validateAttachmentFile,
+} from "@/lib/chat/attachments";
+import {
+  buildHtmlTranscript,
+  buildJsonTranscript,
+  buildMarkdownTranscript,
+  buildTranscriptFileName,
+  downloadBlob,
+  downloadTranscript,
+} from "@/lib/chat/transcript";
+import {
+  BRANCH_ROOT,
+  awaitBranch,
+  createBranchState,
+  readBranchState,
+  resolveBranchView,
+  revealBranchPath,
+  selectBranch,
+  writeBranchState,
+} from "@/lib/chat/branches";
 import AgentRatingSummary from "@/components/AgentRatingSummary";
+import AttachmentTray from "@/components/chat/AttachmentTray";
+import ChatSearchPanel from "@/components/chat/ChatSearchPanel";
+import ConversationSidebar from "@/components/chat/ConversationSidebar";
+import MessageAttachments from "@/components/chat/MessageAttachments";
+import SpeechKaraokeText from "@/components/chat/SpeechKaraokeText";
+import SpeechMiniPlayer from "@/components/chat/SpeechMiniPlayer";
+import TranscriptImportDialog from "@/components/chat/TranscriptImportDialog";
+import VirtualMessageList from "@/components/chat/VirtualMessageList";
+import VoiceInputSettings from "@/components/chat/VoiceInputSettings";
 import Link from "next/link";
 import { createPortal } from "react-dom";
 import { useRouter } from "next/navigation";
@@ -145,12 +228,68 @@ const MICROPHONE_PERMISSION_ERROR =
 const MICROPHONE_UNSUPPORTED_ERROR =
   "当前浏览器不支持麦克风，请尝试使用最新版 Chrome 或 Edge。";
 
+// Echo cancellation keeps the agent's speech, played through the speakers,
+// out of recognition and out of barge-in detection.
+const MICROPHONE_CONSTRAINTS = {
+  audio: {
+    echoCancellation: true,
+    noiseSuppression: true,
+  },
+};
+
+function resolveNativeRecognitionClass() {
+  if (typeof window === "undefined") {
+    return null;
+  }
+  return (
+    window.SpeechRecognition ||
+    window.webkitSpeechRecognition ||
+    window.mozSpeechRecognition ||
+    null
+  );
+}
+
+// Keys that type into a focused text field, or activate a focused button or
+// link, keep their usual meaning instead of triggering push-to-talk. The
+// hold-to-talk buttons themselves are the exception.
+function isPushToTalkExempt(event) {
+  const target = event.target;
+  if (target?.closest?.("[data-push-to-talk]")) {
+    return false;
+  }
+  const editable =
+    target?.isContentEditable ||
+    ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName);
+  if (editable && event.key?.length === 1) {
+    return true;
+  }
+  return Boolean(
+    target?.closest?.('button, a[href], summary, [role="button"], [role="link"]'),
+  );
+}
+
+// The browser's SpeechRecognition when there is one, otherwise a recorder
+// that has /api/asr transcribe the microphone; null when neither works.
+function createSpeechRecognition(recorderOptions) {
+  const RecognitionClass = resolveNativeRecognitionClass();
+  if (RecognitionClass) {
+    return new RecognitionClass();
+  }
+  if (RecordedSpeechRecognizer.isSupported()) {
+    return new RecordedSpeechRecognizer(recorderOptions);
+  }
+  return null;
+}
+
 const STREAMING_PLAYBACK_MAX_RETRIES = 8;
 const STREAMING_PLAYBACK_RETRY_BASE_DELAY = 140;
 const STREAMING_PLAYBACK_MAX_DELAY = 1000;
 
 const STREAMING_PLAYBACK_MESSAGE_LOOKUP_MAX_ATTEMPTS = 12;
 const STREAMING_PLAYBACK_MESSAGE_LOOKUP_BACKOFF_STEP = 120;
+const CHAT_STREAM_RESUME_MAX_ATTEMPTS = 3;
+const CHAT_STREAM_RESUME_BASE_DELAY = 1000;
+const CHAT_STREAM_RESUME_MAX_DELAY = 8000;
 
 function getSpeechString(speech, ...keys) {
   if (!speech || typeof speech !== "object") {
@@ -211,6 +350,13 @@ function isMediaSourceSupported(mime) {
   return window.MediaSource.isTypeSupported(candidate);
 }
 
+function getStreamingKey(messageId) {
+  if (messageId === null || messageId === undefined) {
+    return null;
+  }
+  return String(messageId);
+}
+
 function logCosyVoiceDebug(...args) {
   if (typeof console === "undefined") {
     return;
@@ -561,9 +707,16 @@ function normalizeMessage(message) {
     content: message.content ?? message.Content ?? "",
     created_at: message.created_at ?? message.createdAt ?? null,
     extrasParsed: extras,
+    attachments: normalizeAttachments(
+      message.attachments ?? message.Attachments ?? extras?.attachments,
+    ),
     token_input: tokenInput,
     token_output: tokenOutput,
     token_total: tokenTotal,
+    parent_message_id: normalizeIdentifier(
+      message.parent_message_id ?? message.parentMessageId ?? message.ParentMessageID,
+    ),
+    edit_of: normalizeIdentifier(message.edit_of ?? message.editOf ?? message.EditOf),
   };
 }
 
@@ -604,22 +757,6 @@ function collectMessageIdentifiers(message) {
   );
 }
 
-function collectPayloadIdentifiers(payload) {
-  if (!payload || typeof payload !== "object") {
-    return [];
-  }
-  return collectIdentifiers(
-    payload?.id,
-    payload?.ID,
-    payload?.message_id,
-    payload?.messageId,
-    payload?.client_id,
-    payload?.clientId,
-    payload?.uuid,
-    payload?.UUID,
-  );
-}
-
 function getMessageId(message) {
   const identifiers = collectMessageIdentifiers(message);
   if (identifiers.length === 0) {
@@ -636,6 +773,226 @@ function getMessageKey(message) {
   return `${message?.role ?? "assistant"}-${message?.created_at ?? "unknown"}`;
 }
 
+const MESSAGE_PAGE_SIZE = 50;
+const HISTORY_EXPORT_PAGE_SIZE = 200;
+const HISTORY_EXPORT_MAX_PAGES = 100;
+
+function getMessageTime(message) {
+  const time = new Date(message?.created_at ?? 0).getTime();
+  return Number.isFinite(time) ? time : 0;
+}
+
+function parseMessagePage(data) {
+  const items = Array.isArray(data)
+    ? data
+    : Array.isArray(data?.messages)
+      ? data.messages
+      : [];
+  const messages = items
+    .map((item) => normalizeMessage(item))
+    .filter(Boolean);
+  if (Array.isArray(data) || !data || typeof data !== "object") {
+    // Legacy responses return the whole history without paging metadata.
+    return { messages, cursor: null, hasMore: false };
+  }
+  const pagination = data.pagination ?? {};
+  const cursorRaw =
+    data.next_cursor ??
+    data.nextCursor ??
+    pagination.next_cursor ??
+    pagination.nextCursor ??
+    null;
+  const hasMoreRaw =
+    data.has_more ?? data.hasMore ?? pagination.has_more ?? pagination.hasMore;
+  const hasMore =
+    typeof hasMoreRaw === "boolean" ? hasMoreRaw : Boolean(cursorRaw);
+  let cursor = normalizeIdentifier(cursorRaw);
+  if (hasMore && !cursor && messages.length > 0) {
+    const oldest = messages.reduce((acc, item) =>
+      getMessageTime(item) < getMessageTime(acc) ? item : acc,
+    );
+    cursor = getMessageId(oldest);
+  }
+  return { messages, cursor, hasMore: hasMore && Boolean(cursor) };
+}
+
+function sortMessagesByTime(messages) {
+  return [...messages].sort((a, b) => {
+    const aTime = new Date(a?.created_at ?? 0).getTime();
+    const bTime = new Date(b?.created_at ?? 0).getTime();
+    return aTime - bTime;
+  });
+}
+
+function buildBranchNodes(orderedMessages) {
+  return orderedMessages.map((message) => ({
+    key: getMessageKey(message),
+    ids: collectMessageIdentifiers(message),
+    parentId: message?.parent_message_id ?? null,
+    editOf: message?.edit_of ?? null,
+  }));
+}
+
+function buildBranchView(orderedMessages, branchState) {
+  const view = resolveBranchView(buildBranchNodes(orderedMessages), branchState);
+  const visibleMessages = orderedMessages.filter((message) =>
+    view.visible.has(getMessageKey(message)),
+  );
+  const lastMessage = visibleMessages[visibleMessages.length - 1] ?? null;
+  return {
+    ...view,
+    messages: visibleMessages,
+    lastMessageId: lastMessage ? getMessageId(lastMessage) : null,
+  };
+}
+
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_RESULT_LIMIT = 30;
+const JUMP_HIGHLIGHT_MS = 2400;
+
+function normalizeSearchResult(item) {
+  if (!item || typeof item !== "object") {
+    return null;
+  }
+  const message = item.message ?? item;
+  const id = getMessageId(message);
+  if (!id) {
+    return null;
+  }
+  const agent = item.agent ?? {};
+  const conversation = item.conversation ?? {};
+  return {
+    id,
+    agentId: normalizeIdentifier(
+      item.agent_id ?? message.agent_id ?? agent.id ?? agent.ID,
+    ),
+    agentName: String(item.agent_name ?? agent.name ?? agent.Name ?? ""),
+    conversationId: normalizeIdentifier(
+      item.conversation_id ?? message.conversation_id ?? conversation.id,
+    ),
+    conversationTitle: String(
+      item.conversation_title ?? conversation.title ?? "",
+    ),
+    role: String(message.role ?? message.Role ?? "assistant").toLowerCase(),
+    content: String(message.content ?? message.Content ?? ""),
+    created_at: message.created_at ?? message.CreatedAt ?? null,
+  };
+}
+
+// Search results from other agents navigate here with ?conversation=&message=;
+// the params are consumed once so a reload doesn't jump again.
+function consumeJumpTarget() {
+  if (typeof window === "undefined") {
+    return null;
+  }
+  const url = new URL(window.location.href);
+  const conversationId = normalizeIdentifier(
+    url.searchParams.get("conversation"),
+  );
+  const messageId = normalizeIdentifier(url.searchParams.get("message"));
+  if (!conversationId && !messageId) {
+    return null;
+  }
+  url.searchParams.delete("conversation");
+  url.searchParams.delete("message");
+  window.history.replaceState(window.history.state, "", url.toString());
+  return { conversationId, messageId };
+}
+
+const LAST_CONVERSATION_STORAGE_PREFIX = "auralis:last-conversation";
+
+function buildLastConversationKey(agentId, userId) {
+  const agentKey = normalizeIdentifier(agentId);
+  if (!agentKey) {
+    return null;
+  }
+  const userKey = normalizeIdentifier(userId) ?? "anonymous";
+  return `${LAST_CONVERSATION_STORAGE_PREFIX}:${userKey}:${agentKey}`;
+}
+
+function readLastConversationId(agentId, userId) {
+  if (typeof window === "undefined") {
+    return null;
+  }
+  const key = buildLastConversationKey(agentId, userId);
+  if (!key) {
+    return null;
+  }
+  try {
+    return normalizeIdentifier(window.localStorage?.getItem?.(key));
+  } catch (error) {
+    console.warn("Failed to read last conversation", error);
+    return null;
+  }
+}
+
+function writeLastConversationId(agentId, userId, conversationId) {
+  if (typeof window === "undefined") {
+    return;
+  }
+  const key = buildLastConversationKey(agentId, userId);
+  if (!key) {
+    return;
+  }
+  try {
+    const normalized = normalizeIdentifier(conversationId);
+    if (normalized) {
+      window.localStorage?.setItem?.(key, normalized);
+    } else {
+      window.localStorage?.removeItem?.(key);
+    }
+  } catch (error) {
+    console.warn("Failed to persist last conversation", error);
+  }
+}
+
+function normalizeConversation(conversation) {
+  if (!conversation || typeof conversation !== "object") {
+    return null;
+  }
+  const id = normalizeIdentifier(
+    conversation.id ?? conversation.ID ?? conversation.conversation_id,
+  );
+  if (!id) {
+    return null;
+  }
+  const titleRaw = conversation.title ?? conversation.Title ?? "";
+  const title = typeof titleRaw === "string" ? titleRaw.trim() : "";
+  const archivedRaw =
+    conversation.archived ?? conversation.Archived ?? conversation.is_archived;
+  const archivedAt =
+    conversation.archived_at ?? conversation.archivedAt ?? null;
+  const countValue = Number(
+    conversation.message_count ?? conversation.messageCount ?? NaN,
+  );
+  return {
+    id,
+    title,
+    archived: Boolean(archivedRaw) || Boolean(archivedAt),
+    model_provider: String(conversation.model_provider ?? "").trim(),
+    model_name: String(conversation.model_name ?? "").trim(),
+    created_at: conversation.created_at ?? conversation.createdAt ?? null,
+    updated_at:
+      conversation.updated_at ??
+      conversation.updatedAt ??
+      conversation.last_message_at ??
+      conversation.created_at ??
+      null,
+    message_count:
+      Number.isFinite(countValue) && countValue >= 0
+        ? Math.floor(countValue)
+        : null,
+  };
+}
+
+function sortConversations(list) {
+  return [...list].sort((a, b) => {
+    const aTime = new Date(a?.updated_at ?? a?.created_at ?? 0).getTime() || 0;
+    const bTime = new Date(b?.updated_at ?? b?.created_at ?? 0).getTime() || 0;
+    return bTime - aTime;
+  });
+}
+
 export default function ChatPanel({
   agentId,
   agent,
@@ -656,6 +1013,34 @@ export default function ChatPanel({
   const [tokenBalance, setTokenBalance] = useState(null);
   const [insufficientTokens, setInsufficientTokens] = useState(false);
   const [conversationId, setConversationId] = useState(null);
+  const [branchState, setBranchState] = useState(createBranchState);
+  const branchStateRef = useRef(branchState);
+  const branchViewRef = useRef(null);
+  const [editingMessage, setEditingMessage] = useState({ key: null, text: "" });
+  const [exportMenuOpen, setExportMenuOpen] = useState(false);
+  const [exportStatus, setExportStatus] = useState({
+    loading: false,
+    error: null,
+  });
+  const [importDialogOpen, setImportDialogOpen] = useState(false);
+  const [importStatus, setImportStatus] = useState({
+    loading: false,
+    error: null,
+  });
+  const [replayProgress, setReplayProgress] = useState(null);
+  const replayRef = useRef(null);
+  const [chatModels, setChatModels] = useState(FALLBACK_CHAT_MODELS);
+  const [chatModelsStatus, setChatModelsStatus] = useState({
+    loading: false,
+    loaded: false,
+    error: null,
+  });
+  const [attachmentDrafts, setAttachmentDrafts] = useState([]);
+  const attachmentDraftsRef = useRef([]);
+  const attachmentPreviewUrlsRef = useRef(new Set());
+  const [attachmentError, setAttachmentError] = useState(null);
+  const [attachmentDragActive, setAttachmentDragActive] = useState(false);
+  const attachmentInputRef = useRef(null);
   const [profileStatus, setProfileStatus] = useState({
     loading: false,
     error: null,
@@ -664,11 +1049,42 @@ export default function ChatPanel({
     loading: false,
     error: null,
   });
+  const [conversations, setConversations] = useState([]);
+  const [conversationsStatus, setConversationsStatus] = useState({
+    loading: false,
+    error: null,
+  });
+  const [conversationSidebarOpen, setConversationSidebarOpen] =
+    useState(false);
+  const conversationIdRef = useRef(null);
   const [messages, setMessages] = useState([]);
   const [messagesStatus, setMessagesStatus] = useState({
     loading: false,
     error: null,
   });
+  const [historyPaging, setHistoryPaging] = useState({
+    hasMore: false,
+    loadingOlder: false,
+    error: null,
+  });
+  const historyCursorRef = useRef(null);
+  const loadingOlderRef = useRef(false);
+  const messageListRef = useRef(null);
+  // True while the list shows a window around a search hit instead of the
+  // newest page; loadMessages drops that window when it refreshes.
+  const [historyDetached, setHistoryDetached] = useState(false);
+  const historyDetachedRef = useRef(false);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState([]);
+  const [searchStatus, setSearchStatus] = useState({
+    loading: false,
+    error: null,
+  });
+  const [highlightedMessageKey, setHighlightedMessageKey] = useState(null);
+  const pendingRevealKeyRef = useRef(null);
+  const pendingJumpRef = useRef(null);
+  const revealMessageRef = useRef(async () => {});
   const [inputValue, setInputValue] = useState("");
   const markdownRemarkPlugins = useMemo(() => [remarkGfm, remarkMath], []);
   const markdownRehypePlugins = useMemo(() => [rehypeKatex], []);
@@ -737,6 +1153,7 @@ export default function ChatPanel({
     [setMessages],
   );
   const [isSending, setIsSending] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
   const [sendError, setSendError] = useState(null);
   const [currentRatingSummary, setCurrentRatingSummary] = useState(() =>
     normalizeRatingSummary(ratingSummary),
@@ -770,6 +1187,19 @@ export default function ChatPanel({
   const ratingControllerRef = useRef(null);
   const peerRatingsPageSizeRef = useRef(DEFAULT_REVIEWS_PAGE_SIZE);
   const recognitionRef = useRef(null);
+  // Microphone stream held for the recorder fallback between recordings.
+  const microphoneStreamRef = useRef(null);
+  // Phone-mode voice activity detection: the running detector, whether it
+  // has heard speech in the current recognition session, and the final
+  // results collected until it decides the utterance is over.
+  const voiceActivityRef = useRef(null);
+  const utteranceSpeechRef = useRef(false);
+  const pendingTranscriptsRef = useRef([]);
+  const inputLevelMeterRef = useRef(null);
+  // Opt-in call recording, and what the call started from (message ids, token
+  // balance) for the post-call summary.
+  const callRecorderRef = useRef(null);
+  const callBaselineRef = useRef(null);
   const [speechPreparing, setSpeechPreparing] = useState(false);
   useEffect(() => {
     messagesRef.current = messages;
@@ -805,6 +1235,9 @@ export default function ChatPanel({
         window.clearTimeout(timerId);
       });
       speechRefreshTimersRef.current.clear();
+      activeGenerationsRef.current.forEach((generation) => {
+        generation.controller.abort();
+      });
     },
     [],
   );
@@ -841,28 +1274,91 @@ export default function ChatPanel({
   const [speechAutoPlay, setSpeechAutoPlay] = useState(true);
   const [speechError, setSpeechError] = useState(null);
   const [activeSpeechId, setActiveSpeechId] = useState(null);
+  const [activeSpeechAudio, setActiveSpeechAudio] = useState(null);
+  const [speechPlaybackRate, setSpeechPlaybackRate] = useState(1);
+  const [speechWaveforms, setSpeechWaveforms] = useState({});
+  const [speechDownloadId, setSpeechDownloadId] = useState(null);
   const isPhoneMode = mode === "phone";
   const [phoneCallActive, setPhoneCallActive] = useState(false);
   const [phoneCallError, setPhoneCallError] = useState(null);
   const [callStartedAt, setCallStartedAt] = useState(null);
   const [callDurationSeconds, setCallDurationSeconds] = useState(0);
   const [lastHeardText, setLastHeardText] = useState("");
+  const [userSpeaking, setUserSpeaking] = useState(false);
+  const [callSummary, setCallSummary] = useState(null);
+  const [voiceSettings, setVoiceSettings] = useState(DEFAULT_VOICE_SETTINGS);
+  const voiceSettingsRef = useRef(DEFAULT_VOICE_SETTINGS);
+  const voiceInputMode = isPhoneMode
+    ? voiceSettings.phoneInputMode
+    : voiceSettings.chatInputMode;
+  const voiceInputModeRef = useRef(voiceInputMode);
+  const pushToTalkHeldRef = useRef(false);
+  const panelRef = useRef(null);
+  const [pushToTalkActive, setPushToTalkActive] = useState(false);
   const [microphoneActive, setMicrophoneActive] = useState(true);
   const [microphonePermissionState, setMicrophonePermissionState] =
     useState("unknown");
   const microphonePermissionStatusRef = useRef(null);
   const phoneVoiceLoopRef = useRef(false);
+  const phoneCallActiveRef = useRef(false);
   const handleVoiceTranscriptRef = useRef(null);
   const hasMorePeerRatings = peerRatings.length < peerRatingsPageInfo.total;
   const isInitialPeerRatingsLoading =
     peerRatingsStatus.loading && peerRatings.length === 0;
   const audioContextRef = useRef(null);
+  // Viseme events streamed by the TTS backend, and tracks computed offline
+  // from decoded audio, both keyed by message id.
+  const visemeEventsRef = useRef(new Map());
+  const visemeAnalysisRef = useRef(new Map());
+  // Speech audio held on this device, keyed by message id: captured from
+  // streams whose completion carried no audio_url / audio_base64, or
+  // restored from the IndexedDB speech cache.
+  const localSpeechRef = useRef(new Map());
+  const speechCacheLookupsRef = useRef(new Map());
+  // Message ids whose audio has been decoded (or is decoding) for a waveform.
+  const waveformDecodedRef = useRef(new Set());
+  const speechPlaybackRateRef = useRef(1);
   const speechQueueRef = useRef([]);
   const currentSpeechRef = useRef(null);
   const playedSpeechIdsRef = useRef(new Set());
   const speechAutoPlayRef = useRef(true);
   const streamingSessionsRef = useRef(new Map());
   const sendingLocksRef = useRef(new Set());
+  const activeGenerationsRef = useRef(new Set());
+  // Resolves to the speech audio this device holds for a message, from
+  // memory or read once from the IndexedDB cache. Lookups are shared, so
+  // anything about to hit the network can await this first.
+  const loadLocalSpeech = useCallback((messageId) => {
+    const key = String(messageId);
+    const held = localSpeechRef.current.get(key);
+    if (held) {
+      return Promise.resolve(held);
+    }
+    let lookup = speechCacheLookupsRef.current.get(key);
+    if (!lookup) {
+      lookup = readCachedSpeech(buildSpeechCacheKey({ messageId: key })).then((audio) => {
+        if (audio && !localSpeechRef.current.has(key)) {
+          localSpeechRef.current.set(key, audio);
+        }
+        return localSpeechRef.current.get(key) ?? null;
+      });
+      speechCacheLookupsRef.current.set(key, lookup);
+    }
+    return lookup;
+  }, []);
+  useEffect(() => {
+    messages.forEach((item) => {
+      const role = String(item?.role ?? "").toLowerCase();
+      const extras = item?.extrasParsed ?? {};
+      const id = item?.id ?? item?.ID ?? null;
+      if (role !== "assistant" || id == null || item?.optimistic) {
+        return;
+      }
+      if (extras.speech || extras.speech_status) {
+        loadLocalSpeech(id);
+      }
+    });
+  }, [loadLocalSpeech, messages]);
 
   const acquireSendLock = useCallback(() => {
     const lock = Symbol("sendLock");
@@ -877,13 +1373,6 @@ export default function ChatPanel({
     }
   }, [setIsSending]);
 
-  const getStreamingKey = (messageId) => {
-    if (messageId === null || messageId === undefined) {
-      return null;
-    }
-    return String(messageId);
-  };
-
   const getStreamingSession = (messageId) => {
     const key = getStreamingKey(messageId);
     if (!key) {
@@ -892,7 +1381,7 @@ export default function ChatPanel({
     return streamingSessionsRef.current.get(key) ?? null;
   };
 
-  const setStreamingSession = (messageId, session) => {
+  const setStreamingSession = useCallback((messageId, session) => {
     const key = getStreamingKey(messageId);
     if (!key) {
       return;
@@ -916,7 +1405,7 @@ export default function ChatPanel({
       streamingSessionsRef.current.delete(key);
       logCosyVoiceDebug("cleared streaming session", { messageId: key });
     }
-  };
+  }, []);
 
   const messagesRef = useRef([]);
   const speechRefreshTimersRef = useRef(new Map());
@@ -1086,6 +1575,24 @@ export default function ChatPanel({
     setMicrophoneActive,
     stopRecognition,
   ]);
+  const releaseMicrophoneStream = useCallback(() => {
+    const stream = microphoneStreamRef.current;
+    microphoneStreamRef.current = null;
+    stream?.getTracks().forEach((track) => track.stop());
+  }, []);
+  const acquireMicrophoneStream = useCallback(async () => {
+    const current = microphoneStreamRef.current;
+    if (current?.getAudioTracks().some((track) => track.readyState === "live")) {
+      return current;
+    }
+    releaseMicrophoneStream();
+    const stream = await window.navigator.mediaDevices.getUserMedia(
+      MICROPHONE_CONSTRAINTS,
+    );
+    microphoneStreamRef.current = stream;
+    return stream;
+  }, [releaseMicrophoneStream]);
+  useEffect(() => releaseMicrophoneStream, [releaseMicrophoneStream]);
   const ensureMicrophoneAccess = useCallback(async () => {
     if (typeof window === "undefined") {
       return { granted: true };
@@ -1119,10 +1626,16 @@ export default function ChatPanel({
       return { granted: false, reason: "unsupported" };
     }
     try {
-      const stream = await navigatorRef.mediaDevices.getUserMedia({
-        audio: true,
-      });
-      stream.getTracks().forEach((track) => track.stop());
+      const stream = await navigatorRef.mediaDevices.getUserMedia(
+        MICROPHONE_CONSTRAINTS,
+      );
+      if (resolveNativeRecognitionClass()) {
+        stream.getTracks().forEach((track) => track.stop());
+      } else {
+        // The recorder fallback records this same stream.
+        releaseMicrophoneStream();
+        microphoneStreamRef.current = stream;
+      }
       setMicrophonePermissionState("granted");
       return { granted: true };
     } catch (error) {
@@ -1140,13 +1653,13 @@ export default function ChatPanel({
         error,
       };
     }
-  }, [microphonePermissionState]);
+  }, [microphonePermissionState, releaseMicrophoneStream]);
   const speechErrorHandler = useCallback(
     (event) => {
       console.warn("Speech recognition error", event?.error);
       isListeningRef.current = false;
       setIsListening(false);
-      if (isPhoneMode && phoneVoiceLoopRef.current) {
+      if ((isPhoneMode && phoneVoiceLoopRef.current) || pushToTalkHeldRef.current) {
         window.setTimeout(() => {
           startRecognition();
         }, 800);
@@ -1158,19 +1671,44 @@ export default function ChatPanel({
     if (typeof window === "undefined") {
       return undefined;
     }
-    const RecognitionClass =
-      window.SpeechRecognition ||
-      window.webkitSpeechRecognition ||
-      window.mozSpeechRecognition;
-    if (!RecognitionClass) {
+    const recognition = createSpeechRecognition({
+      getStream: acquireMicrophoneStream,
+      releaseStream: releaseMicrophoneStream,
+      // In hands-free calls, skip uploads of recordings VAD heard no speech in.
+      shouldTranscribe: () =>
+        !voiceActivityRef.current ||
+        utteranceSpeechRef.current ||
+        voiceInputModeRef.current !== "always-on",
+    });
+    if (!recognition) {
       setVoiceSupported(false);
       return undefined;
     }
-    const recognition = new RecognitionClass();
     recognition.lang = "zh-CN";
     recognition.interimResults = false;
     recognition.maxAlternatives = 1;
     recognition.continuous = isPhoneMode;
+    // Results go to handleVoiceTranscript as one turn during calls and for
+    // push-to-talk in chat; otherwise they are dictated into the input.
+    const routesToTurn = () =>
+      isPhoneMode
+        ? phoneCallActiveRef.current
+        : voiceInputModeRef.current === "push-to-talk";
+    // Whether the turn outlasts a recognition session that just ended: the
+    // push-to-talk key is still held, the toggle is still on, or (hands-free)
+    // VAD still hears the speaker.
+    const turnContinues = () => {
+      if (pushToTalkHeldRef.current) {
+        return true;
+      }
+      if (!isPhoneMode) {
+        return false;
+      }
+      if (voiceInputModeRef.current === "toggle") {
+        return phoneVoiceLoopRef.current;
+      }
+      return Boolean(voiceActivityRef.current?.speaking);
+    };
     recognition.onstart = () => {
       isListeningRef.current = true;
       setIsListening(true);
@@ -1178,7 +1716,17 @@ export default function ChatPanel({
     recognition.onend = () => {
       isListeningRef.current = false;
       setIsListening(false);
-      if (isPhoneMode && phoneVoiceLoopRef.current) {
+      if (!turnContinues() && pendingTranscriptsRef.current.length > 0) {
+        const utterance = pendingTranscriptsRef.current.join(" ");
+        pendingTranscriptsRef.current = [];
+        if (routesToTurn()) {
+          handleVoiceTranscriptRef.current?.(utterance);
+        } else {
+          setInputValue((prev) => (prev ? `${prev} ${utterance}` : utterance));
+        }
+      }
+      utteranceSpeechRef.current = Boolean(voiceActivityRef.current?.speaking);
+      if ((isPhoneMode && phoneVoiceLoopRef.current) || pushToTalkHeldRef.current) {
         window.setTimeout(() => {
           startRecognition();
         }, 400);
@@ -1186,14 +1734,22 @@ export default function ChatPanel({
     };
     recognition.onerror = speechErrorHandler;
     recognition.onresult = (event) => {
-      const transcript = event?.results?.[0]?.[0]?.transcript?.trim();
+      const result = event?.results?.[event?.resultIndex ?? 0];
+      const transcript = result?.[0]?.transcript?.trim();
       if (!transcript) {
         return;
       }
-      if (isPhoneMode && phoneVoiceLoopRef.current) {
-        const handler = handleVoiceTranscriptRef.current;
-        if (handler) {
-          handler(transcript);
+      if (routesToTurn()) {
+        const handsFree = isPhoneMode && voiceInputModeRef.current === "always-on";
+        if (handsFree && !voiceActivityRef.current) {
+          handleVoiceTranscriptRef.current?.(transcript);
+          return;
+        }
+        // Hands-free, VAD decides when the utterance ends (see onSpeechEnd)
+        // and anything recognized without speech above the threshold is
+        // noise; otherwise the user ends the turn.
+        if (!handsFree || utteranceSpeechRef.current) {
+          pendingTranscriptsRef.current.push(transcript);
         }
       } else {
         setInputValue((prev) => (prev ? `${prev} ${transcript}` : transcript));
@@ -1214,43 +1770,13 @@ export default function ChatPanel({
       recognitionRef.current = null;
       isListeningRef.current = false;
     };
-  }, [isPhoneMode, speechErrorHandler, startRecognition]);
-  useEffect(() => {
-    if (typeof window === "undefined") {
-      return undefined;
-    }
-    const RecognitionClass =
-      window.SpeechRecognition ||
-      window.webkitSpeechRecognition ||
-      window.mozSpeechRecognition;
-    if (!RecognitionClass) {
-      setVoiceSupported(false);
-      return undefined;
-    }
-    const recognition = new RecognitionClass();
-    recognition.lang = "zh-CN";
-    recognition.interimResults = false;
-    recognition.maxAlternatives = 1;
-    recognition.continuous = false;
-    recognition.onstart = () => setIsListening(true);
-    recognition.onend = () => setIsListening(false);
-    recognition.onerror = speechErrorHandler;
-    recognition.onresult = (event) => {
-      const transcript = event?.results?.[0]?.[0]?.transcript?.trim();
-      if (transcript) {
-        setInputValue((prev) => (prev ? `${prev} ${transcript}` : transcript));
-      }
-    };
-    recognitionRef.current = recognition;
-    setVoiceSupported(true);
-    return () => {
-      recognition.onerror = null;
-      recognition.onresult = null;
-      recognition.onstart = null;
-      recognition.onend = null;
-      recognitionRef.current = null;
-    };
-  }, [speechErrorHandler]);
+  }, [
+    acquireMicrophoneStream,
+    isPhoneMode,
+    releaseMicrophoneStream,
+    speechErrorHandler,
+    startRecognition,
+  ]);
   const applyEmotionToAvatar = useCallback(
     (emotionInput, options = {}) => {
       if (typeof window === "undefined") {
@@ -1374,6 +1900,7 @@ export default function ChatPanel({
     speechQueueRef.current = [];
     lastEmotionPreviewIdRef.current = null;
     setActiveSpeechId(null);
+    setActiveSpeechAudio(null);
     const controls = live2DRef?.current;
     if (controls?.setMouthOpen) {
       controls.setMouthOpen(0, 0);
@@ -1408,6 +1935,11 @@ export default function ChatPanel({
     }
     return ctx;
   }, []);
+  const rememberSpeechAudio = useCallback((messageId, audio) => {
+    const key = String(messageId);
+    localSpeechRef.current.set(key, audio);
+    writeCachedSpeech(buildSpeechCacheKey({ messageId: key }), audio);
+  }, []);
   const scheduleNextSpeech = useCallback(() => {
     if (currentSpeechRef.current) {
       return;
@@ -1461,6 +1993,76 @@ export default function ChatPanel({
 
     const base64Source = getSpeechString(speech, "audio_base64", "audioBase64");
     const audioUrl = getSpeechString(speech, "audio_url", "audioUrl");
+    const localAudio = localSpeechRef.current.get(String(next.id)) ?? null;
+    let localObjectUrl = null;
+    if (!audio && localAudio && (!streamingPending || streamingRetryCount >= STREAMING_PLAYBACK_MAX_RETRIES)) {
+      localObjectUrl = URL.createObjectURL(localAudio.blob);
+      const element = new Audio();
+      element.preload = "auto";
+      element.src = localObjectUrl;
+      element.load();
+      audio = element;
+      logCosyVoiceDebug("using cached speech audio", {
+        messageId: next.id,
+        mime: localAudio.mimeType,
+      });
+    }
+    if (
+      !audio &&
+      !localAudio &&
+      audioUrl &&
+      !next.directUrl &&
+      (!streamingPending || streamingRetryCount >= STREAMING_PLAYBACK_MAX_RETRIES)
+    ) {
+      // Download the file once and play it from the cached copy, so replays,
+      // reloads and the waveform decode all reuse these bytes. If the
+      // download fails the element streams the URL itself.
+      const controller = new AbortController();
+      const loading = {
+        audio: null,
+        messageId: next.id,
+        cleanup: () => {
+          controller.abort();
+          if (currentSpeechRef.current === loading) {
+            currentSpeechRef.current = null;
+          }
+        },
+      };
+      const resume = (item) => {
+        if (currentSpeechRef.current !== loading) {
+          return;
+        }
+        currentSpeechRef.current = null;
+        speechQueueRef.current.unshift(item);
+        scheduleNextSpeech();
+      };
+      currentSpeechRef.current = loading;
+      loadLocalSpeech(next.id)
+        .then(async (cached) => {
+          if (cached) {
+            return;
+          }
+          const response = await fetch(new URL(audioUrl, API_BASE_URL), {
+            credentials: "include",
+            signal: controller.signal,
+          });
+          if (!response.ok) {
+            throw new Error(`Speech audio request failed with ${response.status}`);
+          }
+          const blob = await response.blob();
+          rememberSpeechAudio(next.id, { blob, mimeType: blob.type || "audio/mpeg" });
+        })
+        .then(() => resume(next))
+        .catch((error) => {
+          if (error?.name === "AbortError") {
+            return;
+          }
+          console.warn("Failed to download speech audio", error);
+          resume({ ...next, directUrl: true });
+        });
+      logCosyVoiceDebug("downloading speech audio", { messageId: next.id });
+      return;
+    }
     if (!audio && audioUrl && (!streamingPending || streamingRetryCount >= STREAMING_PLAYBACK_MAX_RETRIES)) {
       let resolvedUrl = audioUrl;
       try {
@@ -1533,7 +2135,9 @@ export default function ChatPanel({
     }
     const sourceDescriptor = usedStreamingAudio
       ? "streaming"
-      : audioUrl
+      : localObjectUrl
+        ? "cache"
+        : audioUrl
         ? "url"
         : base64Source
           ? "base64"
@@ -1543,6 +2147,7 @@ export default function ChatPanel({
       source: sourceDescriptor,
       streamingSession: Boolean(streamingSession),
     });
+    applyPlaybackRate(audio, speechPlaybackRateRef.current);
     const fallbackMime =
       getSpeechString(speech, "audio_type", "audioType", "mime") ||
       getSpeechString(speech, "mime_type", "mimeType", "mime") ||
@@ -1551,6 +2156,9 @@ export default function ChatPanel({
       ? `data:${fallbackMime};base64,${base64Source}`
       : null;
     const cleanupFns = [];
+    if (localObjectUrl) {
+      cleanupFns.push(() => URL.revokeObjectURL(localObjectUrl));
+    }
     const controls = live2DRef?.current;
     const cleanup = () => {
       cleanupFns.forEach((fn) => {
@@ -1582,6 +2190,7 @@ export default function ChatPanel({
       }
       currentSpeechRef.current = null;
       setActiveSpeechId(null);
+      setActiveSpeechAudio(null);
       lastEmotionPreviewIdRef.current = null;
       logCosyVoiceDebug("playback cleanup complete", { messageId: next.id });
     };
@@ -1589,7 +2198,73 @@ export default function ChatPanel({
       cleanup();
       scheduleNextSpeech();
     };
+    const visemeKey = String(next.id);
+    const visemeSource = { rawCount: -1, track: null };
+    const resolveVisemeTrack = () => {
+      const raw = visemeEventsRef.current.get(visemeKey) ?? speech?.visemes;
+      if (Array.isArray(raw) && raw.length !== visemeSource.rawCount) {
+        visemeSource.rawCount = raw.length;
+        visemeSource.track = normalizeVisemeTrack(raw);
+      }
+      if (visemeSource.track?.length) {
+        return visemeSource.track;
+      }
+      return visemeAnalysisRef.current.get(visemeKey) ?? null;
+    };
+    const applyMouthPose = (open, form) => {
+      if (controls?.setMouthShape) {
+        controls.setMouthShape(clamp(open, 0, 1), form, 140);
+      } else if (controls?.setMouthOpen) {
+        controls.setMouthOpen(clamp(open, 0, 1), 140);
+      }
+    };
+    // Complete audio (URL/base64) is decoded once for the player waveform
+    // and, without backend visemes, offline viseme analysis; streams fall
+    // back to live spectral classification.
+    const decodeSpeechOffline = async (ctx) => {
+      const needsVisemes =
+        !resolveVisemeTrack() && !visemeAnalysisRef.current.has(visemeKey);
+      const needsWaveform = !waveformDecodedRef.current.has(visemeKey);
+      if (!needsVisemes && !needsWaveform) {
+        return;
+      }
+      waveformDecodedRef.current.add(visemeKey);
+      let bytes = null;
+      if (sourceDescriptor === "url") {
+        const response = await fetch(new URL(audioUrl, API_BASE_URL), {
+          credentials: "include",
+        });
+        if (!response.ok) {
+          throw new Error(`Speech audio request failed with ${response.status}`);
+        }
+        bytes = await response.arrayBuffer();
+      } else if (sourceDescriptor === "cache") {
+        bytes = await localAudio.blob.arrayBuffer();
+      } else if (sourceDescriptor === "base64") {
+        bytes = decodeBase64ToUint8(base64Source)?.buffer ?? null;
+      }
+      if (!bytes) {
+        return;
+      }
+      const decoded = await ctx.decodeAudioData(bytes);
+      if (needsVisemes) {
+        visemeAnalysisRef.current.set(visemeKey, analyzeAudioBufferVisemes(decoded));
+      }
+      if (needsWaveform) {
+        const peaks = computeWaveformPeaks(decoded);
+        setSpeechWaveforms((prev) => ({ ...prev, [visemeKey]: peaks }));
+      }
+    };
+    // "play" fires again on every resume; the analyser graph is built once
+    // and only the lip-sync loop restarts.
+    let playbackAttached = false;
+    let resumeLipSync = null;
     const handlePlay = () => {
+      if (playbackAttached) {
+        resumeLipSync?.();
+        return;
+      }
+      playbackAttached = true;
       logCosyVoiceDebug("audio started", {
         messageId: next.id,
         source: sourceDescriptor,
@@ -1601,6 +2276,12 @@ export default function ChatPanel({
             if (audio.paused) {
               return;
             }
+            const track = resolveVisemeTrack();
+            if (track) {
+              const pose = sampleVisemeTrack(track, audio.currentTime);
+              applyMouthPose(pose.open, pose.form);
+              return;
+            }
             const simulated = 0.35 + Math.random() * 0.4;
             if (controls?.setMouthOpen) {
               controls.setMouthOpen(clamp(simulated, 0, 1), 150);
@@ -1610,6 +2291,12 @@ export default function ChatPanel({
         }
         return;
       }
+      if (sourceDescriptor !== "streaming") {
+        decodeSpeechOffline(ctx).catch((error) => {
+          waveformDecodedRef.current.delete(visemeKey);
+          logCosyVoiceDebug("speech decode failed", { messageId: next.id, error });
+        });
+      }
       let sourceNode = null;
       let analyser = null;
       let frameId = null;
@@ -1620,10 +2307,20 @@ export default function ChatPanel({
         analyser.smoothingTimeConstant = 0.2;
         const timeDomain = new Uint8Array(analyser.fftSize);
         const freqDomain = new Uint8Array(analyser.frequencyBinCount);
+        const visemeBuffers = createAnalyserBuffers(analyser);
         sourceNode.connect(analyser);
         analyser.connect(ctx.destination);
+        callRecorderRef.current?.addAgentSource(analyser);
         const tick = () => {
           if (audio.paused) {
+            frameId = null;
+            return;
+          }
+          const track = resolveVisemeTrack();
+          if (track) {
+            const pose = sampleVisemeTrack(track, audio.currentTime);
+            applyMouthPose(pose.open, pose.form);
+            frameId = requestAnimationFrame(tick);
             return;
           }
           analyser.getByteTimeDomainData(timeDomain);
@@ -1643,12 +2340,20 @@ export default function ChatPanel({
           const combined = Math.max(rms * 1.8, peak / 255);
           const eased = Math.pow(combined, 0.85);
           const level = clamp(eased, 0, 1);
-          if (controls?.setMouthOpen) {
-            controls.setMouthOpen(level, 140);
-          }
+          const livePose = readAnalyserViseme(
+            analyser,
+            ctx.sampleRate,
+            visemeBuffers,
+          );
+          applyMouthPose(level, livePose.form);
           frameId = requestAnimationFrame(tick);
         };
         frameId = requestAnimationFrame(tick);
+        resumeLipSync = () => {
+          if (frameId === null) {
+            frameId = requestAnimationFrame(tick);
+          }
+        };
       } catch (error) {
         console.warn("Failed to attach analyser", error);
       }
@@ -1706,11 +2411,18 @@ export default function ChatPanel({
       logCosyVoiceDebug("audio ended", { messageId: next.id, source: sourceDescriptor });
       finishPlayback();
     };
+    const handlePause = () => {
+      if (!audio.ended) {
+        controls?.setMouthOpen?.(0, 120);
+      }
+    };
     audio.addEventListener("play", handlePlay);
+    audio.addEventListener("pause", handlePause);
     audio.addEventListener("ended", handleEnded);
     audio.addEventListener("error", handleError);
     cleanupFns.push(() => {
       audio.removeEventListener("play", handlePlay);
+      audio.removeEventListener("pause", handlePause);
       audio.removeEventListener("ended", handleEnded);
       audio.removeEventListener("error", handleError);
     });
@@ -1725,6 +2437,7 @@ export default function ChatPanel({
       playedSpeechIdsRef.current.add(next.id);
     }
     setActiveSpeechId(next.id);
+    setActiveSpeechAudio(audio);
     setSpeechError(null);
     lastEmotionPreviewIdRef.current = next.id;
     if (normalizedEmotion) {
@@ -1741,10 +2454,18 @@ export default function ChatPanel({
         finishPlayback();
       });
     }
-  }, [agentId, userId, applyEmotionToAvatar, ensureAudioContext, live2DRef]);
-  const registerSpeech = useCallback(
-    (message, options = {}) => {
-      const {
+  }, [
+    agentId,
+    userId,
+    applyEmotionToAvatar,
+    ensureAudioContext,
+    live2DRef,
+    loadLocalSpeech,
+    rememberSpeechAudio,
+  ]);
+  const registerSpeech = useCallback(
+    (message, options = {}) => {
+      const {
         enqueue = true,
         force = false,
         markPlayed = true,
@@ -1761,7 +2482,8 @@ export default function ChatPanel({
         return;
       }
       const streamingSession = getStreamingSession(id);
-      const hasStaticSource = hasSpeechAudioSource(speech);
+      const hasStaticSource =
+        hasSpeechAudioSource(speech) || localSpeechRef.current.has(String(id));
       const hasStreamingSession = Boolean(streamingSession);
       const streamingPlayable =
         streamingSession &&
@@ -1813,6 +2535,7 @@ export default function ChatPanel({
         } else if (current) {
           currentSpeechRef.current = null;
           setActiveSpeechId(null);
+          setActiveSpeechAudio(null);
         }
         logCosyVoiceDebug("registerSpeech interrupted active playback", { messageId: id });
       }
@@ -2628,11 +3351,119 @@ export default function ChatPanel({
     handleRefreshPeerRatings,
     onRatingControllerChange,
   ]);
+  const rememberConversation = useCallback(
+    (value) => {
+      const normalized = normalizeIdentifier(value);
+      conversationIdRef.current = normalized;
+      setConversationId(normalized);
+      writeLastConversationId(agentId, userId, normalized);
+    },
+    [agentId, userId],
+  );
+  const updateBranchState = useCallback((updater) => {
+    const current = branchStateRef.current;
+    const next = updater(current);
+    if (!next || next === current) {
+      return;
+    }
+    branchStateRef.current = next;
+    setBranchState(next);
+    writeBranchState(conversationIdRef.current, next);
+  }, []);
+  useEffect(() => {
+    const stored = readBranchState(conversationId);
+    branchStateRef.current = stored;
+    setBranchState(stored);
+    setEditingMessage({ key: null, text: "" });
+  }, [conversationId]);
+  const upsertConversation = useCallback((record) => {
+    const normalized = normalizeConversation(record);
+    if (!normalized) {
+      return null;
+    }
+    setConversations((prev) => {
+      let replaced = false;
+      const updated = prev.map((item) => {
+        if (item.id !== normalized.id) {
+          return item;
+        }
+        replaced = true;
+        return {
+          ...item,
+          ...normalized,
+          title: normalized.title || item.title,
+        };
+      });
+      if (!replaced) {
+        updated.push(normalized);
+      }
+      return sortConversations(updated);
+    });
+    return normalized;
+  }, []);
+  const loadConversations = useCallback(async () => {
+    if (!agentId || !userId) {
+      return [];
+    }
+    setConversationsStatus({ loading: true, error: null });
+    try {
+      const url = new URL(`${API_BASE_URL}/agents/${agentId}/conversations`);
+      url.searchParams.set("user_id", userId);
+      url.searchParams.set("include_archived", "true");
+      const response = await fetch(url.toString(), {
+        method: "GET",
+        headers: deriveHeaders(),
+        credentials: "include",
+      });
+      if (handleUnauthorizedResponse(response)) {
+        setConversationsStatus({ loading: false, error: null });
+        return [];
+      }
+      if (!response.ok) {
+        throw new Error(`Conversation list failed with ${response.status}`);
+      }
+      const data = await response.json();
+      const items = Array.isArray(data)
+        ? data
+        : Array.isArray(data?.conversations)
+          ? data.conversations
+          : [];
+      const normalized = sortConversations(
+        items.map((item) => normalizeConversation(item)).filter(Boolean),
+      );
+      setConversations(normalized);
+      setConversationsStatus({ loading: false, error: null });
+      return normalized;
+    } catch (error) {
+      console.error(error);
+      setConversationsStatus({
+        loading: false,
+        error: error?.message ?? "Failed to load conversations",
+      });
+      return [];
+    }
+  }, [agentId, userId, handleUnauthorizedResponse]);
   const initializeConversation = useCallback(async () => {
     if (!agentId || !userId) {
       return;
     }
     setConversationStatus({ loading: true, error: null });
+    const available = await loadConversations();
+    const jumpConversationId = pendingJumpRef.current?.conversationId ?? null;
+    const rememberedId = readLastConversationId(agentId, userId);
+    // A jump target may point into an archived thread; it is opened anyway.
+    const remembered =
+      (jumpConversationId
+        ? available.find((item) => item.id === jumpConversationId)
+        : null) ??
+      (rememberedId
+        ? available.find((item) => item.id === rememberedId && !item.archived)
+        : null);
+    if (remembered) {
+      rememberConversation(remembered.id);
+      setConversationStatus({ loading: false, error: null });
+      return;
+    }
     try {
       const response = await fetch(
         `${API_BASE_URL}/agents/${agentId}/conversations`,
@@ -2651,9 +3482,9 @@ export default function ChatPanel({
         throw new Error(`Conversation init failed with ${response.status}`);
       }
       const data = await response.json();
-      const conversation = data?.conversation;
-      if (conversation?.id) {
-        setConversationId(String(conversation.id));
+      const conversation = upsertConversation(data?.conversation);
+      if (conversation) {
+        rememberConversation(conversation.id);
       }
       const initialMessages = Array.isArray(data?.messages)
         ? data.messages
@@ -2675,7 +3506,15 @@ export default function ChatPanel({
         error: error?.message ?? "Failed to initialise conversation",
       });
     }
-  }, [agentId, userId, handleUnauthorizedResponse, registerSpeech]);
+  }, [
+    agentId,
+    userId,
+    handleUnauthorizedResponse,
+    registerSpeech,
+    loadConversations,
+    rememberConversation,
+    upsertConversation,
+  ]);
   const fetchSpeechStatus = useCallback(
     async (messageId) => {
       if (!agentId || !userId || !messageId) {
@@ -2722,6 +3561,22 @@ export default function ChatPanel({
       const timerId = window.setTimeout(async () => {
         speechRefreshTimersRef.current.delete(key);
         logCosyVoiceDebug("scheduleSpeechRefresh tick", { messageId, attempt });
+        // Audio captured from the stream and cached on this device is all
+        // the server would have; don't ask it again after a reload.
+        if (await loadLocalSpeech(key)) {
+          logCosyVoiceDebug("scheduleSpeechRefresh skipped: cached audio", { messageId });
+          setMessages((prev) =>
+            prev.map((item) =>
+              String(item?.id ?? item?.ID ?? "") === key
+                ? {
+                    ...item,
+                    extrasParsed: { ...(item.extrasParsed ?? {}), speech_status: "ready" },
+                  }
+                : item,
+            ),
+          );
+          return;
+        }
         const statusResponse = await fetchSpeechStatus(messageId);
         if (!statusResponse) {
           logCosyVoiceDebug("scheduleSpeechRefresh retry: empty response", { messageId, attempt });
@@ -2812,7 +3667,7 @@ export default function ChatPanel({
       }, delay);
       speechRefreshTimersRef.current.set(key, timerId);
     },
-    [fetchSpeechStatus, registerSpeech],
+    [fetchSpeechStatus, loadLocalSpeech, registerSpeech],
   );
   const handleAssistantFinal = useCallback(
     (assistantMessage) => {
@@ -2839,11 +3694,16 @@ export default function ChatPanel({
     if (!agentId || !userId) {
       return;
     }
+    const requestedConversationId = conversationIdRef.current;
     setMessagesStatus((prev) => ({ ...prev, loading: true, error: null }));
     try {
       const url = new URL(`${API_BASE_URL}/llm/messages`);
       url.searchParams.set("agent_id", agentId);
       url.searchParams.set("user_id", userId);
+      url.searchParams.set("limit", String(MESSAGE_PAGE_SIZE));
+      if (requestedConversationId) {
+        url.searchParams.set("conversation_id", requestedConversationId);
+      }
       const response = await fetch(url, {
         method: "GET",
         headers: deriveHeaders(),
@@ -2857,15 +3717,41 @@ export default function ChatPanel({
         throw new Error(`Messages request failed with ${response.status}`);
       }
       const data = await response.json();
-      const items = Array.isArray(data)
-        ? data
-        : Array.isArray(data?.messages)
-          ? data.messages
+      if (conversationIdRef.current !== requestedConversationId) {
+        // The user switched threads while this page was in flight.
+        return;
+      }
+      const page = parseMessagePage(data);
+      const normalized = page.messages;
+      // Keep older pages the user already scrolled through; only the newest
+      // page is refreshed here.
+      const pageKeys = new Set(normalized.map((item) => getMessageKey(item)));
+      const oldestPageTime = normalized.reduce(
+        (acc, item) => Math.min(acc, getMessageTime(item)),
+        Number.POSITIVE_INFINITY,
+      );
+      const retainedOlder =
+        normalized.length > 0 && !historyDetachedRef.current
+          ? messagesRef.current.filter(
+              (item) =>
+                !item?.optimistic &&
+                !pageKeys.has(getMessageKey(item)) &&
+                getMessageTime(item) < oldestPageTime,
+            )
           : [];
-      const normalized = items
-        .map((item) => normalizeMessage(item))
-        .filter(Boolean);
-      setMessages(normalized);
+      const merged = [...retainedOlder, ...normalized];
+      messagesRef.current = merged;
+      setMessages(merged);
+      historyDetachedRef.current = false;
+      setHistoryDetached(false);
+      if (retainedOlder.length === 0) {
+        historyCursorRef.current = page.cursor;
+        setHistoryPaging({
+          hasMore: page.hasMore,
+          loadingOlder: false,
+          error: null,
+        });
+      }
       if (!initialMessagesLoadedRef.current) {
         normalized.forEach((item) => {
           registerSpeech(item, { enqueue: false, markPlayed: true });
@@ -2897,6 +3783,124 @@ export default function ChatPanel({
     registerSpeech,
     handleAssistantFinal,
   ]);
+  const loadOlderMessages = useCallback(async () => {
+    const cursor = historyCursorRef.current;
+    if (!agentId || !userId || !cursor || loadingOlderRef.current) {
+      return;
+    }
+    loadingOlderRef.current = true;
+    const requestedConversationId = conversationIdRef.current;
+    setHistoryPaging((prev) => ({ ...prev, loadingOlder: true, error: null }));
+    try {
+      const url = new URL(`${API_BASE_URL}/llm/messages`);
+      url.searchParams.set("agent_id", agentId);
+      url.searchParams.set("user_id", userId);
+      url.searchParams.set("limit", String(MESSAGE_PAGE_SIZE));
+      url.searchParams.set("before", cursor);
+      if (requestedConversationId) {
+        url.searchParams.set("conversation_id", requestedConversationId);
+      }
+      const response = await fetch(url, {
+        method: "GET",
+        headers: deriveHeaders(),
+        credentials: "include",
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return;
+      }
+      if (!response.ok) {
+        throw new Error(`Older messages request failed with ${response.status}`);
+      }
+      const data = await response.json();
+      if (
+        conversationIdRef.current !== requestedConversationId ||
+        historyCursorRef.current !== cursor
+      ) {
+        return;
+      }
+      const page = parseMessagePage(data);
+      page.messages.forEach((item) =>
+        registerSpeech(item, { enqueue: false, markPlayed: true }),
+      );
+      const existingKeys = new Set(
+        messagesRef.current.map((item) => getMessageKey(item)),
+      );
+      const older = page.messages.filter(
+        (item) => !existingKeys.has(getMessageKey(item)),
+      );
+      const merged = [...older, ...messagesRef.current];
+      messagesRef.current = merged;
+      setMessages(merged);
+      historyCursorRef.current = page.cursor;
+      setHistoryPaging({
+        hasMore: page.hasMore,
+        loadingOlder: false,
+        error: null,
+      });
+    } catch (error) {
+      console.error(error);
+      setHistoryPaging((prev) => ({
+        ...prev,
+        error: error?.message ?? "Failed to load older messages",
+      }));
+    } finally {
+      loadingOlderRef.current = false;
+      setHistoryPaging((prev) =>
+        prev.loadingOlder ? { ...prev, loadingOlder: false } : prev,
+      );
+    }
+  }, [agentId, userId, handleUnauthorizedResponse, registerSpeech]);
+  const fetchConversationHistory = useCallback(async () => {
+    const requestedConversationId = conversationIdRef.current;
+    const collected = new Map();
+    let cursor = null;
+    for (let page = 0; page < HISTORY_EXPORT_MAX_PAGES; page += 1) {
+      const url = new URL(`${API_BASE_URL}/llm/messages`);
+      url.searchParams.set("agent_id", agentId);
+      url.searchParams.set("user_id", userId);
+      url.searchParams.set("limit", String(HISTORY_EXPORT_PAGE_SIZE));
+      if (cursor) {
+        url.searchParams.set("before", cursor);
+      }
+      if (requestedConversationId) {
+        url.searchParams.set("conversation_id", requestedConversationId);
+      }
+      const response = await fetch(url, {
+        method: "GET",
+        headers: deriveHeaders(),
+        credentials: "include",
+      });
+      if (handleUnauthorizedResponse(response)) {
+        return null;
+      }
+      if (!response.ok) {
+        throw new Error(`History request failed with ${response.status}`);
+      }
+      const data = await response.json();
+      const pageData = parseMessagePage(data);
+      pageData.messages.forEach((item) => {
+        collected.set(getMessageKey(item), item);
+      });
+      if (!pageData.hasMore || !pageData.cursor || pageData.cursor === cursor) {
+        break;
+      }
+      cursor = pageData.cursor;
+    }
+    messagesRef.current.forEach((item) => {
+      if (!item?.optimistic) {
+        collected.set(getMessageKey(item), item);
+      }
+    });
+    return Array.from(collected.values()).sort(
+      (a, b) => getMessageTime(a) - getMessageTime(b),
+    );
+  }, [agentId, userId, handleUnauthorizedResponse]);
+  const resetHistoryPaging = useCallback(() => {
+    historyCursorRef.current = null;
+    historyDetachedRef.current = false;
+    setHistoryPaging({ hasMore: false, loadingOlder: false, error: null });
+    setHistoryDetached(false);
+  }, []);
   const handleClearConversation = useCallback(async () => {
     if (!agentId || !userId) {
       setClearStatus({
@@ -2916,14 +3920,19 @@ export default function ChatPanel({
       return;
     }
     setClearStatus({ loading: true, error: null, success: false });
+    const clearedConversationId = conversationIdRef.current;
     try {
+      const body = { user_id: numericUserId };
+      if (clearedConversationId) {
+        body.conversation_id = clearedConversationId;
+      }
       const response = await fetch(
         `${API_BASE_URL}/agents/${agentId}/conversations`,
         {
           method: "DELETE",
           headers: deriveHeaders({ "Content-Type": "application/json" }),
           credentials: "include",
-          body: JSON.stringify({ user_id: numericUserId }),
+          body: JSON.stringify(body),
         },
       );
       if (handleUnauthorizedResponse(response)) {
@@ -2933,8 +3942,16 @@ export default function ChatPanel({
       if (!response.ok && response.status !== 204) {
         throw new Error(`Clear conversation failed with ${response.status}`);
       }
+      messagesRef.current = [];
       setMessages([]);
-      setConversationId(null);
+      resetHistoryPaging();
+      writeBranchState(clearedConversationId, createBranchState());
+      if (clearedConversationId) {
+        setConversations((prev) =>
+          prev.filter((item) => item.id !== clearedConversationId),
+        );
+      }
+      rememberConversation(null);
       setInputValue("");
       setSendError(null);
       playedSpeechIdsRef.current.clear();
@@ -2960,89 +3977,836 @@ export default function ChatPanel({
     stopSpeechPlayback,
     acquireSendLock,
     releaseSendLock,
+    rememberConversation,
+    resetHistoryPaging,
   ]);
-  useEffect(() => {
-    (async () => {
-      await loadProfile();
-    })();
-  }, [loadProfile]);
-  useEffect(() => {
-    setMessages([]);
-    setConversationId(null);
-    setClearStatus({ loading: false, error: null, success: false });
+  const handleStopGeneration = useCallback(() => {
+    activeGenerationsRef.current.forEach((generation) => {
+      generation.interrupted = true;
+      try {
+        generation.controller.abort();
+      } catch (error) {
+        console.warn("Failed to abort generation", error);
+      }
+    });
+  }, []);
+  // Barge-in: cuts off the agent's speech and any reply still generating.
+  const interruptAgent = useCallback(() => {
+    const agentBusy =
+      Boolean(currentSpeechRef.current) ||
+      speechQueueRef.current.length > 0 ||
+      activeGenerationsRef.current.size > 0;
+    if (agentBusy) {
+      stopSpeechPlayback();
+      handleStopGeneration();
+    }
+  }, [handleStopGeneration, stopSpeechPlayback]);
+  const resetConversationView = useCallback(() => {
+    handleStopGeneration();
+    stopSpeechPlayback();
     playedSpeechIdsRef.current.clear();
+    visemeEventsRef.current.clear();
+    visemeAnalysisRef.current.clear();
+    waveformDecodedRef.current.clear();
+    setSpeechWaveforms({});
+    localSpeechRef.current.clear();
+    speechCacheLookupsRef.current.clear();
     speechQueueRef.current = [];
-    stopSpeechPlayback();
     initialMessagesLoadedRef.current = false;
-    setSpeechError(null);
-    lastVoiceIdRef.current = null;
-    setSelectedVoice("");
-    setEmotionHint("");
-  }, [agentId, stopSpeechPlayback]);
-  useEffect(() => {
-    if (!agentId || !userId) {
-      return;
-    }
-    (async () => {
-      await initializeConversation();
+    messagesRef.current = [];
+    setMessages([]);
+    resetHistoryPaging();
+    setSendError(null);
+    setClearStatus({ loading: false, error: null, success: false });
+  }, [handleStopGeneration, stopSpeechPlayback, resetHistoryPaging]);
+  const handleSelectConversation = useCallback(
+    async (targetId) => {
+      const normalized = normalizeIdentifier(targetId);
+      if (!normalized || normalized === conversationIdRef.current) {
+        return;
+      }
+      if (sendingLocksRef.current.size > 0) {
+        return;
+      }
+      resetConversationView();
+      rememberConversation(normalized);
       await loadMessagesRef.current();
-    })();
-  }, [agentId, userId, initializeConversation, loadMessages]);
-  const sendChatMessage = useCallback(
-    async (rawContent) => {
-      const trimmed = typeof rawContent === "string" ? rawContent.trim() : "";
-      if (!trimmed) {
-        return { success: false, trimmed };
+    },
+    [rememberConversation, resetConversationView],
+  );
+  const revealMessage = useCallback(
+    async (messageId) => {
+      const key = normalizeIdentifier(messageId);
+      if (!key || !agentId || !userId) {
+        return false;
       }
-      if (insufficientTokens) {
-        setSendError("Token余额不足，请购买后继续聊天。");
-        return { success: false, trimmed, error: "insufficient_tokens" };
+      const loaded = messagesRef.current.some(
+        (item) => getMessageKey(item) === key,
+      );
+      if (!loaded) {
+        const requestedConversationId = conversationIdRef.current;
+        setMessagesStatus((prev) => ({ ...prev, loading: true, error: null }));
+        try {
+          const url = new URL(`${API_BASE_URL}/llm/messages`);
+          url.searchParams.set("agent_id", agentId);
+          url.searchParams.set("user_id", userId);
+          url.searchParams.set("limit", String(MESSAGE_PAGE_SIZE));
+          url.searchParams.set("around", key);
+          if (requestedConversationId) {
+            url.searchParams.set("conversation_id", requestedConversationId);
+          }
+          const response = await fetch(url, {
+            method: "GET",
+            headers: deriveHeaders(),
+            credentials: "include",
+          });
+          if (handleUnauthorizedResponse(response)) {
+            setMessagesStatus({ loading: false, error: null });
+            return false;
+          }
+          if (!response.ok) {
+            throw new Error(`Message context request failed with ${response.status}`);
+          }
+          const data = await response.json();
+          if (conversationIdRef.current !== requestedConversationId) {
+            setMessagesStatus({ loading: false, error: null });
+            return false;
+          }
+          const page = parseMessagePage(data);
+          if (!page.messages.some((item) => getMessageKey(item) === key)) {
+            throw new Error("该消息已不存在");
+          }
+          page.messages.forEach((item) =>
+            registerSpeech(item, { enqueue: false, markPlayed: true }),
+          );
+          initialMessagesLoadedRef.current = true;
+          messagesRef.current = page.messages;
+          setMessages(page.messages);
+          historyCursorRef.current = page.cursor;
+          setHistoryPaging({
+            hasMore: page.hasMore,
+            loadingOlder: false,
+            error: null,
+          });
+          const hasNewer =
+            data?.has_newer ?? data?.hasNewer ?? data?.pagination?.has_newer;
+          const detached = hasNewer !== false;
+          historyDetachedRef.current = detached;
+          setHistoryDetached(detached);
+          setMessagesStatus({ loading: false, error: null });
+        } catch (error) {
+          console.error(error);
+          setMessagesStatus({
+            loading: false,
+            error: error?.message ?? "Failed to load message context",
+          });
+          return false;
+        }
       }
-      if (!agentId || !userId) {
-        const errorMessage =
-          "Missing agent or user information. Please refresh.";
-        setSendError(errorMessage);
-        return { success: false, trimmed, error: errorMessage };
+      const nodes = buildBranchNodes(sortMessagesByTime(messagesRef.current));
+      updateBranchState((state) => revealBranchPath(state, nodes, key));
+      pendingRevealKeyRef.current = key;
+      setHighlightedMessageKey(key);
+      return true;
+    },
+    [
+      agentId,
+      userId,
+      handleUnauthorizedResponse,
+      registerSpeech,
+      updateBranchState,
+    ],
+  );
+  useEffect(() => {
+    revealMessageRef.current = revealMessage;
+  }, [revealMessage]);
+  const handleJumpToMessage = useCallback(
+    async (result) => {
+      if (!result?.id) {
+        return;
       }
-      const lockId = acquireSendLock();
-      let unlocked = false;
-      const unlockSending = () => {
-        if (!unlocked) {
-          unlocked = true;
-          releaseSendLock(lockId);
+      if (result.agentId && result.agentId !== normalizeIdentifier(agentId)) {
+        const params = new URLSearchParams({ message: result.id });
+        if (result.conversationId) {
+          params.set("conversation", result.conversationId);
         }
-      };
-      setSendError(null);
-      const optimisticMessage = {
-        id: `temp-${Date.now()}`,
-        clientId: `temp-${Date.now()}-${Math.random()}`,
-        role: "user",
-        content: trimmed,
-        created_at: new Date().toISOString(),
-        optimistic: true,
-        extrasParsed: null,
-      };
-      const optimisticKey = getMessageKey(optimisticMessage);
-      setMessages((prev) => [...prev, optimisticMessage]);
-      const targetVoice = selectedVoice || voiceStatus.defaultVoice || "";
-      const settings = selectedVoiceOption?.settings ?? {};
-      const speedRange = settings.speed_range ??
-        settings.SpeedRange ?? [0.5, 1.6];
-      const pitchRange = settings.pitch_range ??
-        settings.PitchRange ?? [0.7, 1.4];
-      const payload = {
-        agent_id: agentId,
-        user_id: userId,
-        role: "user",
-        content: trimmed,
-      };
-      if (targetVoice) {
-        payload.voice_id = targetVoice;
-        const providerValue = String(
-          selectedVoiceOption?.provider ?? selectedVoiceOption?.Provider ?? "",
-        ).trim();
-        if (providerValue) {
-          payload.voice_provider = providerValue;
+        router.push(`/smart/${result.agentId}?${params.toString()}`);
+        return;
+      }
+      if (
+        result.conversationId &&
+        result.conversationId !== conversationIdRef.current
+      ) {
+        if (sendingLocksRef.current.size > 0) {
+          return;
+        }
+        resetConversationView();
+        rememberConversation(result.conversationId);
+        // Select the thread without fetching its newest page; revealMessage
+        // loads the window around the hit directly.
+        if (!(await revealMessage(result.id))) {
+          await loadMessagesRef.current();
+        }
+        return;
+      }
+      await revealMessage(result.id);
+    },
+    [agentId, router, rememberConversation, resetConversationView, revealMessage],
+  );
+  useEffect(() => {
+    const query = searchQuery.trim();
+    if (!searchOpen || !userId || !query) {
+      setSearchResults([]);
+      setSearchStatus({ loading: false, error: null });
+      return undefined;
+    }
+    const controller = new AbortController();
+    const timerId = window.setTimeout(async () => {
+      setSearchStatus({ loading: true, error: null });
+      try {
+        const url = new URL(`${API_BASE_URL}/llm/messages/search`);
+        url.searchParams.set("user_id", userId);
+        url.searchParams.set("q", query);
+        url.searchParams.set("limit", String(SEARCH_RESULT_LIMIT));
+        const response = await fetch(url, {
+          method: "GET",
+          headers: deriveHeaders(),
+          credentials: "include",
+          signal: controller.signal,
+        });
+        if (handleUnauthorizedResponse(response)) {
+          setSearchStatus({ loading: false, error: null });
+          return;
+        }
+        if (!response.ok) {
+          throw new Error(`Search request failed with ${response.status}`);
+        }
+        const data = await response.json();
+        const items = Array.isArray(data)
+          ? data
+          : Array.isArray(data?.results)
+            ? data.results
+            : [];
+        setSearchResults(items.map(normalizeSearchResult).filter(Boolean));
+        setSearchStatus({ loading: false, error: null });
+      } catch (error) {
+        if (error?.name === "AbortError") {
+          return;
+        }
+        console.error(error);
+        setSearchStatus({
+          loading: false,
+          error: error?.message ?? "Failed to search messages",
+        });
+      }
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      window.clearTimeout(timerId);
+      controller.abort();
+    };
+  }, [searchOpen, searchQuery, userId, handleUnauthorizedResponse]);
+  const handleReturnToLatest = useCallback(async () => {
+    setHighlightedMessageKey(null);
+    await loadMessagesRef.current();
+    // Sends right after this need the branch tip of the fresh page before
+    // the next render updates branchViewRef.
+    branchViewRef.current = buildBranchView(
+      sortMessagesByTime(messagesRef.current),
+      branchStateRef.current,
+    );
+    messageListRef.current?.scrollToBottom();
+  }, []);
+  const updateConversation = useCallback(
+    async (targetId, changes) => {
+      const normalized = normalizeIdentifier(targetId);
+      if (!agentId || !userId || !normalized) {
+        return null;
+      }
+      setConversationsStatus((prev) => ({ ...prev, error: null }));
+      try {
+        const response = await fetch(
+          `${API_BASE_URL}/agents/${agentId}/conversations/${normalized}`,
+          {
+            method: "PATCH",
+            headers: deriveHeaders({ "Content-Type": "application/json" }),
+            credentials: "include",
+            body: JSON.stringify({ user_id: Number(userId), ...changes }),
+          },
+        );
+        if (handleUnauthorizedResponse(response)) {
+          return null;
+        }
+        if (!response.ok) {
+          throw new Error(`Conversation update failed with ${response.status}`);
+        }
+        const data = await response.json().catch(() => null);
+        const existing = conversations.find((item) => item.id === normalized);
+        return upsertConversation(
+          data?.conversation ?? { ...existing, id: normalized, ...changes },
+        );
+      } catch (error) {
+        console.error(error);
+        setConversationsStatus((prev) => ({
+          ...prev,
+          error: error?.message ?? "Failed to update conversation",
+        }));
+        return null;
+      }
+    },
+    [
+      agentId,
+      userId,
+      conversations,
+      handleUnauthorizedResponse,
+      upsertConversation,
+    ],
+  );
+  const handleCreateConversation = useCallback(
+    async (title, extraFields = {}) => {
+      if (!agentId || !userId || sendingLocksRef.current.size > 0) {
+        return null;
+      }
+      setConversationsStatus((prev) => ({ ...prev, error: null }));
+      try {
+        const body = {
+          ...extraFields,
+          user_id: Number(userId),
+          create_new: true,
+        };
+        const trimmedTitle = typeof title === "string" ? title.trim() : "";
+        if (trimmedTitle) {
+          body.title = trimmedTitle;
+        }
+        const response = await fetch(
+          `${API_BASE_URL}/agents/${agentId}/conversations`,
+          {
+            method: "POST",
+            headers: deriveHeaders({ "Content-Type": "application/json" }),
+            credentials: "include",
+            body: JSON.stringify(body),
+          },
+        );
+        if (handleUnauthorizedResponse(response)) {
+          return null;
+        }
+        if (!response.ok) {
+          throw new Error(`Conversation create failed with ${response.status}`);
+        }
+        const data = await response.json();
+        const conversation = upsertConversation(data?.conversation);
+        if (!conversation) {
+          throw new Error("Conversation response missing id");
+        }
+        resetConversationView();
+        rememberConversation(conversation.id);
+        await loadMessagesRef.current();
+        return conversation;
+      } catch (error) {
+        console.error(error);
+        setConversationsStatus((prev) => ({
+          ...prev,
+          error: error?.message ?? "Failed to create conversation",
+        }));
+        return null;
+      }
+    },
+    [
+      agentId,
+      userId,
+      handleUnauthorizedResponse,
+      rememberConversation,
+      resetConversationView,
+      upsertConversation,
+    ],
+  );
+  const handleRenameConversation = useCallback(
+    async (targetId, title) => {
+      const trimmed = typeof title === "string" ? title.trim() : "";
+      if (!trimmed) {
+        return;
+      }
+      await updateConversation(targetId, { title: trimmed });
+    },
+    [updateConversation],
+  );
+  const handleArchiveConversation = useCallback(
+    async (targetId, archived = true) => {
+      const updated = await updateConversation(targetId, { archived });
+      if (!updated || !archived || updated.id !== conversationIdRef.current) {
+        return;
+      }
+      const fallback = conversations.find(
+        (item) => item.id !== updated.id && !item.archived,
+      );
+      if (fallback) {
+        await handleSelectConversation(fallback.id);
+      } else {
+        await handleCreateConversation();
+      }
+    },
+    [
+      conversations,
+      handleCreateConversation,
+      handleSelectConversation,
+      updateConversation,
+    ],
+  );
+  useEffect(() => {
+    (async () => {
+      await loadProfile();
+    })();
+  }, [loadProfile]);
+  useEffect(() => {
+    pendingJumpRef.current = consumeJumpTarget();
+  }, [agentId]);
+  useEffect(() => {
+    messagesRef.current = [];
+    setMessages([]);
+    resetHistoryPaging();
+    setConversationId(null);
+    conversationIdRef.current = null;
+    setConversations([]);
+    setConversationsStatus({ loading: false, error: null });
+    setClearStatus({ loading: false, error: null, success: false });
+    playedSpeechIdsRef.current.clear();
+    speechQueueRef.current = [];
+    stopSpeechPlayback();
+    initialMessagesLoadedRef.current = false;
+    setSpeechError(null);
+    lastVoiceIdRef.current = null;
+    setSelectedVoice("");
+    setEmotionHint("");
+  }, [agentId, stopSpeechPlayback, resetHistoryPaging]);
+  useEffect(() => {
+    if (!agentId || !userId) {
+      return;
+    }
+    (async () => {
+      await initializeConversation();
+      const jumpTarget = pendingJumpRef.current;
+      pendingJumpRef.current = null;
+      if (jumpTarget?.messageId) {
+        const revealed = await revealMessageRef.current(jumpTarget.messageId);
+        if (revealed) {
+          return;
+        }
+      }
+      await loadMessagesRef.current();
+    })();
+  }, [agentId, userId, initializeConversation, loadMessages]);
+  useEffect(() => {
+    if (!highlightedMessageKey) {
+      return undefined;
+    }
+    const timerId = window.setTimeout(
+      () => setHighlightedMessageKey(null),
+      JUMP_HIGHLIGHT_MS,
+    );
+    return () => window.clearTimeout(timerId);
+  }, [highlightedMessageKey]);
+  const finalizeInterruptedGeneration = useCallback(
+    (generation) => {
+      const keySet = generation?.assistantIds;
+      if (!keySet || keySet.size === 0) {
+        return;
+      }
+      const matches = (item) =>
+        collectMessageIdentifiers(item).some((key) => keySet.has(key));
+      const finalize = (item) => {
+        const extras = { ...(item.extrasParsed ?? {}) };
+        extras.interrupted = true;
+        if (!hasSpeechAudioSource(extras.speech)) {
+          const statusRaw = extras.speech_status ?? extras.speechStatus ?? "";
+          const status =
+            typeof statusRaw === "string" ? statusRaw.toLowerCase() : "";
+          if (status === "pending" || status === "streaming") {
+            extras.speech_status = "cancelled";
+          }
+          if (extras.speech?.streaming) {
+            const speech = { ...extras.speech };
+            delete speech.streaming;
+            extras.speech = speech;
+          }
+        }
+        return {
+          ...item,
+          interrupted: true,
+          resuming: false,
+          extrasParsed: extras,
+        };
+      };
+      const interrupted = messagesRef.current.filter(matches);
+      const updated = messagesRef.current.map((item) =>
+        matches(item) ? finalize(item) : item,
+      );
+      messagesRef.current = updated;
+      // The server keeps generating into its own copy unless told otherwise,
+      // which a reload or recovery would then restore without the mark.
+      interrupted.forEach((item) => {
+        const messageId = getMessageId(item);
+        if (!messageId || !agentId || !userId) {
+          return;
+        }
+        fetch(`${API_BASE_URL}/llm/messages/${messageId}/cancel`, {
+          method: "POST",
+          headers: deriveHeaders({ "Content-Type": "application/json" }),
+          credentials: "include",
+          keepalive: true,
+          body: JSON.stringify({
+            agent_id: agentId,
+            user_id: Number(userId),
+            content: item.content ?? "",
+          }),
+        })
+          .then((response) => {
+            if (!response.ok && !handleUnauthorizedResponse(response)) {
+              throw new Error(`Message cancel failed with ${response.status}`);
+            }
+          })
+          .catch((error) => {
+            console.warn("Failed to finalize interrupted message", error);
+          });
+      });
+      setMessages((prev) =>
+        prev.map((item) => (matches(item) ? finalize(item) : item)),
+      );
+      speechQueueRef.current = speechQueueRef.current.filter(
+        (item) => !keySet.has(String(item?.id ?? "")),
+      );
+      keySet.forEach((key) => {
+        const timerId = speechRefreshTimersRef.current.get(key);
+        if (timerId) {
+          window.clearTimeout(timerId);
+          speechRefreshTimersRef.current.delete(key);
+        }
+        if (streamingSessionsRef.current.has(key)) {
+          setStreamingSession(key, null);
+        }
+      });
+      const currentId = currentSpeechRef.current?.messageId;
+      if (currentId != null && keySet.has(String(currentId))) {
+        stopSpeechPlayback();
+      }
+    },
+    [
+      agentId,
+      userId,
+      handleUnauthorizedResponse,
+      setStreamingSession,
+      stopSpeechPlayback,
+    ],
+  );
+  const activeChatModel = useMemo(() => {
+    const conversation = conversations.find(
+      (item) => item.id === conversationId,
+    );
+    const chatConfig = agent?.chat_config ?? agent?.chatConfig ?? null;
+    const provider =
+      conversation?.model_provider ||
+      agent?.model_provider ||
+      chatConfig?.model_provider ||
+      "";
+    const name =
+      conversation?.model_name ||
+      agent?.model_name ||
+      chatConfig?.model_name ||
+      "";
+    return findChatModel(chatModels, provider, name);
+  }, [agent, chatModels, conversationId, conversations]);
+  const attachmentsEnabled = modelSupportsVision(activeChatModel);
+  const updateAttachmentDrafts = useCallback((updater) => {
+    const next = updater(attachmentDraftsRef.current);
+    attachmentDraftsRef.current = next;
+    setAttachmentDrafts(next);
+  }, []);
+  const patchAttachmentDraft = useCallback(
+    (localId, changes) => {
+      updateAttachmentDrafts((drafts) =>
+        drafts.map((draft) =>
+          draft.localId === localId ? { ...draft, ...changes } : draft,
+        ),
+      );
+    },
+    [updateAttachmentDrafts],
+  );
+  const startAttachmentUpload = useCallback(
+    async (draft) => {
+      const controller = new AbortController();
+      patchAttachmentDraft(draft.localId, {
+        status: "uploading",
+        progress: 0,
+        error: null,
+        controller,
+      });
+      try {
+        const attachment = await uploadAttachment(
+          `${API_BASE_URL}/llm/attachments`,
+          draft.file,
+          {
+            fields: {
+              agent_id: agentId,
+              user_id: userId,
+              conversation_id: conversationIdRef.current,
+            },
+            headers: deriveHeaders(),
+            signal: controller.signal,
+            onProgress: (progress) =>
+              patchAttachmentDraft(draft.localId, { progress }),
+          },
+        );
+        patchAttachmentDraft(draft.localId, {
+          status: "uploaded",
+          progress: 1,
+          attachment,
+          controller: null,
+        });
+      } catch (error) {
+        if (error?.name === "AbortError" || handleUnauthorizedResponse(error)) {
+          return;
+        }
+        console.error(error);
+        patchAttachmentDraft(draft.localId, {
+          status: "error",
+          error: error?.message ?? "Failed to upload attachment",
+          controller: null,
+        });
+      }
+    },
+    [agentId, userId, handleUnauthorizedResponse, patchAttachmentDraft],
+  );
+  const handleAddAttachments = useCallback(
+    (fileList) => {
+      const files = Array.from(fileList ?? []);
+      if (files.length === 0) {
+        return;
+      }
+      if (!attachmentsEnabled) {
+        setAttachmentError("当前模型不支持图片和文件附件。");
+        return;
+      }
+      const errors = [];
+      const room = MAX_ATTACHMENTS - attachmentDraftsRef.current.length;
+      if (files.length > room) {
+        errors.push(`每条消息最多 ${MAX_ATTACHMENTS} 个附件`);
+      }
+      const drafts = [];
+      files.slice(0, Math.max(0, room)).forEach((file, index) => {
+        const validation = validateAttachmentFile(file);
+        if (!validation.ok) {
+          errors.push(validation.error);
+          return;
+        }
+        let previewUrl = "";
+        if (validation.kind === "image") {
+          previewUrl = URL.createObjectURL(file);
+          attachmentPreviewUrlsRef.current.add(previewUrl);
+        }
+        drafts.push({
+          localId: `attachment-${Date.now()}-${index}-${Math.random()}`,
+          file,
+          name: file.name || "附件",
+          size: file.size,
+          kind: validation.kind,
+          mimeType: validation.mimeType,
+          previewUrl,
+          progress: 0,
+          status: "uploading",
+          error: null,
+          attachment: null,
+          controller: null,
+        });
+      });
+      setAttachmentError(errors.length > 0 ? errors.join("；") : null);
+      if (drafts.length === 0) {
+        return;
+      }
+      updateAttachmentDrafts((prev) => [...prev, ...drafts]);
+      drafts.forEach((draft) => startAttachmentUpload(draft));
+    },
+    [attachmentsEnabled, startAttachmentUpload, updateAttachmentDrafts],
+  );
+  const handleRemoveAttachment = useCallback(
+    (localId) => {
+      const draft = attachmentDraftsRef.current.find(
+        (item) => item.localId === localId,
+      );
+      if (!draft) {
+        return;
+      }
+      draft.controller?.abort();
+      if (draft.previewUrl) {
+        URL.revokeObjectURL(draft.previewUrl);
+        attachmentPreviewUrlsRef.current.delete(draft.previewUrl);
+      }
+      updateAttachmentDrafts((prev) =>
+        prev.filter((item) => item.localId !== localId),
+      );
+    },
+    [updateAttachmentDrafts],
+  );
+  const handleRetryAttachment = useCallback(
+    (localId) => {
+      const draft = attachmentDraftsRef.current.find(
+        (item) => item.localId === localId,
+      );
+      if (draft) {
+        startAttachmentUpload(draft);
+      }
+    },
+    [startAttachmentUpload],
+  );
+  const handleAttachmentDrop = useCallback(
+    (event) => {
+      event.preventDefault();
+      setAttachmentDragActive(false);
+      handleAddAttachments(collectTransferFiles(event.dataTransfer));
+    },
+    [handleAddAttachments],
+  );
+  const handleComposerPaste = useCallback(
+    (event) => {
+      const files = collectTransferFiles(event.clipboardData);
+      if (files.length === 0) {
+        return;
+      }
+      event.preventDefault();
+      handleAddAttachments(files);
+    },
+    [handleAddAttachments],
+  );
+  useEffect(
+    () => () => {
+      // Sent messages keep showing their local previews, so object URLs are
+      // only released when the panel goes away.
+      attachmentDraftsRef.current.forEach((draft) => draft.controller?.abort());
+      attachmentPreviewUrlsRef.current.forEach((url) =>
+        URL.revokeObjectURL(url),
+      );
+      attachmentPreviewUrlsRef.current.clear();
+    },
+    [],
+  );
+  const sendChatMessage = useCallback(
+    async (rawContent, options = {}) => {
+      const trimmed = typeof rawContent === "string" ? rawContent.trim() : "";
+      const attachments = Array.isArray(options.attachments)
+        ? options.attachments
+        : [];
+      if (!trimmed && attachments.length === 0) {
+        return { success: false, trimmed };
+      }
+      if (insufficientTokens) {
+        setSendError("Token余额不足，请购买后继续聊天。");
+        return { success: false, trimmed, error: "insufficient_tokens" };
+      }
+      if (!agentId || !userId) {
+        const errorMessage =
+          "Missing agent or user information. Please refresh.";
+        setSendError(errorMessage);
+        return { success: false, trimmed, error: errorMessage };
+      }
+      if (historyDetachedRef.current && !options.branch) {
+        // New turns belong after the newest page, not the search window.
+        await handleReturnToLatest();
+      }
+      const lockId = acquireSendLock();
+      const generation = {
+        controller: new AbortController(),
+        assistantIds: new Set(),
+        interrupted: false,
+      };
+      activeGenerationsRef.current.add(generation);
+      setIsGenerating(true);
+      let unlocked = false;
+      const unlockSending = () => {
+        if (!unlocked) {
+          unlocked = true;
+          releaseSendLock(lockId);
+        }
+      };
+      setSendError(null);
+      // Once the thread forks, every turn names the message it continues.
+      const parentMessageId =
+        options.parentMessageId !== undefined
+          ? options.parentMessageId
+          : branchViewRef.current?.forked
+            ? branchViewRef.current.lastMessageId ?? null
+            : null;
+      const userLinks = {
+        parent_message_id: parentMessageId,
+        edit_of: options.editOf ?? null,
+      };
+      let assistantParentId = options.regenerate ? parentMessageId : null;
+      // Servers that don't echo the links back would otherwise have the
+      // branch view place the message after whatever came before it.
+      const linkBranch = (message, links) => {
+        const missing = Object.entries(links).filter(
+          ([field, value]) => value && !message?.[field],
+        );
+        return message && missing.length > 0
+          ? { ...message, ...Object.fromEntries(missing) }
+          : message;
+      };
+      const optimisticMessage = {
+        id: `temp-${Date.now()}`,
+        clientId: `temp-${Date.now()}-${Math.random()}`,
+        role: "user",
+        content: trimmed,
+        created_at: new Date().toISOString(),
+        optimistic: true,
+        extrasParsed: null,
+        attachments,
+        ...userLinks,
+      };
+      const optimisticKey = getMessageKey(optimisticMessage);
+      // Servers that don't echo attachments back would otherwise drop the
+      // thumbnails when the optimistic bubble is replaced.
+      const withSentAttachments = (message) =>
+        message && message.attachments?.length === 0 && attachments.length > 0
+          ? { ...message, attachments }
+          : message;
+      const skipUserMessage = Boolean(options.regenerate);
+      if (!skipUserMessage) {
+        setMessages((prev) => [...prev, optimisticMessage]);
+      }
+      const targetVoice = selectedVoice || voiceStatus.defaultVoice || "";
+      const settings = selectedVoiceOption?.settings ?? {};
+      const speedRange = settings.speed_range ??
+        settings.SpeedRange ?? [0.5, 1.6];
+      const pitchRange = settings.pitch_range ??
+        settings.PitchRange ?? [0.7, 1.4];
+      const payload = {
+        agent_id: agentId,
+        user_id: userId,
+        role: "user",
+        content: trimmed,
+      };
+      if (conversationIdRef.current) {
+        payload.conversation_id = conversationIdRef.current;
+      }
+      if (parentMessageId) {
+        payload.parent_message_id = parentMessageId;
+      }
+      if (options.regenerate) {
+        payload.regenerate = true;
+      }
+      if (options.editOf) {
+        payload.edit_of = options.editOf;
+      }
+      if (options.model?.provider && options.model?.name) {
+        payload.model_provider = options.model.provider;
+        payload.model_name = options.model.name;
+      }
+      if (attachments.length > 0) {
+        payload.attachments = attachments.map(buildAttachmentReference);
+      }
+      if (targetVoice) {
+        payload.voice_id = targetVoice;
+        const providerValue = String(
+          selectedVoiceOption?.provider ?? selectedVoiceOption?.Provider ?? "",
+        ).trim();
+        if (providerValue) {
+          payload.voice_provider = providerValue;
         }
       }
       const minSpeed = Number(speedRange?.[0] ?? 0.5);
@@ -3071,6 +4835,7 @@ export default function ChatPanel({
           headers,
           credentials: "include",
           body: JSON.stringify(payload),
+          signal: generation.controller.signal,
         });
         if (handleUnauthorizedResponse(response)) {
           cleanOptimistic();
@@ -3103,17 +4868,31 @@ export default function ChatPanel({
           throw new Error(`Send failed with status ${response.status}`);
         }
         let lastAssistant = null;
+        let touchedConversationId = null;
         const ensureConversationId = (value) => {
-          if (!value) {
+          const normalized = normalizeIdentifier(value);
+          if (!normalized || normalized === touchedConversationId) {
             return;
           }
-          setConversationId(String(value));
+          touchedConversationId = normalized;
+          if (normalized !== conversationIdRef.current) {
+            rememberConversation(normalized);
+          }
+          upsertConversation({
+            id: normalized,
+            updated_at: new Date().toISOString(),
+          });
         };
         const upsertAssistantMessage = (record, { markFinal } = {}) => {
-          const normalized = normalizeMessage(record);
+          const normalized = linkBranch(normalizeMessage(record), {
+            parent_message_id: assistantParentId,
+          });
           if (!normalized) {
             return;
           }
+          collectMessageIdentifiers(normalized).forEach((key) =>
+            generation.assistantIds.add(key),
+          );
           lastAssistant = normalized;
           setMessages((prev) => {
             let replaced = false;
@@ -3155,6 +4934,7 @@ export default function ChatPanel({
           if (keys.length === 0) {
             return;
           }
+          keys.forEach((key) => generation.assistantIds.add(key));
           const keySet = new Set(keys);
           setMessages((prev) =>
             prev.map((item) => {
@@ -3167,10 +4947,14 @@ export default function ChatPanel({
           );
         };
         const replaceUserMessage = (record) => {
-          const normalized = normalizeMessage(record);
+          const normalized = linkBranch(
+            withSentAttachments(normalizeMessage(record)),
+            userLinks,
+          );
           if (!normalized) {
             return;
           }
+          assistantParentId = getMessageId(normalized);
           setMessages((prev) => {
             let replaced = false;
             const updated = prev.map((item) => {
@@ -3193,410 +4977,497 @@ export default function ChatPanel({
             return updated;
           });
         };
-        const handleStreamEvent = (eventName, payload) => {
-          if (payload && typeof payload === "object") {
-            ensureConversationId(
-              payload.conversation_id ?? payload.ConversationID ?? null,
-            );
-          }
-          switch (eventName) {
-            case "user_message": {
-              replaceUserMessage(payload ?? optimisticMessage);
-              break;
+        let streamFinalized = false;
+        const handleStreamEvent = createChatStreamHandler({
+          onEvent: (event) => {
+            const payload = event.payload;
+            if (payload && typeof payload === "object") {
+              ensureConversationId(
+                payload.conversation_id ?? payload.ConversationID ?? null,
+              );
             }
-            case "assistant_placeholder": {
-              upsertAssistantMessage(payload);
-              break;
+            if (
+              event.type === CHAT_STREAM_EVENTS.ASSISTANT_MESSAGE ||
+              event.type === CHAT_STREAM_EVENTS.ERROR
+            ) {
+              streamFinalized = true;
             }
-            case "assistant_delta": {
-              const identifiers = collectPayloadIdentifiers(payload);
-              const full =
-                typeof payload?.full === "string" ? payload.full : "";
-              if (identifiers.length > 0 && full) {
-                applyAssistantDelta(identifiers, full);
-                unlockSending();
-              }
-              break;
+          },
+          onUserMessage: (event) => {
+            if (!skipUserMessage) {
+              replaceUserMessage(event.payload ?? optimisticMessage);
             }
-            case "assistant_message": {
-              upsertAssistantMessage(payload, { markFinal: true });
+          },
+          onAssistantPlaceholder: (event) => {
+            upsertAssistantMessage(event.payload);
+          },
+          onAssistantDelta: (event) => {
+            if (event.identifiers.length > 0 && event.full) {
+              applyAssistantDelta(event.identifiers, event.full);
               unlockSending();
-              break;
             }
-            case "token_update": {
-              const balance = normalizeTokenValue(
-                payload?.token_balance ?? payload?.tokenBalance,
-              );
-              if (balance !== null) {
-                setTokenBalance(balance);
-                setInsufficientTokens(balance <= 0);
-                if (balance > 0) {
-                  setSendError((prev) => {
-                    if (!prev) {
-                      return prev;
-                    }
-                    const lower = String(prev).toLowerCase();
-                    return lower.includes("token") ? null : prev;
-                  });
-                } else {
-                  setSendError((prev) => {
-                    if (prev && String(prev).toLowerCase().includes("token")) {
-                      return prev;
-                    }
-                    return "Token余额不足，请购买后继续聊天。";
-                  });
+          },
+          onAssistantMessage: (event) => {
+            upsertAssistantMessage(event.payload, { markFinal: true });
+            unlockSending();
+          },
+          onTokenUpdate: (event) => {
+            const balance = event.tokenBalance;
+            if (balance === null) {
+              return;
+            }
+            setTokenBalance(balance);
+            setInsufficientTokens(balance <= 0);
+            if (balance > 0) {
+              setSendError((prev) => {
+                if (!prev) {
+                  return prev;
                 }
-              }
-              break;
+                const lower = String(prev).toLowerCase();
+                return lower.includes("token") ? null : prev;
+              });
+            } else {
+              setSendError((prev) => {
+                if (prev && String(prev).toLowerCase().includes("token")) {
+                  return prev;
+                }
+                return "Token余额不足，请购买后继续聊天。";
+              });
             }
-            case "speech_stream_started": {
-              const messageId = payload?.id ?? payload?.ID ?? null;
-              const format =
-                (typeof payload?.format === "string" && payload.format.trim()) ||
-                (typeof payload?.Format === "string" && payload.Format.trim()) ||
-                "";
-              const mimeType =
-                (typeof payload?.mime_type === "string" && payload.mime_type.trim()) ||
-                (typeof payload?.mimeType === "string" && payload.mimeType.trim()) ||
-                "";
-              if (messageId !== null && messageId !== undefined) {
-                logCosyVoiceDebug("speech_stream_started", {
-                  messageId,
-                  format,
-                  mimeType,
-                });
-                patchMessageSpeechExtras(messageId, (extras) => {
-                  extras.speech_status = "streaming";
-                  const speechExtras = { ...(extras.speech ?? {}) };
-                  delete speechExtras.audio_base64;
-                  delete speechExtras.audioBase64;
-                  delete speechExtras.audio_url;
-                  delete speechExtras.audioUrl;
-                  if (payload?.voice_id) {
-                    speechExtras.voice_id = payload.voice_id;
-                  }
-                  if (payload?.provider) {
-                    speechExtras.provider = payload.provider;
-                  }
-                  if (format) {
-                    speechExtras.format = format;
-                  }
-                  if (mimeType) {
-                    speechExtras.mime_type = mimeType;
-                    speechExtras.mimeType = mimeType;
-                  }
-                  if (payload?.sample_rate) {
-                    speechExtras.sample_rate = payload.sample_rate;
-                  }
-                  speechExtras.streaming = true;
-                  extras.speech = speechExtras;
-                  if (extras.speech_error) {
-                    delete extras.speech_error;
-                  }
-                });
-                let streamingPlaybackAttempt = 0;
-                let sessionInstance = null;
-                const queueStreamingPlayback = () => {
-                  if (!sessionInstance || sessionInstance.destroyed) {
-                    return;
-                  }
-                  const currentMessage = messagesRef.current.find(
-                    (item) =>
-                      String(item?.id ?? item?.ID ?? item?.clientId ?? "") ===
-                      String(messageId),
-                  );
-                  if (currentMessage) {
-                    streamingPlaybackAttempt = 0;
-                    logCosyVoiceDebug("queueStreamingPlayback", { messageId });
-                    registerSpeech(currentMessage, {
-                      enqueue: true,
-                      force: true,
-                      markPlayed: false,
-                      interrupt: true,
-                    });
-                    return;
-                  }
-                  if (typeof window === "undefined") {
-                    return;
-                  }
-                  if (streamingPlaybackAttempt >= STREAMING_PLAYBACK_MESSAGE_LOOKUP_MAX_ATTEMPTS) {
-                    logCosyVoiceDebug("queueStreamingPlayback abandoned", {
-                      messageId,
-                      attempts: streamingPlaybackAttempt,
-                    });
-                    return;
-                  }
-                  streamingPlaybackAttempt += 1;
-                  const delay = Math.min(
-                    STREAMING_PLAYBACK_RETRY_BASE_DELAY +
-                      streamingPlaybackAttempt * STREAMING_PLAYBACK_MESSAGE_LOOKUP_BACKOFF_STEP,
-                    STREAMING_PLAYBACK_MAX_DELAY,
-                  );
-                  logCosyVoiceDebug("queueStreamingPlayback waiting", {
-                    messageId,
-                    attempt: streamingPlaybackAttempt,
-                    delay,
-                  });
-                  window.setTimeout(() => {
-                    const activeSession = getStreamingSession(messageId);
-                    if (activeSession === sessionInstance && !sessionInstance.destroyed) {
-                      queueStreamingPlayback();
-                    }
-                  }, delay);
-                };
-                sessionInstance = new StreamingAudioSession({
-                  mimeType,
-                  onFirstPlayable: queueStreamingPlayback,
-                  onError: (error) => {
-                    console.warn("Streaming audio session error", error);
-                  },
-                  debug: true,
-                  debugLabel: messageId,
-                });
-                setStreamingSession(messageId, sessionInstance);
-                logCosyVoiceDebug("streaming session created", { messageId, mimeType, format });
-                queueStreamingPlayback();
-              }
-              break;
+          },
+          onSpeechStreamStarted: (event) => {
+            const { messageId, format, mimeType } = event;
+            if (!messageId) {
+              return;
             }
-            case "speech_stream_chunk": {
-              const messageId = payload?.id ?? payload?.ID ?? null;
-              if (messageId === null || messageId === undefined) {
-                break;
+            logCosyVoiceDebug("speech_stream_started", {
+              messageId,
+              format,
+              mimeType,
+            });
+            patchMessageSpeechExtras(messageId, (extras) => {
+              extras.speech_status = "streaming";
+              const speechExtras = { ...(extras.speech ?? {}) };
+              delete speechExtras.audio_base64;
+              delete speechExtras.audioBase64;
+              delete speechExtras.audio_url;
+              delete speechExtras.audioUrl;
+              if (event.voiceId) {
+                speechExtras.voice_id = event.voiceId;
               }
-              const session = getStreamingSession(messageId);
-              if (!session) {
-                logCosyVoiceDebug("speech_stream_chunk skipped: session missing", { messageId });
-                break;
+              if (event.provider) {
+                speechExtras.provider = event.provider;
               }
-              const base64Chunk =
-                (typeof payload?.audio_base64 === "string" && payload.audio_base64.trim()) ||
-                (typeof payload?.audioBase64 === "string" && payload.audioBase64.trim()) ||
-                "";
-              if (!base64Chunk) {
-                break;
+              if (format) {
+                speechExtras.format = format;
               }
-              const decoded = decodeBase64ToUint8(base64Chunk);
-              if (!decoded) {
-                break;
+              if (mimeType) {
+                speechExtras.mime_type = mimeType;
+                speechExtras.mimeType = mimeType;
               }
-              const sequenceValue = payload?.sequence ?? payload?.Sequence ?? null;
-              let sequenceNumber = -1;
-              if (typeof sequenceValue === "number" && Number.isFinite(sequenceValue)) {
-                sequenceNumber = sequenceValue;
-              } else if (typeof sequenceValue === "string") {
-                const parsed = Number(sequenceValue);
-                if (Number.isFinite(parsed)) {
-                  sequenceNumber = parsed;
-                }
+              if (event.sampleRate) {
+                speechExtras.sample_rate = event.sampleRate;
               }
-              if (sequenceNumber <= 1 || sequenceNumber === -1) {
-                logCosyVoiceDebug("speech_stream_chunk received", {
-                  messageId,
-                  sequence: sequenceNumber,
-                  size: decoded.length,
+              speechExtras.streaming = true;
+              extras.speech = speechExtras;
+              if (extras.speech_error) {
+                delete extras.speech_error;
+              }
+            });
+            let streamingPlaybackAttempt = 0;
+            let sessionInstance = null;
+            const queueStreamingPlayback = () => {
+              if (!sessionInstance || sessionInstance.destroyed) {
+                return;
+              }
+              const currentMessage = messagesRef.current.find(
+                (item) =>
+                  String(item?.id ?? item?.ID ?? item?.clientId ?? "") ===
+                  String(messageId),
+              );
+              if (currentMessage) {
+                streamingPlaybackAttempt = 0;
+                logCosyVoiceDebug("queueStreamingPlayback", { messageId });
+                registerSpeech(currentMessage, {
+                  enqueue: true,
+                  force: true,
+                  markPlayed: false,
+                  interrupt: true,
                 });
+                return;
               }
-              session.appendChunk(decoded, sequenceNumber);
-              break;
-            }
-            case "speech_stream_completed": {
-              const messageId = payload?.id ?? payload?.ID ?? null;
-              if (messageId !== null && messageId !== undefined) {
-                logCosyVoiceDebug("speech_stream_completed", { messageId });
-                const session = getStreamingSession(messageId);
-                if (session && typeof session.finalize === "function") {
-                  logCosyVoiceDebug("finalizing streaming session", { messageId });
-                  session.finalize();
-                }
-                const audioBase64 =
-                  (typeof payload?.audio_base64 === "string" &&
-                    payload.audio_base64.trim()) ||
-                  (typeof payload?.audioBase64 === "string" &&
-                    payload.audioBase64.trim()) ||
-                  "";
-                const audioUrl =
-                  (typeof payload?.audio_url === "string" &&
-                    payload.audio_url.trim()) ||
-                  (typeof payload?.audioUrl === "string" &&
-                    payload.audioUrl.trim()) ||
-                  "";
-                const mimeType =
-                  (typeof payload?.mime_type === "string" &&
-                    payload.mime_type.trim()) ||
-                  (typeof payload?.mimeType === "string" &&
-                    payload.mimeType.trim()) ||
-                  "";
-                const speechPayload = {};
-                if (audioBase64) {
-                  speechPayload.audio_base64 = audioBase64;
-                }
-                if (audioUrl) {
-                  speechPayload.audio_url = audioUrl;
-                }
-                if (mimeType) {
-                  speechPayload.mime_type = mimeType;
-                }
-                if (payload?.voice_id) {
-                  speechPayload.voice_id = payload.voice_id;
-                }
-                if (payload?.provider) {
-                  speechPayload.provider = payload.provider;
-                }
-                patchMessageSpeechExtras(messageId, (extras) => {
-                  const speech = { ...(extras.speech ?? {}), ...speechPayload };
-                  if (speech.streaming) {
-                    delete speech.streaming;
-                  }
-                  extras.speech = speech;
-                  extras.speech_status = "ready";
-                  if (payload?.error) {
-                    extras.speech_error = payload.error;
-                  } else if (extras.speech_error) {
-                    delete extras.speech_error;
-                  }
+              if (typeof window === "undefined") {
+                return;
+              }
+              if (streamingPlaybackAttempt >= STREAMING_PLAYBACK_MESSAGE_LOOKUP_MAX_ATTEMPTS) {
+                logCosyVoiceDebug("queueStreamingPlayback abandoned", {
+                  messageId,
+                  attempts: streamingPlaybackAttempt,
                 });
-                const currentMessage = messagesRef.current.find(
-                  (item) =>
-                    String(item?.id ?? item?.ID ?? item?.clientId ?? "") ===
-                    String(messageId),
-                );
-                if (currentMessage) {
-                  const mergedExtras = {
-                    ...(currentMessage.extrasParsed ?? {}),
-                    speech: {
-                      ...((currentMessage.extrasParsed ?? {}).speech ?? {}),
-                      ...speechPayload,
-                    },
-                    speech_status: "ready",
-                  };
-                  if (mergedExtras.speech?.streaming) {
-                    delete mergedExtras.speech.streaming;
-                  }
-                  if (payload?.error) {
-                    mergedExtras.speech_error = payload.error;
-                  } else if (mergedExtras.speech_error) {
-                    delete mergedExtras.speech_error;
-                  }
-                  logCosyVoiceDebug("registering final speech payload", { messageId });
-                  registerSpeech(
-                    { ...currentMessage, extrasParsed: mergedExtras },
-                    { enqueue: true, interrupt: false },
-                  );
-                } else {
-                  logCosyVoiceDebug("speech_stream_completed message missing", { messageId });
+                return;
+              }
+              streamingPlaybackAttempt += 1;
+              const delay = Math.min(
+                STREAMING_PLAYBACK_RETRY_BASE_DELAY +
+                  streamingPlaybackAttempt * STREAMING_PLAYBACK_MESSAGE_LOOKUP_BACKOFF_STEP,
+                STREAMING_PLAYBACK_MAX_DELAY,
+              );
+              logCosyVoiceDebug("queueStreamingPlayback waiting", {
+                messageId,
+                attempt: streamingPlaybackAttempt,
+                delay,
+              });
+              window.setTimeout(() => {
+                const activeSession = getStreamingSession(messageId);
+                if (activeSession === sessionInstance && !sessionInstance.destroyed) {
+                  queueStreamingPlayback();
                 }
+              }, delay);
+            };
+            // PCM, WAV and Ogg/Opus never fit MediaSource; decode them in a worklet.
+            const SessionClass = WorkletAudioSession.canPlay({ format, mimeType })
+              ? WorkletAudioSession
+              : StreamingAudioSession;
+            sessionInstance = new SessionClass({
+              mimeType,
+              format,
+              sampleRate: event.sampleRate,
+              channels: event.channels,
+              startSequence: event.firstSequence,
+              onFirstPlayable: queueStreamingPlayback,
+              onError: (error) => {
+                console.warn("Streaming audio session error", error);
+              },
+              onStats: (stats) => {
+                logCosyVoiceDebug("speech stream stats", { messageId, ...stats });
+              },
+              debug: true,
+              debugLabel: messageId,
+            });
+            setStreamingSession(messageId, sessionInstance);
+            logCosyVoiceDebug("streaming session created", {
+              messageId,
+              mimeType,
+              format,
+              session: SessionClass === WorkletAudioSession ? "worklet" : "media-source",
+            });
+            queueStreamingPlayback();
+          },
+          onSpeechStreamChunk: (event) => {
+            const { messageId, audioBase64, sequence } = event;
+            if (!messageId) {
+              return;
+            }
+            const session = getStreamingSession(messageId);
+            if (!session) {
+              logCosyVoiceDebug("speech_stream_chunk skipped: session missing", { messageId });
+              return;
+            }
+            const decoded = audioBase64 ? decodeBase64ToUint8(audioBase64) : null;
+            if (!decoded) {
+              return;
+            }
+            if (sequence <= 1) {
+              logCosyVoiceDebug("speech_stream_chunk received", {
+                messageId,
+                sequence,
+                size: decoded.length,
+              });
+            }
+            session.appendChunk(decoded, sequence);
+          },
+          onSpeechVisemes: (event) => {
+            const { messageId, visemes } = event;
+            if (!messageId || visemes.length === 0) {
+              return;
+            }
+            const key = String(messageId);
+            visemeEventsRef.current.set(key, [
+              ...(visemeEventsRef.current.get(key) ?? []),
+              ...visemes,
+            ]);
+          },
+          onSpeechStreamCompleted: (event) => {
+            const { messageId } = event;
+            if (!messageId) {
+              return;
+            }
+            logCosyVoiceDebug("speech_stream_completed", { messageId });
+            const session = getStreamingSession(messageId);
+            if (session && typeof session.finalize === "function") {
+              logCosyVoiceDebug("finalizing streaming session", { messageId });
+              session.finalize();
+            }
+            if (!event.audioBase64 && !event.audioUrl) {
+              const captured = session?.getCapturedAudio?.() ?? null;
+              if (captured) {
+                rememberSpeechAudio(messageId, captured);
               }
-              break;
             }
-
-            case "speech_stream_failed": {
-              const messageId = payload?.id ?? payload?.ID ?? null;
-              if (messageId !== null && messageId !== undefined) {
-                logCosyVoiceDebug("speech_stream_failed", {
-                  messageId,
-                  error: payload?.error ?? null,
-                });
-                setStreamingSession(messageId, null);
-                patchMessageSpeechExtras(messageId, (extras) => {
-                  extras.speech_status = "error";
-                  const errorMessage =
-                    (typeof payload?.error === "string" &&
-                      payload.error.trim()) ||
-                    "";
-                  if (errorMessage) {
-                    extras.speech_error = errorMessage;
-                  }
-                  if (extras.speech?.streaming) {
-                    const speech = { ...(extras.speech ?? {}) };
-                    delete speech.streaming;
-                    extras.speech = speech;
-                  }
-                });
+            const speechPayload = {};
+            if (event.audioBase64) {
+              speechPayload.audio_base64 = event.audioBase64;
+            }
+            if (event.audioUrl) {
+              speechPayload.audio_url = event.audioUrl;
+            }
+            if (event.mimeType) {
+              speechPayload.mime_type = event.mimeType;
+            }
+            if (event.voiceId) {
+              speechPayload.voice_id = event.voiceId;
+            }
+            if (event.provider) {
+              speechPayload.provider = event.provider;
+            }
+            if (event.visemes.length > 0) {
+              speechPayload.visemes = event.visemes;
+              visemeEventsRef.current.set(String(messageId), event.visemes);
+            }
+            if (event.boundaries.length > 0) {
+              speechPayload.boundaries = event.boundaries;
+            }
+            patchMessageSpeechExtras(messageId, (extras) => {
+              const speech = { ...(extras.speech ?? {}), ...speechPayload };
+              if (speech.streaming) {
+                delete speech.streaming;
               }
-              break;
+              extras.speech = speech;
+              extras.speech_status = "ready";
+              if (event.error) {
+                extras.speech_error = event.error;
+              } else if (extras.speech_error) {
+                delete extras.speech_error;
+              }
+            });
+            const currentMessage = messagesRef.current.find(
+              (item) =>
+                String(item?.id ?? item?.ID ?? item?.clientId ?? "") ===
+                String(messageId),
+            );
+            if (!currentMessage) {
+              logCosyVoiceDebug("speech_stream_completed message missing", { messageId });
+              return;
             }
-
-            case "error": {
-              const message =
-                typeof payload?.error === "string" && payload.error
-                  ? payload.error
-                  : "Assistant response failed.";
-              setSendError(message);
-              break;
+            const mergedExtras = {
+              ...(currentMessage.extrasParsed ?? {}),
+              speech: {
+                ...((currentMessage.extrasParsed ?? {}).speech ?? {}),
+                ...speechPayload,
+              },
+              speech_status: "ready",
+            };
+            if (mergedExtras.speech?.streaming) {
+              delete mergedExtras.speech.streaming;
             }
-            default:
-              break;
-          }
-        };
+            if (event.error) {
+              mergedExtras.speech_error = event.error;
+            } else if (mergedExtras.speech_error) {
+              delete mergedExtras.speech_error;
+            }
+            logCosyVoiceDebug("registering final speech payload", { messageId });
+            registerSpeech(
+              { ...currentMessage, extrasParsed: mergedExtras },
+              { enqueue: true, interrupt: false },
+            );
+          },
+          onSpeechStreamFailed: (event) => {
+            const { messageId } = event;
+            if (!messageId) {
+              return;
+            }
+            logCosyVoiceDebug("speech_stream_failed", {
+              messageId,
+              error: event.error || null,
+            });
+            setStreamingSession(messageId, null);
+            patchMessageSpeechExtras(messageId, (extras) => {
+              extras.speech_status = "error";
+              if (event.error) {
+                extras.speech_error = event.error;
+              }
+              if (extras.speech?.streaming) {
+                const speech = { ...(extras.speech ?? {}) };
+                delete speech.streaming;
+                extras.speech = speech;
+              }
+            });
+          },
+          onError: (event) => {
+            setSendError(event.error);
+          },
+        });
         if (contentType.includes("text/event-stream") && response.body) {
-          const reader = response.body.getReader();
-          const decoder = new TextDecoder();
-          let buffer = "";
-          try {
-            while (true) {
-              const { value, done } = await reader.read();
-              if (done) {
-                break;
+          const streamParser = createSseParser({
+            onEvent: (sseEvent) =>
+              handleStreamEvent(parseChatStreamEvent(sseEvent)),
+          });
+          const consumeEventStream = async (body) => {
+            streamParser.reset();
+            await readChatStream(body, { parser: streamParser });
+          };
+          const getResumeMessageId = () =>
+            lastAssistant
+              ? getMessageId(lastAssistant)
+              : generation.assistantIds.values().next().value ?? null;
+          const setResuming = (resuming) => {
+            const keySet = generation.assistantIds;
+            if (keySet.size === 0) {
+              return;
+            }
+            setMessages((prev) =>
+              prev.map((item) =>
+                collectMessageIdentifiers(item).some((key) => keySet.has(key))
+                  ? { ...item, resuming }
+                  : item,
+              ),
+            );
+          };
+          const waitForResume = (delay) =>
+            new Promise((resolve, reject) => {
+              const signal = generation.controller.signal;
+              if (signal.aborted) {
+                reject(new DOMException("Aborted", "AbortError"));
+                return;
               }
-              buffer += decoder.decode(value, { stream: true });
-              buffer = buffer.replace(/\r/g, "");
-              let boundary = buffer.indexOf("\n\n");
-              while (boundary !== -1) {
-                const rawEvent = buffer.slice(0, boundary);
-                buffer = buffer.slice(boundary + 2);
-                boundary = buffer.indexOf("\n\n");
-                const trimmed = rawEvent.trim();
-                if (!trimmed) {
-                  continue;
+              const timerId = window.setTimeout(resolve, delay);
+              signal.addEventListener(
+                "abort",
+                () => {
+                  window.clearTimeout(timerId);
+                  reject(new DOMException("Aborted", "AbortError"));
+                },
+                { once: true },
+              );
+            });
+          const resumeEventStream = async (messageId) => {
+            const url = new URL(
+              `${API_BASE_URL}/llm/messages/${messageId}/stream`,
+            );
+            url.searchParams.set("agent_id", agentId);
+            url.searchParams.set("user_id", userId);
+            const resumeHeaders = { Accept: "text/event-stream" };
+            if (streamParser.lastEventId) {
+              resumeHeaders["Last-Event-ID"] = streamParser.lastEventId;
+            }
+            const resumeResponse = await fetch(url.toString(), {
+              method: "GET",
+              headers: deriveHeaders(resumeHeaders),
+              credentials: "include",
+              signal: generation.controller.signal,
+            });
+            if (handleUnauthorizedResponse(resumeResponse)) {
+              return null;
+            }
+            const resumeType = (
+              resumeResponse.headers.get("Content-Type") ?? ""
+            ).toLowerCase();
+            if (
+              !resumeResponse.ok ||
+              !resumeType.includes("text/event-stream") ||
+              !resumeResponse.body
+            ) {
+              logCosyVoiceDebug("chat stream resume rejected", {
+                messageId,
+                status: resumeResponse.status,
+              });
+              return null;
+            }
+            return resumeResponse;
+          };
+          const recoverFinalMessage = async (messageId) => {
+            if (messageId) {
+              try {
+                const url = new URL(`${API_BASE_URL}/llm/messages/${messageId}`);
+                url.searchParams.set("agent_id", agentId);
+                url.searchParams.set("user_id", userId);
+                const finalResponse = await fetch(url.toString(), {
+                  method: "GET",
+                  headers: deriveHeaders(),
+                  credentials: "include",
+                  signal: generation.controller.signal,
+                });
+                if (handleUnauthorizedResponse(finalResponse)) {
+                  return false;
                 }
-                const lines = trimmed.split("\n");
-                let eventName = "message";
-                const dataLines = [];
-                for (const line of lines) {
-                  if (line.startsWith("event:")) {
-                    eventName = line.slice(6).trim();
-                  } else if (line.startsWith("data:")) {
-                    dataLines.push(line.slice(5).trim());
-                  }
+                if (!finalResponse.ok) {
+                  throw new Error(
+                    `Message request failed with ${finalResponse.status}`,
+                  );
                 }
-                const dataText = dataLines.join("\n");
-                let parsed = null;
-                if (dataText) {
-                  try {
-                    parsed = JSON.parse(dataText);
-                  } catch (error) {
-                    console.warn("Failed to parse SSE payload", error);
-                  }
+                const data = await finalResponse.json();
+                const record = data?.message ?? data;
+                if (normalizeMessage(record)) {
+                  upsertAssistantMessage(record, { markFinal: true });
+                  return true;
+                }
+              } catch (error) {
+                if (error?.name === "AbortError") {
+                  throw error;
                 }
-                handleStreamEvent(eventName, parsed);
+                console.warn("Failed to fetch finalized message", error);
               }
             }
-            buffer = buffer.replace(/\r/g, "");
-            if (buffer.trim()) {
-              const lines = buffer.trim().split("\n");
-              let eventName = "message";
-              const dataLines = [];
-              for (const line of lines) {
-                if (line.startsWith("event:")) {
-                  eventName = line.slice(6).trim();
-                } else if (line.startsWith("data:")) {
-                  dataLines.push(line.slice(5).trim());
-                }
+            await loadMessagesRef.current();
+            return false;
+          };
+          let streamBody = response.body;
+          let resumeAttempt = 0;
+          while (true) {
+            let dropped = false;
+            const eventIdBefore = streamParser.lastEventId;
+            try {
+              await consumeEventStream(streamBody);
+            } catch (error) {
+              if (generation.interrupted || error?.name === "AbortError") {
+                throw error;
               }
-              const dataText = dataLines.join("\n");
-              let parsed = null;
-              if (dataText) {
-                try {
-                  parsed = JSON.parse(dataText);
-                } catch (error) {
-                  console.warn("Failed to parse trailing SSE payload", error);
+              console.warn("Chat stream disconnected", error);
+              dropped = true;
+            }
+            if (streamParser.lastEventId !== eventIdBefore) {
+              resumeAttempt = 0;
+            }
+            const resumeMessageId = getResumeMessageId();
+            if (streamFinalized || (!dropped && !resumeMessageId)) {
+              break;
+            }
+            if (!resumeMessageId) {
+              await recoverFinalMessage(null);
+              break;
+            }
+            let resumedResponse = null;
+            let resumeRejected = false;
+            while (
+              !resumedResponse &&
+              !resumeRejected &&
+              resumeAttempt < CHAT_STREAM_RESUME_MAX_ATTEMPTS
+            ) {
+              resumeAttempt += 1;
+              setResuming(true);
+              await waitForResume(
+                streamParser.retry ??
+                  Math.min(
+                    CHAT_STREAM_RESUME_BASE_DELAY * 2 ** (resumeAttempt - 1),
+                    CHAT_STREAM_RESUME_MAX_DELAY,
+                  ),
+              );
+              try {
+                resumedResponse = await resumeEventStream(resumeMessageId);
+                resumeRejected = !resumedResponse;
+              } catch (error) {
+                if (error?.name === "AbortError") {
+                  throw error;
                 }
+                console.warn("Failed to resume chat stream", error);
               }
-              handleStreamEvent(eventName, parsed);
             }
-          } finally {
-            reader.releaseLock();
+            setResuming(false);
+            if (!resumedResponse) {
+              await recoverFinalMessage(resumeMessageId);
+              break;
+            }
+            streamBody = resumedResponse.body;
           }
           unlockSending();
           cleanOptimistic();
@@ -3604,12 +5475,25 @@ export default function ChatPanel({
         }
         const data = await response.json().catch(() => null);
         if (data?.conversation_id) {
-          setConversationId(String(data.conversation_id));
+          ensureConversationId(data.conversation_id);
         }
-        const normalizedUser =
-          normalizeMessage(data?.user_message) ??
-          normalizeMessage(optimisticMessage);
-        const normalizedAssistant = normalizeMessage(data?.assistant_message);
+        const normalizedUser = skipUserMessage
+          ? null
+          : linkBranch(
+              withSentAttachments(
+                normalizeMessage(data?.user_message) ??
+                  normalizeMessage(optimisticMessage),
+              ),
+              userLinks,
+            );
+        const normalizedAssistant = linkBranch(
+          normalizeMessage(data?.assistant_message),
+          {
+            parent_message_id: normalizedUser
+              ? getMessageId(normalizedUser)
+              : assistantParentId,
+          },
+        );
         const balance = normalizeTokenValue(
           data?.token_balance ?? data?.tokenBalance,
         );
@@ -3671,12 +5555,22 @@ export default function ChatPanel({
           assistant: normalizedAssistant ?? lastAssistant,
         };
       } catch (error) {
+        if (generation.interrupted || error?.name === "AbortError") {
+          cleanOptimistic();
+          if (generation.assistantIds.size === 0) {
+            return { success: false, trimmed, error: "interrupted" };
+          }
+          finalizeInterruptedGeneration(generation);
+          return { success: true, trimmed, interrupted: true };
+        }
         console.error(error);
         const message = error?.message ?? "Failed to send message";
         setSendError(message);
         cleanOptimistic();
         return { success: false, trimmed, error: message };
       } finally {
+        activeGenerationsRef.current.delete(generation);
+        setIsGenerating(activeGenerationsRef.current.size > 0);
         unlockSending();
       }
     },
@@ -3692,6 +5586,11 @@ export default function ChatPanel({
       handleUnauthorizedResponse,
       handleAssistantFinal,
       insufficientTokens,
+      rememberConversation,
+      upsertConversation,
+      finalizeInterruptedGeneration,
+      handleReturnToLatest,
+      rememberSpeechAudio,
     ],
   );
   useEffect(() => {
@@ -3701,23 +5600,356 @@ export default function ChatPanel({
     async (event) => {
       event?.preventDefault?.();
       const trimmed = inputValue.trim();
-      if (!trimmed) {
+      const drafts = attachmentDraftsRef.current;
+      if (!trimmed && drafts.length === 0) {
         return;
       }
+      if (drafts.length > 0) {
+        if (!attachmentsEnabled) {
+          setAttachmentError("当前模型不支持附件，请移除后再发送。");
+          return;
+        }
+        if (drafts.some((draft) => draft.status === "uploading")) {
+          setAttachmentError("附件仍在上传，请稍候。");
+          return;
+        }
+        if (drafts.some((draft) => draft.status !== "uploaded")) {
+          setAttachmentError("有附件上传失败，请重试或移除。");
+          return;
+        }
+      }
+      const attachments = drafts.map((draft) => ({
+        ...draft.attachment,
+        previewUrl: draft.previewUrl,
+      }));
       setInputValue("");
-      const result = await sendChatMessage(trimmed);
+      setAttachmentError(null);
+      updateAttachmentDrafts(() => []);
+      const result = await sendChatMessage(trimmed, { attachments });
       if (!result.success) {
         setInputValue(result.trimmed ?? trimmed);
+        updateAttachmentDrafts((prev) => [...drafts, ...prev]);
+      }
+    },
+    [inputValue, sendChatMessage, attachmentsEnabled, updateAttachmentDrafts],
+  );
+  const findPreviousVisibleMessage = useCallback((message, predicate) => {
+    const visibleMessages = branchViewRef.current?.messages ?? [];
+    const index = visibleMessages.findIndex(
+      (item) => getMessageKey(item) === getMessageKey(message),
+    );
+    for (let cursor = index - 1; cursor >= 0; cursor -= 1) {
+      if (!predicate || predicate(visibleMessages[cursor])) {
+        return visibleMessages[cursor];
+      }
+    }
+    return null;
+  }, []);
+  const resendAsBranch = useCallback(
+    async (content, anchor, options) => {
+      const previousState = branchStateRef.current;
+      const anchorKey = anchor ? getMessageKey(anchor) : null;
+      const siblings = branchViewRef.current?.children.get(anchorKey ?? BRANCH_ROOT) ?? [];
+      const state = awaitBranch(previousState, anchorKey, siblings.length);
+      updateBranchState(() => state);
+      stopSpeechPlayback();
+      const result = await sendChatMessage(content, { ...options, branch: true });
+      if (!result.success && branchStateRef.current === state) {
+        updateBranchState(() => previousState);
+      }
+      return result;
+    },
+    [sendChatMessage, stopSpeechPlayback, updateBranchState],
+  );
+  const handleRegenerateMessage = useCallback(
+    async (message) => {
+      const userMessage = findPreviousVisibleMessage(
+        message,
+        (item) => String(item?.role ?? "").toLowerCase() === "user",
+      );
+      if (!userMessage?.content) {
+        return;
+      }
+      await resendAsBranch(userMessage.content, userMessage, {
+        regenerate: true,
+        parentMessageId: getMessageId(userMessage),
+      });
+    },
+    [findPreviousVisibleMessage, resendAsBranch],
+  );
+  const handleStartEditMessage = useCallback((message) => {
+    setEditingMessage({
+      key: getMessageKey(message),
+      text: message?.content ?? "",
+    });
+  }, []);
+  const handleCancelEditMessage = useCallback(() => {
+    setEditingMessage({ key: null, text: "" });
+  }, []);
+  const handleSubmitEditMessage = useCallback(
+    async (message) => {
+      const text = editingMessage.text.trim();
+      if (!text) {
+        return;
+      }
+      if (text === (message?.content ?? "").trim()) {
+        setEditingMessage({ key: null, text: "" });
+        return;
+      }
+      const previous = findPreviousVisibleMessage(message);
+      setEditingMessage({ key: null, text: "" });
+      const result = await resendAsBranch(text, previous, {
+        attachments: message?.attachments ?? [],
+        editOf: getMessageId(message),
+        parentMessageId: previous ? getMessageId(previous) : null,
+      });
+      if (!result.success) {
+        setEditingMessage({ key: getMessageKey(message), text });
+      }
+    },
+    [editingMessage.text, findPreviousVisibleMessage, resendAsBranch],
+  );
+  const handleSelectBranch = useCallback(
+    (forkKey, variant) => {
+      const childKey = branchViewRef.current?.children.get(forkKey)?.[variant];
+      stopSpeechPlayback();
+      updateBranchState((state) => selectBranch(state, forkKey, childKey));
+    },
+    [stopSpeechPlayback, updateBranchState],
+  );
+  const handleExportConversation = useCallback(
+    async (format) => {
+      if (!agentId || !userId || exportStatus.loading) {
+        return;
+      }
+      setExportMenuOpen(false);
+      setExportStatus({ loading: true, error: null });
+      try {
+        const history = await fetchConversationHistory();
+        if (!history) {
+          setExportStatus({ loading: false, error: null });
+          return;
+        }
+        const view = resolveBranchView(
+          buildBranchNodes(history),
+          branchStateRef.current,
+        );
+        const conversation =
+          conversations.find((item) => item.id === conversationIdRef.current) ??
+          null;
+        const title =
+          conversation?.title || `${agent?.name ?? "Agent"} 对话记录`;
+        const transcript = {
+          title,
+          exportedAt: new Date().toISOString(),
+          agent: { id: agentId, name: agent?.name ?? "" },
+          conversation: conversation
+            ? { ...conversation }
+            : { id: conversationIdRef.current },
+          entries: history
+            .filter((message) => view.visible.has(getMessageKey(message)))
+            .map((message) => {
+              const role = String(message?.role ?? "assistant").toLowerCase();
+              const extras = message?.extrasParsed ?? {};
+              const { optimistic, resuming, ...record } = message;
+              return {
+                message: record,
+                role,
+                speaker:
+                  role === "user" ? userDisplayName : agent?.name ?? role,
+                content: message?.content ?? "",
+                timestamp: formatTimestamp(message?.created_at),
+                emotion: normalizeEmotionMeta(extras?.emotion),
+                tokenStats: formatTokenStats(message),
+                interrupted: Boolean(message?.interrupted || extras?.interrupted),
+              };
+            }),
+        };
+        if (format === "speech") {
+          const bundle = await buildSpeechBundle({
+            title,
+            exportedAt: transcript.exportedAt,
+            entries: transcript.entries,
+            baseUrl: API_BASE_URL,
+            local: localSpeechRef.current,
+          });
+          downloadBlob(buildTranscriptFileName(title, format), bundle);
+          setExportStatus({ loading: false, error: null });
+          return;
+        }
+        const content =
+          format === "markdown"
+            ? buildMarkdownTranscript(transcript)
+            : format === "html"
+              ? await buildHtmlTranscript(transcript)
+              : buildJsonTranscript(transcript);
+        downloadTranscript(buildTranscriptFileName(title, format), content, format);
+        setExportStatus({ loading: false, error: null });
+      } catch (error) {
+        console.error(error);
+        setExportStatus({
+          loading: false,
+          error: error?.message ?? "Failed to export conversation",
+        });
+      }
+    },
+    [
+      agentId,
+      userId,
+      agent?.name,
+      conversations,
+      exportStatus.loading,
+      fetchConversationHistory,
+      userDisplayName,
+    ],
+  );
+  const loadChatModels = useCallback(async () => {
+    setChatModelsStatus((prev) => ({ ...prev, loading: true, error: null }));
+    try {
+      const response = await fetch(`${API_BASE_URL}/llm/models`, {
+        method: "GET",
+        headers: deriveHeaders(),
+        credentials: "include",
+        cache: "no-store",
+      });
+      if (!response.ok) {
+        throw new Error(`AI 模型列表请求失败：${response.status}`);
+      }
+      const data = await response.json();
+      const list = sortChatModels(normalizeChatModels(data?.models));
+      setChatModels(list.length ? list : FALLBACK_CHAT_MODELS);
+      setChatModelsStatus({ loading: false, loaded: true, error: null });
+    } catch (error) {
+      console.error(error);
+      setChatModels(FALLBACK_CHAT_MODELS);
+      setChatModelsStatus({
+        loading: false,
+        loaded: true,
+        error: error?.message ?? "加载 AI 模型列表失败",
+      });
+    }
+  }, []);
+  useEffect(() => {
+    // The list drives both the replay picker and whether the active model
+    // accepts attachments, so it is loaded once the user is known.
+    if (userId && !chatModelsStatus.loaded && !chatModelsStatus.loading) {
+      loadChatModels();
+    }
+  }, [
+    userId,
+    chatModelsStatus.loaded,
+    chatModelsStatus.loading,
+    loadChatModels,
+  ]);
+  const handleImportTranscript = useCallback(
+    async ({ transcript, mode, model, title }) => {
+      if (!agentId || !userId || importStatus.loading || replayProgress) {
+        return;
+      }
+      setImportStatus({ loading: true, error: null });
+      const previousConversationId = conversationIdRef.current;
+      // Set while a context import is in flight; a failed import archives
+      // the conversation it created and returns to the previous one.
+      let pendingImportId = null;
+      try {
+        const conversation = await handleCreateConversation(
+          title,
+          model ? { model_provider: model.provider, model_name: model.name } : {},
+        );
+        if (!conversation) {
+          throw new Error("创建会话失败，请稍后重试。");
+        }
+        if (mode !== "replay") {
+          pendingImportId = conversation.id;
+          const response = await fetch(
+            `${API_BASE_URL}/agents/${agentId}/conversations/${conversation.id}/import`,
+            {
+              method: "POST",
+              headers: deriveHeaders({ "Content-Type": "application/json" }),
+              credentials: "include",
+              body: JSON.stringify({
+                user_id: Number(userId),
+                messages: transcript.messages,
+              }),
+            },
+          );
+          if (handleUnauthorizedResponse(response)) {
+            setImportStatus({ loading: false, error: null });
+            return;
+          }
+          if (!response.ok) {
+            throw new Error(`Transcript import failed with ${response.status}`);
+          }
+          pendingImportId = null;
+          await loadMessagesRef.current();
+          setImportStatus({ loading: false, error: null });
+          setImportDialogOpen(false);
+          return;
+        }
+        setImportStatus({ loading: false, error: null });
+        setImportDialogOpen(false);
+        const turns = transcript.messages.filter((item) => item.role === "user");
+        const replay = { cancelled: false };
+        replayRef.current = replay;
+        setReplayProgress({
+          done: 0,
+          total: turns.length,
+          model: model?.displayName ?? "",
+        });
+        for (let index = 0; index < turns.length; index += 1) {
+          if (replay.cancelled || conversationIdRef.current !== conversation.id) {
+            break;
+          }
+          const result = await sendChatMessage(turns[index].content, { model });
+          if (!result.success || result.interrupted) {
+            break;
+          }
+          setReplayProgress((prev) => (prev ? { ...prev, done: index + 1 } : prev));
+        }
+      } catch (error) {
+        console.error(error);
+        if (pendingImportId) {
+          await updateConversation(pendingImportId, { archived: true });
+          if (previousConversationId && previousConversationId !== pendingImportId) {
+            await handleSelectConversation(previousConversationId);
+          }
+        }
+        setImportStatus({
+          loading: false,
+          error: error?.message ?? "Failed to import transcript",
+        });
+      } finally {
+        replayRef.current = null;
+        setReplayProgress(null);
       }
     },
-    [inputValue, sendChatMessage],
+    [
+      agentId,
+      userId,
+      importStatus.loading,
+      replayProgress,
+      handleCreateConversation,
+      handleSelectConversation,
+      handleUnauthorizedResponse,
+      sendChatMessage,
+      updateConversation,
+    ],
   );
+  const handleCancelReplay = useCallback(() => {
+    if (replayRef.current) {
+      replayRef.current.cancelled = true;
+    }
+    handleStopGeneration();
+  }, [handleStopGeneration]);
   const handleVoiceToggle = useCallback(async () => {
     if (isListeningRef.current) {
-      stopRecognition();
       if (isPhoneMode) {
+        // Cleared now rather than on the next render so onend sends the
+        // turn instead of restarting recognition.
+        phoneVoiceLoopRef.current = false;
         setMicrophoneActive(false);
       }
+      stopRecognition();
       return;
     }
     const access = await ensureMicrophoneAccess();
@@ -3747,6 +5979,137 @@ export default function ChatPanel({
     startRecognition,
     stopRecognition,
   ]);
+  const pushToTalkAvailable = isPhoneMode
+    ? phoneCallActive
+    : Boolean(userId) && !isSending && !insufficientTokens;
+  const beginPushToTalk = useCallback(async () => {
+    if (pushToTalkHeldRef.current || !voiceSupported || !pushToTalkAvailable) {
+      return;
+    }
+    pushToTalkHeldRef.current = true;
+    setPushToTalkActive(true);
+    if (isPhoneMode) {
+      // Pressing to talk is an explicit barge-in.
+      interruptAgent();
+    }
+    const access = await ensureMicrophoneAccess();
+    if (!access.granted) {
+      pushToTalkHeldRef.current = false;
+      setPushToTalkActive(false);
+      const message =
+        access.reason === "unsupported"
+          ? MICROPHONE_UNSUPPORTED_ERROR
+          : MICROPHONE_PERMISSION_ERROR;
+      if (isPhoneMode) {
+        setPhoneCallError(message);
+      } else {
+        setSendError(message);
+      }
+      return;
+    }
+    if (!pushToTalkHeldRef.current) {
+      // Released while the permission prompt was open.
+      return;
+    }
+    pendingTranscriptsRef.current = [];
+    if (isPhoneMode) {
+      // The call's recognition effect starts listening.
+      phoneVoiceLoopRef.current = true;
+      setMicrophoneActive(true);
+    } else {
+      startRecognition();
+    }
+  }, [
+    ensureMicrophoneAccess,
+    interruptAgent,
+    isPhoneMode,
+    pushToTalkAvailable,
+    startRecognition,
+    voiceSupported,
+  ]);
+  const endPushToTalk = useCallback(() => {
+    if (!pushToTalkHeldRef.current) {
+      return;
+    }
+    pushToTalkHeldRef.current = false;
+    setPushToTalkActive(false);
+    if (isPhoneMode) {
+      phoneVoiceLoopRef.current = false;
+      setMicrophoneActive(false);
+    }
+    // Stopped directly: a quick tap can be released before onstart has
+    // marked recognition as listening. onend sends what was heard.
+    try {
+      recognitionRef.current?.stop();
+    } catch (error) {
+      console.warn("Speech recognition stop failed", error);
+    }
+  }, [isPhoneMode]);
+  useEffect(() => {
+    if (voiceInputMode !== "push-to-talk" || !voiceSupported) {
+      return undefined;
+    }
+    const key = voiceSettings.pushToTalkKey;
+    const handleKeyDown = (event) => {
+      // Only while focus is in the panel, so the key still scrolls the page
+      // and works in other widgets elsewhere.
+      if (
+        event.code !== key ||
+        !panelRef.current?.contains(event.target) ||
+        isPushToTalkExempt(event)
+      ) {
+        return;
+      }
+      event.preventDefault();
+      if (!event.repeat) {
+        beginPushToTalk();
+      }
+    };
+    const handleKeyUp = (event) => {
+      if (event.code !== key || !pushToTalkHeldRef.current) {
+        return;
+      }
+      event.preventDefault();
+      endPushToTalk();
+    };
+    // A key released while the window is unfocused never reports keyup.
+    const handleBlur = () => endPushToTalk();
+    window.addEventListener("keydown", handleKeyDown);
+    window.addEventListener("keyup", handleKeyUp);
+    window.addEventListener("blur", handleBlur);
+    return () => {
+      window.removeEventListener("keydown", handleKeyDown);
+      window.removeEventListener("keyup", handleKeyUp);
+      window.removeEventListener("blur", handleBlur);
+    };
+  }, [
+    beginPushToTalk,
+    endPushToTalk,
+    voiceInputMode,
+    voiceSettings.pushToTalkKey,
+    voiceSupported,
+  ]);
+  useEffect(() => {
+    if (voiceInputMode !== "push-to-talk") {
+      endPushToTalk();
+    }
+  }, [endPushToTalk, voiceInputMode]);
+  // Push-to-talk turns the mic buttons into hold-to-talk buttons; pointer
+  // events cover mouse, pen and touch alike.
+  const voiceButtonHandlers =
+    voiceInputMode === "push-to-talk"
+      ? {
+          "data-push-to-talk": true,
+          onPointerDown: (event) => {
+            event.preventDefault();
+            event.currentTarget.setPointerCapture?.(event.pointerId);
+            beginPushToTalk();
+          },
+          onPointerUp: endPushToTalk,
+          onPointerCancel: endPushToTalk,
+          onContextMenu: (event) => event.preventDefault(),
+        }
+      : { onClick: handleVoiceToggle };
   const handleReplaySpeech = useCallback(
     (message) => {
       setSpeechError(null);
@@ -3759,12 +6122,49 @@ export default function ChatPanel({
     },
     [registerSpeech],
   );
+  const handleSpeechRateChange = useCallback((rate) => {
+    const value = clampPlaybackRate(rate);
+    speechPlaybackRateRef.current = value;
+    setSpeechPlaybackRate(value);
+    applyPlaybackRate(currentSpeechRef.current?.audio, value);
+  }, []);
+  const handleDownloadSpeech = useCallback(
+    async (message) => {
+      const messageId = message?.id ?? message?.ID ?? null;
+      if (messageId == null || speechDownloadId !== null) {
+        return;
+      }
+      const key = String(messageId);
+      setSpeechDownloadId(key);
+      try {
+        const audio = await resolveSpeechAudio(message?.extrasParsed?.speech, {
+          baseUrl: API_BASE_URL,
+          local: localSpeechRef.current.get(key) ?? null,
+        });
+        if (!audio) {
+          throw new Error("该消息没有可下载的语音");
+        }
+        downloadBlob(
+          `speech-${key}.${resolveAudioExtension(audio.mimeType)}`,
+          audio.blob,
+        );
+      } catch (error) {
+        console.error(error);
+        setSpeechError(error?.message ?? "Failed to download speech");
+      } finally {
+        setSpeechDownloadId(null);
+      }
+    },
+    [speechDownloadId],
+  );
   const handleVoiceTranscript = useCallback(
     async (transcript) => {
+      const trimmed = typeof transcript === "string" ? transcript.trim() : "";
       if (!isPhoneMode) {
+        // Push-to-talk in chat: release sends; failures show as send errors.
+        await sendChatMessage(trimmed);
         return;
       }
-      const trimmed = typeof transcript === "string" ? transcript.trim() : "";
       setLastHeardText(trimmed);
       const result = await sendChatMessage(trimmed);
       if (!result.success) {
@@ -3781,9 +6181,13 @@ export default function ChatPanel({
       handleVoiceTranscriptRef.current = null;
     };
   }, [handleVoiceTranscript]);
+  useEffect(() => {
+    voiceInputModeRef.current = voiceInputMode;
+  }, [voiceInputMode]);
   useEffect(() => {
     phoneVoiceLoopRef.current =
       isPhoneMode && phoneCallActive && microphoneActive;
+    phoneCallActiveRef.current = isPhoneMode && phoneCallActive;
   }, [isPhoneMode, phoneCallActive, microphoneActive]);
   useEffect(() => {
     if (!isPhoneMode) {
@@ -3820,6 +6224,87 @@ export default function ChatPanel({
     startRecognition,
     stopRecognition,
   ]);
+  useEffect(() => {
+    const stored = readVoiceSettings();
+    voiceSettingsRef.current = stored;
+    setVoiceSettings(stored);
+  }, []);
+  const updateVoiceSettings = useCallback((patch) => {
+    const next = normalizeVoiceSettings({ ...voiceSettingsRef.current, ...patch });
+    voiceSettingsRef.current = next;
+    setVoiceSettings(next);
+    writeVoiceSettings(next);
+    voiceActivityRef.current?.configure({
+      thresholdDb: next.vadThresholdDb,
+      hangoverMs: next.vadHangoverMs,
+    });
+  }, []);
+  useEffect(() => {
+    if (
+      !isPhoneMode ||
+      !phoneCallActive ||
+      !microphoneActive ||
+      !VoiceActivityDetector.isSupported()
+    ) {
+      return undefined;
+    }
+    let cancelled = false;
+    let detector = null;
+    acquireMicrophoneStream()
+      .then((stream) => {
+        if (cancelled) {
+          return undefined;
+        }
+        detector = new VoiceActivityDetector(stream, {
+          thresholdDb: voiceSettingsRef.current.vadThresholdDb,
+          hangoverMs: voiceSettingsRef.current.vadHangoverMs,
+          onSpeechStart: () => {
+            utteranceSpeechRef.current = true;
+            setUserSpeaking(true);
+            // The caller talking over the agent cuts it off, and the
+            // recognition session already running captures what they say.
+            interruptAgent();
+          },
+          // Hands-free, ending the recognition session finalizes its
+          // results; onend hands the collected utterance to
+          // handleVoiceTranscript.
+          onSpeechEnd: () => {
+            setUserSpeaking(false);
+            if (voiceInputModeRef.current === "always-on" && isListeningRef.current) {
+              stopRecognition();
+            }
+          },
+          onLevel: ({ level }) => {
+            const meter = inputLevelMeterRef.current;
+            if (meter) {
+              meter.style.width = `${Math.round(level * 100)}%`;
+            }
+          },
+        });
+        voiceActivityRef.current = detector;
+        return detector.start();
+      })
+      .catch((error) => {
+        console.warn("Voice activity detection unavailable", error);
+      });
+    return () => {
+      cancelled = true;
+      detector?.stop();
+      if (voiceActivityRef.current === detector) {
+        voiceActivityRef.current = null;
+      }
+      utteranceSpeechRef.current = false;
+      pendingTranscriptsRef.current = [];
+      setUserSpeaking(false);
+    };
+  }, [
+    acquireMicrophoneStream,
+    interruptAgent,
+    isPhoneMode,
+    microphoneActive,
+    phoneCallActive,
+    stopRecognition,
+  ]);
   useEffect(() => {
     if (!isPhoneMode || !phoneCallActive || !callStartedAt) {
       if (!phoneCallActive) {
@@ -3836,6 +6321,21 @@ export default function ChatPanel({
     const timer = window.setInterval(tick, 1000);
     return () => window.clearInterval(timer);
   }, [isPhoneMode, phoneCallActive, callStartedAt]);
+  const startCallRecording = useCallback(async () => {
+    const ctx = CallRecorder.isSupported() ? ensureAudioContext() : null;
+    if (!ctx) {
+      return null;
+    }
+    try {
+      const recorder = new CallRecorder(ctx);
+      recorder.start(await acquireMicrophoneStream());
+      return recorder;
+    } catch (error) {
+      console.warn("Call recording failed to start", error);
+      return null;
+    }
+  }, [acquireMicrophoneStream, ensureAudioContext]);
+  useEffect(() => () => callRecorderRef.current?.cancel(), []);
   const startPhoneCall = useCallback(async () => {
     if (!isPhoneMode || phoneCallActive) {
       return;
@@ -3854,30 +6354,99 @@ export default function ChatPanel({
       setMicrophoneActive(false);
       return;
     }
+    // Only hands-free calls listen from the start; otherwise the microphone
+    // waits for the toggle or the push-to-talk key.
+    const handsFree = voiceInputMode === "always-on";
     setPhoneCallError(null);
-    setMicrophoneActive(true);
+    setCallSummary(null);
+    setMicrophoneActive(handsFree);
     setCallDurationSeconds(0);
     setCallStartedAt(Date.now());
     setPhoneCallActive(true);
-    phoneVoiceLoopRef.current = true;
-    const started = startRecognition();
+    phoneCallActiveRef.current = true;
+    phoneVoiceLoopRef.current = handsFree;
+    const started = handsFree ? startRecognition() : true;
     if (!started) {
       setPhoneCallError(MICROPHONE_PERMISSION_ERROR);
       setPhoneCallActive(false);
+      phoneCallActiveRef.current = false;
       phoneVoiceLoopRef.current = false;
       setCallStartedAt(null);
+      return;
+    }
+    const baseline = {
+      messageKeys: new Set(messagesRef.current.map(getMessageKey)),
+      tokenBalance,
+      recordingRequested: voiceSettings.recordCalls,
+    };
+    callBaselineRef.current = baseline;
+    if (voiceSettings.recordCalls) {
+      const recorder = await startCallRecording();
+      if (callBaselineRef.current === baseline) {
+        callRecorderRef.current = recorder;
+      } else {
+        // Hung up while the recording was starting.
+        recorder?.cancel();
+      }
     }
   }, [
     ensureMicrophoneAccess,
     isPhoneMode,
     phoneCallActive,
+    startCallRecording,
     startRecognition,
+    tokenBalance,
+    voiceInputMode,
+    voiceSettings.recordCalls,
     voiceSupported,
   ]);
   const stopPhoneCall = useCallback(() => {
     if (!phoneCallActive) {
       return;
     }
+    const baseline = callBaselineRef.current;
+    const recorder = callRecorderRef.current;
+    callBaselineRef.current = null;
+    callRecorderRef.current = null;
+    // Turns are the messages that appeared during the call; replies still
+    // generating at hang-up aren't counted.
+    const callMessages = messagesRef.current.filter(
+      (message) => !baseline?.messageKeys.has(getMessageKey(message)),
+    );
+    const countRole = (role) =>
+      callMessages.filter(
+        (message) => String(message?.role ?? "").toLowerCase() === role,
+      ).length;
+    const endedAt = Date.now();
+    setCallSummary({
+      endedAt,
+      durationSeconds: callDurationSeconds,
+      userTurns: countRole("user"),
+      agentTurns: countRole("assistant"),
+      tokensSpent:
+        baseline?.tokenBalance != null && tokenBalance != null
+          ? Math.max(0, baseline.tokenBalance - tokenBalance)
+          : null,
+      recording: null,
+      recordingStatus: recorder
+        ? "processing"
+        : baseline?.recordingRequested
+          ? "unavailable"
+          : "off",
+    });
+    recorder
+      ?.stop()
+      .then((recording) => {
+        setCallSummary((prev) =>
+          prev?.endedAt === endedAt
+            ? {
+                ...prev,
+                recording,
+                recordingStatus: recording ? "ready" : "unavailable",
+              }
+            : prev,
+        );
+      });
     setPhoneCallActive(false);
     phoneVoiceLoopRef.current = false;
     setCallStartedAt(null);
@@ -3886,15 +6455,59 @@ export default function ChatPanel({
     setPhoneCallError(null);
     setMicrophoneActive(true);
     stopRecognition();
+    releaseMicrophoneStream();
     stopSpeechPlayback();
-  }, [phoneCallActive, stopRecognition, stopSpeechPlayback]);
-  const orderedMessages = useMemo(() => {
-    return [...messages].sort((a, b) => {
-      const aTime = new Date(a?.created_at ?? 0).getTime();
-      const bTime = new Date(b?.created_at ?? 0).getTime();
-      return aTime - bTime;
+  }, [
+    callDurationSeconds,
+    phoneCallActive,
+    releaseMicrophoneStream,
+    stopRecognition,
+    stopSpeechPlayback,
+    tokenBalance,
+  ]);
+  const handleDownloadCallRecording = useCallback(() => {
+    const recording = callSummary?.recording;
+    if (!recording) {
+      return;
+    }
+    const stamp = new Date(callSummary.endedAt)
+      .toISOString()
+      .replace(/[-:]/g, "")
+      .replace(/\..*$/, "")
+      .replace("T", "-");
+    downloadBlob(
+      `call-${stamp}.${resolveAudioExtension(recording.mimeType)}`,
+      recording.blob,
+    );
+  }, [callSummary]);
+  const orderedMessages = useMemo(() => sortMessagesByTime(messages), [messages]);
+  const branchView = useMemo(
+    () => buildBranchView(orderedMessages, branchState),
+    [orderedMessages, branchState],
+  );
+  useEffect(() => {
+    branchViewRef.current = branchView;
+  }, [branchView]);
+  useEffect(() => {
+    const key = pendingRevealKeyRef.current;
+    if (!key || !branchView.visible.has(key)) {
+      return undefined;
+    }
+    // Scroll twice: the first pass renders the row, the second corrects for
+    // its measured height.
+    let frameId = window.requestAnimationFrame(() => {
+      messageListRef.current?.scrollToKey(key);
+      frameId = window.requestAnimationFrame(() => {
+        pendingRevealKeyRef.current = null;
+        messageListRef.current?.scrollToKey(key);
+      });
     });
-  }, [messages]);
+    return () => window.cancelAnimationFrame(frameId);
+  }, [branchView, highlightedMessageKey]);
+  const activeConversationCount = useMemo(
+    () => conversations.filter((item) => !item.archived).length,
+    [conversations],
+  );
   const emptyState =
     !messagesStatus.loading &&
     !conversationStatus.loading &&
@@ -3908,8 +6521,312 @@ export default function ChatPanel({
   const availableEmotions = Array.isArray(selectedVoiceOption?.emotions)
     ? selectedVoiceOption.emotions
     : [];
+  const renderMessage = (message) => {
+    const role = message?.role ?? "assistant";
+    const isUser = role.toLowerCase() === "user";
+    const bubbleClasses = isUser
+      ? "bg-blue-500 text-white"
+      : "bg-gray-100 text-gray-900";
+    const messageId = getMessageId(message);
+    const isSpeaking =
+      activeSpeechId != null &&
+      messageId != null &&
+      activeSpeechId === messageId;
+    const messageExtras = message?.extrasParsed ?? {};
+    const speech = messageExtras?.speech;
+    const emotionMeta = normalizeEmotionMeta(
+      messageExtras?.emotion,
+    );
+    const timestamp = formatTimestamp(message?.created_at);
+    const tokenStats = formatTokenStats(message);
+    const speechStatusRaw =
+      messageExtras?.speech_status ??
+      messageExtras?.speechStatus ??
+      "";
+    const normalizedSpeechStatus =
+      typeof speechStatusRaw === "string"
+        ? speechStatusRaw.toLowerCase()
+        : "";
+    const speechReady = hasSpeechAudioSource(speech);
+    const shouldDelayAssistantContent =
+      !isUser &&
+      !speechReady &&
+      (normalizedSpeechStatus === "pending" ||
+        normalizedSpeechStatus === "streaming");
+    const baseContent = message?.content ?? "";
+    const isInterrupted = Boolean(
+      message?.interrupted || messageExtras?.interrupted,
+    );
+    const displayContent =
+      shouldDelayAssistantContent && !baseContent?.length
+        ? "请稍后..."
+        : isInterrupted && !baseContent?.length
+          ? "（已停止生成）"
+          : baseContent;
+    const messageKey = getMessageKey(message);
+    const branchSwitcher = branchView.switchers.get(messageKey) ?? null;
+    const branchActionsDisabled = isSending || isGenerating || historyDetached;
+    const ringClass = isSpeaking
+      ? "ring-2 ring-blue-400"
+      : highlightedMessageKey === messageKey
+        ? "ring-2 ring-amber-400"
+        : "";
+    const canResend = !message?.optimistic && messageId != null;
+    const isEditing = isUser && editingMessage.key === messageKey;
+    const branchControls =
+      branchSwitcher || canResend ? (
+        <div
+          className={`mt-1 flex items-center gap-2 text-[11px] text-gray-400 ${isUser ? "justify-end" : ""}`}
+        >
+          {branchSwitcher ? (
+            <span className="flex items-center gap-1">
+              <button
+                type="button"
+                onClick={() =>
+                  handleSelectBranch(
+                    branchSwitcher.fork,
+                    branchSwitcher.index - 1,
+                  )
+                }
+                disabled={branchActionsDisabled || branchSwitcher.index === 0}
+                className="px-1 transition hover:text-blue-500 disabled:cursor-not-allowed disabled:text-gray-300"
+                aria-label="上一个版本"
+              >
+                &lt;
+              </button>
+              <span>
+                {branchSwitcher.index + 1}/{branchSwitcher.count}
+              </span>
+              <button
+                type="button"
+                onClick={() =>
+                  handleSelectBranch(
+                    branchSwitcher.fork,
+                    branchSwitcher.index + 1,
+                  )
+                }
+                disabled={
+                  branchActionsDisabled ||
+                  branchSwitcher.index >= branchSwitcher.count - 1
+                }
+                className="px-1 transition hover:text-blue-500 disabled:cursor-not-allowed disabled:text-gray-300"
+                aria-label="下一个版本"
+              >
+                &gt;
+              </button>
+            </span>
+          ) : null}
+          {canResend && !isEditing ? (
+            <button
+              type="button"
+              onClick={() =>
+                isUser
+                  ? handleStartEditMessage(message)
+                  : handleRegenerateMessage(message)
+              }
+              disabled={branchActionsDisabled || insufficientTokens}
+              className="transition hover:text-blue-500 disabled:cursor-not-allowed disabled:text-gray-300"
+            >
+              {isUser ? "编辑" : "↻ 重新生成"}
+            </button>
+          ) : null}
+        </div>
+      ) : null;
+    return (
+      <div
+        className={`flex items-start gap-3 ${isUser ? "justify-end" : ""}`}
+      >
+        {!isUser ? (
+          agentAvatar ? (
+            <img
+              src={agentAvatar}
+              alt={agentAltText}
+              className="mt-1 h-8 w-8 rounded-full object-cover shadow"
+            />
+          ) : (
+            <div className="mt-1 flex h-8 w-8 items-center justify-center rounded-full bg-gray-200 text-xs font-medium text-gray-600">
+              {agentInitial}
+            </div>
+          )
+        ) : null}
+        {isUser ? (
+          <div className="flex max-w-[80%] items-start gap-3">
+            <div className="flex max-w-full flex-col items-end">
+              <MessageAttachments
+                attachments={message?.attachments ?? []}
+                align="end"
+              />
+              {isEditing ? (
+                <form
+                  onSubmit={(event) => {
+                    event.preventDefault();
+                    handleSubmitEditMessage(message);
+                  }}
+                  className="flex w-72 max-w-full flex-col gap-2 rounded-2xl border border-blue-200 bg-white p-3 shadow"
+                >
+                  <textarea
+                    value={editingMessage.text}
+                    onChange={(event) =>
+                      setEditingMessage((prev) => ({
+                        ...prev,
+                        text: event.target.value,
+                      }))
+                    }
+                    onKeyDown={(event) => {
+                      if (event.key === "Escape") {
+                        handleCancelEditMessage();
+                      }
+                    }}
+                    rows={3}
+                    autoFocus
+                    className="w-full resize-none rounded-xl border border-gray-200 px-3 py-2 text-sm text-gray-900 focus:border-blue-400 focus:outline-none"
+                  />
+                  <div className="flex justify-end gap-2 text-xs">
+                    <button
+                      type="button"
+                      onClick={handleCancelEditMessage}
+                      className="rounded-full border border-gray-200 px-3 py-1 text-gray-600 transition hover:border-gray-300"
+                    >
+                      取消
+                    </button>
+                    <button
+                      type="submit"
+                      disabled={
+                        branchActionsDisabled || !editingMessage.text.trim()
+                      }
+                      className="rounded-full bg-blue-500 px-3 py-1 font-medium text-white transition hover:bg-blue-600 disabled:cursor-not-allowed disabled:bg-blue-300"
+                    >
+                      保存并发送
+                    </button>
+                  </div>
+                </form>
+              ) : displayContent || !message?.attachments?.length ? (
+                <div
+                  className={`rounded-2xl px-4 py-3 text-sm leading-relaxed shadow transition ${bubbleClasses} ${ringClass}`}
+                >
+                  <ReactMarkdown
+                    remarkPlugins={markdownRemarkPlugins}
+                    rehypePlugins={markdownRehypePlugins}
+                    components={MARKDOWN_COMPONENTS}
+                  >
+                    {displayContent || ""}
+                  </ReactMarkdown>
+                </div>
+              ) : null}
+              <span className="mt-1 text-xs text-right text-gray-400">
+                {userDisplayName}
+                {timestamp ? ` - ${timestamp}` : ""}
+                {message?.optimistic ? " - Sending" : ""}
+                {message?.err_msg ? ` | ${message.err_msg}` : ""}
+                {tokenStats ? ` | ${tokenStats}` : ""}
+              </span>
+              {branchControls}
+            </div>
+            <div className="mt-1 flex flex-col items-center gap-1">
+              {userAvatar ? (
+                <img
+                  src={userAvatar}
+                  alt={`${userDisplayName} avatar`}
+                  className="h-8 w-8 rounded-full object-cover shadow"
+                />
+              ) : (
+                <div className="flex h-8 w-8 items-center justify-center rounded-full bg-blue-500 text-xs font-medium text-white shadow">
+                  {userInitial}
+                </div>
+              )}
+              <span className="text-[11px] text-gray-500">
+                {userDisplayName}
+              </span>
+            </div>
+          </div>
+        ) : (
+          <div className="flex max-w-[80%] flex-col items-start">
+            <div
+              className={`rounded-2xl px-4 py-3 text-sm leading-relaxed shadow transition ${bubbleClasses} ${ringClass}`}
+            >
+              {isSpeaking && activeSpeechAudio ? (
+                <SpeechKaraokeText
+                  content={displayContent || ""}
+                  audio={activeSpeechAudio}
+                  boundaries={
+                    speech?.boundaries ??
+                    speech?.word_boundaries ??
+                    speech?.sentence_boundaries ??
+                    null
+                  }
+                  remarkPlugins={markdownRemarkPlugins}
+                  rehypePlugins={markdownRehypePlugins}
+                  components={MARKDOWN_COMPONENTS}
+                />
+              ) : (
+                <ReactMarkdown
+                  remarkPlugins={markdownRemarkPlugins}
+                  rehypePlugins={markdownRehypePlugins}
+                  components={MARKDOWN_COMPONENTS}
+                >
+                  {displayContent || ""}
+                </ReactMarkdown>
+              )}
+            </div>
+            <span className="mt-1 text-xs text-left text-gray-400">
+              {agent?.name ?? role}
+              {timestamp ? ` - ${timestamp}` : ""}
+              {message?.optimistic ? " - Sending" : ""}
+              {message?.err_msg ? ` | ${message.err_msg}` : ""}
+              {tokenStats ? ` | ${tokenStats}` : ""}
+              {isInterrupted ? " • 已中断" : ""}
+              {message?.resuming ? " • 连接中断，正在恢复..." : ""}
+              {isSpeaking ? " • Speaking" : ""}
+            </span>
+            {branchControls}
+            {speech ? (
+              <div className="mt-2 flex flex-wrap items-center gap-3 text-[11px] text-gray-500">
+                <SpeechMiniPlayer
+                  audio={isSpeaking ? activeSpeechAudio : null}
+                  waveform={speechWaveforms[String(messageId)] ?? null}
+                  playbackRate={speechPlaybackRate}
+                  disabled={messageId == null}
+                  onPlay={() => handleReplaySpeech(message)}
+                  onStop={stopSpeechPlayback}
+                  onRateChange={handleSpeechRateChange}
+                  onDownload={
+                    hasSpeechAudioSource(speech) ||
+                    localSpeechRef.current.has(String(messageId))
+                      ? () => handleDownloadSpeech(message)
+                      : undefined
+                  }
+                  downloading={speechDownloadId === String(messageId)}
+                />
+                {speech?.voice_id ? (
+                  <span>音色: {speech.voice_id}</span>
+                ) : null}
+                {emotionMeta?.display_label ||
+                emotionMeta?.label ? (
+                  <span>
+                    情绪:{" "}
+                    {emotionMeta?.display_label ??
+                      emotionMeta?.label}
+                    {typeof emotionMeta?.intensity === "number"
+                      ? ` (${emotionMeta.intensity.toFixed(2)})`
+                      : ""}
+                  </span>
+                ) : null}
+                {speech?.provider ? (
+                  <span>来源: {speech.provider}</span>
+                ) : null}
+              </div>
+            ) : null}
+          </div>
+        )}
+      </div>
+    );
+  };
   return (
-    <section className="flex h-full w-full max-h-[85vh] sm:min-h-[480px] lg:max-h-[720px] flex-col overflow-hidden rounded-3xl border border-white/30 bg-white/70 shadow-xl backdrop-blur">
+    <section
+      ref={panelRef}
+      tabIndex={-1}
+      className="flex h-full w-full max-h-[85vh] sm:min-h-[480px] lg:max-h-[720px] flex-col overflow-hidden rounded-3xl border border-white/30 bg-white/70 shadow-xl backdrop-blur focus:outline-none"
+    >
       <header className="flex items-start justify-between gap-3 border-b border-white/40 bg-white/80 p-4">
         <div className="flex items-center gap-3">
           {agentAvatar ? (
@@ -3997,6 +6914,73 @@ export default function ChatPanel({
           >
             购买Token
           </Link>
+          {!isPhoneMode ? (
+            <button
+              type="button"
+              onClick={() => setConversationSidebarOpen((prev) => !prev)}
+              className={`rounded-full border px-4 py-2 text-xs font-medium transition ${conversationSidebarOpen ? "border-blue-400 text-blue-600" : "border-gray-200 text-gray-600 hover:border-blue-400 hover:text-blue-500"}`}
+            >
+              会话
+              {activeConversationCount > 0 ? ` (${activeConversationCount})` : ""}
+            </button>
+          ) : null}
+          {!isPhoneMode ? (
+            <button
+              type="button"
+              onClick={() => setSearchOpen((prev) => !prev)}
+              disabled={!userId}
+              className={`rounded-full border px-4 py-2 text-xs font-medium transition disabled:cursor-not-allowed disabled:text-gray-300 ${searchOpen ? "border-blue-400 text-blue-600" : "border-gray-200 text-gray-600 hover:border-blue-400 hover:text-blue-500"}`}
+            >
+              搜索
+            </button>
+          ) : null}
+          {!isPhoneMode ? (
+            <div className="relative">
+              <button
+                type="button"
+                onClick={() => setExportMenuOpen((prev) => !prev)}
+                disabled={exportStatus.loading || !userId || emptyState}
+                className="rounded-full border border-gray-200 px-4 py-2 text-xs font-medium text-gray-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:text-gray-300"
+              >
+                {exportStatus.loading ? "导出中..." : "导出"}
+              </button>
+              {exportMenuOpen ? (
+                <div className="absolute right-0 z-20 mt-2 w-36 overflow-hidden rounded-xl border border-gray-200 bg-white text-left shadow-lg">
+                  {[
+                    ["markdown", "Markdown (.md)"],
+                    ["json", "JSON (.json)"],
+                    ["html", "HTML (.html)"],
+                    ["speech", "语音包 (.zip)"],
+                  ].map(([format, label]) => (
+                    <button
+                      key={format}
+                      type="button"
+                      onClick={() => handleExportConversation(format)}
+                      className="block w-full px-4 py-2 text-left text-xs text-gray-600 transition hover:bg-blue-50 hover:text-blue-600"
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              ) : null}
+            </div>
+          ) : null}
+          {!isPhoneMode ? (
+            <button
+              type="button"
+              onClick={() => {
+                setImportStatus({ loading: false, error: null });
+                setImportDialogOpen(true);
+              }}
+              disabled={!userId || Boolean(replayProgress)}
+              className="rounded-full border border-gray-200 px-4 py-2 text-xs font-medium text-gray-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:text-gray-300"
+            >
+              导入
+            </button>
+          ) : null}
+          {exportStatus.error ? (
+            <span className="text-red-500">{exportStatus.error}</span>
+          ) : null}
           {!isPhoneMode ? (
             <Link
               href={`/smart/${agentId ?? ""}/phone`}
@@ -4117,362 +7101,513 @@ export default function ChatPanel({
           </div>
         </div>
       ) : null}
-      <div className="flex flex-1 min-h-0 flex-col overflow-hidden">
-        <div className="flex-1 min-h-0 overflow-y-auto px-4 py-3">
-          {profileStatus.error && (
-            <div className="mb-3 rounded-xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-600">
-              {profileStatus.error}
-            </div>
-          )}
-          {conversationStatus.error && (
-            <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
-              {conversationStatus.error}
-            </div>
-          )}
-          {messagesStatus.error && (
-            <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
-              {messagesStatus.error}
-            </div>
-          )}
-          {sendError && (
-            <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
-              {sendError}
-            </div>
-          )}
-          {clearStatus.error && (
-            <div className="mb-3 rounded-xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-600">
-              {clearStatus.error}
-            </div>
-          )}
-          {clearStatus.success && (
-            <div className="mb-3 rounded-xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-600">
-              Chat history cleared. A fresh conversation has started.
-            </div>
-          )}
-          {speechError && !voiceStatus.enabled ? (
-            <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
-              {speechError}
+      <div className="flex flex-1 min-h-0 overflow-hidden">
+        {!isPhoneMode && conversationSidebarOpen ? (
+          <ConversationSidebar
+            conversations={conversations}
+            activeConversationId={conversationId}
+            status={conversationsStatus}
+            disabled={isSending || !userId}
+            onSelect={handleSelectConversation}
+            onCreate={handleCreateConversation}
+            onRename={handleRenameConversation}
+            onArchive={handleArchiveConversation}
+            className="w-48 shrink-0"
+          />
+        ) : null}
+        <div className="flex flex-1 min-h-0 min-w-0 flex-col overflow-hidden">
+          {replayProgress ? (
+            <div className="flex items-center justify-between gap-3 border-b border-blue-100 bg-blue-50 px-4 py-2 text-xs text-blue-700">
+              <span>
+                正在重放对话{replayProgress.model ? `（${replayProgress.model}）` : ""}：
+                {replayProgress.done}/{replayProgress.total}
+              </span>
+              <button
+                type="button"
+                onClick={handleCancelReplay}
+                className="rounded-full border border-blue-200 px-3 py-1 text-[11px] text-blue-600 transition hover:border-red-300 hover:text-red-500"
+              >
+                停止重放
+              </button>
             </div>
           ) : null}
-          {emptyState ? (
-            <div className="flex h-full items-center justify-center text-sm text-gray-500">
-              No messages yet. Start the conversation whenever you are ready.
+          {historyDetached ? (
+            <div className="flex items-center justify-between gap-3 border-b border-amber-100 bg-amber-50 px-4 py-2 text-xs text-amber-700">
+              <span>正在查看较早的消息</span>
+              <button
+                type="button"
+                onClick={handleReturnToLatest}
+                disabled={messagesStatus.loading}
+                className="rounded-full border border-amber-200 px-3 py-1 text-[11px] text-amber-700 transition hover:border-amber-400 disabled:cursor-not-allowed disabled:text-amber-300"
+              >
+                回到最新消息
+              </button>
             </div>
-          ) : (
-            <ul className="space-y-3">
-              {orderedMessages.map((message) => {
-                const role = message?.role ?? "assistant";
-                const isUser = role.toLowerCase() === "user";
-                const bubbleClasses = isUser
-                  ? "bg-blue-500 text-white"
-                  : "bg-gray-100 text-gray-900";
-                const messageId = getMessageId(message);
-                const isSpeaking =
-                  activeSpeechId != null &&
-                  messageId != null &&
-                  activeSpeechId === messageId;
-                const messageExtras = message?.extrasParsed ?? {};
-                const speech = messageExtras?.speech;
-                const emotionMeta = normalizeEmotionMeta(
-                  messageExtras?.emotion,
-                );
-                const timestamp = formatTimestamp(message?.created_at);
-                const tokenStats = formatTokenStats(message);
-                const speechStatusRaw =
-                  messageExtras?.speech_status ??
-                  messageExtras?.speechStatus ??
-                  "";
-                const normalizedSpeechStatus =
-                  typeof speechStatusRaw === "string"
-                    ? speechStatusRaw.toLowerCase()
-                    : "";
-                const speechReady = hasSpeechAudioSource(speech);
-                const shouldDelayAssistantContent =
-                  !isUser &&
-                  !speechReady &&
-                  (normalizedSpeechStatus === "pending" ||
-                    normalizedSpeechStatus === "streaming");
-                const baseContent = message?.content ?? "";
-                const displayContent =
-                  shouldDelayAssistantContent && !baseContent?.length
-                    ? "请稍后..."
-                    : baseContent;
-                return (
-                  <li
-                    key={getMessageKey(message)}
-                    className={`flex items-start gap-3 ${isUser ? "justify-end" : ""}`}
-                  >
-                    {!isUser ? (
-                      agentAvatar ? (
-                        <img
-                          src={agentAvatar}
-                          alt={agentAltText}
-                          className="mt-1 h-8 w-8 rounded-full object-cover shadow"
-                        />
-                      ) : (
-                        <div className="mt-1 flex h-8 w-8 items-center justify-center rounded-full bg-gray-200 text-xs font-medium text-gray-600">
-                          {agentInitial}
-                        </div>
-                      )
-                    ) : null}
-                    {isUser ? (
-                      <div className="flex max-w-[80%] items-start gap-3">
-                        <div className="flex max-w-full flex-col items-end">
-                          <div
-                            className={`rounded-2xl px-4 py-3 text-sm leading-relaxed shadow ${bubbleClasses} ${isSpeaking ? "ring-2 ring-blue-400" : ""}`}
-                          >
-                            <ReactMarkdown
-                              remarkPlugins={markdownRemarkPlugins}
-                              rehypePlugins={markdownRehypePlugins}
-                              components={MARKDOWN_COMPONENTS}
-                            >
-                              {displayContent || ""}
-                            </ReactMarkdown>
-                          </div>
-                          <span className="mt-1 text-xs text-right text-gray-400">
-                            {userDisplayName}
-                            {timestamp ? ` - ${timestamp}` : ""}
-                            {message?.optimistic ? " - Sending" : ""}
-                            {message?.err_msg ? ` | ${message.err_msg}` : ""}
-                            {tokenStats ? ` | ${tokenStats}` : ""}
-                          </span>
-                        </div>
-                        <div className="mt-1 flex flex-col items-center gap-1">
-                          {userAvatar ? (
-                            <img
-                              src={userAvatar}
-                              alt={`${userDisplayName} avatar`}
-                              className="h-8 w-8 rounded-full object-cover shadow"
-                            />
-                          ) : (
-                            <div className="flex h-8 w-8 items-center justify-center rounded-full bg-blue-500 text-xs font-medium text-white shadow">
-                              {userInitial}
-                            </div>
-                          )}
-                          <span className="text-[11px] text-gray-500">
-                            {userDisplayName}
-                          </span>
-                        </div>
-                      </div>
-                    ) : (
-                      <div className="flex max-w-[80%] flex-col items-start">
-                        <div
-                          className={`rounded-2xl px-4 py-3 text-sm leading-relaxed shadow ${bubbleClasses} ${isSpeaking ? "ring-2 ring-blue-400" : ""}`}
-                        >
-                          <ReactMarkdown
-                            remarkPlugins={markdownRemarkPlugins}
-                            rehypePlugins={markdownRehypePlugins}
-                            components={MARKDOWN_COMPONENTS}
-                          >
-                            {displayContent || ""}
-                          </ReactMarkdown>
-                        </div>
-                        <span className="mt-1 text-xs text-left text-gray-400">
-                          {agent?.name ?? role}
-                          {timestamp ? ` - ${timestamp}` : ""}
-                          {message?.optimistic ? " - Sending" : ""}
-                          {message?.err_msg ? ` | ${message.err_msg}` : ""}
-                          {tokenStats ? ` | ${tokenStats}` : ""}
-                          {isSpeaking ? " • Speaking" : ""}
-                        </span>
-                        {speech ? (
-                          <div className="mt-2 flex flex-wrap items-center gap-3 text-[11px] text-gray-500">
-                            <button
-                              onClick={() => handleReplaySpeech(message)}
-                              className="flex items-center gap-1 rounded-full border border-gray-200 px-3 py-1 text-[11px] text-gray-600 transition hover:border-blue-400 hover:text-blue-500"
-                              type="button"
-                            >
-                              ▶ 重播语音
-                            </button>
-                            <button
-                              onClick={stopSpeechPlayback}
-                              disabled={messageId == null || activeSpeechId !== messageId}
-                              className="flex items-center gap-1 rounded-full border border-gray-200 px-3 py-1 text-[11px] text-gray-600 transition hover-border-red-400 hover:text-red-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
-                              type="button"
-                            >
-                              ■ 停播语音
-                            </button>
-                            {speech?.voice_id ? (
-                              <span>音色: {speech.voice_id}</span>
-                            ) : null}
-                            {emotionMeta?.display_label ||
-                            emotionMeta?.label ? (
-                              <span>
-                                情绪:{" "}
-                                {emotionMeta?.display_label ??
-                                  emotionMeta?.label}
-                                {typeof emotionMeta?.intensity === "number"
-                                  ? ` (${emotionMeta.intensity.toFixed(2)})`
-                                  : ""}
-                              </span>
-                            ) : null}
-                            {speech?.provider ? (
-                              <span>来源: {speech.provider}</span>
-                            ) : null}
-                          </div>
-                        ) : null}
-                      </div>
-                    )}
-                  </li>
-                );
-              })}
-            </ul>
-          )}
-        </div>
-        {isPhoneMode ? (
-          <div className="border-t border-white/40 bg-white/80 p-4">
-            <div className="flex flex-col gap-3">
-              <div className="flex flex-wrap items-center gap-2">
-                <button
-                  onClick={phoneCallActive ? stopPhoneCall : startPhoneCall}
-                  className={`rounded-full px-5 py-2 text-sm font-medium text-white shadow transition ${phoneCallActive ? "bg-red-500 hover:bg-red-600" : "bg-blue-500 hover:bg-blue-600"}`}
-                >
-                  {phoneCallActive ? "挂断" : "开始通话"}
-                </button>
-                <button
-                  onClick={handleVoiceToggle}
-                  disabled={
-                    !voiceSupported ||
-                    !phoneCallActive ||
-                    isSending
-                  }
-                  className="flex items-center gap-2 rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
-                >
-                  <span>
-                    {voiceSupported
-                      ? microphoneActive
-                        ? isListening
-                          ? "暂停识别"
-                          : "恢复识别"
-                        : "恢复识别"
-                      : "语音不可用"}
-                  </span>
-                  <span
-                    className={`h-2.5 w-2.5 rounded-full ${isListening ? "bg-green-500" : "bg-gray-300"}`}
-                    aria-hidden
-                  />
-                </button>
-                <button
-                  onClick={handleClearConversation}
-                  disabled={clearStatus.loading || !userId}
-                  className="rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-red-400 hover:text-red-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
-                >
-                  {clearStatus.loading ? "清空中..." : "清空记录"}
-                </button>
-              </div>
-              {speechPreparing ? (
-                <p className="text-xs text-amber-600">
-                  语音生成中，可以继续输入消息。
-                </p>
-              ) : null}
-              <div className="rounded-2xl border border-gray-200 bg-white/70 px-4 py-3 text-xs text-gray-500">
-                {phoneCallError ? (
-                  <span className="text-red-500">{phoneCallError}</span>
-                ) : phoneCallActive ? (
-                  lastHeardText ? (
-                    <span>上次识别：{lastHeardText}</span>
-                  ) : (
-                    <span>正在监听，请直接讲话。</span>
-                  )
-                ) : (
-                  <span>点击“开始通话”以激活麦克风并进入语音交流。</span>
+          ) : null}
+          <VirtualMessageList
+            ref={messageListRef}
+            items={branchView.messages}
+            getItemKey={getMessageKey}
+            renderItem={renderMessage}
+            hasMore={historyPaging.hasMore}
+            loadingOlder={historyPaging.loadingOlder}
+            loadOlderError={historyPaging.error}
+            onReachTop={loadOlderMessages}
+            className="flex-1 min-h-0 overflow-y-auto px-4 py-3"
+            header={
+              <>
+                {profileStatus.error && (
+                  <div className="mb-3 rounded-xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-600">
+                    {profileStatus.error}
+                  </div>
                 )}
-              </div>
-            </div>
-          </div>
-        ) : (
-          <form
-            onSubmit={handleSend}
-            className="border-t border-white/40 bg-white/80 p-4"
-          >
-            <div className="flex flex-col gap-3">
-              <textarea
-                value={inputValue}
-                onChange={(event) => setInputValue(event.target.value)}
-                placeholder={
-                  !userId
-                    ? "Loading user context..."
-                    : "Type a question or use voice input"
-                }
-                disabled={
-                  !userId || isSending || insufficientTokens
-                }
-                rows={3}
-                className="w-full resize-none rounded-2xl border border-gray-200 bg-white px-4 py-3 text-sm text-gray-900 shadow focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100 disabled:cursor-not-allowed disabled:bg-gray-100"
-              />
-              {insufficientTokens ? (
-                <p className="text-xs text-red-500">
-                  Token余额不足，请前往购买后继续聊天。
-                </p>
-              ) : formattedTokenBalance ? (
-                <p className="text-xs text-gray-400">
-                  当前Token余额：{formattedTokenBalance}
-                </p>
-              ) : null}
-              {speechPreparing ? (
-                <p className="text-xs text-amber-600">
-                  语音生成中，可以继续输入消息。
-                </p>
-              ) : null}
-              <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                {conversationStatus.error && (
+                  <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
+                    {conversationStatus.error}
+                  </div>
+                )}
+                {messagesStatus.error && (
+                  <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
+                    {messagesStatus.error}
+                  </div>
+                )}
+                {sendError && (
+                  <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
+                    {sendError}
+                  </div>
+                )}
+                {clearStatus.error && (
+                  <div className="mb-3 rounded-xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-600">
+                    {clearStatus.error}
+                  </div>
+                )}
+                {clearStatus.success && (
+                  <div className="mb-3 rounded-xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm text-emerald-600">
+                    Chat history cleared. A fresh conversation has started.
+                  </div>
+                )}
+                {speechError && !voiceStatus.enabled ? (
+                  <div className="mb-3 rounded-xl border border-amber-200 bg-amber-50 px-4 py-3 text-sm text-amber-700">
+                    {speechError}
+                  </div>
+                ) : null}
+              </>
+            }
+            emptyState={
+              emptyState ? (
+                <div className="flex h-full items-center justify-center text-sm text-gray-500">
+                  No messages yet. Start the conversation whenever you are ready.
+                </div>
+              ) : null
+            }
+          />
+          {isPhoneMode ? (
+            <div className="border-t border-white/40 bg-white/80 p-4">
+              <div className="flex flex-col gap-3">
                 <div className="flex flex-wrap items-center gap-2">
                   <button
-                    onClick={handleVoiceToggle}
+                    onClick={phoneCallActive ? stopPhoneCall : startPhoneCall}
+                    className={`rounded-full px-5 py-2 text-sm font-medium text-white shadow transition ${phoneCallActive ? "bg-red-500 hover:bg-red-600" : "bg-blue-500 hover:bg-blue-600"}`}
+                  >
+                    {phoneCallActive ? "挂断" : "开始通话"}
+                  </button>
+                  <button
+                    type="button"
+                    {...voiceButtonHandlers}
                     disabled={
                       !voiceSupported ||
-                      !userId ||
-                      isSending ||
-                      insufficientTokens
+                      !phoneCallActive ||
+                      (isSending && voiceInputMode !== "push-to-talk")
                     }
-                    className="flex items-center gap-2 rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
-                    type="button"
+                    className={`flex items-center gap-2 rounded-full border px-4 py-2 text-sm transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300 ${voiceInputMode === "push-to-talk" ? "touch-none select-none" : ""} ${pushToTalkActive ? "border-blue-400 text-blue-500" : "border-gray-200 text-gray-600"}`}
                   >
                     <span>
-                      {voiceSupported
-                        ? isListening
-                          ? "Stop voice"
-                          : "Voice input"
-                        : "Voice unavailable"}
+                      {!voiceSupported
+                        ? "语音不可用"
+                        : voiceInputMode === "push-to-talk"
+                          ? pushToTalkActive
+                            ? "松开发送"
+                            : "按住说话"
+                          : voiceInputMode === "toggle"
+                            ? isListening
+                              ? "结束并发送"
+                              : "开始讲话"
+                            : microphoneActive && isListening
+                              ? "暂停识别"
+                              : "恢复识别"}
                     </span>
                     <span
                       className={`h-2.5 w-2.5 rounded-full ${isListening ? "bg-green-500" : "bg-gray-300"}`}
                       aria-hidden
                     />
                   </button>
-                </div>
-                <div className="flex flex-wrap items-center gap-2">
                   <button
                     onClick={handleClearConversation}
                     disabled={clearStatus.loading || !userId}
                     className="rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-red-400 hover:text-red-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
                   >
-                    {clearStatus.loading ? "Clearing..." : "Clear chat"}
-                  </button>
-                  <button
-                    onClick={loadMessages}
-                    disabled={messagesStatus.loading}
-                    className="rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
-                  >
-                    Refresh history
-                  </button>
-                  <button
-                    type="submit"
-                    disabled={
-                      isSending ||
-                      !inputValue.trim() ||
-                      !userId ||
-                      insufficientTokens
-                    }
-                    className="rounded-full bg-blue-500 px-5 py-2 text-sm font-medium text-white shadow transition hover:bg-blue-600 disabled:cursor-not-allowed disabled:bg-blue-300"
-                  >
-                    {isSending ? "Sending..." : "Send"}
+                    {clearStatus.loading ? "清空中..." : "清空记录"}
                   </button>
+                  {isGenerating ? (
+                    <button
+                      onClick={handleStopGeneration}
+                      className="rounded-full border border-red-200 px-4 py-2 text-sm text-red-500 transition hover:border-red-400 hover:text-red-600"
+                    >
+                      停止生成
+                    </button>
+                  ) : null}
+                </div>
+                {speechPreparing ? (
+                  <p className="text-xs text-amber-600">
+                    语音生成中，可以继续输入消息。
+                  </p>
+                ) : null}
+                {phoneCallActive && microphoneActive ? (
+                  <div className="flex items-center gap-3 text-xs text-gray-500">
+                    <span className="shrink-0">输入音量</span>
+                    <div className="relative h-2 flex-1 overflow-hidden rounded-full bg-gray-100">
+                      <div
+                        ref={inputLevelMeterRef}
+                        className={`h-full rounded-full transition-[width] duration-75 ${userSpeaking ? "bg-emerald-500" : "bg-gray-300"}`}
+                        style={{ width: 0 }}
+                      />
+                      <div
+                        className="absolute inset-y-0 w-0.5 bg-amber-400"
+                        style={{
+                          left: `${Math.round(VoiceActivityDetector.levelFromDb(voiceSettings.vadThresholdDb) * 100)}%`,
+                        }}
+                        aria-hidden
+                      />
+                    </div>
+                    <span
+                      className={`w-12 text-right ${userSpeaking ? "text-emerald-600" : "text-gray-400"}`}
+                    >
+                      {userSpeaking ? "讲话中" : "静音"}
+                    </span>
+                  </div>
+                ) : null}
+                <div className="flex flex-wrap gap-4 text-xs">
+                  <label className="flex items-center gap-3">
+                    <span className="text-gray-500">静音阈值</span>
+                    <input
+                      type="range"
+                      min={VOICE_SETTING_RANGES.vadThresholdDb.min}
+                      max={VOICE_SETTING_RANGES.vadThresholdDb.max}
+                      step={VOICE_SETTING_RANGES.vadThresholdDb.step}
+                      value={voiceSettings.vadThresholdDb}
+                      onChange={(event) =>
+                        updateVoiceSettings({
+                          vadThresholdDb: Number(event.target.value),
+                        })
+                      }
+                      className="h-2 w-32 rounded-lg bg-gray-200"
+                    />
+                    <span className="w-14 text-right font-medium text-gray-700">
+                      {voiceSettings.vadThresholdDb} dB
+                    </span>
+                  </label>
+                  <label className="flex items-center gap-3">
+                    <span className="text-gray-500">停顿结束</span>
+                    <input
+                      type="range"
+                      min={VOICE_SETTING_RANGES.vadHangoverMs.min}
+                      max={VOICE_SETTING_RANGES.vadHangoverMs.max}
+                      step={VOICE_SETTING_RANGES.vadHangoverMs.step}
+                      value={voiceSettings.vadHangoverMs}
+                      onChange={(event) =>
+                        updateVoiceSettings({
+                          vadHangoverMs: Number(event.target.value),
+                        })
+                      }
+                      className="h-2 w-32 rounded-lg bg-gray-200"
+                    />
+                    <span className="w-14 text-right font-medium text-gray-700">
+                      {(voiceSettings.vadHangoverMs / 1000).toFixed(1)} s
+                    </span>
+                  </label>
+                  <VoiceInputSettings
+                    scope="phone"
+                    inputMode={voiceSettings.phoneInputMode}
+                    pushToTalkKey={voiceSettings.pushToTalkKey}
+                    disabled={phoneCallActive}
+                    onChange={updateVoiceSettings}
+                  />
+                  <label className="flex items-center gap-2">
+                    <span className="text-gray-500">通话录音</span>
+                    <input
+                      type="checkbox"
+                      className="h-4 w-4 rounded border-gray-300 text-blue-500 focus:ring-blue-400"
+                      checked={voiceSettings.recordCalls}
+                      disabled={phoneCallActive}
+                      onChange={(event) =>
+                        updateVoiceSettings({ recordCalls: event.target.checked })
+                      }
+                    />
+                  </label>
+                </div>
+                {!phoneCallActive && callSummary ? (
+                  <div className="rounded-2xl border border-blue-100 bg-blue-50/70 px-4 py-3 text-xs text-gray-600">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-sm font-medium text-gray-700">
+                        通话已结束
+                      </span>
+                      <button
+                        type="button"
+                        onClick={() => setCallSummary(null)}
+                        className="text-gray-400 transition hover:text-gray-600"
+                        aria-label="关闭通话小结"
+                      >
+                        ×
+                      </button>
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-x-4 gap-y-1">
+                      <span>时长 {formatCallDuration(callSummary.durationSeconds)}</span>
+                      <span>
+                        对话 {callSummary.userTurns} 问 / {callSummary.agentTurns} 答
+                      </span>
+                      <span>
+                        消耗 Token{" "}
+                        {callSummary.tokensSpent === null
+                          ? "未知"
+                          : callSummary.tokensSpent}
+                      </span>
+                    </div>
+                    {callSummary.recordingStatus !== "off" ? (
+                      <div className="mt-2">
+                        {callSummary.recordingStatus === "ready" ? (
+                          <button
+                            type="button"
+                            onClick={handleDownloadCallRecording}
+                            className="rounded-full border border-blue-200 px-3 py-1 text-xs font-medium text-blue-600 transition hover:border-blue-400 hover:text-blue-500"
+                          >
+                            下载通话录音
+                          </button>
+                        ) : callSummary.recordingStatus === "processing" ? (
+                          <span className="text-gray-500">录音处理中...</span>
+                        ) : (
+                          <span className="text-amber-600">
+                            当前浏览器无法录制通话。
+                          </span>
+                        )}
+                      </div>
+                    ) : null}
+                  </div>
+                ) : null}
+                <div className="rounded-2xl border border-gray-200 bg-white/70 px-4 py-3 text-xs text-gray-500">
+                  {phoneCallError ? (
+                    <span className="text-red-500">{phoneCallError}</span>
+                  ) : phoneCallActive ? (
+                    lastHeardText ? (
+                      <span>上次识别：{lastHeardText}</span>
+                    ) : voiceInputMode === "push-to-talk" ? (
+                      <span>按住快捷键或“按住说话”按钮讲话，松开发送。</span>
+                    ) : voiceInputMode === "toggle" ? (
+                      <span>点击“开始讲话”后说话，说完再点击一次发送。</span>
+                    ) : (
+                      <span>正在监听，请直接讲话。</span>
+                    )
+                  ) : (
+                    <span>点击“开始通话”以激活麦克风并进入语音交流。</span>
+                  )}
                 </div>
               </div>
             </div>
-          </form>
-        )}
+          ) : (
+            <form
+              onSubmit={handleSend}
+              onDragOver={(event) => {
+                if (!attachmentsEnabled) {
+                  return;
+                }
+                event.preventDefault();
+                setAttachmentDragActive(true);
+              }}
+              onDragLeave={(event) => {
+                if (!event.currentTarget.contains(event.relatedTarget)) {
+                  setAttachmentDragActive(false);
+                }
+              }}
+              onDrop={handleAttachmentDrop}
+              className={`border-t bg-white/80 p-4 transition ${attachmentDragActive ? "border-blue-300 bg-blue-50/80" : "border-white/40"}`}
+            >
+              <div className="flex flex-col gap-3">
+                <AttachmentTray
+                  drafts={attachmentDrafts}
+                  onRemove={handleRemoveAttachment}
+                  onRetry={handleRetryAttachment}
+                />
+                <textarea
+                  value={inputValue}
+                  onChange={(event) => setInputValue(event.target.value)}
+                  onPaste={handleComposerPaste}
+                  placeholder={
+                    !userId
+                      ? "Loading user context..."
+                      : "Type a question or use voice input"
+                  }
+                  disabled={
+                    !userId || isSending || insufficientTokens
+                  }
+                  rows={3}
+                  className="w-full resize-none rounded-2xl border border-gray-200 bg-white px-4 py-3 text-sm text-gray-900 shadow focus:border-blue-400 focus:outline-none focus:ring-2 focus:ring-blue-100 disabled:cursor-not-allowed disabled:bg-gray-100"
+                />
+                {insufficientTokens ? (
+                  <p className="text-xs text-red-500">
+                    Token余额不足，请前往购买后继续聊天。
+                  </p>
+                ) : formattedTokenBalance ? (
+                  <p className="text-xs text-gray-400">
+                    当前Token余额：{formattedTokenBalance}
+                  </p>
+                ) : null}
+                {speechPreparing ? (
+                  <p className="text-xs text-amber-600">
+                    语音生成中，可以继续输入消息。
+                  </p>
+                ) : null}
+                {attachmentError ? (
+                  <p className="text-xs text-red-500">{attachmentError}</p>
+                ) : null}
+                <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-between">
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input
+                      ref={attachmentInputRef}
+                      type="file"
+                      accept={ATTACHMENT_ACCEPT}
+                      multiple
+                      className="hidden"
+                      onChange={(event) => {
+                        handleAddAttachments(event.target.files);
+                        event.target.value = "";
+                      }}
+                    />
+                    <button
+                      type="button"
+                      onClick={() => attachmentInputRef.current?.click()}
+                      disabled={
+                        !attachmentsEnabled ||
+                        !userId ||
+                        isSending ||
+                        insufficientTokens
+                      }
+                      title={
+                        attachmentsEnabled
+                          ? "添加图片或文档（也可拖拽、粘贴）"
+                          : "当前模型不支持附件"
+                      }
+                      className="rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
+                    >
+                      Attach
+                    </button>
+                    <button
+                      {...voiceButtonHandlers}
+                      disabled={
+                        !voiceSupported ||
+                        !userId ||
+                        isSending ||
+                        insufficientTokens
+                      }
+                      className={`flex items-center gap-2 rounded-full border px-4 py-2 text-sm transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300 ${voiceInputMode === "push-to-talk" ? "touch-none select-none" : ""} ${pushToTalkActive ? "border-blue-400 text-blue-500" : "border-gray-200 text-gray-600"}`}
+                      type="button"
+                    >
+                      <span>
+                        {!voiceSupported
+                          ? "Voice unavailable"
+                          : voiceInputMode === "push-to-talk"
+                            ? pushToTalkActive
+                              ? "Release to send"
+                              : "Hold to talk"
+                            : isListening
+                              ? "Stop voice"
+                              : "Voice input"}
+                      </span>
+                      <span
+                        className={`h-2.5 w-2.5 rounded-full ${isListening ? "bg-green-500" : "bg-gray-300"}`}
+                        aria-hidden
+                      />
+                    </button>
+                    {voiceSupported ? (
+                      <VoiceInputSettings
+                        scope="chat"
+                        inputMode={voiceSettings.chatInputMode}
+                        pushToTalkKey={voiceSettings.pushToTalkKey}
+                        disabled={isListening}
+                        onChange={updateVoiceSettings}
+                      />
+                    ) : null}
+                  </div>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <button
+                      onClick={handleClearConversation}
+                      disabled={clearStatus.loading || !userId}
+                      className="rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-red-400 hover:text-red-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
+                    >
+                      {clearStatus.loading ? "Clearing..." : "Clear chat"}
+                    </button>
+                    <button
+                      onClick={loadMessages}
+                      disabled={messagesStatus.loading}
+                      className="rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
+                    >
+                      Refresh history
+                    </button>
+                    {isGenerating ? (
+                      <button
+                        type="button"
+                        onClick={handleStopGeneration}
+                        className="rounded-full border border-red-200 px-5 py-2 text-sm font-medium text-red-500 transition hover:border-red-400 hover:text-red-600"
+                      >
+                        Stop
+                      </button>
+                    ) : null}
+                    <button
+                      type="submit"
+                      disabled={
+                        isSending ||
+                        (!inputValue.trim() && attachmentDrafts.length === 0) ||
+                        attachmentDrafts.some(
+                          (draft) => draft.status === "uploading",
+                        ) ||
+                        !userId ||
+                        insufficientTokens
+                      }
+                      className="rounded-full bg-blue-500 px-5 py-2 text-sm font-medium text-white shadow transition hover:bg-blue-600 disabled:cursor-not-allowed disabled:bg-blue-300"
+                    >
+                      {isSending ? "Sending..." : "Send"}
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </form>
+          )}
+        </div>
+        {!isPhoneMode && searchOpen ? (
+          <ChatSearchPanel
+            query={searchQuery}
+            results={searchResults}
+            status={searchStatus}
+            currentAgentId={normalizeIdentifier(agentId)}
+            onQueryChange={setSearchQuery}
+            onSelect={handleJumpToMessage}
+            onClose={() => setSearchOpen(false)}
+            className="w-64 shrink-0"
+          />
+        ) : null}
       </div>
+      {isMounted && importDialogOpen
+        ? createPortal(
+            <TranscriptImportDialog
+              open={importDialogOpen}
+              models={chatModels}
+              modelsLoading={chatModelsStatus.loading}
+              busy={importStatus.loading}
+              error={importStatus.error}
+              onClose={() => setImportDialogOpen(false)}
+              onImport={handleImportTranscript}
+            />,
+            document.body,
+          )
+        : null}
       {isMounted && reviewsModalOpen
         ? createPortal(
             <div className="fixed inset-0 z-[990] flex items-center justify-center bg-slate-900/60 px-4">
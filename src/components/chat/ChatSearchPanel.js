@@ -0,0 +1,160 @@
+"use client";
+
+import { useMemo } from "react";
+
+const SNIPPET_RADIUS = 48;
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function buildMatcher(query) {
+  const terms = Array.from(
+    new Set(
+      String(query ?? "")
+        .trim()
+        .split(/\s+/)
+        .filter(Boolean),
+    ),
+  ).sort((a, b) => b.length - a.length);
+  if (terms.length === 0) {
+    return null;
+  }
+  return new RegExp(`(${terms.map(escapeRegExp).join("|")})`, "gi");
+}
+
+function buildSnippet(content, matcher) {
+  const text = String(content ?? "").replace(/\s+/g, " ").trim();
+  if (!matcher) {
+    return text.slice(0, SNIPPET_RADIUS * 2);
+  }
+  matcher.lastIndex = 0;
+  const match = matcher.exec(text);
+  matcher.lastIndex = 0;
+  if (!match) {
+    return text.slice(0, SNIPPET_RADIUS * 2);
+  }
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+  return `${start > 0 ? "…" : ""}${text.slice(start, end)}${end < text.length ? "…" : ""}`;
+}
+
+function HighlightedText({ text, matcher }) {
+  if (!matcher) {
+    return text;
+  }
+  return text.split(matcher).map((part, index) =>
+    index % 2 === 1 ? (
+      <mark key={index} className="rounded bg-amber-200 px-0.5 text-gray-900">
+        {part}
+      </mark>
+    ) : (
+      part
+    ),
+  );
+}
+
+function formatResultTime(value) {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return date.toLocaleString();
+}
+
+export default function ChatSearchPanel({
+  query = "",
+  results = [],
+  status = { loading: false, error: null },
+  currentAgentId = null,
+  onQueryChange,
+  onSelect,
+  onClose,
+  className = "",
+}) {
+  const matcher = useMemo(() => buildMatcher(query), [query]);
+  const trimmedQuery = query.trim();
+
+  return (
+    <aside
+      className={`flex min-h-0 flex-col border-l border-white/40 bg-white/60 ${className}`.trim()}
+    >
+      <div className="flex items-center gap-2 px-3 py-2">
+        <input
+          type="search"
+          value={query}
+          onChange={(event) => onQueryChange?.(event.target.value)}
+          onKeyDown={(event) => {
+            if (event.key === "Escape") {
+              onClose?.();
+            }
+          }}
+          placeholder="搜索全部聊天记录"
+          autoFocus
+          className="min-w-0 flex-1 rounded-full border border-gray-200 bg-white px-3 py-1.5 text-xs text-gray-800 focus:border-blue-400 focus:outline-none"
+        />
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-xs text-gray-400 transition hover:text-gray-600"
+          aria-label="关闭搜索"
+        >
+          ×
+        </button>
+      </div>
+      {status.error ? (
+        <p className="px-3 pb-2 text-[11px] text-red-500">{status.error}</p>
+      ) : null}
+      <ul className="flex-1 min-h-0 space-y-1 overflow-y-auto px-2 pb-2">
+        {status.loading ? (
+          <li className="px-2 py-3 text-center text-[11px] text-gray-400">
+            搜索中...
+          </li>
+        ) : null}
+        {!status.loading && trimmedQuery && results.length === 0 ? (
+          <li className="px-2 py-3 text-center text-[11px] text-gray-400">
+            没有找到相关消息
+          </li>
+        ) : null}
+        {results.map((result) => {
+          const speaker =
+            result.role === "user" ? "我" : result.agentName || "智能体";
+          const location = [
+            result.agentId !== currentAgentId ? result.agentName : "",
+            result.conversationTitle,
+          ]
+            .filter(Boolean)
+            .join(" · ");
+          return (
+            <li key={`${result.agentId}-${result.id}`}>
+              <button
+                type="button"
+                onClick={() => onSelect?.(result)}
+                className="w-full rounded-xl px-2 py-2 text-left text-xs text-gray-600 transition hover:bg-white"
+              >
+                <span className="flex items-center justify-between gap-2 text-[10px] text-gray-400">
+                  <span className="truncate">
+                    {speaker}
+                    {location ? ` · ${location}` : ""}
+                  </span>
+                  <span className="shrink-0">
+                    {formatResultTime(result.created_at)}
+                  </span>
+                </span>
+                <span className="mt-1 block break-words leading-relaxed">
+                  <HighlightedText
+                    text={buildSnippet(result.content, matcher)}
+                    matcher={matcher}
+                  />
+                </span>
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+    </aside>
+  );
+}
@@ -0,0 +1,185 @@
+"use client";
+
+import { useCallback, useMemo, useState } from "react";
+
+function formatConversationTime(value) {
+  if (!value) {
+    return "";
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return "";
+  }
+  return date.toLocaleDateString();
+}
+
+export default function ConversationSidebar({
+  conversations = [],
+  activeConversationId = null,
+  status = { loading: false, error: null },
+  disabled = false,
+  onSelect,
+  onCreate,
+  onRename,
+  onArchive,
+  className = "",
+}) {
+  const [showArchived, setShowArchived] = useState(false);
+  const [editing, setEditing] = useState({ id: null, title: "" });
+
+  const visibleConversations = useMemo(
+    () =>
+      conversations.filter((item) =>
+        showArchived ? item.archived : !item.archived,
+      ),
+    [conversations, showArchived],
+  );
+  const archivedCount = useMemo(
+    () => conversations.filter((item) => item.archived).length,
+    [conversations],
+  );
+
+  const handleStartRename = useCallback((conversation) => {
+    setEditing({ id: conversation.id, title: conversation.title ?? "" });
+  }, []);
+
+  const handleCancelRename = useCallback(() => {
+    setEditing({ id: null, title: "" });
+  }, []);
+
+  const handleSubmitRename = useCallback(
+    async (event) => {
+      event?.preventDefault?.();
+      const { id, title } = editing;
+      setEditing({ id: null, title: "" });
+      if (id && title.trim()) {
+        await onRename?.(id, title);
+      }
+    },
+    [editing, onRename],
+  );
+
+  return (
+    <aside
+      className={`flex min-h-0 flex-col border-r border-white/40 bg-white/60 ${className}`.trim()}
+    >
+      <div className="flex items-center justify-between gap-2 px-3 py-2">
+        <span className="text-xs font-semibold text-gray-600">
+          {showArchived ? "已归档会话" : "会话列表"}
+        </span>
+        <button
+          type="button"
+          onClick={() => onCreate?.()}
+          disabled={disabled}
+          className="rounded-full border border-blue-200 px-3 py-1 text-[11px] font-medium text-blue-600 transition hover:border-blue-400 hover:text-blue-500 disabled:cursor-not-allowed disabled:border-gray-200 disabled:text-gray-300"
+        >
+          + 新会话
+        </button>
+      </div>
+      {status.error ? (
+        <p className="px-3 pb-2 text-[11px] text-red-500">{status.error}</p>
+      ) : null}
+      <ul className="flex-1 min-h-0 space-y-1 overflow-y-auto px-2 pb-2">
+        {status.loading && conversations.length === 0 ? (
+          <li className="px-2 py-3 text-center text-[11px] text-gray-400">
+            加载中...
+          </li>
+        ) : null}
+        {!status.loading && visibleConversations.length === 0 ? (
+          <li className="px-2 py-3 text-center text-[11px] text-gray-400">
+            {showArchived ? "暂无归档会话" : "暂无会话"}
+          </li>
+        ) : null}
+        {visibleConversations.map((conversation) => {
+          const isActive = conversation.id === activeConversationId;
+          const isEditing = editing.id === conversation.id;
+          const label = conversation.title || "未命名会话";
+          const timestamp = formatConversationTime(
+            conversation.updated_at ?? conversation.created_at,
+          );
+          return (
+            <li
+              key={conversation.id}
+              className={`group rounded-xl px-2 py-1.5 text-xs transition ${isActive ? "bg-blue-50 text-blue-700" : "text-gray-600 hover:bg-white"}`}
+            >
+              {isEditing ? (
+                <form
+                  onSubmit={handleSubmitRename}
+                  className="flex items-center gap-1"
+                >
+                  <input
+                    value={editing.title}
+                    onChange={(event) =>
+                      setEditing((prev) => ({
+                        ...prev,
+                        title: event.target.value,
+                      }))
+                    }
+                    onKeyDown={(event) => {
+                      if (event.key === "Escape") {
+                        handleCancelRename();
+                      }
+                    }}
+                    maxLength={80}
+                    autoFocus
+                    className="min-w-0 flex-1 rounded-lg border border-gray-200 bg-white px-2 py-1 text-xs text-gray-800 focus:border-blue-400 focus:outline-none"
+                  />
+                  <button
+                    type="submit"
+                    className="text-[11px] text-blue-600 hover:text-blue-500"
+                  >
+                    保存
+                  </button>
+                </form>
+              ) : (
+                <div className="flex items-center gap-1">
+                  <button
+                    type="button"
+                    onClick={() => onSelect?.(conversation.id)}
+                    disabled={disabled || conversation.archived}
+                    className="min-w-0 flex-1 text-left disabled:cursor-default"
+                    title={label}
+                  >
+                    <span className="block truncate font-medium">{label}</span>
+                    {timestamp ? (
+                      <span className="block text-[10px] text-gray-400">
+                        {timestamp}
+                      </span>
+                    ) : null}
+                  </button>
+                  {!conversation.archived ? (
+                    <button
+                      type="button"
+                      onClick={() => handleStartRename(conversation)}
+                      className="text-[11px] text-gray-400 hover:text-blue-500 sm:hidden sm:group-focus-within:inline sm:group-hover:inline"
+                      aria-label="重命名会话"
+                    >
+                      改名
+                    </button>
+                  ) : null}
+                  <button
+                    type="button"
+                    onClick={() =>
+                      onArchive?.(conversation.id, !conversation.archived)
+                    }
+                    disabled={disabled}
+                    className="text-[11px] text-gray-400 hover:text-red-500 disabled:cursor-not-allowed sm:hidden sm:group-focus-within:inline sm:group-hover:inline"
+                  >
+                    {conversation.archived ? "恢复" : "归档"}
+                  </button>
+                </div>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+      <button
+        type="button"
+        onClick={() => setShowArchived((prev) => !prev)}
+        className="border-t border-white/40 px-3 py-2 text-left text-[11px] text-gray-500 transition hover:text-gray-700"
+      >
+        {showArchived ? "返回会话列表" : `已归档 (${archivedCount})`}
+      </button>
+    </aside>
+  );
+}
@@ -0,0 +1,71 @@
+/* eslint-disable @next/next/no-img-element */
+
+"use client";
+
+import { resolveAssetUrl } from "@/lib/media";
+import { formatAttachmentSize } from "@/lib/chat/attachments";
+
+function resolveAttachmentUrl(value) {
+  if (!value) {
+    return "";
+  }
+  return /^(blob:|data:)/i.test(value) ? value : resolveAssetUrl(value);
+}
+
+export default function MessageAttachments({ attachments = [], align = "start" }) {
+  if (!attachments.length) {
+    return null;
+  }
+  const images = attachments.filter((item) => item.kind === "image");
+  const documents = attachments.filter((item) => item.kind !== "image");
+  return (
+    <div
+      className={`mb-1 flex max-w-full flex-col gap-1 ${align === "end" ? "items-end" : "items-start"}`}
+    >
+      {images.length > 0 ? (
+        <div className="flex flex-wrap justify-end gap-1">
+          {images.map((item, index) => {
+            const href = resolveAttachmentUrl(item.url || item.previewUrl);
+            const src = resolveAttachmentUrl(
+              item.previewUrl || item.thumbnailUrl || item.url,
+            );
+            return (
+              <a
+                key={item.id ?? `${item.name}-${index}`}
+                href={href || undefined}
+                target="_blank"
+                rel="noreferrer"
+                className="block overflow-hidden rounded-xl border border-white/60 shadow"
+              >
+                <img
+                  src={src}
+                  alt={item.name || "图片附件"}
+                  className="h-24 w-24 object-cover"
+                />
+              </a>
+            );
+          })}
+        </div>
+      ) : null}
+      {documents.map((item, index) => (
+        <a
+          key={item.id ?? `${item.name}-${index}`}
+          href={resolveAttachmentUrl(item.url) || undefined}
+          target="_blank"
+          rel="noreferrer"
+          className="flex max-w-full items-center gap-2 rounded-xl border border-gray-200 bg-white px-3 py-2 text-xs text-gray-700 shadow-sm transition hover:border-blue-300"
+        >
+          <span className="rounded bg-gray-100 px-1.5 py-0.5 text-[10px] font-medium uppercase text-gray-500">
+            {(item.name.split(".").pop() || "file").slice(0, 4)}
+          </span>
+          <span className="truncate">{item.name || "附件"}</span>
+          {item.size ? (
+            <span className="shrink-0 text-gray-400">
+              {formatAttachmentSize(item.size)}
+            </span>
+          ) : null}
+        </a>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,186 @@
+"use client";
+
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import ReactMarkdown from "react-markdown";
+import {
+  buildSentenceTimeline,
+  findSentenceAt,
+  normalizeSpeechBoundaries,
+  rehypeSentenceSpans,
+} from "@/lib/chat/speechTimings";
+
+const SentenceContext = createContext({ activeIndex: -1, onSelect: null });
+
+function canSeekTo(audio, time) {
+  const ranges = audio?.seekable;
+  if (!ranges) {
+    return false;
+  }
+  for (let i = 0; i < ranges.length; i += 1) {
+    if (time >= ranges.start(i) && time <= ranges.end(i)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+function SentenceSpan({ node, ...props }) {
+  const { activeIndex, onSelect } = useContext(SentenceContext);
+  const raw = props["data-sentence"];
+  if (raw === undefined) {
+    return <span {...props} />;
+  }
+  const index = Number(raw);
+  const active = index === activeIndex;
+  return (
+    <span
+      {...props}
+      onClick={onSelect ? () => onSelect(index) : undefined}
+      className={`rounded transition-colors ${active ? "bg-amber-200/80 text-gray-900" : ""} ${onSelect ? "cursor-pointer hover:bg-amber-100" : ""}`.trim()}
+    >
+      {props.children}
+    </span>
+  );
+}
+
+/**
+ * Markdown for the message currently being spoken, with the sentence under
+ * the playhead highlighted. Timings come from TTS word/sentence boundaries
+ * when present and are estimated from sentence length otherwise; clicking a
+ * sentence seeks `audio` to it when that position is seekable.
+ */
+export default function SpeechKaraokeText({
+  content = "",
+  audio = null,
+  boundaries = null,
+  remarkPlugins = [],
+  rehypePlugins = [],
+  components = {},
+}) {
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const sentencesRef = useRef([]);
+  const timelineRef = useRef(null);
+  const normalizedBoundaries = useMemo(
+    () => normalizeSpeechBoundaries(boundaries),
+    [boundaries],
+  );
+  const plugins = useMemo(
+    () => [
+      ...rehypePlugins,
+      [
+        rehypeSentenceSpans,
+        {
+          onSentences: (sentences) => {
+            sentencesRef.current = sentences;
+          },
+        },
+      ],
+    ],
+    [rehypePlugins],
+  );
+  const markdownComponents = useMemo(
+    () => ({ ...components, span: SentenceSpan }),
+    [components],
+  );
+
+  const resolveTimeline = useCallback(() => {
+    const sentences = sentencesRef.current;
+    const duration = audio?.duration ?? null;
+    const cached = timelineRef.current;
+    if (
+      cached &&
+      cached.sentences === sentences &&
+      cached.duration === duration &&
+      cached.boundaries === normalizedBoundaries
+    ) {
+      return cached.timeline;
+    }
+    const timeline = buildSentenceTimeline({
+      sentences,
+      boundaries: normalizedBoundaries,
+      duration,
+    });
+    timelineRef.current = { sentences, duration, boundaries: normalizedBoundaries, timeline };
+    return timeline;
+  }, [audio, normalizedBoundaries]);
+
+  useEffect(() => {
+    if (!audio) {
+      setActiveIndex(-1);
+      return undefined;
+    }
+    let frameId = null;
+    const sync = () => {
+      setActiveIndex(findSentenceAt(resolveTimeline(), audio.currentTime));
+    };
+    const tick = () => {
+      sync();
+      frameId = audio.paused ? null : requestAnimationFrame(tick);
+    };
+    const handlePlay = () => {
+      if (frameId === null) {
+        frameId = requestAnimationFrame(tick);
+      }
+    };
+    audio.addEventListener("play", handlePlay);
+    audio.addEventListener("seeked", sync);
+    if (!audio.paused) {
+      handlePlay();
+    } else {
+      sync();
+    }
+    return () => {
+      audio.removeEventListener("play", handlePlay);
+      audio.removeEventListener("seeked", sync);
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+      }
+    };
+  }, [audio, resolveTimeline]);
+
+  const handleSelect = useCallback(
+    (index) => {
+      const entry = resolveTimeline()[index];
+      if (!audio || !entry || !canSeekTo(audio, entry.start)) {
+        return;
+      }
+      audio.currentTime = entry.start;
+      setActiveIndex(index);
+      if (audio.paused) {
+        audio.play()?.catch?.((error) => console.warn("Speech resume failed", error));
+      }
+    },
+    [audio, resolveTimeline],
+  );
+
+  const contextValue = useMemo(
+    () => ({ activeIndex, onSelect: audio ? handleSelect : null }),
+    [activeIndex, audio, handleSelect],
+  );
+  // Highlight changes flow through context so the markdown isn't re-parsed
+  // on every frame.
+  const markdown = useMemo(
+    () => (
+      <ReactMarkdown
+        remarkPlugins={remarkPlugins}
+        rehypePlugins={plugins}
+        components={markdownComponents}
+      >
+        {content}
+      </ReactMarkdown>
+    ),
+    [content, remarkPlugins, plugins, markdownComponents],
+  );
+
+  return (
+    <SentenceContext.Provider value={contextValue}>{markdown}</SentenceContext.Provider>
+  );
+}
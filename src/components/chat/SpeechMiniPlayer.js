@@ -0,0 +1,193 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import {
+  SPEECH_PLAYBACK_RATES,
+  formatPlaybackTime,
+} from "@/lib/audio/playback";
+
+const IDLE_STATE = { currentTime: 0, duration: 0, paused: true };
+
+function readAudioState(audio) {
+  if (!audio) {
+    return IDLE_STATE;
+  }
+  return {
+    currentTime: audio.currentTime || 0,
+    duration: audio.duration,
+    paused: audio.paused,
+  };
+}
+
+function Waveform({ peaks, progress }) {
+  if (!peaks || peaks.length === 0) {
+    return (
+      <span className="absolute inset-x-0 top-1/2 h-1 -translate-y-1/2 overflow-hidden rounded-full bg-gray-200">
+        <span
+          className="block h-full bg-blue-400"
+          style={{ width: `${progress * 100}%` }}
+        />
+      </span>
+    );
+  }
+  const playedBars = Math.round(progress * peaks.length);
+  return (
+    <span className="absolute inset-0 flex items-center gap-px" aria-hidden="true">
+      {peaks.map((peak, index) => (
+        <span
+          key={index}
+          className={`flex-1 rounded-full ${index < playedBars ? "bg-blue-400" : "bg-gray-300"}`}
+          style={{ height: `${Math.max(12, peak * 100)}%` }}
+        />
+      ))}
+    </span>
+  );
+}
+
+/**
+ * Compact player for one message's speech. While `audio` is set the message
+ * is the one playing and the controls drive that element directly; the
+ * lip-sync loop reads `audio.currentTime`, so seeking keeps the avatar in
+ * step. Live streams report an infinite duration and can't be seeked.
+ * `onDownload`, when given, adds a button for saving the message's audio.
+ */
+export default function SpeechMiniPlayer({
+  audio = null,
+  waveform = null,
+  playbackRate = 1,
+  disabled = false,
+  onPlay,
+  onStop,
+  onRateChange,
+  onDownload,
+  downloading = false,
+  className = "",
+}) {
+  const [state, setState] = useState(IDLE_STATE);
+
+  useEffect(() => {
+    setState(readAudioState(audio));
+    if (!audio) {
+      return undefined;
+    }
+    let frameId = null;
+    const sync = () => setState(readAudioState(audio));
+    const tick = () => {
+      sync();
+      frameId = audio.paused ? null : requestAnimationFrame(tick);
+    };
+    const handlePlay = () => {
+      sync();
+      if (frameId === null) {
+        frameId = requestAnimationFrame(tick);
+      }
+    };
+    const events = ["pause", "seeked", "durationchange", "loadedmetadata", "ended"];
+    events.forEach((name) => audio.addEventListener(name, sync));
+    audio.addEventListener("play", handlePlay);
+    if (!audio.paused) {
+      handlePlay();
+    }
+    return () => {
+      events.forEach((name) => audio.removeEventListener(name, sync));
+      audio.removeEventListener("play", handlePlay);
+      if (frameId !== null) {
+        cancelAnimationFrame(frameId);
+      }
+    };
+  }, [audio]);
+
+  const active = Boolean(audio);
+  const seekable = active && Number.isFinite(state.duration) && state.duration > 0;
+  const progress = seekable ? Math.min(1, state.currentTime / state.duration) : 0;
+  const playing = active && !state.paused;
+
+  const handleToggle = () => {
+    if (!audio) {
+      onPlay?.();
+      return;
+    }
+    if (audio.paused) {
+      const result = audio.play();
+      result?.catch?.((error) => console.warn("Speech resume failed", error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const handleSeek = (event) => {
+    if (!audio || !seekable) {
+      return;
+    }
+    const next = Number(event.target.value);
+    audio.currentTime = next;
+    setState((prev) => ({ ...prev, currentTime: next }));
+  };
+
+  return (
+    <div
+      className={`flex items-center gap-2 rounded-full border border-gray-200 bg-white/70 px-2 py-1 text-[11px] text-gray-500 ${className}`.trim()}
+    >
+      <button
+        type="button"
+        onClick={handleToggle}
+        disabled={disabled}
+        className="flex h-6 w-6 shrink-0 items-center justify-center rounded-full text-gray-600 transition hover:bg-blue-50 hover:text-blue-500 disabled:cursor-not-allowed disabled:text-gray-300"
+        aria-label={playing ? "暂停语音" : "播放语音"}
+      >
+        {playing ? "❚❚" : "▶"}
+      </button>
+      <label className="relative block h-6 w-32 sm:w-40">
+        <Waveform peaks={waveform} progress={progress} />
+        <input
+          type="range"
+          min={0}
+          max={seekable ? state.duration : 1}
+          step={0.01}
+          value={seekable ? state.currentTime : 0}
+          onChange={handleSeek}
+          disabled={!seekable}
+          aria-label="播放进度"
+          className="absolute inset-0 h-full w-full cursor-pointer opacity-0 disabled:cursor-default"
+        />
+      </label>
+      <span className="w-16 shrink-0 tabular-nums">
+        {formatPlaybackTime(state.currentTime)}
+        {seekable ? ` / ${formatPlaybackTime(state.duration)}` : ""}
+      </span>
+      <select
+        value={playbackRate}
+        onChange={(event) => onRateChange?.(Number(event.target.value))}
+        className="rounded-full bg-transparent text-[11px] text-gray-600 focus:outline-none"
+        aria-label="播放速度"
+      >
+        {SPEECH_PLAYBACK_RATES.map((rate) => (
+          <option key={rate} value={rate}>
+            {rate}x
+          </option>
+        ))}
+      </select>
+      <button
+        type="button"
+        onClick={onStop}
+        disabled={!active}
+        className="flex h-6 w-6 shrink-0 items-center justify-center rounded-full text-gray-600 transition hover:bg-red-50 hover:text-red-500 disabled:cursor-not-allowed disabled:text-gray-300"
+        aria-label="停播语音"
+      >
+        ■
+      </button>
+      {onDownload ? (
+        <button
+          type="button"
+          onClick={onDownload}
+          disabled={downloading}
+          className="flex h-6 w-6 shrink-0 items-center justify-center rounded-full text-gray-600 transition hover:bg-blue-50 hover:text-blue-500 disabled:cursor-wait disabled:text-gray-300"
+          aria-label="下载语音"
+          title="下载语音"
+        >
+          {downloading ? "…" : "⤓"}
+        </button>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,195 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { parseTranscript } from "@/lib/chat/transcript";
+
+const IMPORT_MODES = [
+  {
+    value: "seed",
+    label: "作为上下文导入",
+    description: "原样写入新会话，智能体会基于这些内容继续对话。",
+  },
+  {
+    value: "replay",
+    label: "逐轮重放",
+    description: "依次重新发送每条用户消息，由所选模型重新生成回复。",
+  },
+];
+
+export default function TranscriptImportDialog({
+  open,
+  models = [],
+  modelsLoading = false,
+  busy = false,
+  error = null,
+  onClose,
+  onImport,
+}) {
+  const [transcript, setTranscript] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [mode, setMode] = useState("seed");
+  const [modelKey, setModelKey] = useState("");
+  const [title, setTitle] = useState("");
+
+  useEffect(() => {
+    if (models.length > 0 && !models.some((item) => item.key === modelKey)) {
+      setModelKey(models[0].key);
+    }
+  }, [models, modelKey]);
+
+  const handleFileChange = useCallback(async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) {
+      return;
+    }
+    try {
+      const parsed = parseTranscript(await file.text());
+      setTranscript(parsed);
+      setFileError(null);
+      setTitle(`${parsed.title || file.name.replace(/\.json$/i, "")}（导入）`);
+    } catch (parseError) {
+      setTranscript(null);
+      setFileError(parseError?.message ?? "无法读取该文件。");
+    }
+  }, []);
+
+  const handleSubmit = useCallback(
+    (event) => {
+      event.preventDefault();
+      if (!transcript) {
+        return;
+      }
+      const model =
+        mode === "replay"
+          ? models.find((item) => item.key === modelKey) ?? null
+          : null;
+      onImport?.({ transcript, mode, model, title: title.trim() });
+    },
+    [transcript, mode, models, modelKey, title, onImport],
+  );
+
+  if (!open) {
+    return null;
+  }
+
+  const userTurns = transcript
+    ? transcript.messages.filter((item) => item.role === "user").length
+    : 0;
+
+  return (
+    <div className="fixed inset-0 z-[990] flex items-center justify-center bg-slate-900/60 px-4">
+      <form
+        onSubmit={handleSubmit}
+        className="flex w-full max-w-lg flex-col gap-4 rounded-2xl bg-white p-6 shadow-2xl"
+      >
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">导入对话记录</h3>
+            <p className="mt-1 text-sm text-gray-500">
+              选择导出的 JSON 文件，导入到一个新的会话中。
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full border border-gray-200 p-1.5 text-gray-500 transition hover:border-gray-300 hover:text-gray-700"
+            aria-label="关闭导入窗口"
+          >
+            <span className="block h-5 w-5 text-center">×</span>
+          </button>
+        </div>
+        <label className="flex flex-col gap-2 text-sm text-gray-600">
+          <span>对话记录文件</span>
+          <input
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            disabled={busy}
+            className="text-xs text-gray-500 file:mr-3 file:rounded-full file:border-0 file:bg-blue-50 file:px-4 file:py-2 file:text-xs file:font-medium file:text-blue-600"
+          />
+        </label>
+        {fileError ? <p className="text-xs text-red-500">{fileError}</p> : null}
+        {transcript ? (
+          <>
+            <p className="rounded-xl bg-slate-50 px-4 py-3 text-xs text-gray-500">
+              共 {transcript.messages.length} 条消息，其中用户消息 {userTurns} 条
+              {transcript.agent?.name ? `，原智能体：${transcript.agent.name}` : ""}
+            </p>
+            <label className="flex flex-col gap-2 text-sm text-gray-600">
+              <span>新会话标题</span>
+              <input
+                value={title}
+                onChange={(event) => setTitle(event.target.value)}
+                maxLength={80}
+                className="rounded-xl border border-gray-200 px-3 py-2 text-sm text-gray-900 focus:border-blue-400 focus:outline-none"
+              />
+            </label>
+            <fieldset className="flex flex-col gap-2">
+              {IMPORT_MODES.map((item) => (
+                <label
+                  key={item.value}
+                  className={`flex cursor-pointer items-start gap-3 rounded-xl border px-4 py-3 text-sm transition ${mode === item.value ? "border-blue-400 bg-blue-50" : "border-gray-200"}`}
+                >
+                  <input
+                    type="radio"
+                    name="transcript-import-mode"
+                    value={item.value}
+                    checked={mode === item.value}
+                    onChange={() => setMode(item.value)}
+                    className="mt-1"
+                  />
+                  <span>
+                    <span className="block font-medium text-gray-800">
+                      {item.label}
+                    </span>
+                    <span className="block text-xs text-gray-500">
+                      {item.description}
+                    </span>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+            {mode === "replay" ? (
+              <label className="flex flex-col gap-2 text-sm text-gray-600">
+                <span>重放使用的模型</span>
+                <select
+                  value={modelKey}
+                  onChange={(event) => setModelKey(event.target.value)}
+                  disabled={modelsLoading}
+                  className="rounded-xl border border-gray-200 bg-white px-3 py-2 text-sm focus:border-blue-400 focus:outline-none"
+                >
+                  {models.map((model) => (
+                    <option key={model.key} value={model.key}>
+                      {model.displayName}
+                      {model.recommended ? "（推荐）" : ""}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ) : null}
+          </>
+        ) : null}
+        {error ? <p className="text-xs text-red-500">{error}</p> : null}
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={onClose}
+            className="rounded-full border border-gray-200 px-4 py-2 text-sm text-gray-600 transition hover:border-gray-300"
+          >
+            取消
+          </button>
+          <button
+            type="submit"
+            disabled={
+              busy || !transcript || (mode === "replay" && !modelKey)
+            }
+            className="rounded-full bg-blue-500 px-5 py-2 text-sm font-medium text-white shadow transition hover:bg-blue-600 disabled:cursor-not-allowed disabled:bg-blue-300"
+          >
+            {busy ? "导入中..." : "开始导入"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
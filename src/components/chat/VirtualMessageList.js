@@ -0,0 +1,391 @@
+"use client";
+
+import {
+  forwardRef,
+  useCallback,
+  useEffect,
+  useImperativeHandle,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+
+/**
+ * VirtualMessageList
+ *
+ * Windowed scroll container for chat bubbles. Only the items intersecting the
+ * viewport (plus `overscan` on each side) are mounted; the rest is replaced by
+ * spacers sized from measured heights, or `estimatedItemHeight` until an item
+ * has been rendered once.
+ *
+ * Notes:
+ * - Sticks to the bottom while the user is already there (new messages and
+ *   streaming deltas keep the latest bubble in view).
+ * - Keeps the visible content still when older items are prepended or when
+ *   an item above the viewport changes height.
+ * - Calls `onReachTop` when the user scrolls near the top and `hasMore` is set.
+ */
+const BOTTOM_STICK_THRESHOLD = 48;
+
+function findIndexAtOffset(offsets, target) {
+  let low = 0;
+  let high = offsets.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high + 1) / 2);
+    if (offsets[mid] <= target) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return Math.max(0, low);
+}
+
+const VirtualMessageList = forwardRef(function VirtualMessageList(
+  {
+    items,
+    getItemKey,
+    renderItem,
+    header = null,
+    emptyState = null,
+    estimatedItemHeight = 96,
+    overscan = 6,
+    hasMore = false,
+    loadingOlder = false,
+    loadOlderError = null,
+    onReachTop = undefined,
+    topThreshold = 160,
+    className = "",
+  },
+  ref,
+) {
+  const containerRef = useRef(null);
+  const listRef = useRef(null);
+  const heightsRef = useRef(new Map());
+  const elementsRef = useRef(new Map());
+  const rowRefsRef = useRef(new Map());
+  const observerRef = useRef(null);
+  const stickToBottomRef = useRef(true);
+  const previousKeysRef = useRef([]);
+  const frameRef = useRef(null);
+  // heightsRef is updated synchronously for scroll anchoring; this snapshot
+  // of it is what renders read, so a height change re-lays out the list.
+  const [measuredHeights, setMeasuredHeights] = useState(() => new Map());
+  const [viewport, setViewport] = useState({ scrollTop: 0, height: 0 });
+
+  const keys = useMemo(
+    () => items.map((item) => String(getItemKey(item))),
+    [items, getItemKey],
+  );
+
+  const layout = useMemo(() => {
+    const offsets = new Array(keys.length);
+    let total = 0;
+    for (let index = 0; index < keys.length; index += 1) {
+      offsets[index] = total;
+      total += measuredHeights.get(keys[index]) ?? estimatedItemHeight;
+    }
+    return { offsets, total };
+  }, [keys, estimatedItemHeight, measuredHeights]);
+
+  const getListOffset = useCallback(() => {
+    const list = listRef.current;
+    return list ? list.offsetTop : 0;
+  }, []);
+
+  const range = useMemo(() => {
+    if (keys.length === 0) {
+      return { start: 0, end: -1 };
+    }
+    const listTop = viewport.scrollTop - getListOffset();
+    const viewportHeight = viewport.height || estimatedItemHeight * 8;
+    const first = findIndexAtOffset(layout.offsets, Math.max(0, listTop));
+    const last = findIndexAtOffset(
+      layout.offsets,
+      Math.max(0, listTop + viewportHeight),
+    );
+    return {
+      start: Math.max(0, first - overscan),
+      end: Math.min(keys.length - 1, last + overscan),
+    };
+  }, [keys.length, layout, viewport, overscan, estimatedItemHeight, getListOffset]);
+
+  const scrollToBottom = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) {
+      return;
+    }
+    container.scrollTop = container.scrollHeight;
+    stickToBottomRef.current = true;
+  }, []);
+
+  const syncViewport = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) {
+      return;
+    }
+    setViewport((prev) =>
+      prev.scrollTop === container.scrollTop &&
+      prev.height === container.clientHeight
+        ? prev
+        : { scrollTop: container.scrollTop, height: container.clientHeight },
+    );
+  }, []);
+
+  const handleScroll = useCallback(() => {
+    const container = containerRef.current;
+    if (!container) {
+      return;
+    }
+    const distanceToBottom =
+      container.scrollHeight - container.scrollTop - container.clientHeight;
+    stickToBottomRef.current = distanceToBottom <= BOTTOM_STICK_THRESHOLD;
+    if (
+      hasMore &&
+      !loadingOlder &&
+      typeof onReachTop === "function" &&
+      container.scrollTop <= topThreshold
+    ) {
+      onReachTop();
+    }
+    if (frameRef.current !== null) {
+      return;
+    }
+    frameRef.current = requestAnimationFrame(() => {
+      frameRef.current = null;
+      syncViewport();
+    });
+  }, [hasMore, loadingOlder, onReachTop, topThreshold, syncViewport]);
+
+  useEffect(
+    () => () => {
+      if (frameRef.current !== null) {
+        cancelAnimationFrame(frameRef.current);
+        frameRef.current = null;
+      }
+    },
+    [],
+  );
+
+  useEffect(() => {
+    if (typeof ResizeObserver === "undefined") {
+      return undefined;
+    }
+    const observer = new ResizeObserver((entries) => {
+      const container = containerRef.current;
+      let changed = false;
+      let anchorDelta = 0;
+      const listTop = container ? container.scrollTop - getListOffset() : 0;
+      for (const entry of entries) {
+        const key = entry.target?.dataset?.virtualKey;
+        if (!key) {
+          continue;
+        }
+        const height = entry.target.offsetHeight;
+        const previous = heightsRef.current.get(key);
+        if (previous === height) {
+          continue;
+        }
+        heightsRef.current.set(key, height);
+        changed = true;
+        const offset = entry.target.offsetTop - (listRef.current?.offsetTop ?? 0);
+        if (
+          !stickToBottomRef.current &&
+          offset + (previous ?? height) <= listTop
+        ) {
+          anchorDelta += height - (previous ?? estimatedItemHeight);
+        }
+      }
+      if (!changed) {
+        return;
+      }
+      if (container) {
+        if (stickToBottomRef.current) {
+          container.scrollTop = container.scrollHeight;
+        } else if (anchorDelta !== 0) {
+          container.scrollTop += anchorDelta;
+        }
+      }
+      setMeasuredHeights(new Map(heightsRef.current));
+    });
+    observerRef.current = observer;
+    elementsRef.current.forEach((element) => observer.observe(element));
+    return () => {
+      observer.disconnect();
+      observerRef.current = null;
+    };
+  }, [estimatedItemHeight, getListOffset]);
+
+  const registerElement = useCallback((key, element) => {
+    const observer = observerRef.current;
+    const existing = elementsRef.current.get(key);
+    if (existing && existing !== element) {
+      observer?.unobserve(existing);
+      elementsRef.current.delete(key);
+    }
+    if (element) {
+      elementsRef.current.set(key, element);
+      observer?.observe(element);
+    }
+  }, []);
+
+  // One stable ref callback per row, so React doesn't detach and re-attach
+  // every visible row (and its observer) on each render.
+  const getRowRef = useCallback(
+    (key) => {
+      let rowRef = rowRefsRef.current.get(key);
+      if (!rowRef) {
+        rowRef = (element) => {
+          registerElement(key, element);
+          if (!element) {
+            rowRefsRef.current.delete(key);
+          }
+        };
+        rowRefsRef.current.set(key, rowRef);
+      }
+      return rowRef;
+    },
+    [registerElement],
+  );
+
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    const previousKeys = previousKeysRef.current;
+    previousKeysRef.current = keys;
+    if (!container) {
+      return;
+    }
+    if (previousKeys.length === 0 || keys.length === 0) {
+      if (keys.length > 0) {
+        scrollToBottom();
+      }
+      syncViewport();
+      return;
+    }
+    const previousFirstIndex = keys.indexOf(previousKeys[0]);
+    if (previousFirstIndex > 0 && !stickToBottomRef.current) {
+      let prependedHeight = 0;
+      for (let index = 0; index < previousFirstIndex; index += 1) {
+        prependedHeight +=
+          heightsRef.current.get(keys[index]) ?? estimatedItemHeight;
+      }
+      container.scrollTop += prependedHeight;
+    } else if (stickToBottomRef.current) {
+      container.scrollTop = container.scrollHeight;
+    }
+    syncViewport();
+  }, [keys, estimatedItemHeight, scrollToBottom, syncViewport]);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (
+      !container ||
+      !hasMore ||
+      loadingOlder ||
+      loadOlderError ||
+      typeof onReachTop !== "function"
+    ) {
+      return;
+    }
+    if (container.scrollHeight <= container.clientHeight) {
+      onReachTop();
+    }
+  }, [hasMore, loadingOlder, loadOlderError, onReachTop, layout.total]);
+
+  useEffect(() => {
+    const liveKeys = new Set(keys);
+    heightsRef.current.forEach((_, key) => {
+      if (!liveKeys.has(key)) {
+        heightsRef.current.delete(key);
+      }
+    });
+  }, [keys]);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      scrollToBottom,
+      scrollToKey: (targetKey, options = {}) => {
+        const container = containerRef.current;
+        const index = keys.indexOf(String(targetKey));
+        if (!container || index === -1) {
+          return false;
+        }
+        const { align = "center" } = options;
+        const itemHeight =
+          heightsRef.current.get(keys[index]) ?? estimatedItemHeight;
+        const itemTop = getListOffset() + layout.offsets[index];
+        const target =
+          align === "start"
+            ? itemTop
+            : itemTop - (container.clientHeight - itemHeight) / 2;
+        stickToBottomRef.current = false;
+        container.scrollTop = Math.max(0, target);
+        syncViewport();
+        return true;
+      },
+    }),
+    [keys, layout, estimatedItemHeight, getListOffset, scrollToBottom, syncViewport],
+  );
+
+  const topPadding = range.end >= 0 ? layout.offsets[range.start] : 0;
+  const renderedBottom =
+    range.end >= 0
+      ? layout.offsets[range.end] +
+        (measuredHeights.get(keys[range.end]) ?? estimatedItemHeight)
+      : 0;
+  const bottomPadding = Math.max(0, layout.total - renderedBottom);
+
+  return (
+    <div
+      ref={containerRef}
+      onScroll={handleScroll}
+      className={`relative ${className}`.trim()}
+    >
+      {header}
+      {items.length === 0 ? (
+        emptyState
+      ) : (
+        <>
+          {hasMore || loadingOlder || loadOlderError ? (
+            <div className="pb-2 text-center text-[11px] text-gray-400">
+              {loadingOlder ? (
+                <span>正在加载更早的消息...</span>
+              ) : (
+                <button
+                  type="button"
+                  onClick={() => onReachTop?.()}
+                  className={`transition hover:text-blue-500 ${loadOlderError ? "text-red-400" : ""}`}
+                >
+                  {loadOlderError
+                    ? `加载失败，点击重试（${loadOlderError}）`
+                    : "加载更早的消息"}
+                </button>
+              )}
+            </div>
+          ) : null}
+          <ul ref={listRef}>
+            <li aria-hidden style={{ height: topPadding }} />
+            {items.slice(range.start, range.end + 1).map((item, offset) => {
+              const key = keys[range.start + offset];
+              return (
+                <li
+                  key={key}
+                  data-virtual-key={key}
+                  ref={getRowRef(key)}
+                  className="pb-3"
+                >
+                  {renderItem(item)}
+                </li>
+              );
+            })}
+            <li aria-hidden style={{ height: bottomPadding }} />
+          </ul>
+        </>
+      )}
+    </div>
+  );
+});
+
+export default VirtualMessageList;
@@ -0,0 +1,89 @@
+"use client";
+
+import { useEffect, useState } from "react";
+
+import {
+  CHAT_VOICE_INPUT_MODES,
+  VOICE_INPUT_MODES,
+} from "@/lib/audio/voiceSettings";
+
+const MODE_LABELS = {
+  toggle: "点击切换",
+  "push-to-talk": "按住说话",
+  "always-on": "持续聆听",
+};
+
+function describeKey(code) {
+  if (code === "Space") {
+    return "空格";
+  }
+  return code.replace(/^Key/, "").replace(/^Digit/, "");
+}
+
+const SCOPES = {
+  chat: { label: "聊天语音输入", setting: "chatInputMode", modes: CHAT_VOICE_INPUT_MODES },
+  phone: { label: "通话语音输入", setting: "phoneInputMode", modes: VOICE_INPUT_MODES },
+};
+
+/**
+ * Voice input mode picker for one `scope`, "chat" or "phone", plus the
+ * push-to-talk key when that mode is selected. Each scope has its own mode
+ * setting; the key is shared. "Always-on" is only offered for phone calls.
+ */
+export default function VoiceInputSettings({
+  scope = "chat",
+  inputMode,
+  pushToTalkKey,
+  disabled = false,
+  onChange,
+}) {
+  const { label, setting, modes } = SCOPES[scope] ?? SCOPES.chat;
+  const [capturingKey, setCapturingKey] = useState(false);
+
+  useEffect(() => {
+    if (!capturingKey) {
+      return undefined;
+    }
+    const handleKeyDown = (event) => {
+      event.preventDefault();
+      event.stopPropagation();
+      setCapturingKey(false);
+      if (event.code && event.code !== "Escape") {
+        onChange?.({ pushToTalkKey: event.code });
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [capturingKey, onChange]);
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-xs">
+      <label className="flex items-center gap-2">
+        <span className="text-gray-500">{label}</span>
+        <select
+          value={inputMode}
+          disabled={disabled}
+          onChange={(event) => onChange?.({ [setting]: event.target.value })}
+          className="rounded-full border border-gray-200 bg-white px-2 py-1 text-xs text-gray-700 disabled:text-gray-300"
+        >
+          {modes.map((value) => (
+            <option key={value} value={value}>
+              {MODE_LABELS[value]}
+            </option>
+          ))}
+        </select>
+      </label>
+      {inputMode === "push-to-talk" ? (
+        <button
+          type="button"
+          disabled={disabled}
+          onClick={() => setCapturingKey((prev) => !prev)}
+          title="点击后按下新的快捷键，Esc 取消"
+          className={`rounded-full border px-2 py-1 transition disabled:cursor-not-allowed disabled:text-gray-300 ${capturingKey ? "border-blue-400 text-blue-500" : "border-gray-200 text-gray-600 hover:border-blue-400 hover:text-blue-500"}`}
+        >
+          {capturingKey ? "请按下按键..." : `快捷键：${describeKey(pushToTalkKey)}`}
+        </button>
+      ) : null}
+    </div>
+  );
+}
@@ -0,0 +1,122 @@
+import { selectRecorderMimeType } from "@/lib/audio/recording";
+
+const RECORDER_TIMESLICE_MS = 1000;
+
+/**
+ * Records a phone call as one file by mixing the caller's microphone and the
+ * agent's speech inside `context`, the AudioContext speech playback runs
+ * through. The microphone only feeds the recording, never the speakers.
+ * Agent audio joins through `addAgentSource(node)`, called for every
+ * utterance as it starts playing; nodes from another context are skipped.
+ *
+ * `stop()` resolves to `{ blob, mimeType, durationMs }`, or null when nothing
+ * was recorded. The microphone stream's tracks are left running.
+ */
+export default class CallRecorder {
+  static isSupported() {
+    if (typeof window === "undefined" || typeof window.MediaRecorder !== "function") {
+      return false;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    return (
+      typeof AudioContextClass === "function" &&
+      typeof AudioContextClass.prototype.createMediaStreamDestination === "function"
+    );
+  }
+
+  constructor(context) {
+    this.context = context;
+    this.destination = null;
+    this.microphoneSource = null;
+    this.agentBus = null;
+    this.recorder = null;
+    this.chunks = [];
+    this.startedAt = 0;
+    this.stopPromise = null;
+  }
+
+  start(microphoneStream) {
+    if (this.recorder) {
+      return;
+    }
+    const { context } = this;
+    this.destination = context.createMediaStreamDestination();
+    this.agentBus = context.createGain();
+    this.agentBus.connect(this.destination);
+    this.microphoneSource = context.createMediaStreamSource(microphoneStream);
+    this.microphoneSource.connect(this.destination);
+    const mimeType = selectRecorderMimeType();
+    this.recorder = new window.MediaRecorder(
+      this.destination.stream,
+      mimeType ? { mimeType } : undefined,
+    );
+    this.chunks = [];
+    this.recorder.ondataavailable = (event) => {
+      if (event.data?.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    this.recorder.start(RECORDER_TIMESLICE_MS);
+    this.startedAt = Date.now();
+  }
+
+  addAgentSource(node) {
+    if (!this.agentBus || node?.context !== this.context) {
+      return false;
+    }
+    try {
+      node.connect(this.agentBus);
+      return true;
+    } catch (error) {
+      console.warn("Failed to route speech into call recording", error);
+      return false;
+    }
+  }
+
+  stop() {
+    if (this.stopPromise) {
+      return this.stopPromise;
+    }
+    const recorder = this.recorder;
+    const durationMs = Date.now() - this.startedAt;
+    this.stopPromise = new Promise((resolve) => {
+      if (!recorder || recorder.state === "inactive") {
+        resolve(null);
+        return;
+      }
+      recorder.onstop = () => {
+        const type = recorder.mimeType || this.chunks[0]?.type || "audio/webm";
+        const blob = new Blob(this.chunks, { type });
+        this.chunks = [];
+        resolve(blob.size > 0 ? { blob, mimeType: type, durationMs } : null);
+      };
+      recorder.stop();
+    }).finally(() => this.disconnect());
+    return this.stopPromise;
+  }
+
+  // Stops without producing a file, e.g. when the panel unmounts mid-call.
+  cancel() {
+    if (this.recorder && this.recorder.state !== "inactive") {
+      this.recorder.ondataavailable = null;
+      this.recorder.onstop = null;
+      this.recorder.stop();
+    }
+    this.chunks = [];
+    this.disconnect();
+  }
+
+  disconnect() {
+    [this.microphoneSource, this.agentBus].forEach((node) => {
+      try {
+        node?.disconnect();
+      } catch (error) {
+        console.warn("Failed to disconnect call recording node", error);
+      }
+    });
+    this.microphoneSource = null;
+    this.agentBus = null;
+    this.destination = null;
+    this.recorder = null;
+  }
+}
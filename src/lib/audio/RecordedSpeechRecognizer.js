@@ -0,0 +1,253 @@
+import { selectRecorderMimeType } from "@/lib/audio/recording";
+
+const DEFAULT_ENDPOINT = "/api/asr";
+const DEFAULT_MAX_DURATION_MS = 15000;
+const DEFAULT_MIN_DURATION_MS = 300;
+const RECORDER_TIMESLICE_MS = 250;
+const RECORDER_EXTENSIONS = {
+  "audio/webm": "webm",
+  "audio/ogg": "ogg",
+  "audio/mp4": "m4a",
+};
+
+function isRecorderAvailable() {
+  return (
+    typeof window !== "undefined" &&
+    typeof window.MediaRecorder === "function" &&
+    typeof window.navigator?.mediaDevices?.getUserMedia === "function"
+  );
+}
+
+// Maps getUserMedia / MediaRecorder failures onto SpeechRecognition error codes.
+function describeCaptureError(error) {
+  const name = error?.name ?? "";
+  if (name === "NotAllowedError" || name === "PermissionDeniedError" || name === "SecurityError") {
+    return "not-allowed";
+  }
+  return "audio-capture";
+}
+
+async function uploadRecording(blob, { language, endpoint = DEFAULT_ENDPOINT, signal }) {
+  const base = String(blob.type ?? "").split(";")[0].trim().toLowerCase();
+  const form = new FormData();
+  form.append("audio", blob, `speech.${RECORDER_EXTENSIONS[base] ?? "webm"}`);
+  if (language) {
+    form.append("language", language);
+  }
+  const response = await fetch(endpoint, {
+    method: "POST",
+    body: form,
+    credentials: "include",
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`Speech recognition failed with ${response.status}`);
+  }
+  const payload = await response.json().catch(() => null);
+  return typeof payload?.text === "string" ? payload.text.trim() : "";
+}
+
+/**
+ * Stand-in for `SpeechRecognition` on browsers without it (Firefox, most
+ * embedded webviews): records the microphone with MediaRecorder and has
+ * `/api/asr` transcribe each recording. It exposes the subset of the
+ * SpeechRecognition interface ChatPanel uses, so the same handlers drive
+ * both: `start()`/`stop()`/`abort()`, `lang`, `continuous`, and the
+ * `onstart`, `onresult`, `onerror` and `onend` callbacks. A session ends
+ * after one recording, at `stop()` or after `maxDurationMs`; results arrive
+ * before `onend`, shaped like a single final SpeechRecognitionResult.
+ *
+ * `getStream()` supplies the microphone stream (ChatPanel shares the one
+ * obtained for the permission prompt); `releaseStream()` is called when a
+ * non-continuous session ends so the browser's recording indicator goes
+ * away. `shouldTranscribe()` can veto an upload, e.g. when voice activity
+ * detection heard nothing but background noise. `transcribe(blob, options)`
+ * receives an AbortSignal in `options.signal`, aborted by `abort()`.
+ */
+export default class RecordedSpeechRecognizer {
+  static isSupported() {
+    return isRecorderAvailable();
+  }
+
+  constructor(options = {}) {
+    const {
+      getStream,
+      releaseStream,
+      transcribe = uploadRecording,
+      shouldTranscribe,
+      endpoint = DEFAULT_ENDPOINT,
+      maxDurationMs = DEFAULT_MAX_DURATION_MS,
+      minDurationMs = DEFAULT_MIN_DURATION_MS,
+    } = options;
+    this.getStream =
+      typeof getStream === "function"
+        ? getStream
+        : () => window.navigator.mediaDevices.getUserMedia({ audio: true });
+    this.releaseStream = typeof releaseStream === "function" ? releaseStream : null;
+    this.transcribe = transcribe;
+    this.shouldTranscribe = typeof shouldTranscribe === "function" ? shouldTranscribe : () => true;
+    this.endpoint = endpoint;
+    this.maxDurationMs = maxDurationMs;
+    this.minDurationMs = minDurationMs;
+
+    this.lang = "";
+    this.continuous = false;
+    this.interimResults = false;
+    this.maxAlternatives = 1;
+    this.onstart = null;
+    this.onresult = null;
+    this.onerror = null;
+    this.onend = null;
+
+    this.state = "idle";
+    this.recorder = null;
+    this.chunks = [];
+    this.startedAt = 0;
+    this.maxDurationTimer = null;
+    this.discard = false;
+    this.transcription = null;
+  }
+
+  start() {
+    if (this.state !== "idle") {
+      throw new DOMException("Recognition has already started", "InvalidStateError");
+    }
+    this.state = "starting";
+    this.discard = false;
+    this.begin();
+  }
+
+  stop() {
+    if (this.state === "starting") {
+      this.discard = true;
+      return;
+    }
+    if (this.state === "recording") {
+      this.stopRecorder();
+    }
+  }
+
+  // Ends the session without transcribing what was recorded.
+  abort() {
+    this.discard = true;
+    this.transcription?.abort();
+    this.stop();
+  }
+
+  async begin() {
+    let stream;
+    try {
+      stream = await this.getStream();
+    } catch (error) {
+      this.fail(describeCaptureError(error), error);
+      this.finish();
+      return;
+    }
+    if (this.discard) {
+      this.finish();
+      return;
+    }
+    let recorder;
+    try {
+      const mimeType = selectRecorderMimeType();
+      recorder = new window.MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    } catch (error) {
+      this.fail("audio-capture", error);
+      this.finish();
+      return;
+    }
+    this.recorder = recorder;
+    this.chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data?.size > 0) {
+        this.chunks.push(event.data);
+      }
+    };
+    recorder.onstop = () => {
+      this.handleRecorderStop();
+    };
+    recorder.onerror = (event) => {
+      this.discard = true;
+      this.fail("audio-capture", event?.error);
+      this.stopRecorder();
+    };
+    recorder.start(RECORDER_TIMESLICE_MS);
+    this.state = "recording";
+    this.startedAt = Date.now();
+    this.maxDurationTimer = window.setTimeout(() => {
+      this.stopRecorder();
+    }, this.maxDurationMs);
+    this.onstart?.();
+  }
+
+  stopRecorder() {
+    window.clearTimeout(this.maxDurationTimer);
+    this.maxDurationTimer = null;
+    if (this.recorder && this.recorder.state !== "inactive") {
+      this.recorder.stop();
+    }
+  }
+
+  async handleRecorderStop() {
+    const recorder = this.recorder;
+    const duration = Date.now() - this.startedAt;
+    const blob = new Blob(this.chunks, {
+      type: recorder?.mimeType || this.chunks[0]?.type || "audio/webm",
+    });
+    this.recorder = null;
+    this.chunks = [];
+    this.state = "transcribing";
+    // Handlers are detached when the owner tears the recognizer down; don't
+    // upload a recording nobody will read.
+    if (
+      !this.discard &&
+      this.onresult &&
+      duration >= this.minDurationMs &&
+      blob.size > 0 &&
+      this.shouldTranscribe()
+    ) {
+      const transcription = new AbortController();
+      this.transcription = transcription;
+      try {
+        const transcript = await this.transcribe(blob, {
+          language: this.lang,
+          endpoint: this.endpoint,
+          signal: transcription.signal,
+        });
+        // abort() may have come in while the upload was in flight.
+        if (!this.discard) {
+          this.deliver(transcript);
+        }
+      } catch (error) {
+        if (!this.discard) {
+          this.fail("network", error);
+        }
+      } finally {
+        this.transcription = null;
+      }
+    }
+    this.finish();
+  }
+
+  deliver(transcript) {
+    if (!transcript) {
+      this.fail("no-speech");
+      return;
+    }
+    const alternative = { transcript, confidence: 1 };
+    const result = Object.assign([alternative], { isFinal: true });
+    this.onresult?.({ resultIndex: 0, results: [result] });
+  }
+
+  fail(code, error) {
+    this.onerror?.({ error: code, message: error?.message ?? "" });
+  }
+
+  finish() {
+    this.state = "idle";
+    if (!this.continuous) {
+      this.releaseStream?.();
+    }
+    this.onend?.();
+  }
+}
@@ -0,0 +1,172 @@
+const DEFAULT_MAX_WAIT_MS = 250;
+const DEFAULT_MAX_PENDING = 48;
+
+function createStats() {
+  return {
+    received: 0,
+    released: 0,
+    reordered: 0,
+    lateChunks: 0,
+    duplicates: 0,
+    skippedChunks: 0,
+    gaps: 0,
+    longestWaitMs: 0,
+  };
+}
+
+/**
+ * Reorders sequence-numbered stream chunks before they reach a decoder.
+ * Chunks are released strictly in order; a missing sequence is waited for
+ * at most `maxWaitMs` (or until `maxPending` later chunks pile up) and then
+ * skipped, with the first chunk after the hole released as `afterGap`.
+ * Chunks that arrive after their slot was skipped are counted as late and
+ * dropped. Chunks without a sequence number pass straight through.
+ *
+ * By default the first chunk to arrive sets where the stream starts, since
+ * backends differ in whether they count from 0 or 1. A stream that states
+ * its first sequence (`/api/tts` sends `first_sequence: 0`) should pass it
+ * as `startSequence`, so a first chunk that overtook its predecessors is
+ * held like any other instead of making them late.
+ */
+export default class SequenceJitterBuffer {
+  constructor(options = {}) {
+    const {
+      maxWaitMs = DEFAULT_MAX_WAIT_MS,
+      maxPending = DEFAULT_MAX_PENDING,
+      startSequence = null,
+      onRelease,
+      onGap,
+      onLate,
+    } = options;
+
+    this.maxWaitMs = Math.max(0, Number(maxWaitMs) || 0);
+    this.maxPending = Math.max(1, Number(maxPending) || DEFAULT_MAX_PENDING);
+    this.onRelease = typeof onRelease === "function" ? onRelease : null;
+    this.onGap = typeof onGap === "function" ? onGap : null;
+    this.onLate = typeof onLate === "function" ? onLate : null;
+    this.nextSequence = Number.isInteger(startSequence) ? startSequence : null;
+    this.pending = new Map();
+    this.skipped = new Set();
+    this.gapStartedAt = null;
+    this.timerId = null;
+    this.stats = createStats();
+    this.handleTimeout = this.handleTimeout.bind(this);
+  }
+
+  push(bytes, sequence) {
+    this.stats.received += 1;
+    if (typeof sequence !== "number" || !Number.isInteger(sequence) || sequence < 0) {
+      this.release(bytes, sequence, false);
+      return;
+    }
+    if (this.nextSequence === null) {
+      this.nextSequence = sequence;
+    }
+    if (sequence < this.nextSequence) {
+      if (this.skipped.delete(sequence)) {
+        this.stats.lateChunks += 1;
+        this.onLate?.({ sequence, expected: this.nextSequence });
+      } else {
+        this.stats.duplicates += 1;
+      }
+      return;
+    }
+    if (this.pending.has(sequence)) {
+      this.stats.duplicates += 1;
+      return;
+    }
+    if (sequence > this.nextSequence) {
+      this.stats.reordered += 1;
+    }
+    this.pending.set(sequence, bytes);
+    this.drain(false);
+    if (this.pending.size >= this.maxPending) {
+      this.skipGap();
+    }
+    this.updateTimer();
+  }
+
+  /** Releases everything still held, skipping any remaining holes. */
+  flush() {
+    this.clearTimer();
+    while (this.pending.size > 0) {
+      this.skipGap();
+    }
+  }
+
+  reset() {
+    this.clearTimer();
+    this.pending.clear();
+    this.skipped.clear();
+    this.gapStartedAt = null;
+  }
+
+  getStats() {
+    return { ...this.stats, pending: this.pending.size };
+  }
+
+  release(bytes, sequence, afterGap) {
+    this.stats.released += 1;
+    this.onRelease?.(bytes, { sequence, afterGap });
+  }
+
+  drain(afterGap) {
+    let splice = afterGap;
+    while (this.pending.has(this.nextSequence)) {
+      const bytes = this.pending.get(this.nextSequence);
+      this.pending.delete(this.nextSequence);
+      this.release(bytes, this.nextSequence, splice);
+      splice = false;
+      this.nextSequence += 1;
+    }
+  }
+
+  skipGap() {
+    if (this.pending.size === 0) {
+      return;
+    }
+    this.clearTimer();
+    const resumeAt = Math.min(...this.pending.keys());
+    const missing = resumeAt - this.nextSequence;
+    for (let sequence = this.nextSequence; sequence < resumeAt; sequence += 1) {
+      this.skipped.add(sequence);
+    }
+    const waitedMs = this.gapStartedAt === null ? 0 : Date.now() - this.gapStartedAt;
+    this.stats.gaps += 1;
+    this.stats.skippedChunks += missing;
+    this.stats.longestWaitMs = Math.max(this.stats.longestWaitMs, waitedMs);
+    this.gapStartedAt = null;
+    this.onGap?.({ from: this.nextSequence, to: resumeAt - 1, missing, waitedMs });
+    this.nextSequence = resumeAt;
+    this.drain(true);
+  }
+
+  updateTimer() {
+    if (this.pending.size === 0) {
+      this.gapStartedAt = null;
+      this.clearTimer();
+      return;
+    }
+    if (this.gapStartedAt === null) {
+      this.gapStartedAt = Date.now();
+    }
+    if (this.timerId !== null) {
+      return;
+    }
+    const remaining = Math.max(0, this.maxWaitMs - (Date.now() - this.gapStartedAt));
+    this.timerId = setTimeout(this.handleTimeout, remaining);
+  }
+
+  handleTimeout() {
+    this.timerId = null;
+    this.skipGap();
+    this.updateTimer();
+  }
+
+  clearTimer() {
+    if (this.timerId !== null) {
+      clearTimeout(this.timerId);
+      this.timerId = null;
+    }
+  }
+}
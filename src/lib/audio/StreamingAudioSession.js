@@ -1,4 +1,8 @@
+import SequenceJitterBuffer from "@/lib/audio/SequenceJitterBuffer";
+
 const DEFAULT_MIME_TYPE = "audio/mpeg";
+const DEFAULT_JITTER_BUFFER_MS = 250;
+const DEFAULT_SPLICE_FADE_MS = 30;
 
 function isMediaSourceAvailable() {
   if (typeof window === "undefined") {
@@ -45,6 +49,11 @@ export default class StreamingAudioSession {
       onFirstPlayable,
       onError,
       onEnded,
+      onStats,
+      jitterBufferMs = DEFAULT_JITTER_BUFFER_MS,
+      maxPendingChunks,
+      startSequence = null,
+      spliceFadeMs = DEFAULT_SPLICE_FADE_MS,
       debugLabel = "",
       debug = false,
     } = options;
@@ -75,6 +84,9 @@ export default class StreamingAudioSession {
     this.onFirstPlayable = typeof onFirstPlayable === "function" ? onFirstPlayable : null;
     this.onError = typeof onError === "function" ? onError : null;
     this.onEnded = typeof onEnded === "function" ? onEnded : null;
+    this.onStats = typeof onStats === "function" ? onStats : null;
+    this.mimeType = typeof mimeType === "string" ? mimeType : "";
+    this.capturedChunks = [];
     this.mediaSource = null;
     this.sourceBuffer = null;
     this.objectUrl = null;
@@ -88,6 +100,32 @@ export default class StreamingAudioSession {
     this.streamingSupported = false;
     this.supportedMimeType = null;
     this.receivedChunkCount = 0;
+    this.spliceFadeSeconds = Math.max(0, Number(spliceFadeMs) || 0) / 1000;
+    this.spliceTimes = [];
+    this.spliceFrameId = null;
+    this.spliceBaseVolume = null;
+    this.spliceFades = 0;
+    this.underruns = 0;
+    this.stalledMs = 0;
+    this.stallStartedAt = null;
+    this.handleElementWaiting = this.handleElementWaiting.bind(this);
+    this.handleElementPlaying = this.handleElementPlaying.bind(this);
+    this.updateSpliceFade = this.updateSpliceFade.bind(this);
+    this.jitterBuffer = new SequenceJitterBuffer({
+      maxWaitMs: jitterBufferMs,
+      maxPending: maxPendingChunks,
+      startSequence,
+      onRelease: (bytes, { sequence, afterGap }) =>
+        this.enqueueChunk(bytes, sequence, afterGap),
+      onGap: (gap) => {
+        this.debugLog("skipped missing chunks", gap);
+        this.emitStats("gap", gap);
+      },
+      onLate: (late) => {
+        this.debugLog("dropped late chunk", late);
+        this.emitStats("late", late);
+      },
+    });
 
     if (typeof window !== "undefined") {
       this.supportedMimeType = selectMimeType(mimeType);
@@ -166,24 +204,36 @@ export default class StreamingAudioSession {
 
   handleSourceEnded() {
     this.debugLog("source ended");
+    this.emitStats("complete");
     if (typeof this.onEnded === "function") {
       this.onEnded();
     }
   }
 
+  /**
+   * Chunks pass through the jitter buffer, which reorders them by `sequence`
+   * (from `startSequence` when the stream states it) and releases them to
+   * `enqueueChunk` once contiguous (or once a hole has been waited on long
+   * enough).
+   */
   appendChunk(bytes, sequence) {
-    if (this.destroyed) {
+    if (this.destroyed || this.finalized) {
       return;
     }
     if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
       return;
     }
+    this.jitterBuffer.push(bytes, sequence);
+  }
+
+  enqueueChunk(bytes, sequence, afterGap) {
+    if (this.destroyed) {
+      return;
+    }
     if (typeof sequence === "number" && sequence >= 0) {
-      if (sequence <= this.lastSequence) {
-        return;
-      }
       this.lastSequence = sequence;
     }
+    this.capturedChunks.push(bytes);
     if (!this.streamingSupported) {
       if (!this.fallbackBuffers) {
         this.fallbackBuffers = [];
@@ -200,7 +250,7 @@ export default class StreamingAudioSession {
     if (!buffer) {
       return;
     }
-    this.queue.push(buffer);
+    this.queue.push({ buffer, afterGap });
     this.receivedChunkCount += 1;
     if (this.receivedChunkCount === 1) {
       this.debugLog("received first streaming chunk", { size: bytes.length, sequence });
@@ -227,8 +277,11 @@ export default class StreamingAudioSession {
       }
       return;
     }
+    if (next.afterGap) {
+      this.markSplice();
+    }
     try {
-      this.sourceBuffer.appendBuffer(next);
+      this.sourceBuffer.appendBuffer(next.buffer);
       this.debugLog("appended chunk to source buffer", {
         remainingQueue: this.queue.length,
         finalized: this.finalized,
@@ -271,6 +324,7 @@ export default class StreamingAudioSession {
     if (this.destroyed) {
       return;
     }
+    this.jitterBuffer.flush();
     this.finalized = true;
     this.debugLog("finalize requested", {
       queueLength: this.queue.length,
@@ -302,6 +356,117 @@ export default class StreamingAudioSession {
     }
   }
 
+  getStats() {
+    return {
+      ...this.jitterBuffer.getStats(),
+      gapConcealment: "volume-dip",
+      concealedSplices: this.spliceFades,
+      underruns: this.underruns,
+      stalledMs: this.stalledMs,
+    };
+  }
+
+  /**
+   * The chunks released so far, in playback order, as one `{ blob, mimeType }`
+   * so a streamed reply can still be saved. Null before any audio arrived.
+   */
+  getCapturedAudio() {
+    if (this.capturedChunks.length === 0) {
+      return null;
+    }
+    const mimeType = this.mimeType || this.supportedMimeType || "audio/mpeg";
+    return { blob: new Blob(this.capturedChunks, { type: mimeType }), mimeType };
+  }
+
+  emitStats(reason, detail = null) {
+    if (typeof this.onStats !== "function") {
+      return;
+    }
+    try {
+      this.onStats({ reason, detail, ...this.getStats() });
+    } catch (error) {
+      this.debugLog("onStats threw", error);
+    }
+  }
+
+  handleElementWaiting() {
+    const element = this.audioElement;
+    // `waiting` before the first frame is start-up buffering, not an underrun.
+    if (!element || element.currentTime <= 0 || this.stallStartedAt !== null) {
+      return;
+    }
+    this.underruns += 1;
+    this.stallStartedAt = Date.now();
+    this.debugLog("playback underrun", { currentTime: element.currentTime });
+    this.emitStats("underrun");
+  }
+
+  handleElementPlaying() {
+    if (this.stallStartedAt === null) {
+      return;
+    }
+    this.stalledMs += Date.now() - this.stallStartedAt;
+    this.stallStartedAt = null;
+  }
+
+  /**
+   * Records where the chunk after a skipped hole starts. In "sequence" mode
+   * it is appended at the current end of the buffered range.
+   */
+  markSplice() {
+    if (!this.spliceFadeSeconds || !this.sourceBuffer) {
+      return;
+    }
+    const { buffered } = this.sourceBuffer;
+    const time = buffered && buffered.length > 0 ? buffered.end(buffered.length - 1) : 0;
+    this.spliceTimes.push(time);
+    this.spliceFades += 1;
+    this.startSpliceFade();
+  }
+
+  startSpliceFade() {
+    if (
+      this.spliceFrameId !== null ||
+      !this.audioElement ||
+      this.spliceTimes.length === 0 ||
+      typeof requestAnimationFrame !== "function"
+    ) {
+      return;
+    }
+    this.spliceFrameId = requestAnimationFrame(this.updateSpliceFade);
+  }
+
+  /**
+   * Dips the element volume to zero at each splice point, ramping down over
+   * `spliceFadeMs` before it and back up over `spliceFadeMs` after it, so the
+   * skipped audio doesn't click. This is not a crossfade: MediaSource plays
+   * one decoded timeline, so the audio either side of the hole can't
+   * overlap, and the ramp is stepped once per animation frame.
+   */
+  updateSpliceFade() {
+    this.spliceFrameId = null;
+    const element = this.audioElement;
+    if (!element || this.destroyed) {
+      return;
+    }
+    if (this.spliceBaseVolume === null) {
+      this.spliceBaseVolume = element.volume;
+    }
+    const fade = this.spliceFadeSeconds;
+    const time = element.currentTime;
+    while (this.spliceTimes.length > 0 && time > this.spliceTimes[0] + fade) {
+      this.spliceTimes.shift();
+    }
+    if (this.spliceTimes.length === 0) {
+      element.volume = this.spliceBaseVolume;
+      this.spliceBaseVolume = null;
+      return;
+    }
+    const distance = Math.abs(time - this.spliceTimes[0]);
+    element.volume = this.spliceBaseVolume * Math.min(1, distance / fade);
+    this.spliceFrameId = requestAnimationFrame(this.updateSpliceFade);
+  }
+
   getAudioElement() {
     if (this.destroyed) {
       return null;
@@ -324,6 +489,8 @@ export default class StreamingAudioSession {
       }
       element.src = this.objectUrl;
       element.load();
+      element.addEventListener("waiting", this.handleElementWaiting);
+      element.addEventListener("playing", this.handleElementPlaying);
       this.debugLog("attached media source to audio element", { objectUrl: this.objectUrl });
     } else if (this.fallbackBuffers && this.fallbackBuffers.length > 0) {
       const combined = new Uint8Array(
@@ -348,6 +515,7 @@ export default class StreamingAudioSession {
       return null;
     }
     this.audioElement = element;
+    this.startSpliceFade();
     return element;
   }
 
@@ -366,8 +534,18 @@ export default class StreamingAudioSession {
       return;
     }
     this.debugLog("destroy called");
+    this.emitStats("closed");
     this.destroyed = true;
+    this.jitterBuffer.reset();
+    this.capturedChunks = [];
+    if (this.spliceFrameId !== null && typeof cancelAnimationFrame === "function") {
+      cancelAnimationFrame(this.spliceFrameId);
+    }
+    this.spliceFrameId = null;
+    this.spliceTimes = [];
     if (this.audioElement) {
+      this.audioElement.removeEventListener("waiting", this.handleElementWaiting);
+      this.audioElement.removeEventListener("playing", this.handleElementPlaying);
       try {
         this.audioElement.pause();
       } catch (error) {
@@ -0,0 +1,219 @@
+const DEFAULT_THRESHOLD_DB = -50;
+const DEFAULT_HANGOVER_MS = 800;
+const DEFAULT_SPEECH_START_MS = 120;
+const DEFAULT_NOISE_MARGIN_DB = 8;
+const DEFAULT_MIN_SPEECH_RATIO = 0.5;
+const DEFAULT_INTERVAL_MS = 32;
+const FFT_SIZE = 1024;
+// Voice energy sits mostly in the telephone band; hum, fans and hiss mostly
+// outside it.
+const SPEECH_BAND_HZ = [300, 3400];
+const ANALYSIS_BAND_HZ = [80, 8000];
+// Level meter range in dBFS.
+const METER_FLOOR_DB = -80;
+const METER_CEILING_DB = -10;
+const NOISE_FLOOR_RISE = 0.02;
+const NOISE_FLOOR_FALL = 0.3;
+
+function clampUnit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+function levelFromDb(db) {
+  return clampUnit((db - METER_FLOOR_DB) / (METER_CEILING_DB - METER_FLOOR_DB));
+}
+
+/**
+ * Energy/spectral voice activity detector for a microphone stream. Every
+ * `intervalMs` it measures the input level (RMS, dBFS) and the share of
+ * spectral power in the speech band. A frame counts as speech when the level
+ * clears both `thresholdDb` and the tracked noise floor plus
+ * `noiseMarginDb`, and at least `minSpeechRatio` of the power is in the
+ * speech band. `speechStartMs` of consecutive speech frames start an
+ * utterance (`onSpeechStart`); `hangoverMs` without one ends it
+ * (`onSpeechEnd({ durationMs })`). `onLevel({ level, db, thresholdDb,
+ * speaking })` reports every frame, with `level` scaled 0–1 for a meter.
+ *
+ * `stop()` doesn't report an utterance in progress, and never stops the
+ * stream's tracks; the caller owns the stream.
+ */
+export default class VoiceActivityDetector {
+  static isSupported() {
+    return (
+      typeof window !== "undefined" &&
+      typeof (window.AudioContext || window.webkitAudioContext) === "function"
+    );
+  }
+
+  static levelFromDb(db) {
+    return levelFromDb(db);
+  }
+
+  constructor(stream, options = {}) {
+    const {
+      onSpeechStart = null,
+      onSpeechEnd = null,
+      onLevel = null,
+      intervalMs = DEFAULT_INTERVAL_MS,
+      ...thresholds
+    } = options;
+    this.stream = stream;
+    this.onSpeechStart = onSpeechStart;
+    this.onSpeechEnd = onSpeechEnd;
+    this.onLevel = onLevel;
+    this.intervalMs = intervalMs;
+    this.thresholdDb = DEFAULT_THRESHOLD_DB;
+    this.hangoverMs = DEFAULT_HANGOVER_MS;
+    this.speechStartMs = DEFAULT_SPEECH_START_MS;
+    this.noiseMarginDb = DEFAULT_NOISE_MARGIN_DB;
+    this.minSpeechRatio = DEFAULT_MIN_SPEECH_RATIO;
+    this.configure(thresholds);
+
+    this.context = null;
+    this.source = null;
+    this.analyser = null;
+    this.timeData = null;
+    this.frequencyData = null;
+    this.timer = null;
+    this.noiseFloorDb = null;
+    this.speaking = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    this.utteranceStartedAt = 0;
+  }
+
+  configure({ thresholdDb, hangoverMs, speechStartMs, noiseMarginDb, minSpeechRatio } = {}) {
+    const assign = (key, value) => {
+      if (Number.isFinite(value)) {
+        this[key] = value;
+      }
+    };
+    assign("thresholdDb", thresholdDb);
+    assign("hangoverMs", hangoverMs);
+    assign("speechStartMs", speechStartMs);
+    assign("noiseMarginDb", noiseMarginDb);
+    assign("minSpeechRatio", minSpeechRatio);
+  }
+
+  async start() {
+    if (this.context) {
+      return;
+    }
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioContextClass();
+    this.context = context;
+    this.source = context.createMediaStreamSource(this.stream);
+    this.analyser = context.createAnalyser();
+    this.analyser.fftSize = FFT_SIZE;
+    this.analyser.smoothingTimeConstant = 0;
+    this.source.connect(this.analyser);
+    this.timeData = new Float32Array(this.analyser.fftSize);
+    this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+    // A timer rather than requestAnimationFrame so detection keeps running
+    // while the tab is in the background during a call.
+    this.timer = window.setInterval(() => this.analyse(), this.intervalMs);
+    if (context.state === "suspended") {
+      await context.resume().catch((error) => {
+        console.warn("VAD audio context resume failed", error);
+      });
+    }
+  }
+
+  stop() {
+    window.clearInterval(this.timer);
+    this.timer = null;
+    this.speaking = false;
+    this.speechMs = 0;
+    this.silenceMs = 0;
+    try {
+      this.source?.disconnect();
+    } catch (error) {
+      console.warn("VAD source disconnect failed", error);
+    }
+    this.context?.close().catch(() => {});
+    this.context = null;
+    this.source = null;
+    this.analyser = null;
+  }
+
+  measure() {
+    const { analyser, timeData, frequencyData } = this;
+    analyser.getFloatTimeDomainData(timeData);
+    let sum = 0;
+    for (let i = 0; i < timeData.length; i += 1) {
+      sum += timeData[i] * timeData[i];
+    }
+    const rms = Math.sqrt(sum / timeData.length);
+    const db = rms > 0 ? 20 * Math.log10(rms) : -Infinity;
+
+    analyser.getFloatFrequencyData(frequencyData);
+    const binHz = this.context.sampleRate / analyser.fftSize;
+    let speechPower = 0;
+    let totalPower = 0;
+    for (let i = 0; i < frequencyData.length; i += 1) {
+      const hz = i * binHz;
+      if (hz < ANALYSIS_BAND_HZ[0] || hz > ANALYSIS_BAND_HZ[1]) {
+        continue;
+      }
+      const power = 10 ** (frequencyData[i] / 10);
+      totalPower += power;
+      if (hz >= SPEECH_BAND_HZ[0] && hz <= SPEECH_BAND_HZ[1]) {
+        speechPower += power;
+      }
+    }
+    return { db, speechRatio: totalPower > 0 ? speechPower / totalPower : 0 };
+  }
+
+  analyse() {
+    if (!this.analyser) {
+      return;
+    }
+    const { db, speechRatio } = this.measure();
+    if (this.noiseFloorDb === null) {
+      this.noiseFloorDb = Number.isFinite(db) ? db : METER_FLOOR_DB;
+    }
+    const effectiveThresholdDb = Math.max(
+      this.thresholdDb,
+      this.noiseFloorDb + this.noiseMarginDb,
+    );
+    const isSpeech = db > effectiveThresholdDb && speechRatio >= this.minSpeechRatio;
+
+    // The floor follows quiet frames quickly and loud ones slowly, and is
+    // frozen during speech so the speaker's own voice doesn't raise it.
+    if (!isSpeech && !this.speaking && Number.isFinite(db)) {
+      const rate = db < this.noiseFloorDb ? NOISE_FLOOR_FALL : NOISE_FLOOR_RISE;
+      this.noiseFloorDb += (db - this.noiseFloorDb) * rate;
+    }
+
+    if (isSpeech) {
+      this.silenceMs = 0;
+      this.speechMs += this.intervalMs;
+      if (!this.speaking && this.speechMs >= this.speechStartMs) {
+        this.speaking = true;
+        this.utteranceStartedAt = Date.now() - this.speechMs;
+        this.onSpeechStart?.();
+      }
+    } else {
+      this.speechMs = 0;
+      if (this.speaking) {
+        this.silenceMs += this.intervalMs;
+        if (this.silenceMs >= this.hangoverMs) {
+          this.endUtterance();
+        }
+      }
+    }
+
+    this.onLevel?.({
+      level: levelFromDb(db),
+      db,
+      thresholdDb: effectiveThresholdDb,
+      speaking: this.speaking,
+    });
+  }
+
+  endUtterance() {
+    this.speaking = false;
+    this.silenceMs = 0;
+    this.onSpeechEnd?.({ durationMs: Date.now() - this.utteranceStartedAt });
+  }
+}
@@ -0,0 +1,632 @@
+import SequenceJitterBuffer from "@/lib/audio/SequenceJitterBuffer";
+import { encodePcmAsWav } from "@/lib/audio/speechExport";
+import {
+  DEFAULT_PCM_SAMPLE_RATE,
+  OPUS_SAMPLE_RATE,
+  concatBytes,
+  createStreamDecoder,
+  resampleLinear,
+  resolveStreamCodec,
+} from "@/lib/audio/streamDecoders";
+
+const PROCESSOR_NAME = "speech-stream-player";
+// Audio buffered before the session reports itself playable.
+const PREBUFFER_SECONDS = 0.15;
+const DEFAULT_JITTER_BUFFER_MS = 250;
+const DEFAULT_CROSSFADE_MS = 30;
+
+// Plays pushed planar Float32 chunks in order, outputs silence while paused
+// or starved, and reports start / underrun / resume / drain back to the
+// main thread. A chunk pushed with `crossfadeFrames` (audio resuming after
+// a skipped hole) overlaps the tail of what is still queued: the tail fades
+// out as the new chunk fades in, with equal-power gains. With nothing left
+// queued to overlap, the new chunk just fades in.
+const PROCESSOR_SOURCE = `
+class SpeechStreamPlayer extends AudioWorkletProcessor {
+  constructor() {
+    super();
+    this.chunks = [];
+    this.offset = 0;
+    this.playing = false;
+    this.ended = false;
+    this.started = false;
+    this.starved = false;
+    this.drained = false;
+    this.framesPlayed = 0;
+    this.port.onmessage = (event) => this.handleMessage(event.data);
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case "push":
+        this.pushChunk(message.channels, message.crossfadeFrames || 0);
+        break;
+      case "play":
+        this.playing = true;
+        break;
+      case "pause":
+        this.playing = false;
+        break;
+      case "end":
+        this.ended = true;
+        break;
+      default:
+        break;
+    }
+  }
+
+  pushChunk(channels, crossfadeFrames) {
+    if (crossfadeFrames <= 0) {
+      this.chunks.push(channels);
+      return;
+    }
+    let queued = -this.offset;
+    for (const chunk of this.chunks) {
+      queued += chunk[0].length;
+    }
+    const incoming = channels[0].length;
+    if (queued <= 0) {
+      const length = Math.min(crossfadeFrames, incoming);
+      for (const channel of channels) {
+        for (let i = 0; i < length; i += 1) {
+          channel[i] *= Math.sin((((i + 0.5) / length) * Math.PI) / 2);
+        }
+      }
+      this.chunks.push(channels);
+      return;
+    }
+    const length = Math.min(crossfadeFrames, queued, incoming);
+    // Walk the queued tail backwards, mixing the new chunk's head into it.
+    let index = this.chunks.length - 1;
+    let position = this.chunks[index][0].length;
+    for (let i = length - 1; i >= 0; i -= 1) {
+      if (position === 0) {
+        index -= 1;
+        position = this.chunks[index][0].length;
+      }
+      position -= 1;
+      const angle = (((i + 0.5) / length) * Math.PI) / 2;
+      const fadeIn = Math.sin(angle);
+      const fadeOut = Math.cos(angle);
+      const tail = this.chunks[index];
+      for (let channel = 0; channel < tail.length; channel += 1) {
+        const source = channels[Math.min(channel, channels.length - 1)];
+        tail[channel][position] = tail[channel][position] * fadeOut + source[i] * fadeIn;
+      }
+    }
+    if (length < incoming) {
+      this.chunks.push(channels.map((channel) => channel.subarray(length)));
+    }
+  }
+
+  process(inputs, outputs) {
+    const output = outputs[0];
+    if (!this.playing || this.drained || output.length === 0) {
+      return true;
+    }
+    const frames = output[0].length;
+    let written = 0;
+    while (written < frames && this.chunks.length > 0) {
+      const chunk = this.chunks[0];
+      const length = chunk[0].length;
+      const count = Math.min(frames - written, length - this.offset);
+      for (let channel = 0; channel < output.length; channel += 1) {
+        const source = chunk[Math.min(channel, chunk.length - 1)];
+        output[channel].set(source.subarray(this.offset, this.offset + count), written);
+      }
+      written += count;
+      this.offset += count;
+      if (this.offset >= length) {
+        this.chunks.shift();
+        this.offset = 0;
+      }
+    }
+    this.framesPlayed += written;
+    if (written > 0 && !this.started) {
+      this.started = true;
+      this.port.postMessage({ type: "started" });
+    }
+    if (written > 0 && this.starved) {
+      this.starved = false;
+      this.port.postMessage({ type: "resumed", framesPlayed: this.framesPlayed });
+    }
+    if (written < frames) {
+      if (this.ended) {
+        this.drained = true;
+        this.port.postMessage({ type: "drained", framesPlayed: this.framesPlayed });
+      } else if (this.started && !this.starved) {
+        this.starved = true;
+        this.port.postMessage({ type: "underrun", framesPlayed: this.framesPlayed });
+      }
+    }
+    return true;
+  }
+}
+
+registerProcessor("${PROCESSOR_NAME}", SpeechStreamPlayer);
+`;
+
+function getAudioContextClass() {
+  if (typeof window === "undefined") {
+    return null;
+  }
+  return window.AudioContext || window.webkitAudioContext || null;
+}
+
+function isWorkletAvailable() {
+  const AudioContextClass = getAudioContextClass();
+  return Boolean(
+    AudioContextClass &&
+      typeof window.AudioWorkletNode === "function" &&
+      typeof AudioContextClass.prototype.createMediaStreamDestination === "function" &&
+      typeof Audio === "function",
+  );
+}
+
+/**
+ * Streaming playback for PCM, WAV and Ogg/Opus speech through an
+ * AudioWorklet, for codecs MediaSource can't take (and browsers such as iOS
+ * Safari without `MediaSource.isTypeSupported`). Mirrors the
+ * StreamingAudioSession contract: `appendChunk`, `finalize`,
+ * `getAudioElement`, `isPlayable`, `destroy`, the sequence jitter buffer
+ * and the `onFirstPlayable` / `onEnded` / `onStats` callbacks. The audio
+ * element is fed from a MediaStream destination, so callers can play, pause
+ * and tap it like any other speech element.
+ */
+export default class WorkletAudioSession {
+  static isSupported() {
+    return isWorkletAvailable();
+  }
+
+  /** True when this session can stream the given `{ format, mimeType }`. */
+  static canPlay(descriptor) {
+    return Boolean(resolveStreamCodec(descriptor)) && isWorkletAvailable();
+  }
+
+  constructor(options = {}) {
+    const {
+      mimeType,
+      format,
+      sampleRate,
+      channels,
+      onFirstPlayable,
+      onError,
+      onEnded,
+      onStats,
+      jitterBufferMs = DEFAULT_JITTER_BUFFER_MS,
+      maxPendingChunks,
+      startSequence = null,
+      crossfadeMs = DEFAULT_CROSSFADE_MS,
+      debugLabel = "",
+      debug = false,
+    } = options;
+
+    this.debug = Boolean(debug);
+    const normalizedLabel =
+      typeof debugLabel === "string"
+        ? debugLabel
+        : debugLabel == null
+          ? ""
+          : String(debugLabel);
+    this.debugLabel = normalizedLabel.trim();
+    this.debugLog = (message, ...args) => {
+      if (!this.debug || typeof console === "undefined") {
+        return;
+      }
+      const prefix = this.debugLabel
+        ? `[WorkletAudioSession:${this.debugLabel}]`
+        : "[WorkletAudioSession]";
+      const logger = typeof console.debug === "function" ? console.debug : console.log;
+      try {
+        logger.call(console, prefix, message, ...args);
+      } catch {
+        // ignore logging failures
+      }
+    };
+
+    this.onFirstPlayable = typeof onFirstPlayable === "function" ? onFirstPlayable : null;
+    this.onError = typeof onError === "function" ? onError : null;
+    this.onEnded = typeof onEnded === "function" ? onEnded : null;
+    this.onStats = typeof onStats === "function" ? onStats : null;
+    this.codec = resolveStreamCodec({ format, mimeType });
+    this.supportedMimeType = mimeType || null;
+    this.pcmFormat = {
+      sampleRate: Number(sampleRate) || DEFAULT_PCM_SAMPLE_RATE,
+      channels: Number(channels) || 1,
+    };
+    this.capturedChunks = [];
+    this.streamingSupported = Boolean(this.codec) && isWorkletAvailable();
+    this.context = null;
+    this.contextReady = null;
+    this.workletNode = null;
+    this.destination = null;
+    this.moduleUrl = null;
+    this.audioElement = null;
+    this.pendingFrames = [];
+    this.bufferedSeconds = 0;
+    this.finalized = false;
+    this.decoderFlushed = false;
+    this.playableNotified = false;
+    this.endedNotified = false;
+    this.destroyed = false;
+    this.lastSequence = -1;
+    this.receivedChunkCount = 0;
+    this.crossfadeSeconds = Math.max(0, Number(crossfadeMs) || 0) / 1000;
+    this.fadeNextFrames = false;
+    this.crossfades = 0;
+    this.underruns = 0;
+    this.stalledMs = 0;
+    this.stallStartedAt = null;
+    this.jitterBuffer = new SequenceJitterBuffer({
+      maxWaitMs: jitterBufferMs,
+      maxPending: maxPendingChunks,
+      startSequence,
+      onRelease: (bytes, { sequence, afterGap }) =>
+        this.decodeChunk(bytes, sequence, afterGap),
+      onGap: (gap) => {
+        this.debugLog("skipped missing chunks", gap);
+        this.emitStats("gap", gap);
+      },
+      onLate: (late) => {
+        this.debugLog("dropped late chunk", late);
+        this.emitStats("late", late);
+      },
+    });
+    this.handleElementPlay = this.handleElementPlay.bind(this);
+    this.handleElementPause = this.handleElementPause.bind(this);
+    this.handleWorkletMessage = this.handleWorkletMessage.bind(this);
+
+    this.decoder = null;
+    if (this.streamingSupported) {
+      try {
+        this.decoder = createStreamDecoder(this.codec, {
+          sampleRate,
+          channels,
+          onFrames: (frames, rate) => this.handleFrames(frames, rate),
+          onError: (error) => this.reportError(error),
+          decodeAudioData: (buffer, { channels: streamChannels }) =>
+            this.ensureContext(OPUS_SAMPLE_RATE, streamChannels).then(() =>
+              this.context.decodeAudioData(buffer),
+            ),
+        });
+      } catch (error) {
+        this.streamingSupported = false;
+        this.reportError(error);
+      }
+    }
+
+    this.debugLog("constructor", {
+      requestedMimeType: mimeType,
+      format,
+      codec: this.codec,
+      streamingSupported: this.streamingSupported,
+    });
+  }
+
+  reportError(error) {
+    if (this.destroyed) {
+      return;
+    }
+    this.debugLog("error", error);
+    if (typeof this.onError === "function") {
+      this.onError(error);
+    }
+  }
+
+  // The worklet's output channel count is fixed when the node is created,
+  // so callers pass the stream's count; frames not decoded yet can't tell.
+  ensureContext(sampleRate, channelCount) {
+    if (this.contextReady) {
+      return this.contextReady;
+    }
+    const AudioContextClass = getAudioContextClass();
+    try {
+      this.context = new AudioContextClass({ sampleRate, latencyHint: "playback" });
+    } catch {
+      // Some engines reject uncommon rates; decoded frames get resampled.
+      this.context = new AudioContextClass();
+    }
+    this.moduleUrl = URL.createObjectURL(
+      new Blob([PROCESSOR_SOURCE], { type: "application/javascript" }),
+    );
+    this.contextReady = this.context.audioWorklet
+      .addModule(this.moduleUrl)
+      .then(() => {
+        if (this.destroyed) {
+          return;
+        }
+        const outputChannels = Math.max(1, Number(channelCount) || this.pcmFormat.channels);
+        this.workletNode = new AudioWorkletNode(this.context, PROCESSOR_NAME, {
+          numberOfInputs: 0,
+          numberOfOutputs: 1,
+          outputChannelCount: [outputChannels],
+        });
+        this.workletNode.port.onmessage = this.handleWorkletMessage;
+        this.destination = this.context.createMediaStreamDestination();
+        this.workletNode.connect(this.destination);
+        if (this.audioElement) {
+          this.audioElement.srcObject = this.destination.stream;
+        }
+        this.debugLog("worklet ready", { sampleRate: this.context.sampleRate });
+        this.flushFrames();
+      })
+      .catch((error) => {
+        this.streamingSupported = false;
+        this.reportError(error);
+      });
+    return this.contextReady;
+  }
+
+  handleFrames(frames, rate) {
+    if (this.destroyed || !frames.length || frames[0].length === 0) {
+      return;
+    }
+    this.pendingFrames.push({ frames, rate, fadeIn: this.fadeNextFrames });
+    this.fadeNextFrames = false;
+    if (!this.contextReady) {
+      this.ensureContext(rate, frames.length);
+      return;
+    }
+    if (this.workletNode) {
+      this.flushFrames();
+    }
+  }
+
+  flushFrames() {
+    if (!this.workletNode || this.destroyed) {
+      return;
+    }
+    const contextRate = this.context.sampleRate;
+    for (const { frames, rate, fadeIn } of this.pendingFrames) {
+      const channels = resampleLinear(frames, rate, contextRate).map((channel) =>
+        channel.byteOffset === 0 && channel.length === channel.buffer.byteLength / 4
+          ? channel
+          : channel.slice(),
+      );
+      // Audio after a skipped hole is crossfaded into what precedes it
+      // instead of starting mid-waveform.
+      const crossfadeFrames = fadeIn ? Math.round(this.crossfadeSeconds * contextRate) : 0;
+      if (crossfadeFrames > 0) {
+        this.crossfades += 1;
+      }
+      this.bufferedSeconds += channels[0].length / contextRate;
+      this.workletNode.port.postMessage(
+        { type: "push", channels, crossfadeFrames },
+        channels.map((channel) => channel.buffer),
+      );
+    }
+    this.pendingFrames = [];
+    if (this.finalized && this.decoderFlushed) {
+      this.workletNode.port.postMessage({ type: "end" });
+    }
+    this.checkFirstPlayable();
+  }
+
+  handleWorkletMessage(event) {
+    const message = event.data ?? {};
+    if (message.type === "underrun") {
+      this.underruns += 1;
+      this.stallStartedAt = Date.now();
+      this.debugLog("playback underrun", { framesPlayed: message.framesPlayed });
+      this.emitStats("underrun");
+    } else if (message.type === "resumed" && this.stallStartedAt !== null) {
+      this.stalledMs += Date.now() - this.stallStartedAt;
+      this.stallStartedAt = null;
+    } else if (message.type === "drained") {
+      this.debugLog("playback drained", { framesPlayed: message.framesPlayed });
+      this.notifyEnded();
+    }
+  }
+
+  handleElementPlay() {
+    if (!this.context || this.destroyed) {
+      return;
+    }
+    if (this.context.state === "suspended") {
+      this.context.resume().catch((error) => this.reportError(error));
+    }
+    this.workletNode?.port.postMessage({ type: "play" });
+  }
+
+  handleElementPause() {
+    this.workletNode?.port.postMessage({ type: "pause" });
+  }
+
+  appendChunk(bytes, sequence) {
+    if (this.destroyed || this.finalized || !this.streamingSupported) {
+      return;
+    }
+    if (!(bytes instanceof Uint8Array) || bytes.length === 0) {
+      return;
+    }
+    this.jitterBuffer.push(bytes, sequence);
+  }
+
+  decodeChunk(bytes, sequence, afterGap) {
+    if (this.destroyed || !this.decoder) {
+      return;
+    }
+    if (typeof sequence === "number" && sequence >= 0) {
+      this.lastSequence = sequence;
+    }
+    if (afterGap && this.crossfadeSeconds > 0) {
+      this.fadeNextFrames = true;
+    }
+    this.capturedChunks.push(bytes);
+    this.receivedChunkCount += 1;
+    if (this.receivedChunkCount === 1) {
+      this.debugLog("received first streaming chunk", { size: bytes.length, sequence });
+    }
+    try {
+      this.decoder.push(bytes);
+    } catch (error) {
+      this.reportError(error);
+    }
+  }
+
+  checkFirstPlayable() {
+    if (this.playableNotified || !this.workletNode) {
+      return;
+    }
+    if (this.bufferedSeconds < PREBUFFER_SECONDS && !(this.finalized && this.bufferedSeconds > 0)) {
+      return;
+    }
+    this.playableNotified = true;
+    this.debugLog("buffer ready for playback", { buffered: this.bufferedSeconds });
+    if (typeof this.onFirstPlayable === "function") {
+      try {
+        this.onFirstPlayable();
+      } catch (error) {
+        this.reportError(error);
+      }
+    }
+  }
+
+  finalize() {
+    if (this.destroyed || this.finalized) {
+      return;
+    }
+    this.jitterBuffer.flush();
+    this.finalized = true;
+    this.debugLog("finalize requested", { chunks: this.receivedChunkCount });
+    if (!this.decoder) {
+      this.notifyEnded();
+      return;
+    }
+    this.decoder.flush().then(() => {
+      if (this.destroyed) {
+        return;
+      }
+      this.decoderFlushed = true;
+      if (!this.contextReady) {
+        // Nothing decoded; there is no audio to wait for.
+        this.notifyEnded();
+        return;
+      }
+      this.contextReady.then(() => this.flushFrames());
+    });
+  }
+
+  getStats() {
+    return {
+      ...this.jitterBuffer.getStats(),
+      gapConcealment: "crossfade",
+      concealedSplices: this.crossfades,
+      underruns: this.underruns,
+      stalledMs: this.stalledMs,
+    };
+  }
+
+  /**
+   * The encoded chunks received so far as `{ blob, mimeType }`. WAV and
+   * Ogg/Opus streams are already valid files; raw PCM gets a WAV header.
+   */
+  getCapturedAudio() {
+    if (this.capturedChunks.length === 0) {
+      return null;
+    }
+    if (this.codec === "pcm") {
+      const wav = encodePcmAsWav(concatBytes(this.capturedChunks), this.pcmFormat);
+      return { blob: new Blob([wav], { type: "audio/wav" }), mimeType: "audio/wav" };
+    }
+    const mimeType = this.codec === "wav" ? "audio/wav" : "audio/ogg";
+    return { blob: new Blob(this.capturedChunks, { type: mimeType }), mimeType };
+  }
+
+  emitStats(reason, detail = null) {
+    if (typeof this.onStats !== "function") {
+      return;
+    }
+    try {
+      this.onStats({ reason, detail, ...this.getStats() });
+    } catch (error) {
+      this.debugLog("onStats threw", error);
+    }
+  }
+
+  notifyEnded() {
+    if (this.endedNotified || this.destroyed) {
+      return;
+    }
+    this.endedNotified = true;
+    this.emitStats("complete");
+    if (this.audioElement) {
+      // A MediaStream source never ends on its own.
+      this.audioElement.dispatchEvent(new Event("ended"));
+    }
+    if (typeof this.onEnded === "function") {
+      this.onEnded();
+    }
+  }
+
+  getAudioElement() {
+    if (this.destroyed || !this.streamingSupported) {
+      return null;
+    }
+    if (this.audioElement) {
+      return this.audioElement;
+    }
+    const element = new Audio();
+    element.autoplay = false;
+    element.addEventListener("play", this.handleElementPlay);
+    element.addEventListener("pause", this.handleElementPause);
+    if (this.destination) {
+      element.srcObject = this.destination.stream;
+    }
+    this.audioElement = element;
+    this.debugLog("created audio element");
+    return element;
+  }
+
+  isPlayable() {
+    if (this.destroyed || !this.streamingSupported) {
+      return false;
+    }
+    return this.playableNotified;
+  }
+
+  destroy() {
+    if (this.destroyed) {
+      return;
+    }
+    this.debugLog("destroy called");
+    this.emitStats("closed");
+    this.destroyed = true;
+    this.jitterBuffer.reset();
+    this.capturedChunks = [];
+    this.decoder?.close();
+    this.decoder = null;
+    if (this.audioElement) {
+      try {
+        this.audioElement.pause();
+      } catch (error) {
+        this.debugLog("pause during destroy failed", error);
+      }
+      this.audioElement.removeEventListener("play", this.handleElementPlay);
+      this.audioElement.removeEventListener("pause", this.handleElementPause);
+      this.audioElement.srcObject = null;
+      this.audioElement = null;
+    }
+    if (this.workletNode) {
+      this.workletNode.port.onmessage = null;
+      try {
+        this.workletNode.disconnect();
+      } catch (error) {
+        this.debugLog("worklet disconnect failed", error);
+      }
+    }
+    if (this.context && this.context.state !== "closed") {
+      this.context.close().catch((error) => {
+        this.debugLog("context close failed", error);
+      });
+    }
+    if (this.moduleUrl) {
+      URL.revokeObjectURL(this.moduleUrl);
+    }
+    this.pendingFrames = [];
+    this.workletNode = null;
+    this.destination = null;
+    this.context = null;
+    this.moduleUrl = null;
+  }
+}
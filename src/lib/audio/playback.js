@@ -0,0 +1,83 @@
+const SPEECH_PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+const DEFAULT_WAVEFORM_BINS = 72;
+
+function clampPlaybackRate(rate) {
+  const value = Number(rate);
+  if (!Number.isFinite(value)) {
+    return 1;
+  }
+  return Math.min(
+    SPEECH_PLAYBACK_RATES[SPEECH_PLAYBACK_RATES.length - 1],
+    Math.max(SPEECH_PLAYBACK_RATES[0], value),
+  );
+}
+
+/**
+ * Sets the element's playback rate with pitch correction. Safari and older
+ * Firefox only know the prefixed property names.
+ */
+function applyPlaybackRate(audio, rate) {
+  if (!audio) {
+    return;
+  }
+  const value = clampPlaybackRate(rate);
+  for (const key of ["preservesPitch", "webkitPreservesPitch", "mozPreservesPitch"]) {
+    if (key in audio) {
+      audio[key] = true;
+    }
+  }
+  try {
+    audio.playbackRate = value;
+    audio.defaultPlaybackRate = value;
+  } catch {
+    // live MediaStream sources reject rate changes in some engines
+  }
+}
+
+/**
+ * Peak amplitude per bin across all channels, normalized so the loudest bin
+ * is 1. Small enough to keep per message once the AudioBuffer is dropped.
+ */
+function computeWaveformPeaks(audioBuffer, bins = DEFAULT_WAVEFORM_BINS) {
+  if (!audioBuffer || audioBuffer.length === 0 || bins <= 0) {
+    return [];
+  }
+  const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, index) =>
+    audioBuffer.getChannelData(index),
+  );
+  const size = audioBuffer.length / bins;
+  const peaks = new Array(bins).fill(0);
+  let loudest = 0;
+  for (let bin = 0; bin < bins; bin += 1) {
+    const start = Math.floor(bin * size);
+    const end = Math.min(audioBuffer.length, Math.floor((bin + 1) * size));
+    let peak = 0;
+    for (const channel of channels) {
+      for (let i = start; i < end; i += 1) {
+        const value = Math.abs(channel[i]);
+        if (value > peak) {
+          peak = value;
+        }
+      }
+    }
+    peaks[bin] = peak;
+    loudest = Math.max(loudest, peak);
+  }
+  return loudest > 0 ? peaks.map((peak) => peak / loudest) : peaks;
+}
+
+function formatPlaybackTime(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return "0:00";
+  }
+  const whole = Math.floor(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, "0")}`;
+}
+
+export {
+  SPEECH_PLAYBACK_RATES,
+  clampPlaybackRate,
+  applyPlaybackRate,
+  computeWaveformPeaks,
+  formatPlaybackTime,
+};
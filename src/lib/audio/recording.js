@@ -0,0 +1,19 @@
+// Opus first: it is what Chrome and Firefox record natively and what
+// transcription services accept; Safari only records MP4/AAC.
+const RECORDER_MIME_TYPES = [
+  "audio/webm;codecs=opus",
+  "audio/ogg;codecs=opus",
+  "audio/mp4",
+  "audio/webm",
+];
+
+/** First MediaRecorder container the browser supports, or "" for its default. */
+function selectRecorderMimeType() {
+  const { MediaRecorder } = window;
+  if (typeof MediaRecorder?.isTypeSupported !== "function") {
+    return "";
+  }
+  return RECORDER_MIME_TYPES.find((candidate) => MediaRecorder.isTypeSupported(candidate)) ?? "";
+}
+
+export { selectRecorderMimeType };
@@ -0,0 +1,193 @@
+const DATABASE_NAME = "auralis-speech-cache";
+const DATABASE_VERSION = 1;
+const STORE_NAME = "speech";
+const ACCESS_INDEX = "lastAccess";
+
+const SPEECH_CACHE_LIMITS = {
+  maxBytes: 64 * 1024 * 1024,
+  maxEntries: 400,
+};
+
+let databasePromise = null;
+
+function isSpeechCacheAvailable() {
+  return typeof indexedDB !== "undefined" && indexedDB !== null;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function openDatabase() {
+  if (!isSpeechCacheAvailable()) {
+    return Promise.resolve(null);
+  }
+  if (!databasePromise) {
+    const request = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(STORE_NAME, { keyPath: "key" });
+      store.createIndex(ACCESS_INDEX, ACCESS_INDEX);
+    };
+    databasePromise = requestToPromise(request)
+      .then((database) => {
+        // Another tab upgrading the schema closes this connection.
+        database.onversionchange = () => {
+          database.close();
+          databasePromise = null;
+        };
+        return database;
+      })
+      .catch((error) => {
+        // Private browsing and blocked storage land here; run uncached.
+        console.warn("Speech cache unavailable", error);
+        databasePromise = null;
+        return null;
+      });
+  }
+  return databasePromise;
+}
+
+/**
+ * Cache key for synthesized speech. Stored messages are keyed by id; ad hoc
+ * synthesis (voice previews) by the text plus everything that changes the
+ * rendered audio.
+ */
+function buildSpeechCacheKey({
+  messageId = null,
+  text = "",
+  voiceId = "",
+  provider = "",
+  speed = null,
+  pitch = null,
+  style = "",
+} = {}) {
+  if (messageId !== null && messageId !== undefined && messageId !== "") {
+    return `message:${messageId}`;
+  }
+  return `tts:${JSON.stringify([
+    String(text),
+    String(voiceId ?? ""),
+    String(provider ?? ""),
+    speed === null || speed === undefined ? null : Number(speed),
+    pitch === null || pitch === undefined ? null : Number(pitch),
+    String(style ?? ""),
+  ])}`;
+}
+
+/** `{ blob, mimeType }` for `key`, or null on a miss. Hits refresh recency. */
+async function readCachedSpeech(key) {
+  const database = await openDatabase();
+  if (!database) {
+    return null;
+  }
+  try {
+    const transaction = database.transaction(STORE_NAME, "readwrite");
+    const store = transaction.objectStore(STORE_NAME);
+    const entry = await requestToPromise(store.get(key));
+    if (entry) {
+      store.put({ ...entry, lastAccess: Date.now() });
+    }
+    await transactionDone(transaction);
+    return entry ? { blob: entry.blob, mimeType: entry.mimeType } : null;
+  } catch (error) {
+    console.warn("Failed to read cached speech", error);
+    return null;
+  }
+}
+
+/**
+ * Removes least recently used entries until the store fits
+ * `SPEECH_CACHE_LIMITS`.
+ */
+async function evictSpeechCache(database) {
+  const transaction = database.transaction(STORE_NAME, "readwrite");
+  const index = transaction.objectStore(STORE_NAME).index(ACCESS_INDEX);
+  const entries = [];
+  await new Promise((resolve, reject) => {
+    const request = index.openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve();
+        return;
+      }
+      entries.push({ key: cursor.value.key, size: cursor.value.size ?? 0 });
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+  let count = entries.length;
+  const store = transaction.objectStore(STORE_NAME);
+  for (const entry of entries) {
+    if (totalBytes <= SPEECH_CACHE_LIMITS.maxBytes && count <= SPEECH_CACHE_LIMITS.maxEntries) {
+      break;
+    }
+    store.delete(entry.key);
+    totalBytes -= entry.size;
+    count -= 1;
+  }
+  await transactionDone(transaction);
+}
+
+/** Stores `{ blob, mimeType }` under `key`, evicting old entries to fit. */
+async function writeCachedSpeech(key, { blob, mimeType } = {}) {
+  if (!(blob instanceof Blob) || blob.size === 0 || blob.size > SPEECH_CACHE_LIMITS.maxBytes) {
+    return false;
+  }
+  const database = await openDatabase();
+  if (!database) {
+    return false;
+  }
+  try {
+    const now = Date.now();
+    const transaction = database.transaction(STORE_NAME, "readwrite");
+    transaction.objectStore(STORE_NAME).put({
+      key,
+      blob,
+      mimeType: mimeType || blob.type || "audio/mpeg",
+      size: blob.size,
+      createdAt: now,
+      lastAccess: now,
+    });
+    await transactionDone(transaction);
+    await evictSpeechCache(database);
+    return true;
+  } catch (error) {
+    console.warn("Failed to write cached speech", error);
+    return false;
+  }
+}
+
+/**
+ * Cached audio for `key`, or the result of `synthesize()` (which must resolve
+ * to `{ blob, mimeType }`) stored for next time.
+ */
+async function fetchCachedSpeech(key, synthesize) {
+  const cached = await readCachedSpeech(key);
+  if (cached) {
+    return { ...cached, cached: true };
+  }
+  const audio = await synthesize();
+  await writeCachedSpeech(key, audio);
+  return { ...audio, cached: false };
+}
+
+export {
+  SPEECH_CACHE_LIMITS,
+  buildSpeechCacheKey,
+  readCachedSpeech,
+  writeCachedSpeech,
+  fetchCachedSpeech,
+};
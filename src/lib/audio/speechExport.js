@@ -0,0 +1,267 @@
+import { createZipBlob } from "@/lib/zip";
+
+const AUDIO_EXTENSIONS = {
+  "audio/mpeg": "mp3",
+  "audio/mp3": "mp3",
+  "audio/wav": "wav",
+  "audio/x-wav": "wav",
+  "audio/wave": "wav",
+  "audio/ogg": "ogg",
+  "audio/opus": "opus",
+  "audio/webm": "webm",
+  "audio/aac": "aac",
+  "audio/mp4": "m4a",
+  "audio/flac": "flac",
+};
+const DURATION_TIMEOUT_MS = 5000;
+
+function resolveAudioExtension(mimeType) {
+  const base = String(mimeType ?? "").split(";")[0].trim().toLowerCase();
+  return AUDIO_EXTENSIONS[base] ?? "mp3";
+}
+
+function pickSpeechString(speech, ...keys) {
+  for (const key of keys) {
+    const value = speech?.[key];
+    if (typeof value === "string" && value.trim()) {
+      return value.trim();
+    }
+  }
+  return "";
+}
+
+/** Wraps raw little-endian PCM in a RIFF/WAVE header so players can open it. */
+function encodePcmAsWav(pcm, { sampleRate = 24000, channels = 1, bitsPerSample = 16 } = {}) {
+  const header = new DataView(new ArrayBuffer(44));
+  const blockAlign = (channels * bitsPerSample) / 8;
+  const writeTag = (offset, tag) => {
+    for (let i = 0; i < 4; i += 1) {
+      header.setUint8(offset + i, tag.charCodeAt(i));
+    }
+  };
+  writeTag(0, "RIFF");
+  header.setUint32(4, 36 + pcm.length, true);
+  writeTag(8, "WAVE");
+  writeTag(12, "fmt ");
+  header.setUint32(16, 16, true);
+  header.setUint16(20, 1, true);
+  header.setUint16(22, channels, true);
+  header.setUint32(24, sampleRate, true);
+  header.setUint32(28, sampleRate * blockAlign, true);
+  header.setUint16(32, blockAlign, true);
+  header.setUint16(34, bitsPerSample, true);
+  writeTag(36, "data");
+  header.setUint32(40, pcm.length, true);
+  const wav = new Uint8Array(44 + pcm.length);
+  wav.set(new Uint8Array(header.buffer), 0);
+  wav.set(pcm, 44);
+  return wav;
+}
+
+function base64ToBlob(value, mimeType) {
+  const binary = atob(value.replace(/^data:[^,]*,/, "").replace(/\s+/g, ""));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return new Blob([bytes], { type: mimeType });
+}
+
+/**
+ * Resolves a message's speech to `{ blob, mimeType }` from, in order, the
+ * inline `audio_base64`, audio already held on this device (`local`: captured
+ * from a stream or restored from the speech cache) or the `audio_url`
+ * (fetched with credentials). Resolves null when none is available.
+ */
+async function resolveSpeechAudio(speech, { baseUrl, local = null, signal } = {}) {
+  const mimeType =
+    pickSpeechString(speech, "mime_type", "mimeType", "audio_type") || "audio/mpeg";
+  const base64 = pickSpeechString(speech, "audio_base64", "audioBase64");
+  if (base64) {
+    return { blob: base64ToBlob(base64, mimeType), mimeType };
+  }
+  if (local) {
+    return local;
+  }
+  const url = pickSpeechString(speech, "audio_url", "audioUrl");
+  if (url) {
+    const response = await fetch(new URL(url, baseUrl), { credentials: "include", signal });
+    if (!response.ok) {
+      throw new Error(`Speech audio request failed with ${response.status}`);
+    }
+    const blob = await response.blob();
+    const type = blob.type || mimeType;
+    return { blob: blob.type ? blob : new Blob([blob], { type }), mimeType: type };
+  }
+  return null;
+}
+
+/** Duration in seconds from the audio's metadata, or null if unreadable. */
+function readMetadataDuration(blob) {
+  if (typeof Audio !== "function") {
+    return Promise.resolve(null);
+  }
+  return new Promise((resolve) => {
+    const element = new Audio();
+    const url = URL.createObjectURL(blob);
+    let timeoutId = null;
+    const finish = (value) => {
+      window.clearTimeout(timeoutId);
+      element.removeAttribute("src");
+      element.load();
+      URL.revokeObjectURL(url);
+      resolve(value);
+    };
+    timeoutId = window.setTimeout(() => finish(null), DURATION_TIMEOUT_MS);
+    element.preload = "metadata";
+    element.addEventListener("loadedmetadata", () =>
+      finish(Number.isFinite(element.duration) ? element.duration : null),
+    );
+    element.addEventListener("error", () => finish(null));
+    element.src = url;
+  });
+}
+
+// Captured WebM/Ogg streams carry no duration in their metadata (the element
+// reports Infinity), so those are decoded in full to count their samples.
+async function decodeAudioDuration(blob) {
+  if (typeof OfflineAudioContext !== "function") {
+    return null;
+  }
+  try {
+    const context = new OfflineAudioContext(1, 1, 44100);
+    const decoded = await context.decodeAudioData(await blob.arrayBuffer());
+    return Number.isFinite(decoded.duration) ? decoded.duration : null;
+  } catch (error) {
+    console.warn("Failed to decode speech for its duration", error);
+    return null;
+  }
+}
+
+/**
+ * Duration in seconds from the metadata, else from decoding the audio, or
+ * null if neither works.
+ */
+async function readAudioDuration(blob) {
+  return (await readMetadataDuration(blob)) ?? decodeAudioDuration(blob);
+}
+
+function formatCueTime(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return "--:--.---";
+  }
+  const totalMs = Math.round(seconds * 1000);
+  const minutes = Math.floor(totalMs / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  return `${String(minutes).padStart(2, "0")}:${String(secs).padStart(2, "0")}.${String(ms).padStart(3, "0")}`;
+}
+
+/**
+ * Plain-text cue sheet for a speech bundle. Each track lists its file, its
+ * start/end on the bundle's continuous timeline (tracks played back to back),
+ * when the message was sent, and the spoken text. A track whose duration
+ * couldn't be read has an unknown end, and so do the positions of every
+ * track after it, rather than guessed times that overlap.
+ */
+function buildSpeechCueSheet({ title, exportedAt, tracks, missing = [] }) {
+  const lines = [`# ${title}`, `# 导出时间: ${exportedAt}`, ""];
+  let elapsed = 0;
+  let unknownDurations = 0;
+  tracks.forEach((track, index) => {
+    const start = elapsed;
+    if (!Number.isFinite(track.duration)) {
+      unknownDurations += 1;
+    }
+    elapsed = Number.isFinite(track.duration) ? start + track.duration : NaN;
+    lines.push(
+      `[${String(index + 1).padStart(3, "0")}] ${formatCueTime(start)} - ${formatCueTime(elapsed)}  ${track.fileName}`,
+    );
+    if (track.timestamp || track.speaker) {
+      lines.push(`      ${[track.speaker, track.timestamp].filter(Boolean).join(" · ")}`);
+    }
+    String(track.text ?? "")
+      .trim()
+      .split(/\n+/)
+      .forEach((line) => lines.push(`      ${line}`));
+    lines.push("");
+  });
+  if (unknownDurations > 0) {
+    lines.push(`# ${unknownDurations} 条语音时长未知，其后各条的时间无法确定。`);
+  }
+  if (missing.length > 0) {
+    lines.push(`# 以下 ${missing.length} 条消息的语音无法获取:`);
+    missing.forEach((item) => lines.push(`#   ${item}`));
+  }
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+function describeMissingEntry(entry, key) {
+  const text = String(entry.content ?? "").replace(/\s+/g, " ").trim();
+  const preview = text.length > 40 ? `${text.slice(0, 40)}…` : text;
+  return `${entry.timestamp || key} ${preview}`.trim();
+}
+
+/**
+ * Zips the speech of every assistant entry in a transcript (see
+ * `handleExportConversation`) as `audio/NNN.ext` plus `cue-sheet.txt`.
+ * `local` maps message ids to audio held on this device. Entries
+ * whose audio can't be fetched are listed at the end of the cue sheet.
+ */
+async function buildSpeechBundle({ title, exportedAt, entries, baseUrl, local = new Map() }) {
+  const files = [];
+  const tracks = [];
+  const missing = [];
+  for (const entry of entries) {
+    if (entry.role !== "assistant") {
+      continue;
+    }
+    const message = entry.message ?? {};
+    const key = String(message.id ?? message.ID ?? "");
+    let audio = null;
+    try {
+      audio = await resolveSpeechAudio(message.extrasParsed?.speech, {
+        baseUrl,
+        local: local.get(key) ?? null,
+      });
+    } catch (error) {
+      console.warn("Failed to fetch speech for export", error);
+      missing.push(describeMissingEntry(entry, key));
+      continue;
+    }
+    if (!audio) {
+      continue;
+    }
+    const fileName = `audio/${String(tracks.length + 1).padStart(3, "0")}.${resolveAudioExtension(audio.mimeType)}`;
+    files.push({
+      name: fileName,
+      data: audio.blob,
+      date: message.created_at ? new Date(message.created_at) : undefined,
+    });
+    tracks.push({
+      fileName,
+      duration: await readAudioDuration(audio.blob),
+      speaker: entry.speaker,
+      timestamp: entry.timestamp,
+      text: entry.content,
+    });
+  }
+  if (tracks.length === 0) {
+    throw new Error("当前对话没有可导出的语音");
+  }
+  files.push({
+    name: "cue-sheet.txt",
+    data: buildSpeechCueSheet({ title, exportedAt, tracks, missing }),
+  });
+  return createZipBlob(files);
+}
+
+export {
+  resolveAudioExtension,
+  encodePcmAsWav,
+  base64ToBlob,
+  resolveSpeechAudio,
+  readAudioDuration,
+  buildSpeechCueSheet,
+  buildSpeechBundle,
+};
@@ -0,0 +1,488 @@
+const DEFAULT_PCM_SAMPLE_RATE = 24000;
+const OPUS_SAMPLE_RATE = 48000;
+const WAV_HEADER_LIMIT = 64 * 1024;
+// The decodeAudioData fallback re-parses a standalone Ogg stream per batch,
+// so batches trade latency for fewer pre-skip seams.
+const OPUS_FALLBACK_BATCH_SAMPLES = OPUS_SAMPLE_RATE / 2;
+const OPUS_FRAME_MS = [10, 20, 40, 60, 10, 20, 40, 60, 10, 20, 40, 60, 10, 20, 10, 20];
+const CELT_FRAME_MS = [2.5, 5, 10, 20];
+
+/**
+ * Maps a speech stream's `format` / mime type to the codec the worklet path
+ * decodes: "pcm" (raw little-endian), "wav" or "opus" (Ogg-encapsulated).
+ * Returns null for anything MediaSource or a buffered element should play.
+ */
+function resolveStreamCodec({ format, mimeType } = {}) {
+  const value = `${format ?? ""} ${mimeType ?? ""}`.trim().toLowerCase();
+  if (!value || value.includes("webm")) {
+    return null;
+  }
+  if (/\b(pcm|s16le|f32le|l16|raw)\b/.test(value)) {
+    return "pcm";
+  }
+  if (/\b(wav|wave|x-wav|vnd\.wave)\b/.test(value)) {
+    return "wav";
+  }
+  if (/\b(opus|ogg)\b/.test(value)) {
+    return "opus";
+  }
+  return null;
+}
+
+function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const combined = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    combined.set(part, offset);
+    offset += part.length;
+  }
+  return combined;
+}
+
+function readSample(view, offset, bitsPerSample, float) {
+  if (float) {
+    return bitsPerSample === 64
+      ? view.getFloat64(offset, true)
+      : view.getFloat32(offset, true);
+  }
+  switch (bitsPerSample) {
+    case 8:
+      return (view.getUint8(offset) - 128) / 128;
+    case 24:
+      return (
+        (view.getUint8(offset) |
+          (view.getUint8(offset + 1) << 8) |
+          (view.getInt8(offset + 2) << 16)) /
+        8388608
+      );
+    case 32:
+      return view.getInt32(offset, true) / 2147483648;
+    default:
+      return view.getInt16(offset, true) / 32768;
+  }
+}
+
+/**
+ * Streaming decoder for interleaved little-endian PCM. Partial frames are
+ * carried over to the next chunk, so chunk boundaries may fall anywhere.
+ */
+function createPcmDecoder({
+  sampleRate = DEFAULT_PCM_SAMPLE_RATE,
+  channels = 1,
+  bitsPerSample = 16,
+  float = false,
+  onFrames,
+} = {}) {
+  const bytesPerFrame = (bitsPerSample / 8) * channels;
+  let carry = new Uint8Array(0);
+
+  return {
+    sampleRate,
+    push(bytes) {
+      const input = carry.length > 0 ? concatBytes([carry, bytes]) : bytes;
+      const frames = Math.floor(input.length / bytesPerFrame);
+      carry = input.slice(frames * bytesPerFrame);
+      if (frames === 0) {
+        return;
+      }
+      const view = new DataView(input.buffer, input.byteOffset, frames * bytesPerFrame);
+      const output = Array.from({ length: channels }, () => new Float32Array(frames));
+      for (let frame = 0; frame < frames; frame += 1) {
+        for (let channel = 0; channel < channels; channel += 1) {
+          const offset = frame * bytesPerFrame + (channel * bitsPerSample) / 8;
+          output[channel][frame] = readSample(view, offset, bitsPerSample, float);
+        }
+      }
+      onFrames?.(output, sampleRate);
+    },
+    flush() {
+      carry = new Uint8Array(0);
+      return Promise.resolve();
+    },
+    close() {
+      carry = new Uint8Array(0);
+    },
+  };
+}
+
+function readTag(bytes, offset) {
+  return String.fromCharCode(
+    bytes[offset],
+    bytes[offset + 1],
+    bytes[offset + 2],
+    bytes[offset + 3],
+  );
+}
+
+/**
+ * Parses a RIFF/WAVE header. Returns `{ format, dataOffset }` once the `data`
+ * chunk starts, or null when more bytes are needed. Streaming encoders write
+ * placeholder sizes, so the data chunk length is ignored.
+ */
+function parseWavHeader(bytes) {
+  if (bytes.length < 12) {
+    return null;
+  }
+  if (readTag(bytes, 0) !== "RIFF" || readTag(bytes, 8) !== "WAVE") {
+    throw new Error("Speech stream is not a WAV file");
+  }
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    const id = readTag(bytes, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === "data") {
+      if (!format) {
+        throw new Error("WAV data chunk precedes its fmt chunk");
+      }
+      return { format, dataOffset: body };
+    }
+    if (body + size > bytes.length) {
+      return null;
+    }
+    if (id === "fmt ") {
+      let audioFormat = view.getUint16(body, true);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID.
+      if (audioFormat === 0xfffe && size >= 26) {
+        audioFormat = view.getUint16(body + 24, true);
+      }
+      if (audioFormat !== 1 && audioFormat !== 3) {
+        throw new Error(`Unsupported WAV encoding ${audioFormat}`);
+      }
+      format = {
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+        float: audioFormat === 3,
+      };
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+function createWavDecoder({ onFrames } = {}) {
+  let header = [];
+  let pcm = null;
+
+  return {
+    get sampleRate() {
+      return pcm?.sampleRate ?? null;
+    },
+    push(bytes) {
+      if (pcm) {
+        pcm.push(bytes);
+        return;
+      }
+      header.push(bytes);
+      const buffered = concatBytes(header);
+      const parsed = parseWavHeader(buffered);
+      if (!parsed) {
+        if (buffered.length > WAV_HEADER_LIMIT) {
+          throw new Error("WAV header exceeds the streaming limit");
+        }
+        return;
+      }
+      header = [];
+      pcm = createPcmDecoder({ ...parsed.format, onFrames });
+      if (parsed.dataOffset < buffered.length) {
+        pcm.push(buffered.subarray(parsed.dataOffset));
+      }
+    },
+    flush() {
+      return pcm ? pcm.flush() : Promise.resolve();
+    },
+    close() {
+      header = [];
+      pcm?.close();
+    },
+  };
+}
+
+function isCapturePattern(bytes, offset) {
+  return (
+    bytes[offset] === 0x4f &&
+    bytes[offset + 1] === 0x67 &&
+    bytes[offset + 2] === 0x67 &&
+    bytes[offset + 3] === 0x53
+  );
+}
+
+/**
+ * Incremental Ogg page reader. Returns the complete pages contained in the
+ * bytes seen so far as `{ lacing, body, bytes }` and keeps the remainder.
+ */
+function createOggPageReader() {
+  let pending = new Uint8Array(0);
+
+  return (bytes) => {
+    pending = pending.length > 0 ? concatBytes([pending, bytes]) : bytes;
+    const pages = [];
+    let offset = 0;
+    while (pending.length - offset >= 27) {
+      if (!isCapturePattern(pending, offset)) {
+        offset += 1;
+        continue;
+      }
+      const segmentCount = pending[offset + 26];
+      const headerLength = 27 + segmentCount;
+      if (pending.length - offset < headerLength) {
+        break;
+      }
+      const lacing = pending.subarray(offset + 27, offset + headerLength);
+      const bodyLength = lacing.reduce((sum, value) => sum + value, 0);
+      const pageLength = headerLength + bodyLength;
+      if (pending.length - offset < pageLength) {
+        break;
+      }
+      pages.push({
+        lacing: Uint8Array.from(lacing),
+        body: pending.slice(offset + headerLength, offset + pageLength),
+        bytes: pending.slice(offset, offset + pageLength),
+      });
+      offset += pageLength;
+    }
+    pending = pending.slice(offset);
+    return pages;
+  };
+}
+
+/** Samples (at 48 kHz) an Opus packet decodes to, from its TOC byte. */
+function opusPacketSamples(packet) {
+  if (!packet || packet.length === 0) {
+    return 0;
+  }
+  const config = packet[0] >> 3;
+  const frameMs = config < 16 ? OPUS_FRAME_MS[config] : CELT_FRAME_MS[config & 3];
+  const code = packet[0] & 3;
+  const frames = code === 0 ? 1 : code < 3 ? 2 : (packet[1] ?? 0) & 0x3f;
+  return Math.round((frames * frameMs * OPUS_SAMPLE_RATE) / 1000);
+}
+
+function copyAudioData(data) {
+  return Array.from({ length: data.numberOfChannels }, (_, planeIndex) => {
+    const plane = new Float32Array(data.numberOfFrames);
+    data.copyTo(plane, { planeIndex, format: "f32-planar" });
+    return plane;
+  });
+}
+
+/**
+ * Ogg/Opus stream decoder. Uses WebCodecs' AudioDecoder when present and
+ * otherwise decodes batches of pages (re-prefixed with the header pages)
+ * through `decodeAudioData(buffer, { channels })`, which Safari handles for
+ * Ogg/Opus files; `channels` is the OpusHead's channel count.
+ */
+function createOggOpusDecoder({ onFrames, onError, decodeAudioData } = {}) {
+  const readPages = createOggPageReader();
+  let parts = [];
+  let head = null;
+  let tagsSeen = false;
+  let headerPages = [];
+  let decoder = null;
+  let timestamp = 0;
+  let skipFrames = 0;
+  let batch = [];
+  let batchSamples = 0;
+  let fallbackChain = Promise.resolve();
+  let closed = false;
+
+  const emit = (channels, rate) => {
+    if (closed || channels.length === 0) {
+      return;
+    }
+    if (skipFrames > 0) {
+      const skipped = Math.min(skipFrames, channels[0].length);
+      skipFrames -= skipped;
+      channels = channels.map((channel) => channel.subarray(skipped));
+    }
+    if (channels[0].length > 0) {
+      onFrames?.(channels, rate);
+    }
+  };
+
+  const reportError = (error) => {
+    if (!closed) {
+      onError?.(error);
+    }
+  };
+
+  const configureWebCodecs = () => {
+    if (typeof AudioDecoder !== "function") {
+      return false;
+    }
+    try {
+      decoder = new AudioDecoder({
+        output: (data) => {
+          try {
+            emit(copyAudioData(data), data.sampleRate);
+          } finally {
+            data.close();
+          }
+        },
+        error: reportError,
+      });
+      decoder.configure({
+        codec: "opus",
+        sampleRate: OPUS_SAMPLE_RATE,
+        numberOfChannels: head.channels,
+        description: head.packet,
+      });
+      skipFrames = head.preSkip;
+      return true;
+    } catch {
+      decoder = null;
+      return false;
+    }
+  };
+
+  const decodeBatch = () => {
+    if (batch.length === 0 || typeof decodeAudioData !== "function") {
+      batch = [];
+      batchSamples = 0;
+      return fallbackChain;
+    }
+    const file = concatBytes([...headerPages, ...batch]);
+    batch = [];
+    batchSamples = 0;
+    fallbackChain = fallbackChain
+      .then(() => decodeAudioData(file.buffer, { channels: head.channels }))
+      .then((audioBuffer) => {
+        const channels = Array.from({ length: audioBuffer.numberOfChannels }, (_, index) =>
+          audioBuffer.getChannelData(index).slice(),
+        );
+        emit(channels, audioBuffer.sampleRate);
+      })
+      .catch(reportError);
+    return fallbackChain;
+  };
+
+  const handlePacket = (packet) => {
+    if (!head) {
+      if (packet.length < 19 || readTag(packet, 0) !== "Opus" || readTag(packet, 4) !== "Head") {
+        throw new Error("Speech stream is missing the OpusHead packet");
+      }
+      const view = new DataView(packet.buffer, packet.byteOffset, packet.byteLength);
+      head = { packet, channels: packet[9] || 1, preSkip: view.getUint16(10, true) };
+      return;
+    }
+    if (!tagsSeen) {
+      tagsSeen = true;
+      return;
+    }
+    const samples = opusPacketSamples(packet);
+    if (decoder || (decoder === null && configureWebCodecs())) {
+      decoder.decode(
+        new EncodedAudioChunk({
+          type: "key",
+          timestamp: Math.round((timestamp / OPUS_SAMPLE_RATE) * 1e6),
+          data: packet,
+        }),
+      );
+      timestamp += samples;
+      return;
+    }
+    decoder = false;
+    batchSamples += samples;
+  };
+
+  return {
+    sampleRate: OPUS_SAMPLE_RATE,
+    push(bytes) {
+      for (const page of readPages(bytes)) {
+        const headerPage = !tagsSeen;
+        let position = 0;
+        for (const value of page.lacing) {
+          parts.push(page.body.subarray(position, position + value));
+          position += value;
+          if (value < 255) {
+            handlePacket(concatBytes(parts));
+            parts = [];
+          }
+        }
+        if (headerPage) {
+          // OpusTags can span several pages; the fallback replays them all.
+          headerPages.push(page.bytes);
+        } else if (decoder === false && !headerPage) {
+          batch.push(page.bytes);
+          if (batchSamples >= OPUS_FALLBACK_BATCH_SAMPLES) {
+            decodeBatch();
+          }
+        }
+      }
+    },
+    flush() {
+      if (decoder) {
+        return decoder.flush().catch(reportError);
+      }
+      return decodeBatch();
+    },
+    close() {
+      closed = true;
+      if (decoder && decoder.state !== "closed") {
+        try {
+          decoder.close();
+        } catch {
+          // already closed
+        }
+      }
+      batch = [];
+      headerPages = [];
+    },
+  };
+}
+
+/** Linear resampling for decoder output that doesn't match the context rate. */
+function resampleLinear(channels, fromRate, toRate) {
+  if (!fromRate || !toRate || fromRate === toRate) {
+    return channels;
+  }
+  const ratio = fromRate / toRate;
+  return channels.map((input) => {
+    const length = Math.max(0, Math.floor(input.length / ratio));
+    const output = new Float32Array(length);
+    for (let i = 0; i < length; i += 1) {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, input.length - 1);
+      const fraction = position - index;
+      output[i] = input[index] + (input[next] - input[index]) * fraction;
+    }
+    return output;
+  });
+}
+
+/**
+ * Creates the decoder for a codec returned by `resolveStreamCodec`. Every
+ * decoder exposes `push(bytes)`, `flush()` (a promise) and `close()`, and
+ * reports planar Float32 frames through `onFrames(channels, sampleRate)`.
+ */
+function createStreamDecoder(codec, options = {}) {
+  switch (codec) {
+    case "pcm":
+      return createPcmDecoder({
+        ...options,
+        sampleRate: options.sampleRate || DEFAULT_PCM_SAMPLE_RATE,
+        channels: options.channels || 1,
+      });
+    case "wav":
+      return createWavDecoder(options);
+    case "opus":
+      return createOggOpusDecoder(options);
+    default:
+      throw new Error(`Unsupported speech stream codec: ${codec}`);
+  }
+}
+
+export {
+  DEFAULT_PCM_SAMPLE_RATE,
+  OPUS_SAMPLE_RATE,
+  resolveStreamCodec,
+  concatBytes,
+  parseWavHeader,
+  createStreamDecoder,
+  resampleLinear,
+};
@@ -0,0 +1,337 @@
+/**
+ * Mouth shapes in Live2D parameter space. `open` drives ParamMouthOpenY
+ * (0..1) and `form` drives ParamMouthForm (-1 rounded/pursed .. 1 spread).
+ */
+const VISEME_SHAPES = {
+  sil: { open: 0, form: 0 },
+  m: { open: 0.02, form: 0.05 },
+  a: { open: 0.95, form: 0.15 },
+  i: { open: 0.32, form: 0.9 },
+  u: { open: 0.3, form: -0.75 },
+  e: { open: 0.55, form: 0.55 },
+  o: { open: 0.72, form: -0.5 },
+};
+
+// Azure Speech viseme ids (0-21) grouped by the vowel shape they resemble.
+const AZURE_VISEME_SHAPES = [
+  "sil", "a", "a", "o", "e", "e", "i", "u", "o", "a", "o",
+  "a", "e", "u", "e", "i", "u", "e", "i", "e", "e", "m",
+];
+
+// Oculus/OVR-style and common phoneme-ish viseme names.
+const NAMED_VISEME_SHAPES = {
+  sil: "sil",
+  silence: "sil",
+  pp: "m",
+  p: "m",
+  b: "m",
+  m: "m",
+  ff: "i",
+  th: "e",
+  dd: "e",
+  kk: "e",
+  ch: "u",
+  ss: "i",
+  nn: "e",
+  rr: "u",
+  aa: "a",
+  a: "a",
+  e: "e",
+  ih: "i",
+  i: "i",
+  oh: "o",
+  o: "o",
+  ou: "u",
+  u: "u",
+};
+
+const TRANSITION_SECONDS = 0.06;
+const DEFAULT_HOLD_SECONDS = 0.18;
+const ANALYSIS_FFT_SIZE = 1024;
+const ANALYSIS_HOP_SECONDS = 0.02;
+const SILENCE_RMS = 0.02;
+
+function resolveShapeName(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return AZURE_VISEME_SHAPES[Math.round(value)] ?? null;
+  }
+  const key = String(value ?? "").trim().toLowerCase();
+  if (!key) {
+    return null;
+  }
+  if (/^\d+$/.test(key)) {
+    return AZURE_VISEME_SHAPES[Number(key)] ?? null;
+  }
+  return NAMED_VISEME_SHAPES[key] ?? (VISEME_SHAPES[key] ? key : null);
+}
+
+function resolveEventTime(item) {
+  if (Number.isFinite(Number(item.time_ms ?? item.offset_ms))) {
+    return Number(item.time_ms ?? item.offset_ms) / 1000;
+  }
+  // Azure reports audio offsets in 100ns ticks.
+  if (Number.isFinite(Number(item.audio_offset ?? item.audioOffset))) {
+    return Number(item.audio_offset ?? item.audioOffset) / 1e7;
+  }
+  if (Number.isFinite(Number(item.time ?? item.offset))) {
+    return Number(item.time ?? item.offset);
+  }
+  return null;
+}
+
+/**
+ * Normalizes viseme events from the TTS backend into a time-sorted track of
+ * `{ time, shape, intensity, duration }` (seconds). Unknown entries are dropped.
+ */
+function normalizeVisemeTrack(events) {
+  if (!Array.isArray(events)) {
+    return [];
+  }
+  return events
+    .map((item) => {
+      if (!item || typeof item !== "object") {
+        return null;
+      }
+      const time = resolveEventTime(item);
+      const shape = resolveShapeName(
+        item.viseme_id ?? item.visemeId ?? item.viseme ?? item.shape ?? item.id,
+      );
+      if (time === null || time < 0 || !shape) {
+        return null;
+      }
+      const durationMs = Number(item.duration_ms ?? item.durationMs);
+      const intensity = Number(item.intensity ?? item.weight);
+      return {
+        time,
+        shape,
+        intensity: Number.isFinite(intensity) ? Math.min(Math.max(intensity, 0), 1) : 1,
+        duration: Number.isFinite(durationMs) && durationMs > 0 ? durationMs / 1000 : null,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+}
+
+function shapeValues(frame) {
+  const shape = VISEME_SHAPES[frame?.shape] ?? VISEME_SHAPES.sil;
+  const intensity = frame?.intensity ?? 1;
+  return { open: shape.open * intensity, form: shape.form * Math.min(1, intensity + 0.3) };
+}
+
+/**
+ * Returns the `{ open, form }` mouth pose at `time` seconds, blending into the
+ * next viseme over a short transition so consecutive shapes co-articulate.
+ */
+function sampleVisemeTrack(track, time) {
+  if (!Array.isArray(track) || track.length === 0 || !Number.isFinite(time)) {
+    return { ...VISEME_SHAPES.sil };
+  }
+  let low = 0;
+  let high = track.length - 1;
+  if (time < track[0].time) {
+    return { ...VISEME_SHAPES.sil };
+  }
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (track[mid].time <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  const current = track[low];
+  const next = track[low + 1] ?? null;
+  const end = next
+    ? next.time
+    : current.time + (current.duration ?? DEFAULT_HOLD_SECONDS);
+  if (!next && time >= end) {
+    return { ...VISEME_SHAPES.sil };
+  }
+  const from = shapeValues(current);
+  const nextTime = next ? next.time : end;
+  const to = next ? shapeValues(next) : VISEME_SHAPES.sil;
+  const blend = Math.min(TRANSITION_SECONDS, (nextTime - current.time) / 2);
+  const blendStart = nextTime - blend;
+  if (blend <= 0 || time < blendStart) {
+    return from;
+  }
+  const t = Math.min(1, (time - blendStart) / blend);
+  return {
+    open: from.open + (to.open - from.open) * t,
+    form: from.form + (to.form - from.form) * t,
+  };
+}
+
+function fftMagnitudes(frame) {
+  const size = frame.length;
+  const real = Float32Array.from(frame);
+  const imag = new Float32Array(size);
+  for (let i = 1, j = 0; i < size; i += 1) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+    }
+  }
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = (-2 * Math.PI) / length;
+    const wReal = Math.cos(angle);
+    const wImag = Math.sin(angle);
+    for (let start = 0; start < size; start += length) {
+      let curReal = 1;
+      let curImag = 0;
+      for (let k = 0; k < length / 2; k += 1) {
+        const a = start + k;
+        const b = a + length / 2;
+        const tReal = real[b] * curReal - imag[b] * curImag;
+        const tImag = real[b] * curImag + imag[b] * curReal;
+        real[b] = real[a] - tReal;
+        imag[b] = imag[a] - tImag;
+        real[a] += tReal;
+        imag[a] += tImag;
+        const nextReal = curReal * wReal - curImag * wImag;
+        curImag = curReal * wImag + curImag * wReal;
+        curReal = nextReal;
+      }
+    }
+  }
+  const magnitudes = new Float32Array(size / 2);
+  for (let i = 0; i < magnitudes.length; i += 1) {
+    magnitudes[i] = Math.hypot(real[i], imag[i]);
+  }
+  return magnitudes;
+}
+
+/**
+ * Sums spectrum energy in the F1 (250-1000 Hz), low F2 (1-2 kHz) and high F2
+ * (2-3.5 kHz) regions. `magnitudes` holds linear bin magnitudes.
+ */
+function measureFormantBands(magnitudes, sampleRate) {
+  const binHz = sampleRate / 2 / magnitudes.length;
+  const bands = { low: 0, mid: 0, high: 0 };
+  for (let i = 0; i < magnitudes.length; i += 1) {
+    const hz = i * binHz;
+    const energy = magnitudes[i] * magnitudes[i];
+    if (hz >= 250 && hz < 1000) {
+      bands.low += energy;
+    } else if (hz >= 1000 && hz < 2000) {
+      bands.mid += energy;
+    } else if (hz >= 2000 && hz < 3500) {
+      bands.high += energy;
+    }
+  }
+  return bands;
+}
+
+/**
+ * Picks the closest vowel shape for one frame. Front vowels (i/e) carry more
+ * energy above 1 kHz relative to F1; rounded vowels (u/o) concentrate it low.
+ */
+function classifyVisemeFrame(rms, bands) {
+  if (!(rms > SILENCE_RMS)) {
+    return { shape: "sil", intensity: 0 };
+  }
+  const intensity = Math.min(1, Math.pow(rms * 4, 0.8));
+  const low = bands.low || 1e-9;
+  const front = (bands.mid + bands.high) / low;
+  let shape = "a";
+  if (front > 1.2 && bands.high > bands.mid) {
+    shape = "i";
+  } else if (front > 0.75) {
+    shape = "e";
+  } else if (front < 0.25) {
+    shape = intensity < 0.45 ? "u" : "o";
+  } else if (front < 0.45) {
+    shape = "o";
+  }
+  return { shape, intensity };
+}
+
+/**
+ * Offline analysis of a decoded AudioBuffer into a viseme track. Consecutive
+ * frames with the same shape are merged.
+ */
+function analyzeAudioBufferVisemes(audioBuffer) {
+  if (!audioBuffer || audioBuffer.length === 0) {
+    return [];
+  }
+  const { sampleRate, numberOfChannels } = audioBuffer;
+  const channels = Array.from({ length: numberOfChannels }, (_, index) =>
+    audioBuffer.getChannelData(index),
+  );
+  const hop = Math.max(1, Math.round(sampleRate * ANALYSIS_HOP_SECONDS));
+  const frame = new Float32Array(ANALYSIS_FFT_SIZE);
+  const track = [];
+  for (let offset = 0; offset < audioBuffer.length; offset += hop) {
+    let sumSquares = 0;
+    for (let i = 0; i < ANALYSIS_FFT_SIZE; i += 1) {
+      const index = offset + i;
+      let sample = 0;
+      if (index < audioBuffer.length) {
+        for (const channel of channels) {
+          sample += channel[index];
+        }
+        sample /= numberOfChannels;
+      }
+      sumSquares += sample * sample;
+      // Hann window
+      frame[i] =
+        sample * (0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (ANALYSIS_FFT_SIZE - 1)));
+    }
+    const rms = Math.sqrt(sumSquares / ANALYSIS_FFT_SIZE);
+    const bands = measureFormantBands(fftMagnitudes(frame), sampleRate);
+    const { shape, intensity } = classifyVisemeFrame(rms, bands);
+    const previous = track[track.length - 1];
+    if (
+      previous &&
+      previous.shape === shape &&
+      Math.abs(previous.intensity - intensity) < 0.15
+    ) {
+      continue;
+    }
+    track.push({ time: offset / sampleRate, shape, intensity, duration: null });
+  }
+  return track;
+}
+
+/**
+ * Live classification from an AnalyserNode, for streams that can't be
+ * analysed ahead of time. `buffers` holds reusable typed arrays.
+ */
+function readAnalyserViseme(analyser, sampleRate, buffers) {
+  analyser.getFloatTimeDomainData(buffers.time);
+  let sumSquares = 0;
+  for (let i = 0; i < buffers.time.length; i += 1) {
+    sumSquares += buffers.time[i] * buffers.time[i];
+  }
+  const rms = Math.sqrt(sumSquares / buffers.time.length);
+  analyser.getFloatFrequencyData(buffers.frequency);
+  for (let i = 0; i < buffers.frequency.length; i += 1) {
+    buffers.magnitudes[i] = Math.pow(10, buffers.frequency[i] / 20);
+  }
+  const { shape, intensity } = classifyVisemeFrame(
+    rms,
+    measureFormantBands(buffers.magnitudes, sampleRate),
+  );
+  return shapeValues({ shape, intensity });
+}
+
+function createAnalyserBuffers(analyser) {
+  return {
+    time: new Float32Array(analyser.fftSize),
+    frequency: new Float32Array(analyser.frequencyBinCount),
+    magnitudes: new Float32Array(analyser.frequencyBinCount),
+  };
+}
+
+export {
+  VISEME_SHAPES,
+  normalizeVisemeTrack,
+  sampleVisemeTrack,
+  analyzeAudioBufferVisemes,
+  readAnalyserViseme,
+  createAnalyserBuffers,
+};
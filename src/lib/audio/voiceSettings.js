@@ -0,0 +1,88 @@
+const VOICE_SETTINGS_STORAGE_KEY = "auralis:voice-settings";
+
+// `vadThresholdDb`: input level (dBFS) below which sound counts as silence,
+// however loud the room's noise floor is. `vadHangoverMs`: how long the
+// level must stay below it before an utterance is considered finished.
+// `recordCalls`: record phone calls (opt-in). `chatInputMode` and
+// `phoneInputMode`: how an utterance starts and ends in chat and in phone
+// calls, kept apart so changing one never changes the other.
+// `pushToTalkKey`: the `KeyboardEvent.code` held for push-to-talk.
+const DEFAULT_VOICE_SETTINGS = {
+  vadThresholdDb: -50,
+  vadHangoverMs: 800,
+  recordCalls: false,
+  chatInputMode: "toggle",
+  phoneInputMode: "always-on",
+  pushToTalkKey: "Space",
+};
+
+// "toggle": click the mic button to start and again to stop. "push-to-talk":
+// hold the key or the button, release to send. "always-on": hands-free,
+// voice activity detection ends each utterance (phone calls only).
+const VOICE_INPUT_MODES = ["toggle", "push-to-talk", "always-on"];
+const CHAT_VOICE_INPUT_MODES = ["toggle", "push-to-talk"];
+
+const VOICE_SETTING_RANGES = {
+  vadThresholdDb: { min: -70, max: -20, step: 1 },
+  vadHangoverMs: { min: 300, max: 2500, step: 100 },
+};
+
+function normalizeVoiceSettings(input) {
+  const settings = { ...DEFAULT_VOICE_SETTINGS };
+  Object.entries(VOICE_SETTING_RANGES).forEach(([key, { min, max }]) => {
+    const value = Number(input?.[key]);
+    if (Number.isFinite(value)) {
+      settings[key] = Math.min(max, Math.max(min, value));
+    }
+  });
+  if (typeof input?.recordCalls === "boolean") {
+    settings.recordCalls = input.recordCalls;
+  }
+  if (CHAT_VOICE_INPUT_MODES.includes(input?.chatInputMode)) {
+    settings.chatInputMode = input.chatInputMode;
+  }
+  if (VOICE_INPUT_MODES.includes(input?.phoneInputMode)) {
+    settings.phoneInputMode = input.phoneInputMode;
+  }
+  if (typeof input?.pushToTalkKey === "string" && input.pushToTalkKey.trim()) {
+    settings.pushToTalkKey = input.pushToTalkKey.trim();
+  }
+  return settings;
+}
+
+function readVoiceSettings() {
+  if (typeof window === "undefined") {
+    return { ...DEFAULT_VOICE_SETTINGS };
+  }
+  try {
+    const raw = window.localStorage?.getItem?.(VOICE_SETTINGS_STORAGE_KEY);
+    return normalizeVoiceSettings(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Failed to read voice settings", error);
+    return { ...DEFAULT_VOICE_SETTINGS };
+  }
+}
+
+function writeVoiceSettings(settings) {
+  if (typeof window === "undefined") {
+    return;
+  }
+  try {
+    window.localStorage?.setItem?.(
+      VOICE_SETTINGS_STORAGE_KEY,
+      JSON.stringify(normalizeVoiceSettings(settings)),
+    );
+  } catch (error) {
+    console.warn("Failed to persist voice settings", error);
+  }
+}
+
+export {
+  DEFAULT_VOICE_SETTINGS,
+  VOICE_INPUT_MODES,
+  CHAT_VOICE_INPUT_MODES,
+  VOICE_SETTING_RANGES,
+  normalizeVoiceSettings,
+  readVoiceSettings,
+  writeVoiceSettings,
+};
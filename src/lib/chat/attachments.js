@@ -0,0 +1,240 @@
+const ATTACHMENT_ACCEPT =
+  "image/png,image/jpeg,image/gif,image/webp,application/pdf,text/plain,text/markdown,.md,.markdown,.txt,.pdf";
+const MAX_ATTACHMENTS = 6;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+const MAX_DOCUMENT_BYTES = 20 * 1024 * 1024;
+
+const IMAGE_MIME_TYPES = new Set([
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+]);
+const DOCUMENT_MIME_TYPES = new Set([
+  "application/pdf",
+  "text/plain",
+  "text/markdown",
+  "text/x-markdown",
+]);
+const DOCUMENT_EXTENSIONS = {
+  pdf: "application/pdf",
+  txt: "text/plain",
+  md: "text/markdown",
+  markdown: "text/markdown",
+};
+
+function getExtension(name) {
+  const match = /\.([a-z0-9]+)$/i.exec(String(name ?? ""));
+  return match ? match[1].toLowerCase() : "";
+}
+
+/**
+ * Returns `{ kind, mimeType }` for files the chat accepts, or null. Markdown
+ * files often arrive with an empty type, so the extension is the fallback.
+ */
+function classifyAttachmentFile(file) {
+  const type = String(file?.type ?? "").toLowerCase();
+  if (IMAGE_MIME_TYPES.has(type)) {
+    return { kind: "image", mimeType: type };
+  }
+  if (DOCUMENT_MIME_TYPES.has(type)) {
+    return { kind: "document", mimeType: type };
+  }
+  const byExtension = DOCUMENT_EXTENSIONS[getExtension(file?.name)];
+  if (byExtension && (!type || type === "application/octet-stream")) {
+    return { kind: "document", mimeType: byExtension };
+  }
+  return null;
+}
+
+function validateAttachmentFile(file) {
+  const classified = classifyAttachmentFile(file);
+  if (!classified) {
+    return { ok: false, error: `不支持的文件类型：${file?.name ?? ""}` };
+  }
+  const limit =
+    classified.kind === "image" ? MAX_IMAGE_BYTES : MAX_DOCUMENT_BYTES;
+  if (Number(file?.size ?? 0) > limit) {
+    return {
+      ok: false,
+      error: `${file.name} 超过 ${Math.round(limit / 1024 / 1024)}MB 限制`,
+    };
+  }
+  return { ok: true, ...classified };
+}
+
+function formatAttachmentSize(bytes) {
+  const value = Number(bytes);
+  if (!Number.isFinite(value) || value <= 0) {
+    return "";
+  }
+  if (value < 1024) {
+    return `${value} B`;
+  }
+  if (value < 1024 * 1024) {
+    return `${(value / 1024).toFixed(1)} KB`;
+  }
+  return `${(value / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Normalizes an attachment record from the API (or a draft's upload result)
+ * to `{ id, kind, name, mimeType, size, url, thumbnailUrl }`.
+ */
+function normalizeAttachment(record) {
+  if (!record || typeof record !== "object") {
+    return null;
+  }
+  const idRaw = record.id ?? record.ID ?? record.attachment_id ?? null;
+  const id = idRaw === null || idRaw === undefined ? "" : String(idRaw).trim();
+  const url = String(record.url ?? record.URL ?? record.file_url ?? "").trim();
+  if (!id && !url) {
+    return null;
+  }
+  const mimeType = String(
+    record.mime_type ?? record.mimeType ?? record.content_type ?? "",
+  ).toLowerCase();
+  const kindRaw = String(record.kind ?? record.type ?? "").toLowerCase();
+  const kind =
+    kindRaw === "image" || kindRaw === "document"
+      ? kindRaw
+      : mimeType.startsWith("image/")
+        ? "image"
+        : "document";
+  const size = Number(record.size ?? record.size_bytes ?? NaN);
+  return {
+    id: id || null,
+    kind,
+    name: String(record.name ?? record.file_name ?? record.filename ?? ""),
+    mimeType,
+    size: Number.isFinite(size) ? size : null,
+    url,
+    thumbnailUrl: String(
+      record.thumbnail_url ?? record.thumbnailUrl ?? "",
+    ).trim(),
+  };
+}
+
+function normalizeAttachments(list) {
+  if (!Array.isArray(list)) {
+    return [];
+  }
+  return list.map(normalizeAttachment).filter(Boolean);
+}
+
+/** The reference sent with a chat message in the `/llm/messages` payload. */
+function buildAttachmentReference(attachment) {
+  return {
+    id: attachment.id,
+    type: attachment.kind,
+    name: attachment.name,
+    mime_type: attachment.mimeType,
+    url: attachment.url,
+  };
+}
+
+function modelSupportsVision(model) {
+  return Boolean(
+    model?.capabilities?.some(
+      (capability) => String(capability).toLowerCase() === "vision",
+    ),
+  );
+}
+
+/**
+ * Uploads one file as multipart form data. XMLHttpRequest is used because
+ * fetch can't report upload progress. Resolves with the normalized
+ * attachment and rejects with an AbortError when `signal` fires.
+ */
+function uploadAttachment(
+  url,
+  file,
+  { fields = {}, headers, signal, onProgress } = {},
+) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    const formData = new FormData();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== "") {
+        formData.append(key, String(value));
+      }
+    });
+    formData.append("file", file, file.name);
+    xhr.open("POST", url);
+    xhr.withCredentials = true;
+    headers?.forEach?.((value, key) => {
+      xhr.setRequestHeader(key, value);
+    });
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress?.(event.loaded / event.total);
+      }
+    };
+    xhr.onload = () => {
+      if (xhr.status < 200 || xhr.status >= 300) {
+        const error = new Error(`Attachment upload failed with ${xhr.status}`);
+        error.status = xhr.status;
+        reject(error);
+        return;
+      }
+      let data = null;
+      try {
+        data = JSON.parse(xhr.responseText);
+      } catch {
+        reject(new Error("Attachment upload returned an invalid response"));
+        return;
+      }
+      const attachment = normalizeAttachment(data?.attachment ?? data);
+      if (!attachment) {
+        reject(new Error("Attachment upload returned no attachment"));
+        return;
+      }
+      onProgress?.(1);
+      resolve(attachment);
+    };
+    xhr.onerror = () => reject(new Error("Attachment upload failed"));
+    xhr.onabort = () => {
+      const error = new Error("Attachment upload aborted");
+      error.name = "AbortError";
+      reject(error);
+    };
+    if (signal) {
+      if (signal.aborted) {
+        // An unsent XHR fires no abort event, so reject here.
+        reject(new DOMException("Attachment upload aborted", "AbortError"));
+        return;
+      }
+      signal.addEventListener("abort", () => xhr.abort(), { once: true });
+    }
+    xhr.send(formData);
+  });
+}
+
+/** Files from a drop or paste; pasted screenshots only show up as items. */
+function collectTransferFiles(dataTransfer) {
+  if (!dataTransfer) {
+    return [];
+  }
+  const files = Array.from(dataTransfer.files ?? []);
+  if (files.length > 0) {
+    return files;
+  }
+  return Array.from(dataTransfer.items ?? [])
+    .filter((item) => item.kind === "file")
+    .map((item) => item.getAsFile())
+    .filter(Boolean);
+}
+
+export {
+  ATTACHMENT_ACCEPT,
+  MAX_ATTACHMENTS,
+  classifyAttachmentFile,
+  validateAttachmentFile,
+  formatAttachmentSize,
+  normalizeAttachment,
+  normalizeAttachments,
+  buildAttachmentReference,
+  modelSupportsVision,
+  uploadAttachment,
+  collectTransferFiles,
+};
@@ -0,0 +1,208 @@
+const BRANCH_ROOT = "__root__";
+const BRANCH_STORAGE_PREFIX = "auralis:branches";
+
+// The branch tree comes from the messages themselves, as nodes of
+// `{ key, ids, parentId, editOf }` in time order: a message continues its
+// `parent_message_id`, or for an edit the parent of the message it replaces
+// (`edit_of`); a message with neither continues the one before it. Only the
+// choice made at each fork is stored per device:
+// - selected[forkKey] = key of the chosen continuation, or
+// - selected[forkKey] = { after: n } while a resend is in flight: the first
+//   continuation beyond the n that existed, once it arrives.
+// Forks without a stored choice show the continuation with the newest message.
+function createBranchState() {
+  return { selected: {} };
+}
+
+function normalizeBranchState(value) {
+  const state = createBranchState();
+  if (!value || typeof value !== "object") {
+    return state;
+  }
+  Object.entries(value.selected ?? {}).forEach(([fork, choice]) => {
+    const after = Number(choice?.after);
+    if (typeof choice === "string" && choice) {
+      state.selected[fork] = choice;
+    } else if (Number.isInteger(after) && after >= 0) {
+      state.selected[fork] = { after };
+    }
+  });
+  return state;
+}
+
+function hasBranches(state) {
+  return Boolean(state && Object.keys(state.selected).length > 0);
+}
+
+function buildBranchStorageKey(conversationId) {
+  return conversationId
+    ? `${BRANCH_STORAGE_PREFIX}:${conversationId}`
+    : null;
+}
+
+function readBranchState(conversationId) {
+  const key = buildBranchStorageKey(conversationId);
+  if (!key || typeof window === "undefined") {
+    return createBranchState();
+  }
+  try {
+    const raw = window.localStorage.getItem(key);
+    return normalizeBranchState(raw ? JSON.parse(raw) : null);
+  } catch (error) {
+    console.warn("Failed to read message branches", error);
+    return createBranchState();
+  }
+}
+
+function writeBranchState(conversationId, state) {
+  const key = buildBranchStorageKey(conversationId);
+  if (!key || typeof window === "undefined") {
+    return;
+  }
+  try {
+    if (!hasBranches(state)) {
+      window.localStorage.removeItem(key);
+      return;
+    }
+    window.localStorage.setItem(key, JSON.stringify(state));
+  } catch (error) {
+    console.warn("Failed to persist message branches", error);
+  }
+}
+
+/**
+ * Links the ordered nodes into a tree. Returns `parents` (key → parent key,
+ * BRANCH_ROOT at the top), `children` (key → child keys in time order) and
+ * `newest` (key → index of the newest message in its subtree). Parents are
+ * only looked up among earlier nodes, so the tree has no cycles; a parent
+ * that isn't loaded falls back to the previous node.
+ */
+function buildBranchTree(nodes) {
+  const keyById = new Map();
+  const parents = new Map();
+  const children = new Map([[BRANCH_ROOT, []]]);
+  let previous = BRANCH_ROOT;
+  nodes.forEach(({ key, ids = [], parentId, editOf }) => {
+    const edited = editOf ? keyById.get(String(editOf)) : null;
+    let parent = previous;
+    if (parentId && keyById.has(String(parentId))) {
+      parent = keyById.get(String(parentId));
+    } else if (edited) {
+      parent = parents.get(edited);
+    }
+    parents.set(key, parent);
+    children.set(key, []);
+    children.get(parent).push(key);
+    [key, ...ids].forEach((id) => keyById.set(String(id), key));
+    previous = key;
+  });
+  const newest = new Map();
+  for (let index = nodes.length - 1; index >= 0; index -= 1) {
+    const { key } = nodes[index];
+    const own = Math.max(index, newest.get(key) ?? -1);
+    newest.set(key, own);
+    const parent = parents.get(key);
+    newest.set(parent, Math.max(own, newest.get(parent) ?? -1));
+  }
+  return { parents, children, newest };
+}
+
+// Index of the continuation to show at a fork, or -1 for none yet.
+function resolveChoice(options, choice, newest) {
+  if (typeof choice === "string" && options.includes(choice)) {
+    return options.indexOf(choice);
+  }
+  if (Number.isInteger(choice?.after)) {
+    return choice.after < options.length ? choice.after : -1;
+  }
+  let best = 0;
+  options.forEach((key, index) => {
+    if ((newest.get(key) ?? -1) > (newest.get(options[best]) ?? -1)) {
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Resolves which of the ordered nodes are on the selected path. Returns the
+ * visible keys, a switcher descriptor for the first message of every
+ * selected continuation that has alternatives, `children` (key → its
+ * continuations, from buildBranchTree) and whether the tree forks anywhere.
+ */
+function resolveBranchView(nodes, state) {
+  const { children, newest } = buildBranchTree(nodes);
+  const visible = new Set();
+  const switchers = new Map();
+  let current = BRANCH_ROOT;
+  while (children.get(current)?.length > 0) {
+    const options = children.get(current);
+    const index = resolveChoice(options, state?.selected?.[current], newest);
+    if (index < 0) {
+      break;
+    }
+    const chosen = options[index];
+    if (options.length > 1) {
+      switchers.set(chosen, { fork: current, index, count: options.length });
+    }
+    visible.add(chosen);
+    current = chosen;
+  }
+  const forked = Array.from(children.values()).some((options) => options.length > 1);
+  return { visible, switchers, children, forked };
+}
+
+/**
+ * Shows the continuation that is about to be sent after `anchorKey` (null
+ * for the start of the thread) instead of what currently follows it;
+ * `count` is how many continuations the anchor has now.
+ */
+function awaitBranch(state, anchorKey, count) {
+  const forkKey = anchorKey ?? BRANCH_ROOT;
+  return {
+    ...state,
+    selected: { ...state.selected, [forkKey]: { after: count } },
+  };
+}
+
+function selectBranch(state, forkKey, childKey) {
+  if (!childKey || state.selected[forkKey] === childKey) {
+    return state;
+  }
+  return {
+    ...state,
+    selected: { ...state.selected, [forkKey]: childKey },
+  };
+}
+
+/**
+ * Selects every fork on the path to `key` so the message becomes visible,
+ * e.g. when jumping to a search hit that lives on an inactive branch.
+ */
+function revealBranchPath(state, nodes, key) {
+  const { parents, children } = buildBranchTree(nodes);
+  let next = state;
+  let current = key;
+  while (parents.has(current)) {
+    const parent = parents.get(current);
+    if (children.get(parent).length > 1) {
+      next = selectBranch(next, parent, current);
+    }
+    current = parent;
+  }
+  return next;
+}
+
+export {
+  BRANCH_ROOT,
+  createBranchState,
+  normalizeBranchState,
+  hasBranches,
+  readBranchState,
+  writeBranchState,
+  buildBranchTree,
+  resolveBranchView,
+  awaitBranch,
+  selectBranch,
+  revealBranchPath,
+};
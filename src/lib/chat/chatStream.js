@@ -0,0 +1,287 @@
+import { createSseParser } from "@/lib/chat/sseParser";
+
+const CHAT_STREAM_EVENTS = {
+  USER_MESSAGE: "user_message",
+  ASSISTANT_PLACEHOLDER: "assistant_placeholder",
+  ASSISTANT_DELTA: "assistant_delta",
+  ASSISTANT_MESSAGE: "assistant_message",
+  TOKEN_UPDATE: "token_update",
+  SPEECH_STREAM_STARTED: "speech_stream_started",
+  SPEECH_STREAM_CHUNK: "speech_stream_chunk",
+  SPEECH_STREAM_COMPLETED: "speech_stream_completed",
+  SPEECH_STREAM_FAILED: "speech_stream_failed",
+  SPEECH_VISEMES: "speech_visemes",
+  ERROR: "error",
+};
+
+const CALLBACK_NAMES = {
+  [CHAT_STREAM_EVENTS.USER_MESSAGE]: "onUserMessage",
+  [CHAT_STREAM_EVENTS.ASSISTANT_PLACEHOLDER]: "onAssistantPlaceholder",
+  [CHAT_STREAM_EVENTS.ASSISTANT_DELTA]: "onAssistantDelta",
+  [CHAT_STREAM_EVENTS.ASSISTANT_MESSAGE]: "onAssistantMessage",
+  [CHAT_STREAM_EVENTS.TOKEN_UPDATE]: "onTokenUpdate",
+  [CHAT_STREAM_EVENTS.SPEECH_STREAM_STARTED]: "onSpeechStreamStarted",
+  [CHAT_STREAM_EVENTS.SPEECH_STREAM_CHUNK]: "onSpeechStreamChunk",
+  [CHAT_STREAM_EVENTS.SPEECH_STREAM_COMPLETED]: "onSpeechStreamCompleted",
+  [CHAT_STREAM_EVENTS.SPEECH_STREAM_FAILED]: "onSpeechStreamFailed",
+  [CHAT_STREAM_EVENTS.SPEECH_VISEMES]: "onSpeechVisemes",
+  [CHAT_STREAM_EVENTS.ERROR]: "onError",
+};
+
+/**
+ * @typedef {Object} ChatStreamEvent
+ * @property {string} type One of CHAT_STREAM_EVENTS, or the raw name.
+ * @property {string|null} eventId SSE id of the frame, if the server sent one.
+ * @property {Object|null} payload Parsed JSON data (null when missing/invalid).
+ * @property {string|null} [messageId] Message the event refers to.
+ * @property {string[]} [identifiers] All ids the payload carries.
+ * @property {string} [full] assistant_delta: accumulated reply text.
+ * @property {number|null} [tokenBalance] token_update: remaining balance.
+ * @property {string} [audioBase64] speech chunk/completed audio.
+ * @property {string} [audioUrl] speech_stream_completed: audio location.
+ * @property {number} [sequence] speech_stream_chunk: sequence, -1 if absent.
+ * @property {string} [format] speech_stream_started: codec/container name.
+ * @property {string} [mimeType] speech stream mime type.
+ * @property {string} [voiceId]
+ * @property {string} [provider]
+ * @property {number|null} [sampleRate]
+ * @property {number|null} [channels] speech_stream_started: raw PCM channels.
+ * @property {number|null} [firstSequence] speech_stream_started: sequence of
+ *   the first chunk, when the stream states it.
+ * @property {Object[]} [visemes] speech_visemes / speech_stream_completed:
+ *   raw viseme events (see lib/audio/visemes normalizeVisemeTrack).
+ * @property {Object[]} [boundaries] speech_stream_completed: word/sentence
+ *   boundary events (see lib/chat/speechTimings normalizeSpeechBoundaries).
+ * @property {string} [error] error / speech failure message.
+ */
+
+function pickArray(record, ...keys) {
+  for (const key of keys) {
+    if (Array.isArray(record?.[key])) {
+      return record[key];
+    }
+  }
+  return [];
+}
+
+function pickString(record, ...keys) {
+  if (!record || typeof record !== "object") {
+    return "";
+  }
+  for (const key of keys) {
+    const value = record[key];
+    if (typeof value === "string" && value.trim()) {
+      return value.trim();
+    }
+  }
+  return "";
+}
+
+function normalizeIdentifier(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const normalized = String(value).trim();
+  return normalized || null;
+}
+
+function collectPayloadIdentifiers(payload) {
+  if (!payload || typeof payload !== "object") {
+    return [];
+  }
+  const identifiers = [];
+  [
+    payload.id,
+    payload.ID,
+    payload.message_id,
+    payload.messageId,
+    payload.client_id,
+    payload.clientId,
+    payload.uuid,
+    payload.UUID,
+  ].forEach((value) => {
+    const normalized = normalizeIdentifier(value);
+    if (normalized && !identifiers.includes(normalized)) {
+      identifiers.push(normalized);
+    }
+  });
+  return identifiers;
+}
+
+function parseSequence(value) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return value;
+  }
+  if (typeof value === "string" && value.trim()) {
+    const parsed = Number(value);
+    if (Number.isFinite(parsed)) {
+      return parsed;
+    }
+  }
+  return -1;
+}
+
+function parseTokenBalance(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const numeric = Number(value);
+  if (!Number.isFinite(numeric) || numeric < 0) {
+    return null;
+  }
+  return Math.round(numeric);
+}
+
+/**
+ * Turns a raw SSE frame into a ChatStreamEvent. Unknown event names are kept
+ * with their payload so callers can still inspect them.
+ *
+ * @param {import("@/lib/chat/sseParser").SseEvent} sseEvent
+ * @returns {ChatStreamEvent}
+ */
+function parseChatStreamEvent(sseEvent) {
+  const type = sseEvent?.event || "message";
+  let payload = null;
+  if (sseEvent?.data) {
+    try {
+      payload = JSON.parse(sseEvent.data);
+    } catch (error) {
+      console.warn("Failed to parse SSE payload", error);
+    }
+  }
+  const identifiers = collectPayloadIdentifiers(payload);
+  const event = {
+    type,
+    eventId: sseEvent?.id ?? null,
+    payload,
+    identifiers,
+    messageId: normalizeIdentifier(payload?.id ?? payload?.ID),
+  };
+  switch (type) {
+    case CHAT_STREAM_EVENTS.ASSISTANT_DELTA:
+      event.full = typeof payload?.full === "string" ? payload.full : "";
+      break;
+    case CHAT_STREAM_EVENTS.TOKEN_UPDATE:
+      event.tokenBalance = parseTokenBalance(
+        payload?.token_balance ?? payload?.tokenBalance,
+      );
+      break;
+    case CHAT_STREAM_EVENTS.SPEECH_STREAM_STARTED:
+      event.format = pickString(payload, "format", "Format");
+      event.mimeType = pickString(payload, "mime_type", "mimeType");
+      event.voiceId = pickString(payload, "voice_id");
+      event.provider = pickString(payload, "provider");
+      event.sampleRate = Number(payload?.sample_rate) || null;
+      event.channels = Number(payload?.channels) || null;
+      event.firstSequence = parseSequence(payload?.first_sequence ?? payload?.firstSequence);
+      if (event.firstSequence < 0) {
+        event.firstSequence = null;
+      }
+      break;
+    case CHAT_STREAM_EVENTS.SPEECH_STREAM_CHUNK:
+      event.audioBase64 = pickString(payload, "audio_base64", "audioBase64");
+      event.sequence = parseSequence(payload?.sequence ?? payload?.Sequence);
+      break;
+    case CHAT_STREAM_EVENTS.SPEECH_STREAM_COMPLETED:
+      event.audioBase64 = pickString(payload, "audio_base64", "audioBase64");
+      event.audioUrl = pickString(payload, "audio_url", "audioUrl");
+      event.mimeType = pickString(payload, "mime_type", "mimeType");
+      event.voiceId = pickString(payload, "voice_id");
+      event.provider = pickString(payload, "provider");
+      event.error = pickString(payload, "error");
+      event.visemes = Array.isArray(payload?.visemes) ? payload.visemes : [];
+      event.boundaries = pickArray(
+        payload,
+        "boundaries",
+        "word_boundaries",
+        "sentence_boundaries",
+      );
+      break;
+    case CHAT_STREAM_EVENTS.SPEECH_VISEMES:
+      event.visemes = Array.isArray(payload?.visemes) ? payload.visemes : [];
+      break;
+    case CHAT_STREAM_EVENTS.SPEECH_STREAM_FAILED:
+      event.error = pickString(payload, "error");
+      break;
+    case CHAT_STREAM_EVENTS.ERROR:
+      event.error = pickString(payload, "error") || "Assistant response failed.";
+      break;
+    default:
+      break;
+  }
+  return event;
+}
+
+/**
+ * Builds an event handler that routes ChatStreamEvents to named callbacks
+ * (`onUserMessage`, `onAssistantDelta`, ...). `onEvent` sees every event
+ * before its specific callback; `onUnknown` receives unrecognised types.
+ */
+function createChatStreamHandler(callbacks = {}) {
+  return (event) => {
+    callbacks.onEvent?.(event);
+    const callbackName = CALLBACK_NAMES[event.type];
+    if (callbackName) {
+      callbacks[callbackName]?.(event);
+    } else {
+      callbacks.onUnknown?.(event);
+    }
+  };
+}
+
+/**
+ * Reads a fetch response body to completion, dispatching parsed events.
+ * Resolves when the stream ends cleanly and rejects on network errors or
+ * aborts; the returned parser keeps `lastEventId`/`retry` for resuming.
+ * Pass either `onEvent` or a `parser` built with its own handler (to keep
+ * the event id across reconnects), not both.
+ */
+async function readChatStream(body, { onEvent, parser } = {}) {
+  if (parser && onEvent) {
+    throw new TypeError("readChatStream takes either onEvent or parser, not both");
+  }
+  const streamParser =
+    parser ??
+    createSseParser({
+      onEvent: (sseEvent) => onEvent?.(parseChatStreamEvent(sseEvent)),
+    });
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
+      }
+      streamParser.push(decoder.decode(value, { stream: true }));
+    }
+    streamParser.push(decoder.decode());
+    streamParser.end();
+  } finally {
+    reader.releaseLock();
+  }
+  return streamParser;
+}
+
+/**
+ * Parses a complete recorded transcript (the raw text/event-stream body) into
+ * ChatStreamEvents, e.g. to replay captured sessions against a handler.
+ */
+function parseChatStreamTranscript(text) {
+  const events = [];
+  const parser = createSseParser({
+    onEvent: (sseEvent) => events.push(parseChatStreamEvent(sseEvent)),
+  });
+  parser.push(text);
+  parser.end();
+  return events;
+}
+
+export {
+  CHAT_STREAM_EVENTS,
+  collectPayloadIdentifiers,
+  createChatStreamHandler,
+  parseChatStreamEvent,
+  parseChatStreamTranscript,
+  readChatStream,
+};
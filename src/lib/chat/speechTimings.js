@@ -0,0 +1,322 @@
+// Sentence ends: CJK and Latin terminal punctuation plus any closing quotes
+// or brackets that follow it.
+const SENTENCE_END_PATTERN = /[。！？!?；;…]+[”’」』）)\]"']*|\.(?=\s|$)[”’"')\]]*/g;
+const BLOCK_TAGS = new Set([
+  "p", "li", "blockquote", "h1", "h2", "h3", "h4", "h5", "h6",
+  "td", "th", "dt", "dd", "figcaption", "div", "section",
+]);
+const SKIPPED_TAGS = new Set(["pre", "script", "style", "math", "svg"]);
+const CJK_PATTERN = /[぀-ヿ㐀-鿿豈-﫿가-힯]/;
+// Rough speaking rates for timings estimated without boundary data.
+const CJK_SECONDS_PER_CHAR = 0.24;
+const LATIN_SECONDS_PER_CHAR = 0.07;
+const SENTENCE_PAUSE_SECONDS = 0.3;
+
+/** `[start, end)` character ranges of the non-blank sentences in `text`. */
+function splitSentenceRanges(text) {
+  const source = String(text ?? "");
+  const ranges = [];
+  let start = 0;
+  const push = (end) => {
+    const slice = source.slice(start, end);
+    const leading = slice.length - slice.trimStart().length;
+    const trimmed = slice.trim();
+    if (trimmed) {
+      ranges.push([start + leading, start + leading + trimmed.length]);
+    }
+    start = end;
+  };
+  SENTENCE_END_PATTERN.lastIndex = 0;
+  let match = SENTENCE_END_PATTERN.exec(source);
+  while (match) {
+    push(match.index + match[0].length);
+    match = SENTENCE_END_PATTERN.exec(source);
+  }
+  push(source.length);
+  return ranges;
+}
+
+function isSkippedElement(node) {
+  if (SKIPPED_TAGS.has(node.tagName)) {
+    return true;
+  }
+  const className = node.properties?.className;
+  const classes = Array.isArray(className) ? className : [className];
+  return classes.some((name) => typeof name === "string" && name.startsWith("katex"));
+}
+
+function collectTextRuns(node, state, runs) {
+  if (!Array.isArray(node.children)) {
+    return;
+  }
+  node.children.forEach((child) => {
+    if (child.type === "text") {
+      if (child.value) {
+        runs.push({ node: child, parent: node, block: state.block });
+      }
+      return;
+    }
+    if (child.type !== "element" || isSkippedElement(child)) {
+      return;
+    }
+    if (child.tagName === "br") {
+      state.block += 1;
+      return;
+    }
+    if (BLOCK_TAGS.has(child.tagName)) {
+      state.block += 1;
+      collectTextRuns(child, state, runs);
+      state.block += 1;
+      return;
+    }
+    collectTextRuns(child, state, runs);
+  });
+}
+
+/**
+ * Rehype plugin that wraps every sentence of the rendered text in
+ * `<span data-sentence="n">`, splitting text nodes where a sentence crosses
+ * inline markup. Sentences never span block elements; code blocks and math
+ * are left alone. `onSentences` receives the sentence texts in order.
+ */
+function rehypeSentenceSpans(options = {}) {
+  const { onSentences } = options;
+  return (tree) => {
+    const runs = [];
+    collectTextRuns(tree, { block: 0 }, runs);
+    const sentences = [];
+    const replacements = new Map();
+    let index = 0;
+    while (index < runs.length) {
+      const block = runs[index].block;
+      const group = [];
+      while (index < runs.length && runs[index].block === block) {
+        group.push(runs[index]);
+        index += 1;
+      }
+      const text = group.map((run) => run.node.value).join("");
+      const ranges = splitSentenceRanges(text);
+      const firstSentence = sentences.length;
+      ranges.forEach(([start, end]) => sentences.push(text.slice(start, end)));
+      let offset = 0;
+      group.forEach((run) => {
+        const runStart = offset;
+        const runEnd = offset + run.node.value.length;
+        offset = runEnd;
+        const pieces = [];
+        let cursor = runStart;
+        ranges.forEach(([start, end], rangeIndex) => {
+          const from = Math.max(start, runStart);
+          const to = Math.min(end, runEnd);
+          if (from >= to) {
+            return;
+          }
+          if (from > cursor) {
+            pieces.push({ type: "text", value: text.slice(cursor, from) });
+          }
+          pieces.push({
+            type: "element",
+            tagName: "span",
+            properties: { dataSentence: firstSentence + rangeIndex },
+            children: [{ type: "text", value: text.slice(from, to) }],
+          });
+          cursor = to;
+        });
+        if (cursor < runEnd) {
+          pieces.push({ type: "text", value: text.slice(cursor, runEnd) });
+        }
+        replacements.set(run.node, pieces);
+      });
+    }
+    const parents = new Set(runs.map((run) => run.parent));
+    parents.forEach((parent) => {
+      parent.children = parent.children.flatMap(
+        (child) => replacements.get(child) ?? [child],
+      );
+    });
+    onSentences?.(sentences);
+  };
+}
+
+function resolveBoundaryTime(item) {
+  if (Number.isFinite(Number(item.time_ms ?? item.offset_ms))) {
+    return Number(item.time_ms ?? item.offset_ms) / 1000;
+  }
+  // Azure reports audio offsets in 100ns ticks.
+  if (Number.isFinite(Number(item.audio_offset ?? item.audioOffset))) {
+    return Number(item.audio_offset ?? item.audioOffset) / 1e7;
+  }
+  if (Number.isFinite(Number(item.time ?? item.start))) {
+    return Number(item.time ?? item.start);
+  }
+  return null;
+}
+
+/**
+ * Normalizes word/sentence boundary events from the TTS backend to
+ * `{ time, text, type }` (seconds), sorted by time.
+ */
+function normalizeSpeechBoundaries(events) {
+  if (!Array.isArray(events)) {
+    return [];
+  }
+  return events
+    .map((item) => {
+      if (!item || typeof item !== "object") {
+        return null;
+      }
+      const time = resolveBoundaryTime(item);
+      const text = String(item.text ?? item.word ?? "").trim();
+      if (time === null || time < 0 || !text) {
+        return null;
+      }
+      const type = String(item.type ?? item.boundary_type ?? "word").toLowerCase();
+      return { time, text, type: type.includes("sentence") ? "sentence" : "word" };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.time - b.time);
+}
+
+function estimateSentenceSeconds(sentence) {
+  let seconds = SENTENCE_PAUSE_SECONDS;
+  for (const char of sentence) {
+    if (CJK_PATTERN.test(char)) {
+      seconds += CJK_SECONDS_PER_CHAR;
+    } else if (/[\p{L}\p{N}]/u.test(char)) {
+      seconds += LATIN_SECONDS_PER_CHAR;
+    }
+  }
+  return seconds;
+}
+
+function compact(value) {
+  return value.replace(/\s+/g, "").toLowerCase();
+}
+
+/**
+ * Start time for each sentence from boundary events: sentence boundaries map
+ * one-to-one, word boundaries are located in the sentence text in order.
+ * Returns null entries for sentences no boundary could be matched to.
+ */
+function matchBoundaries(sentences, boundaries) {
+  const starts = new Array(sentences.length).fill(null);
+  const sentenceMarks = boundaries.filter((item) => item.type === "sentence");
+  if (sentenceMarks.length > 0) {
+    sentenceMarks.slice(0, sentences.length).forEach((item, index) => {
+      starts[index] = item.time;
+    });
+    return starts;
+  }
+  const compactSentences = sentences.map(compact);
+  let sentenceIndex = 0;
+  let cursor = 0;
+  for (const word of boundaries) {
+    const needle = compact(word.text);
+    while (sentenceIndex < sentences.length) {
+      const position = compactSentences[sentenceIndex].indexOf(needle, cursor);
+      if (position >= 0) {
+        if (starts[sentenceIndex] === null) {
+          starts[sentenceIndex] = word.time;
+        }
+        cursor = position + needle.length;
+        break;
+      }
+      // Words that can't be found in the rest of this sentence belong to a
+      // later one (or were normalized by the TTS engine and are skipped).
+      const later = compactSentences
+        .slice(sentenceIndex + 1)
+        .findIndex((sentence) => sentence.includes(needle));
+      if (later < 0) {
+        break;
+      }
+      sentenceIndex += later + 1;
+      cursor = 0;
+    }
+  }
+  return starts;
+}
+
+/** Spreads sentences `from..to-1` across `[startTime, endTime)` by weight. */
+function distributeStarts(starts, weights, from, to, startTime, endTime) {
+  const total = weights.slice(from, to).reduce((sum, value) => sum + value, 0) || 1;
+  let accumulated = 0;
+  for (let i = from; i < to; i += 1) {
+    starts[i] = startTime + ((endTime - startTime) * accumulated) / total;
+    accumulated += weights[i];
+  }
+}
+
+/**
+ * Builds `[{ start, end }]` (seconds) for each sentence. Sentences matched to
+ * boundary events anchor the timeline and the rest are spread between the
+ * anchors by estimated length. Without any match the whole timeline is
+ * estimated, scaled to `duration` when the audio length is known.
+ */
+function buildSentenceTimeline({ sentences, boundaries = [], duration = null }) {
+  if (!Array.isArray(sentences) || sentences.length === 0) {
+    return [];
+  }
+  const count = sentences.length;
+  const weights = sentences.map(estimateSentenceSeconds);
+  const knownDuration = Number.isFinite(duration) && duration > 0 ? duration : null;
+  const matched = matchBoundaries(sentences, boundaries);
+  const anchors = [];
+  matched.forEach((time, index) => {
+    const previous = anchors.length > 0 ? matched[anchors[anchors.length - 1]] : -Infinity;
+    if (time !== null && time >= previous) {
+      anchors.push(index);
+    }
+  });
+  const starts = new Array(count).fill(0);
+  let end = 0;
+  if (anchors.length === 0) {
+    const estimatedTotal = weights.reduce((sum, value) => sum + value, 0);
+    end = knownDuration ?? estimatedTotal;
+    distributeStarts(starts, weights, 0, count, 0, end);
+  } else {
+    distributeStarts(starts, weights, 0, anchors[0], 0, matched[anchors[0]]);
+    anchors.forEach((anchor, index) => {
+      const next = anchors[index + 1];
+      if (next !== undefined) {
+        distributeStarts(starts, weights, anchor, next, matched[anchor], matched[next]);
+        return;
+      }
+      const tail = weights.slice(anchor).reduce((sum, value) => sum + value, 0);
+      end =
+        knownDuration && knownDuration > matched[anchor]
+          ? knownDuration
+          : matched[anchor] + tail;
+      distributeStarts(starts, weights, anchor, count, matched[anchor], end);
+    });
+  }
+  return starts.map((start, index) => ({
+    start,
+    end: index + 1 < count ? starts[index + 1] : Math.max(end, start),
+  }));
+}
+
+/** Index of the sentence playing at `time`, or -1 before the first one. */
+function findSentenceAt(timeline, time) {
+  if (!Array.isArray(timeline) || timeline.length === 0 || !(time >= timeline[0].start)) {
+    return -1;
+  }
+  let low = 0;
+  let high = timeline.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (timeline[mid].start <= time) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return low;
+}
+
+export {
+  splitSentenceRanges,
+  rehypeSentenceSpans,
+  normalizeSpeechBoundaries,
+  buildSentenceTimeline,
+  findSentenceAt,
+};
@@ -0,0 +1,133 @@
+/**
+ * @typedef {Object} SseEvent
+ * @property {string} event Event name, "message" when the frame has none.
+ * @property {string} data Data lines joined with "\n".
+ * @property {string|null} id Last event id seen so far (sticky across frames).
+ */
+
+/**
+ * Incremental text/event-stream parser. Feed decoded text with `push`; the
+ * chunks may split frames, lines or CRLF pairs anywhere. Call `end` once the
+ * body is exhausted to dispatch a trailing frame without a blank line.
+ */
+function createSseParser({ onEvent } = {}) {
+  let buffer = "";
+  let pendingCarriageReturn = false;
+  let eventName = "";
+  let dataLines = [];
+  let hasFields = false;
+  let lastEventId = null;
+  let retry = null;
+
+  const dispatch = () => {
+    if (hasFields) {
+      onEvent?.({
+        event: eventName || "message",
+        data: dataLines.join("\n"),
+        id: lastEventId,
+      });
+    }
+    eventName = "";
+    dataLines = [];
+    hasFields = false;
+  };
+
+  const processLine = (line) => {
+    if (line === "") {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(":")) {
+      return;
+    }
+    const separator = line.indexOf(":");
+    const field = separator === -1 ? line : line.slice(0, separator);
+    let value = separator === -1 ? "" : line.slice(separator + 1);
+    if (value.startsWith(" ")) {
+      value = value.slice(1);
+    }
+    switch (field) {
+      case "event":
+        eventName = value.trim();
+        hasFields = true;
+        break;
+      case "data":
+        dataLines.push(value);
+        hasFields = true;
+        break;
+      case "id":
+        if (!value.includes("\0")) {
+          lastEventId = value.trim() || null;
+        }
+        break;
+      case "retry":
+        if (/^\d+$/.test(value.trim())) {
+          retry = Number(value.trim());
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  const push = (text) => {
+    if (typeof text !== "string" || !text) {
+      return;
+    }
+    let input = text;
+    if (pendingCarriageReturn && input.startsWith("\n")) {
+      input = input.slice(1);
+    }
+    pendingCarriageReturn = false;
+    buffer += input;
+    let start = 0;
+    for (let index = 0; index < buffer.length; index += 1) {
+      const char = buffer[index];
+      if (char !== "\n" && char !== "\r") {
+        continue;
+      }
+      processLine(buffer.slice(start, index));
+      if (char === "\r") {
+        if (index + 1 === buffer.length) {
+          pendingCarriageReturn = true;
+        } else if (buffer[index + 1] === "\n") {
+          index += 1;
+        }
+      }
+      start = index + 1;
+    }
+    buffer = buffer.slice(start);
+  };
+
+  const end = () => {
+    if (buffer) {
+      processLine(buffer);
+      buffer = "";
+    }
+    dispatch();
+  };
+
+  // Drops a half-received frame after a disconnect. The last event id and
+  // retry interval survive so the next connection can resume from them.
+  const reset = () => {
+    buffer = "";
+    pendingCarriageReturn = false;
+    eventName = "";
+    dataLines = [];
+    hasFields = false;
+  };
+
+  return {
+    push,
+    end,
+    reset,
+    get lastEventId() {
+      return lastEventId;
+    },
+    get retry() {
+      return retry;
+    },
+  };
+}
+
+export { createSseParser };
@@ -0,0 +1,348 @@
+const TRANSCRIPT_FORMAT = "auralis-transcript";
+const TRANSCRIPT_VERSION = 1;
+
+const TRANSCRIPT_FORMATS = {
+  markdown: { extension: "md", mimeType: "text/markdown;charset=utf-8" },
+  json: { extension: "json", mimeType: "application/json;charset=utf-8" },
+  html: { extension: "html", mimeType: "text/html;charset=utf-8" },
+  speech: { extension: "speech.zip", mimeType: "application/zip" },
+};
+
+const HTML_TRANSCRIPT_STYLES = `
+  body { margin: 0; background: #f5f7fb; color: #111827; font: 14px/1.6 -apple-system, BlinkMacSystemFont, "Segoe UI", "PingFang SC", "Microsoft YaHei", sans-serif; }
+  main { max-width: 760px; margin: 0 auto; padding: 32px 16px 48px; }
+  header h1 { margin: 0 0 4px; font-size: 20px; }
+  header p { margin: 0; color: #6b7280; font-size: 12px; }
+  .message { display: flex; flex-direction: column; margin-top: 20px; }
+  .message.user { align-items: flex-end; }
+  .bubble { max-width: 85%; padding: 12px 16px; border-radius: 16px; background: #f3f4f6; box-shadow: 0 1px 2px rgba(0,0,0,.08); overflow-wrap: anywhere; }
+  .message.user .bubble { background: #3b82f6; color: #fff; }
+  .bubble > :first-child { margin-top: 0; }
+  .bubble > :last-child { margin-bottom: 0; }
+  .bubble p { margin: 0 0 8px; white-space: pre-wrap; }
+  .bubble pre { overflow-x: auto; padding: 12px; border-radius: 12px; background: rgba(0,0,0,.08); }
+  .bubble code { font-family: ui-monospace, SFMono-Regular, Menlo, monospace; font-size: .9em; }
+  .bubble table { border-collapse: collapse; }
+  .bubble th, .bubble td { border: 1px solid rgba(0,0,0,.15); padding: 4px 8px; }
+  .bubble blockquote { margin: 8px 0; padding-left: 12px; border-left: 4px solid rgba(0,0,0,.2); font-style: italic; }
+  .bubble a { color: inherit; }
+  .meta { margin-top: 4px; color: #9ca3af; font-size: 12px; }
+`;
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function buildTranscriptFileName(title, format) {
+  const { extension } = TRANSCRIPT_FORMATS[format] ?? TRANSCRIPT_FORMATS.json;
+  const base =
+    String(title ?? "")
+      .trim()
+      .replace(/[\\/:*?"<>|\s]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "conversation";
+  const stamp = new Date().toISOString().slice(0, 10);
+  return `${base}-${stamp}.${extension}`;
+}
+
+function describeEntryMeta(entry) {
+  return [
+    entry.timestamp,
+    entry.emotion?.display_label ?? "",
+    entry.tokenStats,
+    entry.interrupted ? "已中断" : "",
+  ].filter(Boolean);
+}
+
+/**
+ * Markdown keeps each message body verbatim, so GFM tables and `$…$` / `$$…$$`
+ * math render the same way they do in the chat bubbles.
+ */
+function buildMarkdownTranscript(transcript) {
+  const lines = [`# ${transcript.title || "对话记录"}`, ""];
+  if (transcript.agent?.name) {
+    lines.push(`- 智能体：${transcript.agent.name}`);
+  }
+  lines.push(`- 导出时间：${transcript.exportedAt}`);
+  lines.push(`- 消息数：${transcript.entries.length}`, "", "---", "");
+  transcript.entries.forEach((entry) => {
+    const meta = describeEntryMeta(entry);
+    lines.push(
+      `### ${entry.speaker}${meta.length > 0 ? ` · ${meta.join(" · ")}` : ""}`,
+      "",
+      entry.content || "_（空）_",
+      "",
+    );
+  });
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+function buildJsonTranscript(transcript) {
+  return JSON.stringify(
+    {
+      format: TRANSCRIPT_FORMAT,
+      version: TRANSCRIPT_VERSION,
+      exported_at: transcript.exportedAt,
+      title: transcript.title ?? "",
+      agent: transcript.agent ?? null,
+      conversation: transcript.conversation ?? null,
+      messages: transcript.entries.map((entry) => ({
+        ...entry.message,
+        extrasParsed: entry.message?.extrasParsed ?? null,
+        emotion: entry.emotion ?? null,
+        token_stats: entry.tokenStats || null,
+      })),
+    },
+    null,
+    2,
+  );
+}
+
+function resolveStylesheetUrl(url, baseHref) {
+  const trimmed = url.trim().replace(/^["']|["']$/g, "");
+  if (/^(data:|https?:)/i.test(trimmed)) {
+    return trimmed;
+  }
+  try {
+    return new URL(trimmed, baseHref).href;
+  } catch {
+    return trimmed;
+  }
+}
+
+async function inlineFontUrl(url) {
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      return null;
+    }
+    const buffer = new Uint8Array(await response.arrayBuffer());
+    let binary = "";
+    for (let index = 0; index < buffer.length; index += 0x8000) {
+      binary += String.fromCharCode(...buffer.subarray(index, index + 0x8000));
+    }
+    return `data:font/woff2;base64,${btoa(binary)}`;
+  } catch (error) {
+    console.warn("Failed to inline KaTeX font", error);
+    return null;
+  }
+}
+
+/**
+ * Collects the KaTeX rules from the stylesheets already loaded by the app and
+ * embeds the woff2 fonts as data URIs so the exported file renders offline.
+ */
+async function collectKatexStyles() {
+  if (typeof document === "undefined") {
+    return "";
+  }
+  const rules = [];
+  Array.from(document.styleSheets).forEach((sheet) => {
+    let cssRules = null;
+    try {
+      cssRules = sheet.cssRules;
+    } catch {
+      return;
+    }
+    const baseHref = sheet.href ?? window.location.href;
+    Array.from(cssRules ?? []).forEach((rule) => {
+      const text = rule.cssText ?? "";
+      if (!/katex/i.test(text)) {
+        return;
+      }
+      rules.push(
+        text.replace(/url\(([^)]+)\)/g, (_, url) =>
+          `url("${resolveStylesheetUrl(url, baseHref)}")`,
+        ),
+      );
+    });
+  });
+  let css = rules.join("\n");
+  const fontUrls = Array.from(
+    new Set(
+      Array.from(
+        css.matchAll(/url\("([^"]+\.woff2)"\)/g),
+        (match) => match[1],
+      ).filter((url) => !url.startsWith("data:")),
+    ),
+  );
+  const inlined = await Promise.all(fontUrls.map(inlineFontUrl));
+  fontUrls.forEach((url, index) => {
+    if (inlined[index]) {
+      css = css.split(url).join(inlined[index]);
+    }
+  });
+  return css;
+}
+
+// Same parsing as the chat bubbles (GFM, math, KaTeX) through the
+// remark/rehype pipeline, serialized straight to HTML. Raw HTML in the
+// source is dropped and unsafe link targets cleared, as react-markdown does.
+async function createMarkdownRenderer() {
+  const [
+    { unified },
+    { default: remarkParse },
+    { default: remarkGfm },
+    { default: remarkMath },
+    { default: remarkRehype },
+    { default: rehypeKatex },
+    { default: rehypeStringify },
+    { defaultUrlTransform },
+  ] = await Promise.all([
+    import("unified"),
+    import("remark-parse"),
+    import("remark-gfm"),
+    import("remark-math"),
+    import("remark-rehype"),
+    import("rehype-katex"),
+    import("rehype-stringify"),
+    import("react-markdown"),
+  ]);
+  const sanitizeUrls = () => {
+    const visit = (node) => {
+      if (node.type === "element") {
+        ["href", "src"].forEach((name) => {
+          if (typeof node.properties?.[name] === "string") {
+            node.properties[name] = defaultUrlTransform(node.properties[name]);
+          }
+        });
+      }
+      node.children?.forEach(visit);
+    };
+    return visit;
+  };
+  const processor = unified()
+    .use(remarkParse)
+    .use(remarkGfm)
+    .use(remarkMath)
+    .use(remarkRehype)
+    .use(rehypeKatex)
+    .use(sanitizeUrls)
+    .use(rehypeStringify);
+  return (text) => String(processor.processSync(text));
+}
+
+async function buildHtmlTranscript(transcript) {
+  const [render, katexCss] = await Promise.all([
+    createMarkdownRenderer(),
+    collectKatexStyles(),
+  ]);
+  const title = escapeHtml(transcript.title || "对话记录");
+  const subtitle = [
+    transcript.agent?.name ? `智能体：${transcript.agent.name}` : "",
+    `导出时间：${transcript.exportedAt}`,
+  ]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(" · ");
+  const body = transcript.entries
+    .map((entry) => {
+      const meta = [entry.speaker, ...describeEntryMeta(entry)]
+        .map(escapeHtml)
+        .join(" · ");
+      return `<section class="message ${entry.role === "user" ? "user" : "assistant"}">
+  <div class="bubble">${render(entry.content || "")}</div>
+  <div class="meta">${meta}</div>
+</section>`;
+    })
+    .join("\n");
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1" />
+<title>${title}</title>
+<style>${HTML_TRANSCRIPT_STYLES}</style>
+<style>${katexCss}</style>
+</head>
+<body>
+<main>
+<header><h1>${title}</h1><p>${subtitle}</p></header>
+${body}
+</main>
+</body>
+</html>
+`;
+}
+
+/**
+ * Reads a transcript produced by buildJsonTranscript (or a bare array of
+ * `{ role, content }` turns) and returns the conversational turns in order.
+ * Throws with a user-facing message when the file can't be used.
+ */
+function parseTranscript(text) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("文件不是有效的 JSON。");
+  }
+  const rawMessages = Array.isArray(data) ? data : data?.messages;
+  if (!Array.isArray(rawMessages)) {
+    throw new Error("未找到 messages 列表，请选择导出的 JSON 对话记录。");
+  }
+  if (
+    !Array.isArray(data) &&
+    data?.format &&
+    (data.format !== TRANSCRIPT_FORMAT ||
+      Number(data.version) > TRANSCRIPT_VERSION)
+  ) {
+    throw new Error("不支持的对话记录格式或版本。");
+  }
+  const messages = rawMessages
+    .map((item) => {
+      const role = String(item?.role ?? "").trim().toLowerCase();
+      const content = typeof item?.content === "string" ? item.content : "";
+      if ((role !== "user" && role !== "assistant") || !content.trim()) {
+        return null;
+      }
+      return {
+        role,
+        content,
+        created_at: item?.created_at ?? null,
+      };
+    })
+    .filter(Boolean);
+  if (messages.length === 0) {
+    throw new Error("对话记录中没有可导入的消息。");
+  }
+  return {
+    title: typeof data?.title === "string" ? data.title.trim() : "",
+    agent: data?.agent ?? null,
+    messages,
+  };
+}
+
+function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadTranscript(fileName, content, format) {
+  const { mimeType } = TRANSCRIPT_FORMATS[format] ?? TRANSCRIPT_FORMATS.json;
+  downloadBlob(fileName, new Blob([content], { type: mimeType }));
+}
+
+export {
+  TRANSCRIPT_FORMAT,
+  TRANSCRIPT_VERSION,
+  TRANSCRIPT_FORMATS,
+  buildTranscriptFileName,
+  buildMarkdownTranscript,
+  buildJsonTranscript,
+  buildHtmlTranscript,
+  parseTranscript,
+  downloadBlob,
+  downloadTranscript,
+};
@@ -0,0 +1,82 @@
+import assert from "node:assert/strict";
+import { afterEach, beforeEach, describe, it } from "node:test";
+
+import RecordedSpeechRecognizer from "@/lib/audio/RecordedSpeechRecognizer";
+
+class FakeMediaRecorder {
+  constructor() {
+    this.state = "inactive";
+    this.mimeType = "audio/webm";
+  }
+
+  start() {
+    this.state = "recording";
+    this.ondataavailable?.({ data: new Blob(["speech"], { type: "audio/webm" }) });
+  }
+
+  stop() {
+    this.state = "inactive";
+    this.onstop?.();
+  }
+}
+
+function tick() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+// Records one session whose upload resolves only when the test says so.
+async function startTranscribing() {
+  let finishUpload;
+  let uploadSignal;
+  const recognizer = new RecordedSpeechRecognizer({
+    getStream: async () => ({}),
+    minDurationMs: 0,
+    transcribe: (blob, { signal }) => {
+      uploadSignal = signal;
+      return new Promise((resolve) => {
+        finishUpload = resolve;
+      });
+    },
+  });
+  const events = [];
+  recognizer.onresult = (event) => events.push(["result", event.results[0][0].transcript]);
+  recognizer.onerror = (event) => events.push(["error", event.error]);
+  recognizer.onend = () => events.push(["end"]);
+  recognizer.start();
+  await tick();
+  recognizer.stop();
+  assert.equal(recognizer.state, "transcribing");
+  return {
+    recognizer,
+    events,
+    finishUpload: (text) => finishUpload(text),
+    uploadSignal: () => uploadSignal,
+  };
+}
+
+describe("RecordedSpeechRecognizer", () => {
+  beforeEach(() => {
+    globalThis.window = { MediaRecorder: FakeMediaRecorder, setTimeout, clearTimeout };
+  });
+
+  afterEach(() => {
+    delete globalThis.window;
+  });
+
+  it("delivers the transcript when the upload finishes", async () => {
+    const { events, finishUpload } = await startTranscribing();
+    finishUpload("你好");
+    await tick();
+    assert.deepEqual(events, [["result", "你好"], ["end"]]);
+  });
+
+  it("aborts the upload and drops its transcript on abort()", async () => {
+    const { recognizer, events, finishUpload, uploadSignal } = await startTranscribing();
+    recognizer.abort();
+    assert.equal(uploadSignal().aborted, true);
+    finishUpload("挂断前的话");
+    await tick();
+    assert.deepEqual(events, [["end"]]);
+    assert.equal(recognizer.state, "idle");
+  });
+});
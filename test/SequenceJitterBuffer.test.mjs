@@ -0,0 +1,98 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import SequenceJitterBuffer from "@/lib/audio/SequenceJitterBuffer";
+
+function createBuffer(options = {}) {
+  const released = [];
+  const buffer = new SequenceJitterBuffer({
+    maxWaitMs: 1000,
+    ...options,
+    onRelease: (bytes, { sequence, afterGap }) => released.push({ bytes, sequence, afterGap }),
+  });
+  return { buffer, released };
+}
+
+describe("SequenceJitterBuffer", () => {
+  it("plays chunk 0 after chunk 1 when the stream starts at 0", () => {
+    const { buffer, released } = createBuffer({ startSequence: 0 });
+    buffer.push("one", 1);
+    assert.equal(released.length, 0);
+    buffer.push("zero", 0);
+    assert.deepEqual(
+      released.map(({ bytes, afterGap }) => [bytes, afterGap]),
+      [
+        ["zero", false],
+        ["one", false],
+      ],
+    );
+    assert.equal(buffer.getStats().duplicates, 0);
+    assert.equal(buffer.getStats().reordered, 1);
+    buffer.reset();
+  });
+
+  it("starts from the first chunk to arrive by default", () => {
+    const { buffer, released } = createBuffer();
+    buffer.push("one", 1);
+    buffer.push("two", 2);
+    assert.deepEqual(
+      released.map(({ sequence, afterGap }) => [sequence, afterGap]),
+      [
+        [1, false],
+        [2, false],
+      ],
+    );
+    assert.equal(buffer.getStats().gaps, 0);
+  });
+
+  it("skips a hole after maxPending chunks and drops the late chunk", () => {
+    const late = [];
+    const released = [];
+    const buffer = new SequenceJitterBuffer({
+      maxWaitMs: 1000,
+      maxPending: 2,
+      startSequence: 0,
+      onRelease: (bytes, { sequence, afterGap }) => released.push([sequence, afterGap]),
+      onLate: (event) => late.push(event),
+    });
+    buffer.push("zero", 0);
+    buffer.push("two", 2);
+    buffer.push("three", 3);
+    assert.deepEqual(released, [
+      [0, false],
+      [2, true],
+      [3, false],
+    ]);
+    buffer.push("one", 1);
+    assert.deepEqual(late, [{ sequence: 1, expected: 4 }]);
+    buffer.push("three", 3);
+    const stats = buffer.getStats();
+    assert.equal(stats.gaps, 1);
+    assert.equal(stats.skippedChunks, 1);
+    assert.equal(stats.lateChunks, 1);
+    assert.equal(stats.duplicates, 1);
+  });
+
+  it("skips a hole once maxWaitMs has passed", async () => {
+    const { buffer, released } = createBuffer({ maxWaitMs: 10, startSequence: 0 });
+    buffer.push("one", 1);
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.deepEqual(
+      released.map(({ sequence, afterGap }) => [sequence, afterGap]),
+      [[1, true]],
+    );
+  });
+
+  it("releases everything on flush and passes unnumbered chunks through", () => {
+    const { buffer, released } = createBuffer({ startSequence: 0 });
+    buffer.push("loose", -1);
+    buffer.push("four", 4);
+    buffer.push("two", 2);
+    buffer.flush();
+    assert.deepEqual(
+      released.map(({ bytes }) => bytes),
+      ["loose", "two", "four"],
+    );
+    assert.equal(buffer.getStats().pending, 0);
+  });
+});
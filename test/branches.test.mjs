@@ -0,0 +1,88 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  BRANCH_ROOT,
+  awaitBranch,
+  createBranchState,
+  normalizeBranchState,
+  resolveBranchView,
+  revealBranchPath,
+  selectBranch,
+} from "@/lib/chat/branches";
+
+function node(key, { parentId = null, editOf = null } = {}) {
+  return { key, ids: [key], parentId, editOf };
+}
+
+// u1 → a1, regenerated as a2 (parent u1); u2 follows a2.
+const regenerated = [
+  node("u1"),
+  node("a1"),
+  node("a2", { parentId: "u1" }),
+  node("u2", { parentId: "a2" }),
+  node("a3"),
+];
+
+function visibleKeys(nodes, state = createBranchState()) {
+  return Array.from(resolveBranchView(nodes, state).visible);
+}
+
+describe("resolveBranchView", () => {
+  it("keeps a thread without parent links linear", () => {
+    const nodes = ["u1", "a1", "u2", "a2"].map((key) => node(key));
+    const view = resolveBranchView(nodes, createBranchState());
+    assert.deepEqual(Array.from(view.visible), ["u1", "a1", "u2", "a2"]);
+    assert.equal(view.forked, false);
+    assert.equal(view.switchers.size, 0);
+  });
+
+  it("rebuilds a regenerated reply from parent_message_id alone", () => {
+    const view = resolveBranchView(regenerated, createBranchState());
+    assert.deepEqual(Array.from(view.visible), ["u1", "a2", "u2", "a3"]);
+    assert.equal(view.forked, true);
+    assert.deepEqual(view.switchers.get("a2"), { fork: "u1", index: 1, count: 2 });
+    assert.deepEqual(view.children.get("u1"), ["a1", "a2"]);
+  });
+
+  it("shows the stored choice at a fork", () => {
+    const state = selectBranch(createBranchState(), "u1", "a1");
+    assert.deepEqual(visibleKeys(regenerated, state), ["u1", "a1"]);
+  });
+
+  it("places an edit of the first turn at the root", () => {
+    const nodes = [node("u1"), node("a1"), node("u1b", { editOf: "u1" }), node("a1b")];
+    const view = resolveBranchView(nodes, createBranchState());
+    assert.deepEqual(Array.from(view.visible), ["u1b", "a1b"]);
+    assert.deepEqual(view.children.get(BRANCH_ROOT), ["u1", "u1b"]);
+  });
+
+  it("hides the old continuation until the resent one arrives", () => {
+    const pending = awaitBranch(createBranchState(), "u1", 1);
+    assert.deepEqual(visibleKeys(regenerated.slice(0, 2), pending), ["u1"]);
+    assert.deepEqual(visibleKeys(regenerated, pending), ["u1", "a2", "u2", "a3"]);
+  });
+
+  it("ignores parents that come later or aren't loaded", () => {
+    const nodes = [node("u1", { parentId: "a1" }), node("a1"), node("u2", { parentId: "gone" })];
+    assert.deepEqual(visibleKeys(nodes), ["u1", "a1", "u2"]);
+  });
+});
+
+describe("revealBranchPath", () => {
+  it("selects the forks leading to a message on another branch", () => {
+    const state = revealBranchPath(createBranchState(), regenerated, "a1");
+    assert.deepEqual(state.selected, { u1: "a1" });
+    assert.deepEqual(visibleKeys(regenerated, state), ["u1", "a1"]);
+  });
+});
+
+describe("normalizeBranchState", () => {
+  it("keeps selections and pending resends and drops anything else", () => {
+    const state = normalizeBranchState({
+      selected: { u1: "a1", [BRANCH_ROOT]: { after: 2 }, bad: 3 },
+      forks: { u1: { count: 2, active: 1 } },
+    });
+    assert.deepEqual(state, { selected: { u1: "a1", [BRANCH_ROOT]: { after: 2 } } });
+  });
+});
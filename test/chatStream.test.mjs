@@ -0,0 +1,190 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+
+import {
+  CHAT_STREAM_EVENTS,
+  createChatStreamHandler,
+  parseChatStreamTranscript,
+  readChatStream,
+} from "@/lib/chat/chatStream";
+import { createSseParser } from "@/lib/chat/sseParser";
+
+function readFixture(name) {
+  return readFileSync(new URL(`./fixtures/chat-stream/${name}`, import.meta.url), "utf8");
+}
+
+// A response body that hands out the encoded transcript `chunkSize` bytes at
+// a time, so frames, lines, CRLF pairs and UTF-8 sequences get split.
+function chunkedBody(text, chunkSize) {
+  const bytes = new TextEncoder().encode(text);
+  let offset = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.slice(offset, offset + chunkSize));
+      offset += chunkSize;
+    },
+  });
+}
+
+async function readChunked(text, chunkSize) {
+  const events = [];
+  await readChatStream(chunkedBody(text, chunkSize), {
+    onEvent: (event) => events.push(event),
+  });
+  return events;
+}
+
+describe("parseChatStreamTranscript", () => {
+  it("parses a text reply with ids and a retry interval", () => {
+    const events = parseChatStreamTranscript(readFixture("reply.sse"));
+    assert.deepEqual(
+      events.map((event) => [event.type, event.eventId]),
+      [
+        [CHAT_STREAM_EVENTS.USER_MESSAGE, "1"],
+        [CHAT_STREAM_EVENTS.ASSISTANT_PLACEHOLDER, "2"],
+        [CHAT_STREAM_EVENTS.ASSISTANT_DELTA, "3"],
+        [CHAT_STREAM_EVENTS.ASSISTANT_DELTA, "4"],
+        [CHAT_STREAM_EVENTS.ASSISTANT_MESSAGE, "5"],
+        [CHAT_STREAM_EVENTS.TOKEN_UPDATE, "6"],
+      ],
+    );
+    const [user, placeholder, , delta, message, tokens] = events;
+    assert.equal(user.messageId, "u-101");
+    assert.equal(user.payload.conversation_id, "c-7");
+    assert.deepEqual(placeholder.identifiers, ["a-102", "tmp-1"]);
+    assert.equal(delta.full, "从前有座山。");
+    assert.equal(message.payload.content, "从前有座山。");
+    assert.equal(tokens.tokenBalance, 1200);
+  });
+
+  it("parses speech streaming events", () => {
+    const events = parseChatStreamTranscript(readFixture("speech.sse"));
+    const [started, first, second, visemes, completed] = events;
+    assert.equal(started.type, CHAT_STREAM_EVENTS.SPEECH_STREAM_STARTED);
+    assert.equal(started.format, "pcm");
+    assert.equal(started.mimeType, "audio/L16");
+    assert.equal(started.voiceId, "zh-CN-XiaoxiaoNeural");
+    assert.equal(started.provider, "azure");
+    assert.equal(started.sampleRate, 24000);
+    assert.equal(started.channels, 1);
+    assert.equal(started.firstSequence, null);
+    assert.deepEqual(started.identifiers, ["a-102"]);
+
+    assert.equal(first.type, CHAT_STREAM_EVENTS.SPEECH_STREAM_CHUNK);
+    assert.equal(first.sequence, 0);
+    assert.equal(first.audioBase64, "AAABAAIA");
+    assert.equal(second.sequence, 1);
+
+    assert.equal(visemes.type, CHAT_STREAM_EVENTS.SPEECH_VISEMES);
+    assert.equal(visemes.visemes.length, 2);
+
+    assert.equal(completed.type, CHAT_STREAM_EVENTS.SPEECH_STREAM_COMPLETED);
+    assert.equal(completed.audioUrl, "/media/speech/a-102.wav");
+    assert.equal(completed.mimeType, "audio/wav");
+    assert.equal(completed.audioBase64, "");
+    assert.equal(completed.error, "");
+    assert.equal(completed.visemes.length, 1);
+    assert.deepEqual(completed.boundaries, [
+      { text: "从前", offset_ms: 0, duration_ms: 300 },
+    ]);
+  });
+
+  it("handles CRLF, multi-line data, comments, failures and a trailing frame", (t) => {
+    const warn = t.mock.method(console, "warn", () => {});
+    const events = parseChatStreamTranscript(readFixture("failures-crlf.sse"));
+    assert.deepEqual(
+      events.map((event) => [event.type, event.eventId]),
+      [
+        [CHAT_STREAM_EVENTS.SPEECH_STREAM_FAILED, "20"],
+        [CHAT_STREAM_EVENTS.ERROR, "21"],
+        ["moderation_notice", "21"],
+        [CHAT_STREAM_EVENTS.ASSISTANT_DELTA, "21"],
+        ["message", "21"],
+      ],
+    );
+    const [failed, error, unknown, invalid, trailing] = events;
+    assert.equal(failed.error, "voice quota exceeded");
+    assert.deepEqual(failed.identifiers, ["a-103"]);
+    assert.equal(error.error, "Assistant response failed.");
+    assert.equal(unknown.payload.level, "info");
+    assert.equal(invalid.payload, null);
+    assert.equal(invalid.full, "");
+    assert.equal(warn.mock.callCount(), 1);
+    assert.equal(trailing.payload.full, "tail without blank line");
+  });
+});
+
+describe("readChatStream", () => {
+  const fixtures = ["reply.sse", "speech.sse", "failures-crlf.sse"];
+
+  for (const name of fixtures) {
+    it(`matches the whole-transcript parse of ${name} at any chunk size`, async (t) => {
+      t.mock.method(console, "warn", () => {});
+      const text = readFixture(name);
+      const expected = parseChatStreamTranscript(text);
+      for (const chunkSize of [1, 2, 3, 7, 64]) {
+        assert.deepEqual(await readChunked(text, chunkSize), expected, `chunk size ${chunkSize}`);
+      }
+    });
+  }
+
+  it("keeps the last event id and retry interval on the parser", async () => {
+    const parser = createSseParser();
+    await readChatStream(chunkedBody(readFixture("reply.sse"), 5), { parser });
+    assert.equal(parser.lastEventId, "6");
+    assert.equal(parser.retry, 3000);
+  });
+
+  it("rejects onEvent together with a parser", async () => {
+    await assert.rejects(
+      readChatStream(chunkedBody("", 1), { onEvent: () => {}, parser: createSseParser() }),
+      TypeError,
+    );
+  });
+});
+
+describe("createChatStreamHandler", () => {
+  it("routes every event type to its callback", (t) => {
+    t.mock.method(console, "warn", () => {});
+    const calls = [];
+    const record = (name) => (event) => calls.push([name, event.type]);
+    const handle = createChatStreamHandler({
+      onUserMessage: record("onUserMessage"),
+      onAssistantPlaceholder: record("onAssistantPlaceholder"),
+      onAssistantDelta: record("onAssistantDelta"),
+      onAssistantMessage: record("onAssistantMessage"),
+      onTokenUpdate: record("onTokenUpdate"),
+      onSpeechStreamStarted: record("onSpeechStreamStarted"),
+      onSpeechStreamChunk: record("onSpeechStreamChunk"),
+      onSpeechStreamCompleted: record("onSpeechStreamCompleted"),
+      onSpeechStreamFailed: record("onSpeechStreamFailed"),
+      onSpeechVisemes: record("onSpeechVisemes"),
+      onError: record("onError"),
+      onUnknown: record("onUnknown"),
+    });
+    ["reply.sse", "speech.sse", "failures-crlf.sse"]
+      .flatMap((name) => parseChatStreamTranscript(readFixture(name)))
+      .forEach(handle);
+    const routed = new Set(calls.map(([name]) => name));
+    assert.equal(routed.size, 12);
+    assert.deepEqual(calls.find(([, type]) => type === "moderation_notice"), [
+      "onUnknown",
+      "moderation_notice",
+    ]);
+  });
+
+  it("passes every event to onEvent before its own callback", () => {
+    const order = [];
+    const handle = createChatStreamHandler({
+      onEvent: (event) => order.push(`event:${event.type}`),
+      onTokenUpdate: () => order.push("token"),
+    });
+    parseChatStreamTranscript(readFixture("reply.sse")).slice(-1).forEach(handle);
+    assert.deepEqual(order, [`event:${CHAT_STREAM_EVENTS.TOKEN_UPDATE}`, "token"]);
+  });
+});
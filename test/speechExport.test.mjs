@@ -0,0 +1,90 @@
+import assert from "node:assert/strict";
+import { afterEach, describe, it } from "node:test";
+
+import { buildSpeechCueSheet, readAudioDuration } from "@/lib/audio/speechExport";
+
+function cueLines(sheet) {
+  return sheet.split("\n").filter((line) => /^\[\d{3}\]/.test(line));
+}
+
+// `[start, end]` in milliseconds per cue line, null where unknown.
+function cueTimes(cues) {
+  const toMs = (time) => {
+    const match = /^(\d+):(\d+)\.(\d+)$/.exec(time);
+    return match ? (Number(match[1]) * 60 + Number(match[2])) * 1000 + Number(match[3]) : null;
+  };
+  return cues.map((line) => line.match(/\] (\S+) - (\S+)/).slice(1).map(toMs));
+}
+
+describe("buildSpeechCueSheet", () => {
+  it("lays tracks out back to back", () => {
+    const sheet = buildSpeechCueSheet({
+      title: "对话",
+      exportedAt: "2026-10-19 12:00",
+      tracks: [
+        { fileName: "audio/001.mp3", duration: 1.5, text: "你好" },
+        { fileName: "audio/002.mp3", duration: 62.25, text: "再见" },
+      ],
+    });
+    assert.deepEqual(cueLines(sheet), [
+      "[001] 00:00.000 - 00:01.500  audio/001.mp3",
+      "[002] 00:01.500 - 01:03.750  audio/002.mp3",
+    ]);
+  });
+
+  it("never overlaps cues when a duration is unknown", () => {
+    const sheet = buildSpeechCueSheet({
+      title: "对话",
+      exportedAt: "2026-10-19 12:00",
+      tracks: [
+        { fileName: "audio/001.mp3", duration: 2, text: "一" },
+        { fileName: "audio/002.ogg", duration: null, text: "二" },
+        { fileName: "audio/003.mp3", duration: 3, text: "三" },
+      ],
+    });
+    const cues = cueLines(sheet);
+    assert.deepEqual(cues, [
+      "[001] 00:00.000 - 00:02.000  audio/001.mp3",
+      "[002] 00:02.000 - --:--.---  audio/002.ogg",
+      "[003] --:--.--- - --:--.---  audio/003.mp3",
+    ]);
+    // A cue may only start at a known time if the one before it has a known end.
+    const times = cueTimes(cues);
+    times.forEach(([start], index) => {
+      const previousEnd = index > 0 ? times[index - 1][1] : 0;
+      if (start !== null) {
+        assert.ok(previousEnd !== null && start >= previousEnd, cues[index]);
+      }
+    });
+    assert.match(sheet, /# 1 条语音时长未知/);
+  });
+});
+
+describe("readAudioDuration", () => {
+  afterEach(() => {
+    delete globalThis.OfflineAudioContext;
+  });
+
+  it("decodes the audio when the metadata has no duration", async () => {
+    const decoded = [];
+    globalThis.OfflineAudioContext = class {
+      async decodeAudioData(buffer) {
+        decoded.push(buffer.byteLength);
+        return { duration: 1.25 };
+      }
+    };
+    const blob = new Blob([new Uint8Array(8)], { type: "audio/webm" });
+    assert.equal(await readAudioDuration(blob), 1.25);
+    assert.deepEqual(decoded, [8]);
+  });
+
+  it("resolves null when the audio can't be decoded either", async (t) => {
+    t.mock.method(console, "warn", () => {});
+    globalThis.OfflineAudioContext = class {
+      async decodeAudioData() {
+        throw new DOMException("Unable to decode audio data", "EncodingError");
+      }
+    };
+    assert.equal(await readAudioDuration(new Blob(["x"])), null);
+  });
+});
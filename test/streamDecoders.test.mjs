@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createStreamDecoder } from "@/lib/audio/streamDecoders";
+
+import { opusFile } from "./support/ogg.mjs";
+
+describe("createStreamDecoder('opus')", () => {
+  it("tells the decodeAudioData fallback the OpusHead channel count", async () => {
+    const calls = [];
+    const decoder = createStreamDecoder("opus", {
+      decodeAudioData: async (buffer, options) => {
+        calls.push(options);
+        return {
+          numberOfChannels: 2,
+          sampleRate: 48000,
+          getChannelData: () => new Float32Array(960),
+        };
+      },
+      onError: (error) => assert.fail(error),
+    });
+    decoder.push(opusFile(0x33, 2, 2));
+    await decoder.flush();
+    assert.deepEqual(calls, [{ channels: 2 }]);
+  });
+});
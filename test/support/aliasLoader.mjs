@@ -0,0 +1,33 @@
+import { existsSync } from "node:fs";
+
+const SRC_URL = new URL("../../src/", import.meta.url);
+
+function hasExtension(specifier) {
+  return /\.[a-z0-9]+$/i.test(specifier.split("/").pop() ?? "");
+}
+
+/**
+ * Resolves the `@/` alias from jsconfig.json and extensionless relative
+ * imports (files or directory indexes), all of which the Next bundler
+ * handles but Node does not.
+ */
+export async function resolve(specifier, context, nextResolve) {
+  let target = specifier;
+  if (target.startsWith("@/")) {
+    target = new URL(target.slice(2), SRC_URL).href;
+  }
+  const isLocal = target.startsWith("file:") || target.startsWith(".");
+  if (isLocal && !hasExtension(target)) {
+    const base = new URL(target, context.parentURL);
+    target = existsSync(new URL(`${base.href}.js`)) ? `${target}.js` : `${target}/index.js`;
+  }
+  return nextResolve(target, context);
+}
+
+// Sources are ES modules in a package without `"type": "module"`.
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(SRC_URL.href) && url.endsWith(".js")) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
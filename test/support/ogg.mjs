@@ -0,0 +1,93 @@
+// Builds and inspects small Ogg/Opus files for the audio tests.
+
+// Bitwise Ogg CRC-32 (polynomial 0x04c11db7, unreflected, zero seed).
+export function oggCrc(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit += 1) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+function oggPage({ serial, sequence, granule, flags = 0, packet }) {
+  const page = new Uint8Array(28 + packet.length);
+  const view = new DataView(page.buffer);
+  page.set([0x4f, 0x67, 0x67, 0x53], 0);
+  page[5] = flags;
+  view.setBigUint64(6, BigInt(granule), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  page[26] = 1;
+  page[27] = packet.length;
+  page.set(packet, 28);
+  view.setUint32(22, oggCrc(page), true);
+  return page;
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, (char) => char.charCodeAt(0));
+}
+
+// A standalone Ogg/Opus file: OpusHead, OpusTags and `frames` 20 ms packets.
+export function opusFile(serial, frames, channels = 2) {
+  const head = new Uint8Array(19);
+  head.set(ascii("OpusHead"));
+  head[8] = 1;
+  head[9] = channels;
+  new DataView(head.buffer).setUint16(10, 312, true);
+  const tags = new Uint8Array(16);
+  tags.set(ascii("OpusTags"));
+  const pages = [
+    oggPage({ serial, sequence: 0, granule: 0, flags: 0x02, packet: head }),
+    oggPage({ serial, sequence: 1, granule: 0, packet: tags }),
+  ];
+  for (let frame = 1; frame <= frames; frame += 1) {
+    // TOC 0xf8: CELT fullband 20 ms, one frame.
+    const packet = Uint8Array.of(0xf8, serial & 0xff, frame);
+    pages.push(
+      oggPage({
+        serial,
+        sequence: frame + 1,
+        granule: 312 + frame * 960,
+        flags: frame === frames ? 0x04 : 0,
+        packet,
+      }),
+    );
+  }
+  const bytes = new Uint8Array(pages.reduce((sum, page) => sum + page.length, 0));
+  let offset = 0;
+  for (const page of pages) {
+    bytes.set(page, offset);
+    offset += page.length;
+  }
+  return bytes;
+}
+
+export function readPages(bytes) {
+  const pages = [];
+  let offset = 0;
+  while (offset < bytes.length) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset + offset);
+    const length = 27 + bytes[offset + 26] + bytes[offset + 27];
+    const page = bytes.slice(offset, offset + length);
+    const unsigned = page.slice();
+    new DataView(unsigned.buffer).setUint32(22, 0, true);
+    pages.push({
+      flags: page[5],
+      granule: view.getBigUint64(6, true),
+      serial: view.getUint32(14, true),
+      sequence: view.getUint32(18, true),
+      crcValid: view.getUint32(22, true) === oggCrc(unsigned),
+      packet: page.subarray(28),
+    });
+    offset += length;
+  }
+  return pages;
+}
+
+export function isOpusHeader(packet) {
+  return String.fromCharCode(...packet.subarray(0, 4)) === "Opus";
+}
@@ -0,0 +1,4 @@
+import { register } from "node:module";
+
+// Lets `node --test` import modules under src/ the way Next bundles them.
+register("./aliasLoader.mjs", import.meta.url);
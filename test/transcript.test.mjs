@@ -0,0 +1,33 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { buildHtmlTranscript } from "@/lib/chat/transcript";
+
+function transcriptOf(content) {
+  return {
+    title: "导出测试",
+    exportedAt: "2026-10-19 12:00",
+    agent: { name: "Yumi" },
+    entries: [{ role: "assistant", speaker: "Yumi", content }],
+  };
+}
+
+describe("buildHtmlTranscript", () => {
+  it("renders GFM and math like the chat bubbles", async () => {
+    const html = await buildHtmlTranscript(
+      transcriptOf("| a | b |\n| - | - |\n| 1 | 2 |\n\n~~gone~~ and $x^2$"),
+    );
+    assert.match(html, /<table>/);
+    assert.match(html, /<del>gone<\/del>/);
+    assert.match(html, /class="katex"/);
+  });
+
+  it("drops raw HTML and unsafe link targets", async () => {
+    const html = await buildHtmlTranscript(
+      transcriptOf('<script>alert(1)</script>\n\n[click](javascript:alert(1))'),
+    );
+    assert.doesNotMatch(html, /<script>alert/);
+    assert.doesNotMatch(html, /javascript:/);
+    assert.match(html, /<a href="">click<\/a>/);
+  });
+});
@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import {
+  concatSegments,
+  createSegmentBody,
+  synthesizeSegments,
+} from "@/app/api/tts/segments";
+import { createStreamDecoder } from "@/lib/audio/streamDecoders";
+
+import { isOpusHeader, opusFile, readPages } from "./support/ogg.mjs";
+
+function segment(index, audio, mimeType = "audio/ogg") {
+  return { index, text: `segment ${index}`, audio, mimeType };
+}
+
+describe("concatSegments", () => {
+  it("re-pages later Ogg/Opus segments into the first logical stream", () => {
+    const { audio, mimeType } = concatSegments([
+      segment(0, opusFile(0x11, 2)),
+      segment(1, opusFile(0x22, 3)),
+    ]);
+    assert.equal(mimeType, "audio/ogg");
+    const pages = readPages(audio);
+    assert.equal(pages.length, 7);
+    assert.ok(pages.every((page) => page.serial === 0x11 && page.crcValid));
+    assert.deepEqual(
+      pages.map((page) => page.sequence),
+      [0, 1, 2, 3, 4, 5, 6],
+    );
+    assert.deepEqual(
+      pages.map((page) => page.flags),
+      [0x02, 0, 0, 0, 0, 0, 0x04],
+    );
+    assert.deepEqual(
+      pages.map((page) => Number(page.granule)),
+      [0, 0, 1272, 2232, 2232 + 1272, 2232 + 2232, 2232 + 3192],
+    );
+    assert.equal(pages.filter((page) => isOpusHeader(page.packet)).length, 2);
+  });
+
+  it("decodes a two-segment body as one stream on the worklet path", async () => {
+    const joined = [];
+    const body = createSegmentBody(
+      [segment(0, opusFile(0x11, 2)), segment(1, opusFile(0x22, 3))].map((result) =>
+        Promise.resolve(result),
+      ),
+    );
+    for await (const chunk of body) {
+      joined.push(chunk);
+    }
+    const files = [];
+    const frames = [];
+    const decoder = createStreamDecoder("opus", {
+      decodeAudioData: async (buffer) => {
+        files.push(new Uint8Array(buffer));
+        return {
+          numberOfChannels: 2,
+          sampleRate: 48000,
+          getChannelData: () => new Float32Array(960),
+        };
+      },
+      onFrames: (channels) => frames.push(channels.length),
+      onError: (error) => assert.fail(error),
+    });
+    joined.forEach((chunk) => decoder.push(chunk));
+    await decoder.flush();
+    assert.equal(files.length, 1);
+    const packets = readPages(files[0]).map((page) => page.packet);
+    assert.equal(packets.filter(isOpusHeader).length, 2, "one OpusHead and one OpusTags");
+    assert.equal(packets.length, 7);
+    assert.deepEqual(frames, [2]);
+  });
+});
+
+describe("synthesizeSegments", () => {
+  it("stops requesting segments once the body is cancelled", async () => {
+    const requested = [];
+    const provider = {
+      synthesize: ({ text }, { signal }) => {
+        requested.push({ text, signal });
+        return new Promise((resolve, reject) => {
+          signal.addEventListener("abort", () => reject(signal.reason), { once: true });
+        });
+      },
+    };
+    const cancellation = new AbortController();
+    const promises = synthesizeSegments(provider, {}, ["一", "二", "三", "四"], {
+      concurrency: 2,
+      signal: cancellation.signal,
+    });
+    const body = createSegmentBody(promises, { onCancel: () => cancellation.abort() });
+    await body.cancel();
+    const results = await Promise.all(promises);
+    assert.deepEqual(
+      requested.map(({ text }) => text),
+      ["一", "二"],
+    );
+    assert.ok(requested.every(({ signal }) => signal.aborted));
+    assert.ok(results.every((result) => result.error));
+  });
+});
@@ -0,0 +1,22 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+
+import { createSpeechEventStream } from "@/app/api/tts/streaming";
+import { CHAT_STREAM_EVENTS, parseChatStreamTranscript } from "@/lib/chat/chatStream";
+
+describe("createSpeechEventStream", () => {
+  it("announces that chunks are numbered from 0", async () => {
+    const events = createSpeechEventStream({
+      body: new Response(new Uint8Array([1, 2, 3, 4])).body,
+      mimeType: "audio/wav",
+      sampleRate: 24000,
+      provider: "mock",
+    });
+    const transcript = await new Response(events).text();
+    const [started, chunk, completed] = parseChatStreamTranscript(transcript);
+    assert.equal(started.type, CHAT_STREAM_EVENTS.SPEECH_STREAM_STARTED);
+    assert.equal(started.firstSequence, 0);
+    assert.equal(chunk.sequence, 0);
+    assert.equal(completed.type, CHAT_STREAM_EVENTS.SPEECH_STREAM_COMPLETED);
+  });
+});